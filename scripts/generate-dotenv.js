@@ -4,7 +4,7 @@ const dotenv = require("dotenv");
 const requiredVars = dotenv.config({ path: "./.env.example" }).parsed;
 
 const varText = Object.keys(requiredVars)
-  .map(key => `${key}=${process.env[key]}`)
+  .map(key => `${key}=${process.env[key] || ""}`)
   .join("\n");
 
 writeFileSync(".env", varText, err => {
@@ -0,0 +1,49 @@
+/* eslint-disable no-console */
+const { writeFileSync } = require("fs");
+const program = require("commander");
+const { createClient } = require("contentful");
+
+// Release builds run this without a shell, so fall back to the keys in .env
+require("dotenv").config();
+
+const DEFAULT_OUTPUT = "./fixtures/cms-sync.json";
+
+program
+  .option("-s, --space_id <spaceId>", "Contenful Space ID")
+  .option("-a, --access_token <accessToken>", "Contentful delivery API key")
+  .option("-o, --output <file>", "File to write to", DEFAULT_OUTPUT)
+  .parse(process.argv);
+
+const space = program.space_id || process.env.CONTENTFUL_SPACE_ID;
+const accessToken = program.access_token || process.env.CONTENTFUL_API_KEY;
+
+if (!space || !accessToken) {
+  console.error("Please provide a space_id and access_token");
+  process.exit(1);
+}
+
+// Records the same payload the app receives on its first launch
+createClient({ space, accessToken })
+  .sync({ initial: true, resolveLinks: false })
+  .then(response => {
+    const { entries, assets, nextSyncToken } = JSON.parse(
+      response.stringifySafe()
+    );
+    const payload = {
+      entries,
+      deletedEntries: [],
+      assets,
+      deletedAssets: [],
+      nextSyncToken
+    };
+    writeFileSync(program.output, `${JSON.stringify(payload, null, 2)}\n`);
+    console.log(
+      `Recorded ${entries.length} entries and ${assets.length} assets to ${
+        program.output
+      }`
+    );
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -5,6 +5,7 @@ import type { NavigationState } from "react-navigation";
 import SafeAreaView from "react-native-safe-area-view";
 import { lightNavyBlueColor } from "./constants/colors";
 import Navigation from "./Navigation";
+import ConnectedPreviewBanner from "./components/PreviewBanner";
 import SplashScreen from "./screens/SplashScreen";
 
 export type Props = {
@@ -21,6 +22,7 @@ const App = ({ onNavigationStateChange }: Props) => (
       barStyle="light-content"
       backgroundColor={lightNavyBlueColor}
     />
+    <ConnectedPreviewBanner />
     <SplashScreen>
       <Navigation onNavigationStateChange={onNavigationStateChange} />
     </SplashScreen>
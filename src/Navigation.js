@@ -25,6 +25,7 @@ import CategoriesFilterScreen from "./screens/CategoriesFilterScreen";
 import DateFilterScreen from "./screens/DateFilterScreen";
 import SupportUsScreen from "./screens/SupportUsScreen";
 import SponsorScreen from "./screens/SponsorScreen";
+import DiagnosticsScreen from "./screens/DiagnosticsScreen";
 import iconHomeActive from "../assets/images/homeActive.png";
 import iconHomeDefault from "../assets/images/homeDefault.png";
 import iconEventsActive from "../assets/images/eventsActive.png";
@@ -55,10 +56,12 @@ import {
   EVENT_ATTRIBUTE_FILTER,
   EVENT_DATE_FILTER,
   DONATE,
-  SPONSOR
+  SPONSOR,
+  DIAGNOSTICS
 } from "./constants/routes";
 import text from "./constants/text";
 import NavigationTabBar from "./components/NavigationTabBar";
+import ConnectedSavedEventsTabIcon from "./components/SavedEventsTabIcon";
 import Header from "./components/Header";
 import TopTabBar from "./components/TopTabBar";
 import type { ImageRef } from "./data/image-ref";
@@ -69,6 +72,12 @@ const tabIcon = (defaultIcon: ImageRef, activeIcon: ImageRef) => ({
   <Image source={focused ? activeIcon : defaultIcon} width={28} height={28} />
 );
 
+const savedEventsTabIcon = (scene: TabScene) => (
+  <ConnectedSavedEventsTabIcon>
+    {tabIcon(iconSavedDefault, iconSavedActive)(scene)}
+  </ConnectedSavedEventsTabIcon>
+);
+
 const withShadow = Component => props => (
   <View style={styles.shadowContainer}>
     <Component {...props} />
@@ -117,6 +126,11 @@ export const getTabTestId = (routeName: string) => {
   }
 };
 
+// The diagnostics screen is hidden behind a long press on the
+// Support Us tab.
+export const getTabLongPressRoute = (routeName: string) =>
+  routeName === SUPPORT_US ? DIAGNOSTICS : null;
+
 export const hideTabBarOnSubRoutes = (
   initialRouteName: string,
   navigationOptions: NavigationTabScreenOptions
@@ -227,7 +241,7 @@ const SavedStack = createStackNavigator(
   {
     initialRouteName: SAVED_EVENT_LIST,
     navigationOptions: {
-      tabBarIcon: tabIcon(iconSavedDefault, iconSavedActive),
+      tabBarIcon: savedEventsTabIcon,
       tabBarLabel: text.tabSaved,
       tabBarTestIDProps: {
         testID: "saved-events-tab-button"
@@ -243,7 +257,8 @@ const SupportUsStack = createStackNavigator(
       screen: withShadow(SupportUsScreen)
     },
     [DONATE]: { screen: DonateScreen },
-    [SPONSOR]: { screen: SponsorScreen }
+    [SPONSOR]: { screen: SponsorScreen },
+    [DIAGNOSTICS]: { screen: DiagnosticsScreen }
   },
   {
     initialRouteName: SUPPORT_US,
@@ -278,7 +293,7 @@ const TabNav = createBottomTabNavigator(
     [SAVED_EVENT_LIST]: {
       screen: SavedStack,
       navigationOptions: hideTabBarOnSubRoutes(SAVED_EVENT_LIST, {
-        tabBarIcon: tabIcon(iconSavedDefault, iconSavedActive),
+        tabBarIcon: savedEventsTabIcon,
         tabBarLabel: text.tabSaved
       })
     },
@@ -298,7 +313,8 @@ const TabNav = createBottomTabNavigator(
       backgroundColor: "blue"
     },
     tabBarOptions: {
-      getTabTestID: getTabTestId
+      getTabTestID: getTabTestId,
+      getTabLongPressRoute
     }
   }
 );
@@ -1,14 +1,19 @@
 // import React from "react";
 // import { shallow } from "enzyme";
 // import Navigation from "./Navigation";
-import { hideTabBarOnSubRoutes, getTabTestId } from "./Navigation";
+import {
+  hideTabBarOnSubRoutes,
+  getTabTestId,
+  getTabLongPressRoute
+} from "./Navigation";
 import {
   EVENT_LIST,
   EVENT_DETAILS,
   HOME,
   PARADE,
   SAVED_EVENT_LIST,
-  SUPPORT_US
+  SUPPORT_US,
+  DIAGNOSTICS
 } from "./constants/routes";
 
 // TODO: Temporarily disabled due to https://github.com/react-navigation/react-navigation/issues/256
@@ -74,3 +79,13 @@ describe("getTabTestId", () => {
     expect(result3).toEqual("support-us-tab-button");
   });
 });
+
+describe("getTabLongPressRoute", () => {
+  it("opens the diagnostics screen from the Support Us tab", () => {
+    expect(getTabLongPressRoute(SUPPORT_US)).toEqual(DIAGNOSTICS);
+  });
+
+  it("does nothing for other tabs", () => {
+    expect(getTabLongPressRoute(HOME)).toBeNull();
+  });
+});
@@ -0,0 +1,25 @@
+// @flow
+import type { Dispatch } from "redux";
+import type { State } from "../reducers";
+import { isBefore, now as getNow } from "../lib/date";
+import { getNextVisibilityChange } from "../selectors";
+
+export type ClockAction = { type: "UPDATE_CLOCK", now: string };
+
+/* eslint-disable import/prefer-default-export */
+/**
+ * Moves the clock on once a banner or featured events collection is
+ * due to be shown or hidden. This is checked every so often while the
+ * app is open, and does nothing the rest of the time, so that the
+ * screens are not rendered again for no reason.
+ */
+export const updateClock = (now: () => string = getNow) => (
+  dispatch: Dispatch<ClockAction>,
+  getState: () => State
+) => {
+  const next = getNextVisibilityChange(getState());
+  const time = now();
+  if (next && !isBefore(time, next)) {
+    dispatch({ type: "UPDATE_CLOCK", now: time });
+  }
+};
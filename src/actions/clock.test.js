@@ -0,0 +1,51 @@
+// @flow
+import { updateClock } from "./clock";
+import { emptyCollection, toCollection } from "../lib/collection";
+
+const createState = (clock: string): any => ({
+  clock,
+  data: {
+    headerBanners: toCollection([
+      {
+        id: "banner",
+        fields: {
+          visibleFrom: "2018-07-08T00:00+01:00",
+          visibleUntil: null
+        }
+      }
+    ]),
+    featuredEvents: emptyCollection()
+  }
+});
+
+describe("updateClock", () => {
+  it("moves the clock on once scheduled content is due", () => {
+    const mockDispatch = jest.fn();
+    const getState = () => createState("2018-07-07T12:00+01:00");
+
+    updateClock(() => "2018-07-08T00:01+01:00")(mockDispatch, getState);
+
+    expect(mockDispatch).toHaveBeenCalledWith({
+      type: "UPDATE_CLOCK",
+      now: "2018-07-08T00:01+01:00"
+    });
+  });
+
+  it("leaves the clock while nothing is due", () => {
+    const mockDispatch = jest.fn();
+    const getState = () => createState("2018-07-07T12:00+01:00");
+
+    updateClock(() => "2018-07-07T23:59+01:00")(mockDispatch, getState);
+
+    expect(mockDispatch).not.toHaveBeenCalled();
+  });
+
+  it("leaves the clock when nothing is scheduled", () => {
+    const mockDispatch = jest.fn();
+    const getState = () => createState("2018-07-08T12:00+01:00");
+
+    updateClock(() => "2018-07-09T12:00+01:00")(mockDispatch, getState);
+
+    expect(mockDispatch).not.toHaveBeenCalled();
+  });
+});
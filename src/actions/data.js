@@ -1,7 +1,17 @@
 // @flow
 import type { Dispatch } from "redux";
-import { getCmsData, updateCmsData } from "../integrations/cms";
+import { getCmsData, updateCmsData, clearCmsCache } from "../integrations/cms";
 import type { SavedData } from "../integrations/cms";
+import { fetchLocale, storeLocale } from "../integrations/storage";
+import { now as getNow } from "../lib/date";
+import { createSyncScheduler } from "../lib/sync-scheduler";
+import type { SyncScheduler } from "../lib/sync-scheduler";
+import type { PreviewAction } from "./preview";
+
+export type SyncAction =
+  | { type: "SYNC_STARTED" }
+  | { type: "SYNC_SUCCEEDED", time: string }
+  | { type: "SYNC_FAILED", error: string, time: string };
 
 export type DataAction =
   | { type: "REQUEST_CMS_DATA" }
@@ -9,25 +19,37 @@ export type DataAction =
       type: "RECEIVE_CMS_DATA",
       data: SavedData
     }
+  | { type: "STAGE_CMS_DATA", data: SavedData }
+  | { type: "APPLY_STAGED_CMS_DATA" }
   | { type: "REQUEST_UPDATE_CMS_DATA" }
-  | { type: "NO_DATA_RECEIVED" };
+  | { type: "NO_DATA_RECEIVED" }
+  | { type: "SET_LOCALE", locale: string }
+  | SyncAction
+  | PreviewAction;
+
+// All syncs with the CMS go through this, so that they never overlap
+// and failed syncs are retried.
+export const cmsSyncScheduler: SyncScheduler = createSyncScheduler();
 
 /**
- * Loads data from local storage and falls back to asking
- * the CMS if no local data exists.
+ * Loads data from local storage and falls back to the content
+ * bundled with the app, or to asking the CMS if no local data exists.
  *
  * This is supposed to be used when the app starts to show
  * content as fast as possible.
  */
-export const getData = (getCmsDataFn: typeof getCmsData = getCmsData) => async (
-  dispatch: Dispatch<DataAction>
-) => {
+export const getData = (
+  getCmsDataFn: typeof getCmsData = getCmsData,
+  updateCmsDataFn: typeof updateCmsData = updateCmsData,
+  scheduler: SyncScheduler = cmsSyncScheduler
+) => async (dispatch: Dispatch<DataAction>) => {
   dispatch({
     type: "REQUEST_CMS_DATA"
   });
 
+  let cmsData;
   try {
-    const cmsData = await getCmsDataFn();
+    cmsData = await getCmsDataFn();
     dispatch({
       type: "RECEIVE_CMS_DATA",
       data: cmsData
@@ -36,37 +58,85 @@ export const getData = (getCmsDataFn: typeof getCmsData = getCmsData) => async (
     dispatch({
       type: "NO_DATA_RECEIVED"
     });
+    return;
+  }
+
+  if (cmsData.seeded) {
+    // The content bundled with the app is out of date, so fetch the
+    // latest straight away if we have a connection.
+    await backgroundRefreshData(updateCmsDataFn, scheduler)(dispatch);
+  }
+};
+
+const syncCmsData = (
+  updateCmsDataFn: typeof updateCmsData,
+  dispatch: Dispatch<DataAction>,
+  now: () => string
+) => async () => {
+  dispatch({ type: "SYNC_STARTED" });
+
+  let cmsData;
+  try {
+    cmsData = await updateCmsDataFn();
+  } catch (e) {
+    dispatch({ type: "SYNC_FAILED", error: e.message, time: now() });
+    throw e;
+  }
+
+  if (cmsData.updated) {
+    dispatch({
+      type: "STAGE_CMS_DATA",
+      data: cmsData
+    });
   }
+  dispatch({ type: "SYNC_SUCCEEDED", time: now() });
+  return cmsData;
 };
 
 /**
  * Refreshes data from CMS. This is supposed to be called
  * automatically in the background without distracting the
- * user.
+ * user. A failed refresh is retried later on.
  */
 export const backgroundRefreshData = (
-  updateCmsDataFn: typeof updateCmsData = updateCmsData
+  updateCmsDataFn: typeof updateCmsData = updateCmsData,
+  scheduler: SyncScheduler = cmsSyncScheduler,
+  now: () => string = getNow
 ) => async (dispatch: Dispatch<DataAction>) => {
   try {
-    const cmsData = await updateCmsDataFn();
-
-    if (cmsData.updated) {
-      // We can change this to visually notify
-      // the user of new content and give them
-      // the choice to explicitly load it, rather than
-      // refreshing content under their hands.
-      // This would be a new action type
-      dispatch({
-        type: "RECEIVE_CMS_DATA",
-        data: cmsData
-      });
-    }
+    // New content is staged rather than shown straight away, the user
+    // is told about it and can choose to load it.
+    await scheduler.run(syncCmsData(updateCmsDataFn, dispatch, now));
   } catch (e) {
     // We didn't notify the user when the refresh started,
     // so we don't want to notify when it fails, either.
   }
 };
 
+// Runs a sync the user asked for, and shows whatever it brings in.
+// Rejects with the error when the sync fails.
+const refreshData = async (
+  dispatch: Dispatch<DataAction>,
+  sync: () => Promise<mixed>
+) => {
+  dispatch({
+    type: "REQUEST_UPDATE_CMS_DATA"
+  });
+
+  try {
+    await sync();
+    // The user asked for it, so there is no need to hold anything back
+    dispatch({
+      type: "APPLY_STAGED_CMS_DATA"
+    });
+  } catch (e) {
+    dispatch({
+      type: "NO_DATA_RECEIVED"
+    });
+    throw e;
+  }
+};
+
 /**
  * Refreshes data from CMS. This is supposed to be called
  * when the user actively chooses to refreshes data. In this
@@ -74,21 +144,88 @@ export const backgroundRefreshData = (
  * of the refresh.
  */
 export const updateData = (
-  updateCmsDataFn: typeof updateCmsData = updateCmsData
+  updateCmsDataFn: typeof updateCmsData = updateCmsData,
+  scheduler: SyncScheduler = cmsSyncScheduler,
+  now: () => string = getNow
+) => async (dispatch: Dispatch<DataAction>) => {
+  try {
+    await refreshData(dispatch, () =>
+      scheduler.run(syncCmsData(updateCmsDataFn, dispatch, now))
+    );
+  } catch (e) {
+    // NO_DATA_RECEIVED already tells the user the refresh failed
+  }
+};
+
+/**
+ * Shows the content staged by a background refresh.
+ */
+export const applyStagedData = () => (dispatch: Dispatch<DataAction>) => {
+  dispatch({
+    type: "APPLY_STAGED_CMS_DATA"
+  });
+};
+
+/**
+ * Removes the content cached on the device. The content on screen
+ * stays until the next sync, which downloads all of it again.
+ */
+export const clearCachedData = (
+  clearCmsCacheFn: typeof clearCmsCache = clearCmsCache
+) => async () => {
+  await clearCmsCacheFn();
+};
+
+/**
+ * Throws away the cached content and downloads all of it again,
+ * rather than only what changed since the last sync. A sync which is
+ * already running would save its changes onto the emptied cache, so
+ * it is waited for rather than joined, and the cache is only cleared
+ * once it has finished. Rejects when the cache cannot be cleared or the
+ * content cannot be downloaded.
+ */
+export const forceResyncData = (
+  clearCmsCacheFn: typeof clearCmsCache = clearCmsCache,
+  updateCmsDataFn: typeof updateCmsData = updateCmsData,
+  scheduler: SyncScheduler = cmsSyncScheduler,
+  now: () => string = getNow
+) => async (dispatch: Dispatch<DataAction>) => {
+  const sync = syncCmsData(updateCmsDataFn, dispatch, now);
+  await refreshData(dispatch, () =>
+    scheduler.runNext(async () => {
+      await clearCmsCacheFn();
+      return sync();
+    })
+  );
+};
+
+/**
+ * Switches the language content is shown in, and remembers it for
+ * the next time the app starts. Content that is not translated into
+ * this locale falls back to the default locale field by field.
+ */
+export const setLocale = (
+  locale: string,
+  storeLocaleFn: typeof storeLocale = storeLocale
 ) => async (dispatch: Dispatch<DataAction>) => {
   dispatch({
-    type: "REQUEST_UPDATE_CMS_DATA"
+    type: "SET_LOCALE",
+    locale
   });
+  await storeLocaleFn(locale);
+};
 
-  try {
-    const cmsData = await updateCmsDataFn();
-    dispatch({
-      type: "RECEIVE_CMS_DATA",
-      data: cmsData
-    });
-  } catch (e) {
+/**
+ * Restores the language chosen the last time the app ran.
+ */
+export const loadLocale = (
+  fetchLocaleFn: typeof fetchLocale = fetchLocale
+) => async (dispatch: Dispatch<DataAction>) => {
+  const locale = await fetchLocaleFn();
+  if (locale) {
     dispatch({
-      type: "NO_DATA_RECEIVED"
+      type: "SET_LOCALE",
+      locale
     });
   }
 };
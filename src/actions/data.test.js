@@ -1,5 +1,23 @@
 // @flow
-import { getData, backgroundRefreshData, updateData } from "./data";
+import {
+  getData,
+  backgroundRefreshData,
+  updateData,
+  applyStagedData,
+  clearCachedData,
+  forceResyncData,
+  setLocale,
+  loadLocale
+} from "./data";
+import { createSyncScheduler } from "../lib/sync-scheduler";
+
+const now = () => "2018-07-07T12:00:00.000+01:00";
+
+const createMockScheduler = () =>
+  createSyncScheduler(
+    { initialDelay: 1000, factor: 2, maxDelay: 5000 },
+    { setTimeout: jest.fn(), clearTimeout: jest.fn() }
+  );
 
 describe("getData", () => {
   it("dispatches REQUEST_CMS_DATA then RECEIVE_CMS_DATA", async () => {
@@ -28,20 +46,51 @@ describe("getData", () => {
       type: "NO_DATA_RECEIVED"
     });
   });
+  it("refreshes the data straight away when it was seeded", async () => {
+    const mockCmsData: any = { entries: [{ id: "1" }], seeded: true };
+    const mockUpdatedCmsData: any = { entries: [{ id: "2" }], updated: true };
+    const mockGetCmsData = async () => mockCmsData;
+    const mockUpdateCmsData = jest.fn(async () => mockUpdatedCmsData);
+    const mockDispatch = jest.fn();
+
+    await getData(mockGetCmsData, mockUpdateCmsData, createMockScheduler())(
+      mockDispatch
+    );
+
+    expect(mockUpdateCmsData).toHaveBeenCalled();
+    expect(mockDispatch).toHaveBeenCalledWith({
+      type: "STAGE_CMS_DATA",
+      data: mockUpdatedCmsData
+    });
+  });
+
+  it("does not refresh data loaded from the cache", async () => {
+    const mockCmsData: any = { entries: [{ id: "1" }], updated: false };
+    const mockGetCmsData = async () => mockCmsData;
+    const mockUpdateCmsData = jest.fn();
+    const mockDispatch = jest.fn();
+
+    await getData(mockGetCmsData, mockUpdateCmsData)(mockDispatch);
+
+    expect(mockUpdateCmsData).not.toHaveBeenCalled();
+  });
 });
 
 describe("backgroundRefreshData", () => {
-  it("updates the data if new content was received", async () => {
+  it("stages the data if new content was received", async () => {
     const mockCmsData: any = { entries: [{ id: "1" }], updated: true };
     const mockUpdateCmsData = async () => mockCmsData;
     const mockDispatch = jest.fn();
 
-    await backgroundRefreshData(mockUpdateCmsData)(mockDispatch);
+    await backgroundRefreshData(mockUpdateCmsData, createMockScheduler(), now)(
+      mockDispatch
+    );
 
-    expect(mockDispatch).toHaveBeenCalledWith({
-      type: "RECEIVE_CMS_DATA",
-      data: mockCmsData
-    });
+    expect(mockDispatch.mock.calls).toEqual([
+      [{ type: "SYNC_STARTED" }],
+      [{ type: "STAGE_CMS_DATA", data: mockCmsData }],
+      [{ type: "SYNC_SUCCEEDED", time: now() }]
+    ]);
   });
 
   it("skips updating if no new content was received", async () => {
@@ -49,49 +98,265 @@ describe("backgroundRefreshData", () => {
     const mockUpdateCmsData = async () => mockCmsData;
     const mockDispatch = jest.fn();
 
-    await backgroundRefreshData(mockUpdateCmsData)(mockDispatch);
+    await backgroundRefreshData(mockUpdateCmsData, createMockScheduler(), now)(
+      mockDispatch
+    );
 
-    expect(mockDispatch).not.toHaveBeenCalled();
+    expect(mockDispatch.mock.calls).toEqual([
+      [{ type: "SYNC_STARTED" }],
+      [{ type: "SYNC_SUCCEEDED", time: now() }]
+    ]);
   });
 
   it("skips updating if updated failed", async () => {
     const mockUpdateCmsData = () => Promise.reject(new Error("no network"));
     const mockDispatch = jest.fn();
 
-    await backgroundRefreshData(mockUpdateCmsData)(mockDispatch);
+    await backgroundRefreshData(mockUpdateCmsData, createMockScheduler(), now)(
+      mockDispatch
+    );
 
-    expect(mockDispatch).not.toHaveBeenCalled();
+    expect(mockDispatch.mock.calls).toEqual([
+      [{ type: "SYNC_STARTED" }],
+      [{ type: "SYNC_FAILED", error: "no network", time: now() }]
+    ]);
+  });
+
+  it("does not sync twice at the same time", async () => {
+    const mockCmsData: any = { entries: [{ id: "1" }], updated: true };
+    const mockUpdateCmsData = jest.fn(async () => mockCmsData);
+    const mockDispatch = jest.fn();
+    const scheduler = createMockScheduler();
+
+    await Promise.all([
+      backgroundRefreshData(mockUpdateCmsData, scheduler, now)(mockDispatch),
+      backgroundRefreshData(mockUpdateCmsData, scheduler, now)(mockDispatch)
+    ]);
+
+    expect(mockUpdateCmsData).toHaveBeenCalledTimes(1);
+  });
+
+  it("retries a failed refresh later on", async () => {
+    const timers = { setTimeout: jest.fn(), clearTimeout: jest.fn() };
+    const scheduler = createSyncScheduler(
+      { initialDelay: 1000, factor: 2, maxDelay: 5000 },
+      timers
+    );
+    const mockUpdateCmsData = () => Promise.reject(new Error("no network"));
+
+    await backgroundRefreshData(mockUpdateCmsData, scheduler, now)(jest.fn());
+
+    expect(timers.setTimeout).toHaveBeenCalledWith(expect.any(Function), 1000);
   });
 });
 
 describe("updateData", () => {
-  it("dispatches REQUEST_UPDATE_CMS_DATA then RECEIVE_CMS_DATA", async () => {
-    const mockCmsData: any = { entries: [{ id: "1" }] };
+  it("dispatches REQUEST_UPDATE_CMS_DATA then applies the new content", async () => {
+    const mockCmsData: any = { entries: [{ id: "1" }], updated: true };
     const mockUpdateCmsData = async () => mockCmsData;
     const mockDispatch = jest.fn();
 
-    await updateData(mockUpdateCmsData)(mockDispatch);
+    await updateData(mockUpdateCmsData, createMockScheduler(), now)(
+      mockDispatch
+    );
+
+    expect(mockDispatch.mock.calls).toEqual([
+      [{ type: "REQUEST_UPDATE_CMS_DATA" }],
+      [{ type: "SYNC_STARTED" }],
+      [{ type: "STAGE_CMS_DATA", data: mockCmsData }],
+      [{ type: "SYNC_SUCCEEDED", time: now() }],
+      [{ type: "APPLY_STAGED_CMS_DATA" }]
+    ]);
+  });
+
+  it("dispatches REQUEST_UPDATE_CMS_DATA then NO_DATA_RECEIVED on error", async () => {
+    const mockUpdateCmsData = () => Promise.reject(new Error("no network"));
+    const mockDispatch = jest.fn();
+
+    await updateData(mockUpdateCmsData, createMockScheduler(), now)(
+      mockDispatch
+    );
+
+    expect(mockDispatch.mock.calls).toEqual([
+      [{ type: "REQUEST_UPDATE_CMS_DATA" }],
+      [{ type: "SYNC_STARTED" }],
+      [{ type: "SYNC_FAILED", error: "no network", time: now() }],
+      [{ type: "NO_DATA_RECEIVED" }]
+    ]);
+  });
+
+  it("waits for a background refresh which is already running", async () => {
+    const mockCmsData: any = { entries: [{ id: "1" }], updated: true };
+    const mockUpdateCmsData = jest.fn(async () => mockCmsData);
+    const mockDispatch = jest.fn();
+    const scheduler = createMockScheduler();
+
+    await Promise.all([
+      backgroundRefreshData(mockUpdateCmsData, scheduler, now)(mockDispatch),
+      updateData(mockUpdateCmsData, scheduler, now)(mockDispatch)
+    ]);
+
+    expect(mockUpdateCmsData).toHaveBeenCalledTimes(1);
+    expect(mockDispatch).toHaveBeenLastCalledWith({
+      type: "APPLY_STAGED_CMS_DATA"
+    });
+  });
+});
+
+describe("applyStagedData", () => {
+  it("dispatches APPLY_STAGED_CMS_DATA", () => {
+    const mockDispatch = jest.fn();
+
+    applyStagedData()(mockDispatch);
 
     expect(mockDispatch).toHaveBeenCalledWith({
-      type: "REQUEST_UPDATE_CMS_DATA"
+      type: "APPLY_STAGED_CMS_DATA"
+    });
+  });
+});
+
+describe("clearCachedData", () => {
+  it("clears the cache", async () => {
+    const mockClearCmsData = jest.fn(async () => {});
+
+    await clearCachedData(mockClearCmsData)();
+
+    expect(mockClearCmsData).toHaveBeenCalled();
+  });
+});
+
+describe("forceResyncData", () => {
+  it("clears the cache before updating the data", async () => {
+    const calls = [];
+    const mockCmsData: any = { entries: [{ id: "1" }], updated: true };
+    const mockClearCmsData = jest.fn(async () => {
+      calls.push("clear");
     });
+    const mockUpdateCmsData = jest.fn(async () => {
+      calls.push("update");
+      return mockCmsData;
+    });
+    const mockDispatch = jest.fn();
+
+    await forceResyncData(
+      mockClearCmsData,
+      mockUpdateCmsData,
+      createMockScheduler(),
+      now
+    )(mockDispatch);
+
+    expect(calls).toEqual(["clear", "update"]);
     expect(mockDispatch).toHaveBeenCalledWith({
-      type: "RECEIVE_CMS_DATA",
+      type: "STAGE_CMS_DATA",
       data: mockCmsData
     });
+    expect(mockDispatch).toHaveBeenLastCalledWith({
+      type: "APPLY_STAGED_CMS_DATA"
+    });
   });
 
-  it("dispatches REQUEST_UPDATE_CMS_DATA then NO_DATA_RECEIVED on error", async () => {
-    const mockUpdateCmsData = () => Promise.reject(new Error("no network"));
+  it("waits for a sync in progress before clearing the cache", async () => {
+    const calls = [];
+    const scheduler = createMockScheduler();
+    let finishSync = () => {};
+    const inProgress = scheduler.run(
+      () =>
+        new Promise(resolve => {
+          finishSync = () => {
+            calls.push("delta");
+            resolve();
+          };
+        })
+    );
+    const mockClearCmsData = jest.fn(async () => {
+      calls.push("clear");
+    });
+    const mockUpdateCmsData = jest.fn(async () => {
+      calls.push("update");
+      return ({ updated: true }: any);
+    });
+
+    const resync = forceResyncData(
+      mockClearCmsData,
+      mockUpdateCmsData,
+      scheduler,
+      now
+    )(jest.fn());
+    finishSync();
+    await Promise.all([inProgress, resync]);
+
+    expect(calls).toEqual(["delta", "clear", "update"]);
+  });
+  it("rejects when the content cannot be downloaded again", async () => {
+    const mockClearCmsData = jest.fn(async () => {});
+    const mockUpdateCmsData = jest.fn(async () => {
+      throw new Error("offline");
+    });
     const mockDispatch = jest.fn();
 
-    await updateData(mockUpdateCmsData)(mockDispatch);
+    await expect(
+      forceResyncData(
+        mockClearCmsData,
+        mockUpdateCmsData,
+        createMockScheduler(),
+        now
+      )(mockDispatch)
+    ).rejects.toEqual(new Error("offline"));
+    expect(mockDispatch).toHaveBeenLastCalledWith({
+      type: "NO_DATA_RECEIVED"
+    });
+  });
+
+  it("rejects when the cache cannot be cleared", async () => {
+    const mockClearCmsData = jest.fn(async () => {
+      throw new Error("storage full");
+    });
+    const mockUpdateCmsData = jest.fn();
+
+    await expect(
+      forceResyncData(
+        mockClearCmsData,
+        mockUpdateCmsData,
+        createMockScheduler(),
+        now
+      )(jest.fn())
+    ).rejects.toEqual(new Error("storage full"));
+    expect(mockUpdateCmsData).not.toHaveBeenCalled();
+  });
+});
+
+describe("setLocale", () => {
+  it("dispatches SET_LOCALE and stores the locale", async () => {
+    const mockDispatch = jest.fn();
+    const mockStoreLocale = jest.fn(async locale => locale);
+
+    await setLocale("cy-GB", mockStoreLocale)(mockDispatch);
 
     expect(mockDispatch).toHaveBeenCalledWith({
-      type: "REQUEST_UPDATE_CMS_DATA"
+      type: "SET_LOCALE",
+      locale: "cy-GB"
     });
+    expect(mockStoreLocale).toHaveBeenCalledWith("cy-GB");
+  });
+});
+
+describe("loadLocale", () => {
+  it("dispatches SET_LOCALE with the stored locale", async () => {
+    const mockDispatch = jest.fn();
+
+    await loadLocale(async () => "es-ES")(mockDispatch);
+
     expect(mockDispatch).toHaveBeenCalledWith({
-      type: "NO_DATA_RECEIVED"
+      type: "SET_LOCALE",
+      locale: "es-ES"
     });
   });
+
+  it("does nothing when no locale was stored", async () => {
+    const mockDispatch = jest.fn();
+
+    await loadLocale(async () => null)(mockDispatch);
+
+    expect(mockDispatch).not.toHaveBeenCalled();
+  });
 });
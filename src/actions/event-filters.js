@@ -3,11 +3,18 @@ import type { DateRange, Time } from "../data/date-time";
 import type { EventCategoryName } from "../data/event";
 import type {
   Area,
-  Price,
+  PriceRange,
   Audience,
   VenueDetail,
   AccessibilityOption
 } from "../data/event-filters";
+import {
+  clearStoredEventFilters,
+  fetchEventFilters,
+  storeEventFilters
+} from "../integrations/storage";
+import { endOfDay, isBefore, now as getNow } from "../lib/date";
+import type { State } from "../reducers";
 import type { StandardAction } from "./";
 
 type EventFiltersActionType =
@@ -15,12 +22,13 @@ type EventFiltersActionType =
   | "STAGE_EVENT_FILTERS"
   | "COMMIT_EVENT_FILTERS"
   | "CLEAR_STAGED_EVENT_FILTERS"
-  | "CLEAR_EVENT_FILTERS";
+  | "CLEAR_EVENT_FILTERS"
+  | "RECEIVE_EVENT_FILTERS";
 
 export type EventFiltersPayload = {
   date?: ?DateRange,
   timeOfDay?: Set<Time>,
-  price?: Set<Price>,
+  priceRange?: ?PriceRange,
   categories?: Set<EventCategoryName>,
   audience?: Set<Audience>,
   venueDetails?: Set<VenueDetail>,
@@ -28,18 +36,21 @@ export type EventFiltersPayload = {
   area?: Set<Area>
 };
 
-export type EventFiltersAction = StandardAction<
-  EventFiltersActionType,
-  EventFiltersPayload
->;
+export type EventFiltersAction =
+  | StandardAction<EventFiltersActionType, EventFiltersPayload>
+  | StandardAction<"SET_EVENT_SEARCH_QUERY", string>;
 
-export const setEventFilters = (updates: EventFiltersPayload) => (
-  dispatch: Dispatch<EventFiltersAction>
-) => {
+// The selected filters are stored whenever they change, so that they
+// are kept when the app is opened again.
+export const setEventFilters = (
+  updates: EventFiltersPayload,
+  storeEventFiltersFn: typeof storeEventFilters = storeEventFilters
+) => async (dispatch: Dispatch<EventFiltersAction>, getState: () => State) => {
   dispatch({
     type: "SET_EVENT_FILTERS",
     payload: updates
   });
+  await storeEventFiltersFn(getState().eventFilters.selectedFilters);
 };
 
 export const stageEventFilters = (updates: EventFiltersPayload) => (
@@ -51,14 +62,46 @@ export const stageEventFilters = (updates: EventFiltersPayload) => (
   });
 };
 
-export const commitEventFilters = () => (
-  dispatch: Dispatch<EventFiltersAction>
-) => dispatch({ type: "COMMIT_EVENT_FILTERS" });
+export const commitEventFilters = (
+  storeEventFiltersFn: typeof storeEventFilters = storeEventFilters
+) => async (dispatch: Dispatch<EventFiltersAction>, getState: () => State) => {
+  dispatch({ type: "COMMIT_EVENT_FILTERS" });
+  await storeEventFiltersFn(getState().eventFilters.selectedFilters);
+};
 
 export const clearStagedEventFilters = () => (
   dispatch: Dispatch<EventFiltersAction>
 ) => dispatch({ type: "CLEAR_STAGED_EVENT_FILTERS" });
 
-export const clearEventFilters = () => (
+export const clearEventFilters = (
+  clearStoredEventFiltersFn: typeof clearStoredEventFilters = clearStoredEventFilters
+) => async (dispatch: Dispatch<EventFiltersAction>) => {
+  dispatch({ type: "CLEAR_EVENT_FILTERS" });
+  await clearStoredEventFiltersFn();
+};
+
+/**
+ * Restores the filters selected when the app was last used. A date
+ * range which has passed since would hide every event, so it is
+ * dropped.
+ */
+export const loadEventFilters = (
+  fetchEventFiltersFn: typeof fetchEventFilters = fetchEventFilters,
+  now: () => string = getNow
+) => async (dispatch: Dispatch<EventFiltersAction>) => {
+  const filters = await fetchEventFiltersFn();
+  if (filters) {
+    const { date } = filters;
+    dispatch({
+      type: "RECEIVE_EVENT_FILTERS",
+      payload: {
+        ...filters,
+        date: date && isBefore(endOfDay(date.endDate), now()) ? null : date
+      }
+    });
+  }
+};
+
+export const setEventSearchQuery = (query: string) => (
   dispatch: Dispatch<EventFiltersAction>
-) => dispatch({ type: "CLEAR_EVENT_FILTERS" });
+) => dispatch({ type: "SET_EVENT_SEARCH_QUERY", payload: query });
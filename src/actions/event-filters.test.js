@@ -2,24 +2,52 @@ import {
   setEventFilters,
   stageEventFilters,
   commitEventFilters,
-  clearStagedEventFilters
+  clearStagedEventFilters,
+  clearEventFilters,
+  loadEventFilters,
+  setEventSearchQuery
 } from "./event-filters";
 
+const selectedFilters = {
+  categories: new Set(),
+  date: null,
+  timeOfDay: new Set(["morning"]),
+  priceRange: null,
+  audience: new Set(),
+  venueDetails: new Set(),
+  accessibilityOptions: new Set(["Step free access"]),
+  area: new Set()
+};
+
+const mockGetState = () => ({ eventFilters: { selectedFilters } });
+
 describe("setEventFilters", () => {
-  it("creates correct action with expected payload", () => {
+  it("creates correct action with expected payload", async () => {
     const updates = {
       date: "2018-02-02",
       time: ["morning"]
     };
     const mockDispatch = jest.fn();
+    const mockStoreEventFilters = jest.fn();
 
-    setEventFilters(updates)(mockDispatch);
+    await setEventFilters(updates, mockStoreEventFilters)(
+      mockDispatch,
+      mockGetState
+    );
 
     expect(mockDispatch).toHaveBeenCalledWith({
       type: "SET_EVENT_FILTERS",
       payload: updates
     });
   });
+
+  it("stores the selected filters", async () => {
+    const mockStoreEventFilters = jest.fn();
+
+    await setEventFilters({}, mockStoreEventFilters)(jest.fn(), mockGetState);
+
+    expect(mockStoreEventFilters).toHaveBeenCalledWith(selectedFilters);
+  });
 });
 
 describe("stageEventFilters", () => {
@@ -42,12 +70,14 @@ describe("stageEventFilters", () => {
 describe("commitEventFilters", () => {
   it("calls correct action with expected payload", async () => {
     const mockDispatch = jest.fn();
+    const mockStoreEventFilters = jest.fn();
 
-    await commitEventFilters()(mockDispatch);
+    await commitEventFilters(mockStoreEventFilters)(mockDispatch, mockGetState);
 
     expect(mockDispatch).toHaveBeenCalledWith({
       type: "COMMIT_EVENT_FILTERS"
     });
+    expect(mockStoreEventFilters).toHaveBeenCalledWith(selectedFilters);
   });
 });
 
@@ -62,3 +92,72 @@ describe("clearStagedEventFilters", () => {
     });
   });
 });
+
+describe("clearEventFilters", () => {
+  it("calls correct action and clears the stored filters", async () => {
+    const mockDispatch = jest.fn();
+    const mockClearStoredEventFilters = jest.fn();
+
+    await clearEventFilters(mockClearStoredEventFilters)(mockDispatch);
+
+    expect(mockDispatch).toHaveBeenCalledWith({
+      type: "CLEAR_EVENT_FILTERS"
+    });
+    expect(mockClearStoredEventFilters).toHaveBeenCalled();
+  });
+});
+
+describe("loadEventFilters", () => {
+  const now = () => "2018-07-07T12:00+01:00";
+
+  it("calls correct action with the stored filters", async () => {
+    const filters = {
+      ...selectedFilters,
+      date: { startDate: "2018-07-07", endDate: "2018-07-08" }
+    };
+    const mockDispatch = jest.fn();
+
+    await loadEventFilters(async () => filters, now)(mockDispatch);
+
+    expect(mockDispatch).toHaveBeenCalledWith({
+      type: "RECEIVE_EVENT_FILTERS",
+      payload: filters
+    });
+  });
+
+  it("drops a date range which has passed", async () => {
+    const filters = {
+      ...selectedFilters,
+      date: { startDate: "2018-07-05", endDate: "2018-07-06" }
+    };
+    const mockDispatch = jest.fn();
+
+    await loadEventFilters(async () => filters, now)(mockDispatch);
+
+    expect(mockDispatch).toHaveBeenCalledWith({
+      type: "RECEIVE_EVENT_FILTERS",
+      payload: { ...filters, date: null }
+    });
+  });
+
+  it("does not call any action when no filters were stored", async () => {
+    const mockDispatch = jest.fn();
+
+    await loadEventFilters(async () => null, now)(mockDispatch);
+
+    expect(mockDispatch).not.toHaveBeenCalled();
+  });
+});
+
+describe("setEventSearchQuery", () => {
+  it("calls correct action with expected payload", async () => {
+    const mockDispatch = jest.fn();
+
+    await setEventSearchQuery("drag brunch")(mockDispatch);
+
+    expect(mockDispatch).toHaveBeenCalledWith({
+      type: "SET_EVENT_SEARCH_QUERY",
+      payload: "drag brunch"
+    });
+  });
+});
@@ -0,0 +1,28 @@
+// @flow
+import type { Dispatch } from "redux";
+import {
+  fetchEventSortOrder,
+  storeEventSortOrder
+} from "../integrations/storage";
+import type { EventSortOrder } from "../data/event-sort";
+
+export type EventSortAction =
+  | { type: "SET_EVENT_SORT_ORDER", order: EventSortOrder }
+  | { type: "RECEIVE_EVENT_SORT_ORDER", order: EventSortOrder };
+
+export const setEventSortOrder = (
+  order: EventSortOrder,
+  storeEventSortOrderFn: typeof storeEventSortOrder = storeEventSortOrder
+) => async (dispatch: Dispatch<EventSortAction>) => {
+  dispatch({ type: "SET_EVENT_SORT_ORDER", order });
+  await storeEventSortOrderFn(order);
+};
+
+export const loadEventSortOrder = (
+  fetchEventSortOrderFn: typeof fetchEventSortOrder = fetchEventSortOrder
+) => async (dispatch: Dispatch<EventSortAction>) => {
+  const order = await fetchEventSortOrderFn();
+  if (order) {
+    dispatch({ type: "RECEIVE_EVENT_SORT_ORDER", order });
+  }
+};
@@ -0,0 +1,40 @@
+// @flow
+import { loadEventSortOrder, setEventSortOrder } from "./event-sort";
+
+describe("setEventSortOrder", () => {
+  it("dispatches SET_EVENT_SORT_ORDER and stores the order", async () => {
+    const mockDispatch = jest.fn();
+    const mockStoreEventSortOrder = jest.fn(async order => order);
+
+    await setEventSortOrder("price", mockStoreEventSortOrder)(mockDispatch);
+
+    expect(mockDispatch).toHaveBeenCalledWith({
+      type: "SET_EVENT_SORT_ORDER",
+      order: "price"
+    });
+    expect(mockStoreEventSortOrder).toHaveBeenCalledWith("price");
+  });
+});
+
+describe("loadEventSortOrder", () => {
+  it("dispatches RECEIVE_EVENT_SORT_ORDER with the stored order", async () => {
+    const mockDispatch = jest.fn();
+    const mockFetchEventSortOrder = async () => "name";
+
+    await loadEventSortOrder(mockFetchEventSortOrder)(mockDispatch);
+
+    expect(mockDispatch).toHaveBeenCalledWith({
+      type: "RECEIVE_EVENT_SORT_ORDER",
+      order: "name"
+    });
+  });
+
+  it("does not dispatch when no order was stored", async () => {
+    const mockDispatch = jest.fn();
+    const mockFetchEventSortOrder = async () => null;
+
+    await loadEventSortOrder(mockFetchEventSortOrder)(mockDispatch);
+
+    expect(mockDispatch).not.toHaveBeenCalled();
+  });
+});
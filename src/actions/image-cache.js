@@ -0,0 +1,61 @@
+// @flow
+import { Dimensions, PixelRatio } from "react-native";
+import type { Dispatch } from "redux";
+import type { State } from "../reducers";
+import { fitWidthTransform, imageUri } from "../data/image";
+import {
+  isUnmeteredConnection,
+  loadImageCache,
+  prefetchImages,
+  toCachedImageUris
+} from "../integrations/image-cache";
+import type { CachedImageUris } from "../integrations/image-cache";
+import { selectImagesToCache } from "../selectors/images";
+
+export type ImageCacheAction = {
+  type: "RECEIVE_CACHED_IMAGES",
+  images: CachedImageUris
+};
+
+/**
+ * Loads the pictures which were cached on the device, so that they
+ * show up while offline.
+ */
+export const loadCachedImages = (
+  loadImageCacheFn: typeof loadImageCache = loadImageCache
+) => async (dispatch: Dispatch<ImageCacheAction>) => {
+  const index = await loadImageCacheFn();
+  dispatch({
+    type: "RECEIVE_CACHED_IMAGES",
+    images: toCachedImageUris(index)
+  });
+};
+
+// Pictures are shown at most as wide as the screen, so they are cached
+// at that width rather than at their original size.
+const screenWidthInPixels = () =>
+  Dimensions.get("screen").width * PixelRatio.get();
+
+/**
+ * Downloads the event pictures and sponsor logos of the current
+ * content which are not cached yet. Nothing is downloaded over mobile
+ * data or other metered connections.
+ */
+export const cacheImages = (
+  prefetchImagesFn: typeof prefetchImages = prefetchImages,
+  isUnmeteredConnectionFn: typeof isUnmeteredConnection = isUnmeteredConnection,
+  maxWidth: number = screenWidthInPixels()
+) => async (dispatch: Dispatch<ImageCacheAction>, getState: () => State) => {
+  if (!(await isUnmeteredConnectionFn())) {
+    return;
+  }
+  const images = selectImagesToCache(getState()).map(image => ({
+    ...image,
+    uri: imageUri(image, fitWidthTransform(image, maxWidth))
+  }));
+  const index = await prefetchImagesFn(images);
+  dispatch({
+    type: "RECEIVE_CACHED_IMAGES",
+    images: toCachedImageUris(index)
+  });
+};
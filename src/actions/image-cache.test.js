@@ -0,0 +1,87 @@
+// @flow
+import { emptyCollection, toCollection } from "../lib/collection";
+import { cacheImages, loadCachedImages } from "./image-cache";
+
+const index = {
+  "a-1": {
+    id: "a",
+    revision: 1,
+    path: "/caches/images/a-1.jpg",
+    size: 100,
+    lastUsed: 1
+  }
+};
+
+describe("loadCachedImages", () => {
+  it("dispatches RECEIVE_CACHED_IMAGES with the cached images", async () => {
+    const mockDispatch = jest.fn();
+    const mockLoadImageCache = jest.fn(async () => index);
+
+    await loadCachedImages(mockLoadImageCache)(mockDispatch);
+
+    expect(mockDispatch).toHaveBeenCalledWith({
+      type: "RECEIVE_CACHED_IMAGES",
+      images: { a: { revision: 1, uri: "file:///caches/images/a-1.jpg" } }
+    });
+  });
+});
+
+describe("cacheImages", () => {
+  const image = {
+    id: "a",
+    revision: 1,
+    uri: "https://images.ctfassets.net/a.jpg",
+    width: 2000,
+    height: 1000
+  };
+  const state = {
+    data: {
+      events: toCollection([
+        {
+          id: "event",
+          fields: {
+            eventsListPicture: { sys: { id: "a" } },
+            individualEventPicture: { sys: { id: "a" } }
+          }
+        }
+      ]),
+      sponsors: emptyCollection(),
+      images: toCollection([image])
+    }
+  };
+
+  it("prefetches the pictures of the events and sponsors at the screen width", async () => {
+    const mockDispatch = jest.fn();
+    const mockPrefetchImages = jest.fn(async () => index);
+    const mockIsUnmeteredConnection = jest.fn(async () => true);
+
+    await cacheImages(mockPrefetchImages, mockIsUnmeteredConnection, 1000)(
+      mockDispatch,
+      // $FlowFixMe
+      () => state
+    );
+
+    expect(mockPrefetchImages).toHaveBeenCalledWith([
+      { ...image, uri: "https://images.ctfassets.net/a.jpg?w=1000&h=500" }
+    ]);
+    expect(mockDispatch).toHaveBeenCalledWith({
+      type: "RECEIVE_CACHED_IMAGES",
+      images: { a: { revision: 1, uri: "file:///caches/images/a-1.jpg" } }
+    });
+  });
+
+  it("does not prefetch anything over a metered connection", async () => {
+    const mockDispatch = jest.fn();
+    const mockPrefetchImages = jest.fn(async () => index);
+    const mockIsUnmeteredConnection = jest.fn(async () => false);
+
+    await cacheImages(mockPrefetchImages, mockIsUnmeteredConnection, 1000)(
+      mockDispatch,
+      // $FlowFixMe
+      () => state
+    );
+
+    expect(mockPrefetchImages).not.toHaveBeenCalled();
+    expect(mockDispatch).not.toHaveBeenCalled();
+  });
+});
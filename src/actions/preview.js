@@ -0,0 +1,69 @@
+// @flow
+import type { Dispatch } from "redux";
+import {
+  restorePreviewSession,
+  startPreviewSession,
+  stopPreviewSession
+} from "../integrations/preview";
+import type { SyncScheduler } from "../lib/sync-scheduler";
+import { cmsSyncScheduler, getData } from "./data";
+import type { DataAction } from "./data";
+
+export type PreviewAction =
+  | { type: "START_PREVIEW" }
+  | { type: "STOP_PREVIEW" };
+
+// A sync which is still running would save its content into the cache
+// of the mode we are leaving, so we wait for it to finish and drop any
+// retry.
+const settleSyncs = async (scheduler: SyncScheduler) => {
+  try {
+    await scheduler.run(async () => {});
+  } catch (e) {
+    // The sync is not ours to report
+  }
+  scheduler.cancel();
+};
+
+/**
+ * Goes back into preview mode if the app was closed in it. This needs
+ * to finish before any content is loaded.
+ */
+export const restorePreview = (
+  restorePreviewSessionFn: typeof restorePreviewSession = restorePreviewSession
+) => async (dispatch: Dispatch<PreviewAction>) => {
+  const token = await restorePreviewSessionFn();
+  if (token) {
+    dispatch({ type: "START_PREVIEW" });
+  }
+};
+
+/**
+ * Shows drafts from the Preview API, rather than the published
+ * content, until preview mode is left.
+ */
+export const startPreview = (
+  token: string,
+  startPreviewSessionFn: typeof startPreviewSession = startPreviewSession,
+  scheduler: SyncScheduler = cmsSyncScheduler,
+  getDataFn: typeof getData = getData
+) => async (dispatch: Dispatch<DataAction>) => {
+  await settleSyncs(scheduler);
+  await startPreviewSessionFn(token);
+  dispatch({ type: "START_PREVIEW" });
+  await getDataFn()(dispatch);
+};
+
+/**
+ * Leaves preview mode and goes back to the published content.
+ */
+export const stopPreview = (
+  stopPreviewSessionFn: typeof stopPreviewSession = stopPreviewSession,
+  scheduler: SyncScheduler = cmsSyncScheduler,
+  getDataFn: typeof getData = getData
+) => async (dispatch: Dispatch<DataAction>) => {
+  await settleSyncs(scheduler);
+  await stopPreviewSessionFn();
+  dispatch({ type: "STOP_PREVIEW" });
+  await getDataFn()(dispatch);
+};
@@ -0,0 +1,81 @@
+// @flow
+import { restorePreview, startPreview, stopPreview } from "./preview";
+
+const createMockScheduler = (): any => ({
+  run: jest.fn(task => task()),
+  setConnected: jest.fn(),
+  cancel: jest.fn()
+});
+
+describe("restorePreview", () => {
+  it("dispatches START_PREVIEW when the app was closed in preview mode", async () => {
+    const mockDispatch = jest.fn();
+    const mockRestore = jest.fn(async () => "preview-token");
+
+    await restorePreview(mockRestore)(mockDispatch);
+
+    expect(mockDispatch).toHaveBeenCalledWith({ type: "START_PREVIEW" });
+  });
+
+  it("does nothing when the app was not in preview mode", async () => {
+    const mockDispatch = jest.fn();
+    const mockRestore = jest.fn(async () => null);
+
+    await restorePreview(mockRestore)(mockDispatch);
+
+    expect(mockDispatch).not.toHaveBeenCalled();
+  });
+});
+
+describe("startPreview", () => {
+  it("starts a session and loads the drafts", async () => {
+    const mockDispatch = jest.fn();
+    const mockStart = jest.fn(async () => {});
+    const mockScheduler = createMockScheduler();
+    const mockGetDataThunk = jest.fn();
+    const mockGetData: any = jest.fn(() => mockGetDataThunk);
+
+    await startPreview("preview-token", mockStart, mockScheduler, mockGetData)(
+      mockDispatch
+    );
+
+    expect(mockScheduler.cancel).toHaveBeenCalled();
+    expect(mockStart).toHaveBeenCalledWith("preview-token");
+    expect(mockDispatch).toHaveBeenCalledWith({ type: "START_PREVIEW" });
+    expect(mockGetDataThunk).toHaveBeenCalledWith(mockDispatch);
+  });
+
+  it("waits for the sync which is running before switching", async () => {
+    const mockDispatch = jest.fn();
+    const mockStart = jest.fn(async () => {});
+    const mockScheduler = createMockScheduler();
+    mockScheduler.run.mockImplementation(() =>
+      Promise.reject(new Error("offline"))
+    );
+    const mockGetData: any = jest.fn(() => jest.fn());
+
+    await startPreview("preview-token", mockStart, mockScheduler, mockGetData)(
+      mockDispatch
+    );
+
+    expect(mockStart).toHaveBeenCalled();
+    expect(mockDispatch).toHaveBeenCalledWith({ type: "START_PREVIEW" });
+  });
+});
+
+describe("stopPreview", () => {
+  it("stops the session and loads the published content", async () => {
+    const mockDispatch = jest.fn();
+    const mockStop = jest.fn(async () => {});
+    const mockScheduler = createMockScheduler();
+    const mockGetDataThunk = jest.fn();
+    const mockGetData: any = jest.fn(() => mockGetDataThunk);
+
+    await stopPreview(mockStop, mockScheduler, mockGetData)(mockDispatch);
+
+    expect(mockScheduler.cancel).toHaveBeenCalled();
+    expect(mockStop).toHaveBeenCalled();
+    expect(mockDispatch).toHaveBeenCalledWith({ type: "STOP_PREVIEW" });
+    expect(mockGetDataThunk).toHaveBeenCalledWith(mockDispatch);
+  });
+});
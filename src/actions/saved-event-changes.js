@@ -0,0 +1,59 @@
+// @flow
+import type { Dispatch } from "redux";
+import type { State } from "../reducers";
+import type { SavedEventChangeLog } from "../data/saved-event-changes";
+import { trackSavedEventChanges } from "../data/saved-event-changes";
+import {
+  fetchSavedEventChanges,
+  storeSavedEventChanges
+} from "../integrations/storage";
+import { now as getNow } from "../lib/date";
+import { getEventsMap } from "../selectors";
+
+export type SavedEventChangesAction =
+  | { type: "RECEIVE_SAVED_EVENT_CHANGES", log: SavedEventChangeLog }
+  | { type: "UPDATE_SAVED_EVENT_CHANGES", log: SavedEventChangeLog }
+  | { type: "DISMISS_SAVED_EVENT_CHANGES" };
+
+export const loadSavedEventChanges = (
+  fetchSavedEventChangesFn: typeof fetchSavedEventChanges = fetchSavedEventChanges
+) => async (dispatch: Dispatch<SavedEventChangesAction>) => {
+  const log = await fetchSavedEventChangesFn();
+  dispatch({ type: "RECEIVE_SAVED_EVENT_CHANGES", log });
+};
+
+/**
+ * Records how the saved events changed since we last looked at them.
+ * See integrations/saved-event-tracker.js for when this runs.
+ */
+export const updateSavedEventChanges = (
+  storeSavedEventChangesFn: typeof storeSavedEventChanges = storeSavedEventChanges,
+  now: () => string = getNow
+) => async (
+  dispatch: Dispatch<SavedEventChangesAction>,
+  getState: () => State
+) => {
+  const state = getState();
+  const { log } = state.savedEventChanges;
+  const updated = trackSavedEventChanges(
+    log,
+    state.savedEvents,
+    getEventsMap(state),
+    new Set(state.data.rejections.map(rejection => rejection.id)),
+    now()
+  );
+  if (updated !== log) {
+    dispatch({ type: "UPDATE_SAVED_EVENT_CHANGES", log: updated });
+    await storeSavedEventChangesFn(updated);
+  }
+};
+
+export const dismissSavedEventChanges = (
+  storeSavedEventChangesFn: typeof storeSavedEventChanges = storeSavedEventChanges
+) => async (
+  dispatch: Dispatch<SavedEventChangesAction>,
+  getState: () => State
+) => {
+  dispatch({ type: "DISMISS_SAVED_EVENT_CHANGES" });
+  await storeSavedEventChangesFn(getState().savedEventChanges.log);
+};
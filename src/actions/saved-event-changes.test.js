@@ -0,0 +1,125 @@
+// @flow
+import {
+  dismissSavedEventChanges,
+  loadSavedEventChanges,
+  updateSavedEventChanges
+} from "./saved-event-changes";
+import { toCollection } from "../lib/collection";
+
+const event = {
+  id: "1",
+  locale: "en-GB",
+  revision: 1,
+  fields: {
+    name: "Pride in the Park",
+    startTime: "2018-07-09T11:00+01:00",
+    endTime: "2018-07-09T18:00+01:00",
+    locationName: "Vauxhall Pleasure Gardens"
+  }
+};
+
+const snapshot = {
+  revision: 1,
+  name: "Pride in the Park",
+  startTime: "2018-07-09T11:00+01:00",
+  endTime: "2018-07-09T18:00+01:00",
+  locationName: "Vauxhall Pleasure Gardens",
+  locale: "en-GB"
+};
+
+const createState = (log, events, rejections = []): any => ({
+  data: { events: toCollection(events), rejections },
+  savedEvents: new Set(["1"]),
+  savedEventChanges: { loaded: true, log }
+});
+
+describe("loadSavedEventChanges", () => {
+  it("dispatches RECEIVE_SAVED_EVENT_CHANGES with the stored log", async () => {
+    const mockDispatch = jest.fn();
+    const log = { snapshots: {}, changes: [] };
+    const mockFetch = jest.fn(async () => log);
+
+    await loadSavedEventChanges(mockFetch)(mockDispatch);
+
+    expect(mockDispatch).toHaveBeenCalledWith({
+      type: "RECEIVE_SAVED_EVENT_CHANGES",
+      log
+    });
+  });
+});
+
+describe("updateSavedEventChanges", () => {
+  it("records and stores the changes", async () => {
+    const mockDispatch = jest.fn();
+    const mockStore = jest.fn(async log => log);
+    const getState = () =>
+      createState({ snapshots: { "1": snapshot }, changes: [] }, []);
+
+    await updateSavedEventChanges(mockStore, () => "2018-07-08T12:00+01:00")(
+      mockDispatch,
+      getState
+    );
+
+    const log = {
+      snapshots: {},
+      changes: [
+        {
+          id: "1",
+          previous: snapshot,
+          current: null,
+          changedFields: [],
+          time: "2018-07-08T12:00+01:00"
+        }
+      ]
+    };
+    expect(mockDispatch).toHaveBeenCalledWith({
+      type: "UPDATE_SAVED_EVENT_CHANGES",
+      log
+    });
+    expect(mockStore).toHaveBeenCalledWith(log);
+  });
+
+  it("does not record events which were rejected as cancelled", async () => {
+    const mockDispatch = jest.fn();
+    const mockStore = jest.fn(async log => log);
+    const log = { snapshots: { "1": snapshot }, changes: [] };
+    const getState = () =>
+      createState(log, [], [{ id: "1", contentType: "event", reason: "" }]);
+
+    await updateSavedEventChanges(mockStore, () => "2018-07-08T12:00+01:00")(
+      mockDispatch,
+      getState
+    );
+
+    expect(mockDispatch).not.toHaveBeenCalled();
+    expect(mockStore).not.toHaveBeenCalled();
+  });
+
+  it("does nothing when the saved events did not change", async () => {
+    const mockDispatch = jest.fn();
+    const mockStore = jest.fn(async log => log);
+    const getState = () =>
+      createState({ snapshots: { "1": snapshot }, changes: [] }, [event]);
+
+    await updateSavedEventChanges(mockStore)(mockDispatch, getState);
+
+    expect(mockDispatch).not.toHaveBeenCalled();
+    expect(mockStore).not.toHaveBeenCalled();
+  });
+});
+
+describe("dismissSavedEventChanges", () => {
+  it("dispatches DISMISS_SAVED_EVENT_CHANGES and stores the log", async () => {
+    const mockDispatch = jest.fn();
+    const mockStore = jest.fn(async log => log);
+    const log = { snapshots: { "1": snapshot }, changes: [] };
+    const getState = () => createState(log, [event]);
+
+    await dismissSavedEventChanges(mockStore)(mockDispatch, getState);
+
+    expect(mockDispatch).toHaveBeenCalledWith({
+      type: "DISMISS_SAVED_EVENT_CHANGES"
+    });
+    expect(mockStore).toHaveBeenCalledWith(log);
+  });
+});
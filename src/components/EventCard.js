@@ -10,7 +10,12 @@ import {
   lightNavyBlueColor,
   whiteColor
 } from "../constants/colors";
-import { formatShortEventPrice, formatTime } from "../data/formatters";
+import text from "../constants/text";
+import {
+  formatDistance,
+  formatShortEventPrice,
+  formatTime
+} from "../data/formatters";
 import type { FieldRef } from "../data/field-ref";
 
 type Props = {
@@ -22,6 +27,8 @@ type Props = {
   startTime: string,
   endTime: string,
   imageReference: FieldRef,
+  // How far away the event is from the user, in metres, if known
+  distance?: ?number,
   isSaved: boolean,
   addSavedEvent: string => void,
   removeSavedEvent: string => void,
@@ -31,6 +38,7 @@ type Props = {
 
 class EventCard extends React.PureComponent<Props> {
   static defaultProps = {
+    distance: null,
     isSaved: false,
     testID: undefined
   };
@@ -51,6 +59,7 @@ class EventCard extends React.PureComponent<Props> {
       startTime,
       endTime,
       imageReference,
+      distance,
       eventPriceLow,
       eventPriceHigh,
       isSaved,
@@ -58,6 +67,10 @@ class EventCard extends React.PureComponent<Props> {
       testID
     } = this.props;
     const timeDisplay = `${formatTime(startTime)} – ${formatTime(endTime)}`;
+    const locationDisplay =
+      distance != null
+        ? `${text.eventDistance(formatDistance(distance))} · ${locationName}`
+        : locationName;
 
     return (
       <View style={styles.container} testID={testID}>
@@ -87,7 +100,7 @@ class EventCard extends React.PureComponent<Props> {
                 {name}
               </Text>
               <Text numberOfLines={1} type="small" color="lightNavyBlueColor">
-                {locationName}
+                {locationDisplay}
               </Text>
             </View>
           </Touchable>
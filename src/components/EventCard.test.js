@@ -151,3 +151,29 @@ it("renders correctly when there is only one price", () => {
   );
   expect(output).toMatchSnapshot();
 });
+
+it("renders the distance to the event when it is known", () => {
+  const output = shallow(
+    <EventCard
+      id="id"
+      name="name"
+      locationName="location"
+      startTime="2018-09-16T12:12:12+01:00"
+      endTime="2018-09-16T13:12:12+01:00"
+      eventPriceLow={12}
+      eventPriceHigh={12}
+      imageReference={sampleOne(generateFieldRef)}
+      distance={1249}
+      isSaved={false}
+      addSavedEvent={() => {}}
+      removeSavedEvent={() => {}}
+      onPress={() => {}}
+    />
+  );
+  expect(
+    output
+      .find("Text")
+      .last()
+      .prop("children")
+  ).toBe("1.2km away · location");
+});
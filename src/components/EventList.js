@@ -8,6 +8,7 @@ import EventCard from "./EventCard";
 import SectionHeader from "./SectionHeader";
 import { whiteColor } from "../constants/colors";
 import type { SavedEvents, Event, EventDays } from "../data/event";
+import type { EventDistances } from "../selectors/event-distance";
 import {
   toLondonFormat as formatDate,
   FORMAT_WEEKDAY_DAY_MONTH,
@@ -22,6 +23,9 @@ type Props = {
   refreshing?: boolean,
   onRefresh?: () => void,
   onPress: (id: string) => void,
+  distances?: ?EventDistances,
+  // Without days the events are shown as one list, without headers
+  groupByDay?: boolean,
   testID?: string
 };
 
@@ -47,7 +51,7 @@ type RenderSectionInfo = {
 const eventSections = (events: EventDays): Section[] =>
   events.map((it, index) => ({
     data: it,
-    key: formatDate(it[0].fields.startTime, FORMAT_YEAR_MONTH_DAY),
+    key: formatDate(it[0].fields.startDateTime, FORMAT_YEAR_MONTH_DAY),
     index
   }));
 
@@ -60,6 +64,8 @@ class EventList extends Component<Props, State> {
   static defaultProps = {
     refreshing: false,
     onRefresh: undefined,
+    distances: undefined,
+    groupByDay: true,
     testID: undefined
   };
 
@@ -90,10 +96,12 @@ class EventList extends Component<Props, State> {
   }
 
   shouldComponentUpdate(nextProps: Props, nextState: State) {
-    const { refreshing, savedEvents } = this.props;
+    const { refreshing, savedEvents, distances, groupByDay } = this.props;
     const {
       refreshing: nextRefreshing,
-      savedEvents: nextSavedEvents
+      savedEvents: nextSavedEvents,
+      distances: nextDistances,
+      groupByDay: nextGroupByDay
     } = nextProps;
 
     return (
@@ -101,7 +109,9 @@ class EventList extends Component<Props, State> {
       nextState.eventsRemoved > 0 ||
       nextState.eventsReordered ||
       refreshing !== nextRefreshing ||
-      savedEvents !== nextSavedEvents
+      savedEvents !== nextSavedEvents ||
+      distances !== nextDistances ||
+      groupByDay !== nextGroupByDay
     );
   }
 
@@ -117,7 +127,8 @@ class EventList extends Component<Props, State> {
       savedEvents,
       addSavedEvent,
       removeSavedEvent,
-      onPress
+      onPress,
+      distances
     } = this.props;
 
     return (
@@ -131,6 +142,7 @@ class EventList extends Component<Props, State> {
           startTime={item.fields.startTime}
           endTime={item.fields.endTime}
           imageReference={item.fields.eventsListPicture}
+          distance={distances ? distances[item.id] : null}
           isSaved={savedEvents.has(item.id)}
           addSavedEvent={addSavedEvent}
           removeSavedEvent={removeSavedEvent}
@@ -144,7 +156,7 @@ class EventList extends Component<Props, State> {
   renderSectionHeader = ({ section }: RenderSectionInfo) => (
     <SectionHeader
       title={formatDate(
-        section.data[0].fields.startTime,
+        section.data[0].fields.startDateTime,
         FORMAT_WEEKDAY_DAY_MONTH
       )}
     />
@@ -153,7 +165,7 @@ class EventList extends Component<Props, State> {
   renderSectionFooter = () => <View style={styles.sectionFooter} />;
 
   render() {
-    const { events, refreshing, onRefresh, testID } = this.props;
+    const { events, refreshing, onRefresh, groupByDay, testID } = this.props;
 
     // There is a bug in Android, which causes the app to crash when
     // too many list item changes are animated at the same time. To
@@ -165,9 +177,9 @@ class EventList extends Component<Props, State> {
 
     return (
       <SectionList
-        stickySectionHeadersEnabled
+        stickySectionHeadersEnabled={groupByDay}
         sections={eventSections(events)}
-        renderSectionHeader={this.renderSectionHeader}
+        renderSectionHeader={groupByDay ? this.renderSectionHeader : undefined}
         renderSectionFooter={this.renderSectionFooter}
         renderItem={this.renderItem}
         keyExtractor={this.keyExtractor}
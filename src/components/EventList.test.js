@@ -76,6 +76,13 @@ describe("EventList", () => {
     expect(output).toMatchSnapshot();
   });
 
+  it("does not render section headers when not grouped by day", () => {
+    const output = render({ groupByDay: false });
+
+    expect(output.prop("renderSectionHeader")).toBeUndefined();
+    expect(output.prop("stickySectionHeadersEnabled")).toBe(false);
+  });
+
   it("renders section footers correctly", () => {
     const renderSectionFooter = render().prop("renderSectionFooter");
     const output = renderSectionFooter({ section: { data: events[0] } });
@@ -96,6 +103,21 @@ describe("EventList", () => {
     expect(output).toMatchSnapshot();
   });
 
+  it("passes the distance of each item to its card", () => {
+    const renderItem = render({
+      distances: { [eventA.id]: 350 }
+    }).prop("renderItem");
+    const output = renderItem({
+      item: eventA,
+      index: 0,
+      section: {
+        index: 0
+      }
+    });
+
+    expect(output.props.children.props.distance).toBe(350);
+  });
+
   it("renders item separators correctly", () => {
     const ItemSeparatorComponent = render().prop("ItemSeparatorComponent");
     const output = shallow(<ItemSeparatorComponent />);
@@ -129,7 +151,8 @@ describe("EventList", () => {
     it("stops update if refresing and events stay the same", () => {
       const nextProps = {
         refreshing: false,
-        savedEvents: props.savedEvents
+        savedEvents: props.savedEvents,
+        groupByDay: true
       };
       const nextState = {
         eventsChanged: false
@@ -195,6 +218,42 @@ describe("EventList", () => {
 
       expect(shouldUpdate).toBe(true);
     });
+
+    it("allows groupByDay change", () => {
+      const nextProps = {
+        refreshing: false,
+        savedEvents: props.savedEvents,
+        groupByDay: false
+      };
+      const nextState = {
+        eventsChanged: false
+      };
+
+      const output = render(props);
+      const shouldUpdate = output
+        .instance()
+        .shouldComponentUpdate(nextProps, nextState);
+
+      expect(shouldUpdate).toBe(true);
+    });
+
+    it("allows distances change", () => {
+      const nextProps = {
+        refreshing: false,
+        savedEvents: props.savedEvents,
+        distances: { [eventA.id]: 350 }
+      };
+      const nextState = {
+        eventsChanged: false
+      };
+
+      const output = render(props);
+      const shouldUpdate = output
+        .instance()
+        .shouldComponentUpdate(nextProps, nextState);
+
+      expect(shouldUpdate).toBe(true);
+    });
   });
 });
 
@@ -0,0 +1,72 @@
+// @flow
+import React from "react";
+import { ScrollView, StyleSheet, View } from "react-native";
+import Text from "./Text";
+import Touchable from "./Touchable";
+import {
+  eventSortBarBgColor,
+  eventSortOrderSelectedBgColor
+} from "../constants/colors";
+import text from "../constants/text";
+import { eventSortOrders } from "../data/event-sort";
+import type { EventSortOrder } from "../data/event-sort";
+
+type Props = {
+  order: EventSortOrder,
+  onChange: EventSortOrder => void
+};
+
+const EventSortBar = ({ order, onChange }: Props) => (
+  <View style={styles.container}>
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      contentContainerStyle={styles.content}
+    >
+      <Text type="small" color="lightNavyBlueColor" style={styles.title}>
+        {text.eventSortBy}
+      </Text>
+      {eventSortOrders.map(value => (
+        <Touchable
+          key={value}
+          accessibilityTraits={
+            value === order ? ["button", "selected"] : ["button"]
+          }
+          onPress={() => onChange(value)}
+          style={[styles.order, value === order && styles.orderSelected]}
+          testID={`event-sort-${value}`}
+        >
+          <Text type="small" color="lightNavyBlueColor">
+            {text.eventSortOrders[value]}
+          </Text>
+        </Touchable>
+      ))}
+    </ScrollView>
+  </View>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: eventSortBarBgColor
+  },
+  content: {
+    alignItems: "center",
+    paddingHorizontal: 16
+  },
+  title: {
+    fontFamily: "Roboto-Medium",
+    marginRight: 4
+  },
+  order: {
+    alignItems: "center",
+    paddingHorizontal: 8,
+    marginVertical: 6,
+    minHeight: 32,
+    borderRadius: 16
+  },
+  orderSelected: {
+    backgroundColor: eventSortOrderSelectedBgColor
+  }
+});
+
+export default EventSortBar;
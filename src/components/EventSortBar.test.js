@@ -0,0 +1,28 @@
+// @flow
+import React from "react";
+import { shallow } from "enzyme";
+import EventSortBar from "./EventSortBar";
+
+it("renders correctly", () => {
+  const output = shallow(<EventSortBar order="price" onChange={() => {}} />);
+  expect(output).toMatchSnapshot();
+});
+
+it("marks the selected order", () => {
+  const output = shallow(<EventSortBar order="name" onChange={() => {}} />);
+  expect(
+    output.find({ testID: "event-sort-name" }).prop("accessibilityTraits")
+  ).toEqual(["button", "selected"]);
+  expect(
+    output.find({ testID: "event-sort-price" }).prop("accessibilityTraits")
+  ).toEqual(["button"]);
+});
+
+it("calls onChange with the order pressed", () => {
+  const onChange = jest.fn();
+  const output = shallow(
+    <EventSortBar order="startTime" onChange={onChange} />
+  );
+  output.find({ testID: "event-sort-distance" }).simulate("press");
+  expect(onChange).toHaveBeenCalledWith("distance");
+});
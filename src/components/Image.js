@@ -1,31 +1,68 @@
 // @flow
 import React from "react";
-import { Image as RNImage } from "react-native";
+import { Image as RNImage, StyleSheet } from "react-native";
 import { connect } from "react-redux";
 import type { Connector } from "react-redux";
+import type { ImageStyleProp } from "react-native/Libraries/StyleSheet/StyleSheet";
 import type { ImageDetails } from "../data/image";
-import { getImageDetails as createImageDetailsGetter } from "../data/image";
 import type { FieldRef } from "../data/field-ref";
+import { selectImageDetailsGetter } from "../selectors/images";
+import ImageSourceProvider from "./ImageSourceProvider";
+import type { ResizeMode } from "./ImageSourceProvider";
+import { imageBgColor } from "../constants/colors";
 
 type OwnProps = {
-  reference: FieldRef
+  reference: FieldRef,
+  resizeMode?: ResizeMode,
+  style?: ImageStyleProp
 };
 
 type StateProps = {
-  getImageDetails: string => ?ImageDetails
+  getImageDetails: FieldRef => ?ImageDetails
 };
 
 type Props = OwnProps & StateProps;
 
-export const Image = ({ reference, getImageDetails, ...props }: Props) => (
-  <RNImage source={getImageDetails(reference.sys.id)} {...props} />
+export const Image = ({
+  reference,
+  getImageDetails,
+  resizeMode,
+  style,
+  ...props
+}: Props) => (
+  <ImageSourceProvider
+    image={getImageDetails(reference)}
+    resizeMode={resizeMode}
+  >
+    {({ source, placeholder, onLayout, onLoad, loaded }) => (
+      <RNImage
+        source={source}
+        resizeMode={resizeMode}
+        style={[placeholder, !loaded && styles.placeholder, style]}
+        onLayout={onLayout}
+        onLoad={onLoad}
+        {...props}
+      />
+    )}
+  </ImageSourceProvider>
 );
 
+Image.defaultProps = {
+  resizeMode: "cover",
+  style: {}
+};
+
+const styles = StyleSheet.create({
+  placeholder: {
+    backgroundColor: imageBgColor
+  }
+});
+
 // Note we must add a return type here for react-redux connect to work
 // with flow correctly. If not provided is silently fails if types do
 // not line up. See https://github.com/facebook/flow/issues/5343
 const mapStateToProps = (state, ownProps: OwnProps): Props => ({
-  getImageDetails: createImageDetailsGetter(state.data.images),
+  getImageDetails: selectImageDetailsGetter(state),
   ...ownProps
 });
 
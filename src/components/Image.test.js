@@ -4,8 +4,9 @@ import { shallow } from "enzyme";
 import { sampleOne, generateImageDetails } from "../data/__test-data";
 import { Image } from "./Image";
 
-it("renders correctly", () => {
-  const getImageDetails = () => sampleOne(generateImageDetails);
+const renderImage = (loaded = false) => {
+  const image = sampleOne(generateImageDetails);
+  const getImageDetails = () => image;
   const reference = { sys: { id: "a" } };
   const output = shallow(
     <Image
@@ -15,5 +16,19 @@ it("renders correctly", () => {
       accessibilityLabel="Test Label"
     />
   );
-  expect(output).toMatchSnapshot();
+  return output.prop("children")({
+    source: { uri: image.uri, width: image.width, height: image.height },
+    placeholder: { aspectRatio: 1.5 },
+    onLayout: () => {},
+    onLoad: () => {},
+    loaded
+  });
+};
+
+it("renders correctly", () => {
+  expect(renderImage()).toMatchSnapshot();
+});
+
+it("drops the placeholder once loaded", () => {
+  expect(renderImage(true)).toMatchSnapshot();
 });
@@ -1,18 +1,30 @@
 // @flow
 import React from "react";
-import { ImageBackground as RNImageBackground } from "react-native";
+import type { Node } from "react";
+import { ImageBackground as RNImageBackground, StyleSheet } from "react-native";
 import { connect } from "react-redux";
 import type { Connector } from "react-redux";
+import type {
+  ImageStyleProp,
+  ViewStyleProp
+} from "react-native/Libraries/StyleSheet/StyleSheet";
 import type { ImageDetails } from "../data/image";
-import { getImageDetails as createImageDetailsGetter } from "../data/image";
 import type { FieldRef } from "../data/field-ref";
+import { selectImageDetailsGetter } from "../selectors/images";
+import ImageSourceProvider from "./ImageSourceProvider";
+import type { ResizeMode } from "./ImageSourceProvider";
+import { imageBgColor } from "../constants/colors";
 
 type OwnProps = {
-  reference: FieldRef
+  reference: FieldRef,
+  resizeMode?: ResizeMode,
+  style?: ViewStyleProp,
+  imageStyle?: ImageStyleProp,
+  children?: Node
 };
 
 type StateProps = {
-  getImageDetails: string => ?ImageDetails
+  getImageDetails: FieldRef => ?ImageDetails
 };
 
 type Props = OwnProps & StateProps;
@@ -20,16 +32,50 @@ type Props = OwnProps & StateProps;
 export const ImageBackground = ({
   reference,
   getImageDetails,
+  resizeMode,
+  style,
+  imageStyle,
+  children,
   ...props
 }: Props) => (
-  <RNImageBackground source={getImageDetails(reference.sys.id)} {...props} />
+  <ImageSourceProvider
+    image={getImageDetails(reference)}
+    resizeMode={resizeMode}
+  >
+    {({ source, placeholder, onLayout, onLoad, loaded }) => (
+      <RNImageBackground
+        source={source}
+        resizeMode={resizeMode}
+        style={[placeholder, style]}
+        imageStyle={[!loaded && styles.placeholder, imageStyle]}
+        onLayout={onLayout}
+        onLoad={onLoad}
+        {...props}
+      >
+        {children}
+      </RNImageBackground>
+    )}
+  </ImageSourceProvider>
 );
 
+ImageBackground.defaultProps = {
+  resizeMode: "cover",
+  style: {},
+  imageStyle: {},
+  children: null
+};
+
+const styles = StyleSheet.create({
+  placeholder: {
+    backgroundColor: imageBgColor
+  }
+});
+
 // Note we must add a return type here for react-redux connect to work
 // with flow correctly. If not provided is silently fails if types do
 // not line up. See https://github.com/facebook/flow/issues/5343
 const mapStateToProps = (state, ownProps: OwnProps): Props => ({
-  getImageDetails: createImageDetailsGetter(state.data.images),
+  getImageDetails: selectImageDetailsGetter(state),
   ...ownProps
 });
 
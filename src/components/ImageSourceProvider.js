@@ -0,0 +1,164 @@
+// @flow
+import React from "react";
+import type { Node } from "react";
+import { PixelRatio } from "react-native";
+import type { LayoutEvent } from "react-native/Libraries/Types/CoreEventTypes";
+import type { ImageDetails, ImageTransform } from "../data/image";
+import { imageUri, isRemoteImage } from "../data/image";
+import ScreenSizeProvider from "./ScreenSizeProvider";
+import type { ScreenSize } from "./ScreenSizeProvider";
+
+type Layout = {
+  width: number,
+  height: number
+};
+
+export type ResizeMode = "cover" | "contain" | "stretch" | "repeat" | "center";
+
+export type ImageSource = {
+  uri: string,
+  width: number,
+  height: number
+};
+
+export type ImagePlaceholder = {
+  aspectRatio: number
+};
+
+type RenderProps = {
+  source: ?ImageSource,
+  placeholder: ?ImagePlaceholder,
+  onLayout: LayoutEvent => void,
+  onLoad: () => void,
+  loaded: boolean
+};
+
+type Props = {
+  image: ?ImageDetails,
+  resizeMode: ResizeMode,
+  children: RenderProps => Node,
+  pixelRatio: number
+};
+
+type State = {
+  layout: ?Layout,
+  loaded: boolean
+};
+
+// Sizes are rounded up to these steps, in pixels, so that images of
+// about the same size share a URL, and with it the CDN's cache. Larger
+// screens move between sizes in larger steps.
+const sizeSteps: { [ScreenSize]: number } = {
+  small: 50,
+  medium: 100,
+  large: 200
+};
+
+const roundUp = (size: number, step: number) =>
+  Math.max(step, Math.ceil(size / step) * step);
+
+export const requestedImageSize = (
+  layout: Layout,
+  pixelRatio: number,
+  screenSize: ScreenSize
+): Layout => ({
+  width: roundUp(layout.width * pixelRatio, sizeSteps[screenSize]),
+  height: roundUp(layout.height * pixelRatio, sizeSteps[screenSize])
+});
+
+// Photos are cropped to fill their space and converted to JPG. Other
+// images, like logos, keep their format and are scaled down to fit,
+// which is what the Images API does by default.
+export const imageTransform = (
+  size: Layout,
+  resizeMode: ResizeMode
+): ImageTransform =>
+  resizeMode === "cover"
+    ? { ...size, fit: "fill", format: "jpg", quality: 80 }
+    : { width: size.width, height: size.height };
+
+// Gives the image the shape of the picture, so that it has a size
+// before it has a source. Any size given in its style comes first.
+export const imagePlaceholder = (image: ?ImageDetails): ?ImagePlaceholder =>
+  image && image.width > 0 && image.height > 0
+    ? { aspectRatio: image.width / image.height }
+    : null;
+
+// Until it has been laid out the image has no source, so that only one
+// image is downloaded, at the size it is shown at. Pictures cached on
+// the device were already sized to the screen when they were cached,
+// and are shown straight away.
+export const imageSource = (
+  image: ?ImageDetails,
+  layout: ?Layout,
+  resizeMode: ResizeMode,
+  pixelRatio: number,
+  screenSize: ScreenSize
+): ?ImageSource => {
+  if (!image) {
+    return null;
+  }
+  const { width, height } = image;
+  if (!isRemoteImage(image)) {
+    return { uri: image.uri, width, height };
+  }
+  if (!layout || layout.width === 0 || layout.height === 0) {
+    return null;
+  }
+  const size = requestedImageSize(layout, pixelRatio, screenSize);
+  return {
+    uri: imageUri(image, imageTransform(size, resizeMode)),
+    width,
+    height
+  };
+};
+
+class ImageSourceProvider extends React.Component<Props, State> {
+  static defaultProps = {
+    resizeMode: "cover",
+    pixelRatio: PixelRatio.get()
+  };
+
+  state = {
+    layout: null,
+    loaded: false
+  };
+
+  onLayout = (event: LayoutEvent) => {
+    const { width, height } = event.nativeEvent.layout;
+    const { layout } = this.state;
+    if (!layout || layout.width !== width || layout.height !== height) {
+      this.setState({ layout: { width, height } });
+    }
+  };
+
+  onLoad = () => {
+    this.setState({ loaded: true });
+  };
+
+  render() {
+    const { image, resizeMode, pixelRatio, children } = this.props;
+    const { layout, loaded } = this.state;
+    return (
+      <ScreenSizeProvider>
+        {screenSize =>
+          children({
+            source: imageSource(
+              image,
+              layout,
+              resizeMode,
+              pixelRatio,
+              screenSize
+            ),
+            placeholder: imagePlaceholder(image),
+            onLayout: this.onLayout,
+            onLoad: this.onLoad,
+            loaded
+          })
+        }
+      </ScreenSizeProvider>
+    );
+  }
+}
+
+export default ImageSourceProvider;
@@ -0,0 +1,179 @@
+// @flow
+import React from "react";
+import { View } from "react-native";
+import { shallow } from "enzyme";
+import ImageSourceProvider, {
+  imagePlaceholder,
+  imageSource,
+  imageTransform,
+  requestedImageSize
+} from "./ImageSourceProvider";
+import ScreenSizeProvider from "./ScreenSizeProvider";
+
+jest.mock("./ScreenSizeProvider", () => jest.fn());
+
+const ScreenSizeProviderMock: any = ScreenSizeProvider;
+
+beforeEach(() => {
+  ScreenSizeProviderMock.mockImplementation(({ children }) =>
+    children("medium")
+  );
+});
+
+const image = {
+  id: "a",
+  revision: 1,
+  uri: "https://images.ctfassets.net/a.jpg",
+  width: 1200,
+  height: 800
+};
+
+describe("requestedImageSize", () => {
+  it("multiplies the layout by the pixel ratio", () => {
+    expect(
+      requestedImageSize({ width: 150, height: 100 }, 2, "medium")
+    ).toEqual({ width: 300, height: 200 });
+  });
+
+  it("rounds up to a step which depends on the screen size", () => {
+    const layout = { width: 114, height: 96 };
+
+    expect(requestedImageSize(layout, 3, "small")).toEqual({
+      width: 350,
+      height: 300
+    });
+    expect(requestedImageSize(layout, 3, "medium")).toEqual({
+      width: 400,
+      height: 300
+    });
+    expect(requestedImageSize(layout, 3, "large")).toEqual({
+      width: 400,
+      height: 400
+    });
+  });
+});
+
+describe("imageTransform", () => {
+  it("crops and compresses photos which cover their space", () => {
+    expect(imageTransform({ width: 300, height: 200 }, "cover")).toEqual({
+      width: 300,
+      height: 200,
+      fit: "fill",
+      format: "jpg",
+      quality: 80
+    });
+  });
+
+  it("scales other images to fit", () => {
+    expect(imageTransform({ width: 300, height: 200 }, "contain")).toEqual({
+      width: 300,
+      height: 200
+    });
+  });
+});
+
+describe("imagePlaceholder", () => {
+  it("has the shape of the picture", () => {
+    expect(imagePlaceholder(image)).toEqual({ aspectRatio: 1.5 });
+  });
+
+  it("returns nothing without an image or its size", () => {
+    expect(imagePlaceholder(null)).toBeNull();
+    expect(imagePlaceholder({ ...image, height: 0 })).toBeNull();
+  });
+});
+
+describe("imageSource", () => {
+  it("returns nothing without an image", () => {
+    expect(
+      imageSource(null, { width: 100, height: 100 }, "cover", 2, "medium")
+    ).toBeNull();
+  });
+
+  it("returns nothing until the image is laid out", () => {
+    expect(imageSource(image, null, "cover", 2, "medium")).toBeNull();
+    expect(
+      imageSource(image, { width: 0, height: 100 }, "cover", 2, "medium")
+    ).toBeNull();
+  });
+
+  it("shows images cached on the device straight away", () => {
+    const cached = { ...image, uri: "file:///caches/images/a-1.jpg" };
+
+    expect(imageSource(cached, null, "cover", 2, "medium")).toEqual({
+      uri: "file:///caches/images/a-1.jpg",
+      width: 1200,
+      height: 800
+    });
+  });
+
+  it("requests the image at the size it is laid out at", () => {
+    expect(
+      imageSource(image, { width: 150, height: 100 }, "cover", 2, "medium")
+    ).toEqual({
+      uri:
+        "https://images.ctfassets.net/a.jpg?w=300&h=200&fit=fill&fm=jpg&q=80",
+      width: 1200,
+      height: 800
+    });
+  });
+});
+
+describe("ImageSourceProvider", () => {
+  const render = (children, props = {}) =>
+    shallow(
+      <ImageSourceProvider image={image} pixelRatio={2} {...props}>
+        {children}
+      </ImageSourceProvider>
+    );
+
+  it("renders a placeholder before layout", () => {
+    const children = jest.fn(() => <View />);
+
+    render(children).dive();
+
+    expect(children).toHaveBeenCalledWith(
+      expect.objectContaining({
+        source: null,
+        placeholder: { aspectRatio: 1.5 },
+        loaded: false
+      })
+    );
+  });
+
+  it("requests the image once it has been laid out", () => {
+    const children = jest.fn(() => <View />);
+    const output = render(children);
+    output.dive();
+
+    const event: any = {
+      nativeEvent: { layout: { x: 0, y: 0, width: 150, height: 100 } }
+    };
+    children.mock.calls[0][0].onLayout(event);
+    output.update().dive();
+
+    expect(children).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        source: {
+          uri:
+            "https://images.ctfassets.net/a.jpg?w=300&h=200&fit=fill&fm=jpg&q=80",
+          width: 1200,
+          height: 800
+        }
+      })
+    );
+  });
+
+  it("marks the image as loaded", () => {
+    const children = jest.fn(() => <View />);
+    const output = render(children);
+    output.dive();
+
+    children.mock.calls[0][0].onLoad();
+    output.update().dive();
+
+    expect(children).toHaveBeenLastCalledWith(
+      expect.objectContaining({ loaded: true })
+    );
+  });
+});
@@ -15,10 +15,19 @@ import ContentPadding from "../components/ContentPadding";
 
 type Props = {
   title: string,
-  message: string
+  message: string,
+  // Called when the banner is tapped, after it starts hiding
+  onPress: () => void,
+  // When false the banner stays until it is tapped or hidden
+  autoHide: boolean
 };
 
 class MessageBanner extends PureComponent<Props> {
+  static defaultProps = {
+    onPress: () => {},
+    autoHide: true
+  };
+
   constructor() {
     super();
     this.isAnimating = false;
@@ -40,10 +49,16 @@ class MessageBanner extends PureComponent<Props> {
     if (!this.isAnimating) {
       this.isAnimating = true;
 
-      Animated.sequence([
-        this.slideAnimation(Math.max(scaleWithFont("h3", 90), 90), 0),
-        this.slideAnimation(0, 7000)
-      ]).start(({ finished }) => {
+      const slideIn = this.slideAnimation(
+        Math.max(scaleWithFont("h3", 90), 90),
+        0
+      );
+
+      Animated.sequence(
+        this.props.autoHide
+          ? [slideIn, this.slideAnimation(0, 7000)]
+          : [slideIn]
+      ).start(({ finished }) => {
         if (finished) this.isAnimating = false;
       });
     }
@@ -55,6 +70,11 @@ class MessageBanner extends PureComponent<Props> {
     });
   };
 
+  handlePress = () => {
+    this.hideBanner();
+    this.props.onPress();
+  };
+
   render() {
     const { title, message } = this.props;
 
@@ -65,7 +85,7 @@ class MessageBanner extends PureComponent<Props> {
           { transform: [{ translateY: this.bannerTop }] }
         ]}
       >
-        <TouchableWithoutFeedback onPress={this.hideBanner}>
+        <TouchableWithoutFeedback onPress={this.handlePress}>
           <View style={styles.messageContainer}>
             <ContentPadding
               padding={{
@@ -62,6 +62,13 @@ describe("showBanner", () => {
     });
   });
 
+  it("stays visible when autoHide is false", () => {
+    const output = render({ ...defaultProps, autoHide: false });
+    output.instance().showBanner();
+    expect(timingSpy).toHaveBeenCalledTimes(1);
+    expect(timingSpy.mock.calls[0][1].toValue).toEqual(90);
+  });
+
   it("animation sequence should not run if isAnimating is true", () => {
     const output = render(defaultProps);
     output.instance().isAnimating = true;
@@ -93,3 +100,15 @@ describe("hideBanner", () => {
     expect(output.instance().isAnimating).toEqual(false);
   });
 });
+
+describe("handlePress", () => {
+  it("hides the banner and calls onPress", () => {
+    const onPress = jest.fn();
+    const output = render({ ...defaultProps, onPress });
+
+    output.find("TouchableWithoutFeedback").simulate("press");
+
+    expect(timingSpy.mock.calls[0][1].toValue).toEqual(0);
+    expect(onPress).toHaveBeenCalled();
+  });
+});
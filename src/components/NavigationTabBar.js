@@ -13,7 +13,16 @@ import {
 import Text from "./Text";
 import Touchable from "./Touchable";
 
-class NavigationTabBar extends React.PureComponent<_TabBarBottomProps> {
+type Props = _TabBarBottomProps & {
+  // Where a long press on a tab leads, if anywhere
+  getTabLongPressRoute: (routeName: string) => ?string
+};
+
+class NavigationTabBar extends React.PureComponent<Props> {
+  static defaultProps = {
+    getTabLongPressRoute: () => null
+  };
+
   constructor() {
     super();
     this.tabBarWidth = new Animated.Value(1);
@@ -36,6 +45,13 @@ class NavigationTabBar extends React.PureComponent<_TabBarBottomProps> {
     this.props.jumpTo(key);
   };
 
+  handleTabLongPress = (routeName: string) => {
+    const route = this.props.getTabLongPressRoute(routeName);
+    if (route) {
+      this.props.navigation.navigate(route);
+    }
+  };
+
   updateActiveTabLine = () => {
     const { navigation } = this.props;
     const currentIndex = navigation.state.index;
@@ -141,6 +157,8 @@ class NavigationTabBar extends React.PureComponent<_TabBarBottomProps> {
                   this.updateActiveTabLine();
                 }}
                 onPress={() => this.handleTabPress(route.key)}
+                onLongPress={() => this.handleTabLongPress(route.routeName)}
+                delayLongPress={2000}
                 style={styles.tab}
               >
                 {this.renderIcon(scene)}
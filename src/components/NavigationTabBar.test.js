@@ -6,6 +6,7 @@ import NavigationTabBar from "./NavigationTabBar";
 
 let timingSpy;
 const navigationDispatch = jest.fn();
+const navigationNavigate = jest.fn();
 
 const render = props =>
   shallow(
@@ -13,6 +14,7 @@ const render = props =>
       position={new Animated.Value(0)}
       navigation={{
         dispatch: navigationDispatch,
+        navigate: navigationNavigate,
         state: {
           index: 0,
           routes: [
@@ -74,6 +76,24 @@ it("jumps to tab onPress", () => {
   expect(jumpTo).toHaveBeenCalledWith("2");
 });
 
+it("navigates to the long press route of a tab", () => {
+  const output = render({
+    getTabLongPressRoute: routeName => (routeName === "tab-1" ? "hidden" : null)
+  });
+
+  output
+    .find({ testID: "tab-0" })
+    .props()
+    .onLongPress();
+  expect(navigationNavigate).not.toHaveBeenCalled();
+
+  output
+    .find({ testID: "tab-1" })
+    .props()
+    .onLongPress();
+  expect(navigationNavigate).toHaveBeenCalledWith("hidden");
+});
+
 it("animates active tab line on focus change", () => {
   const output = render();
   const instance = output.instance();
@@ -0,0 +1,67 @@
+// @flow
+import React, { PureComponent } from "react";
+import type { ElementRef } from "react";
+import MessageBanner from "./MessageBanner";
+import text from "../constants/text";
+import type { StagedChanges } from "../selectors/data";
+
+type Props = {
+  changes: ?StagedChanges,
+  onPress: () => void
+};
+
+// Tells the user about content a background refresh has staged. The
+// banner stays until it is tapped, or the content is shown some other
+// way.
+class NewContentBanner extends PureComponent<Props> {
+  componentDidMount() {
+    if (this.props.changes) {
+      this.showBanner();
+    }
+  }
+
+  componentDidUpdate(prevProps: Props) {
+    if (this.props.changes && !prevProps.changes) {
+      this.showBanner();
+    } else if (!this.props.changes && prevProps.changes) {
+      this.hideBanner();
+    }
+  }
+
+  showBanner = () => {
+    const banner = this.messageBannerRef.current;
+    if (banner) {
+      banner.showBanner();
+    }
+  };
+
+  hideBanner = () => {
+    const banner = this.messageBannerRef.current;
+    if (banner) {
+      banner.hideBanner();
+    }
+  };
+
+  // $FlowFixMe
+  messageBannerRef: ElementRef<typeof MessageBanner> = React.createRef();
+
+  render() {
+    const { changes, onPress } = this.props;
+
+    return (
+      <MessageBanner
+        title={text.newContentTitle}
+        message={
+          changes
+            ? text.newContentMessage(changes.newEvents, changes.updatedEvents)
+            : ""
+        }
+        onPress={onPress}
+        autoHide={false}
+        ref={this.messageBannerRef}
+      />
+    );
+  }
+}
+
+export default NewContentBanner;
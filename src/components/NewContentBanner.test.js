@@ -0,0 +1,48 @@
+// @flow
+import React from "react";
+import { shallow } from "enzyme";
+import NewContentBanner from "./NewContentBanner";
+
+const changes = { newEvents: 12, updatedEvents: 2 };
+
+const render = (props: Object = {}) =>
+  shallow(<NewContentBanner changes={null} onPress={() => {}} {...props} />);
+
+const mockBanner = output => {
+  const banner = { showBanner: jest.fn(), hideBanner: jest.fn() };
+  // eslint-disable-next-line no-param-reassign
+  output.instance().messageBannerRef = { current: banner };
+  return banner;
+};
+
+it("renders correctly", () => {
+  const output = render({ changes });
+  expect(output).toMatchSnapshot();
+});
+
+it("calls onPress when the banner is pressed", () => {
+  const onPress = jest.fn();
+  const output = render({ changes, onPress });
+
+  output.find("MessageBanner").prop("onPress")();
+
+  expect(onPress).toHaveBeenCalled();
+});
+
+it("shows the banner when changes are staged", () => {
+  const output = render();
+  const banner = mockBanner(output);
+
+  output.setProps({ changes });
+
+  expect(banner.showBanner).toHaveBeenCalled();
+});
+
+it("hides the banner when the changes have been shown", () => {
+  const output = render({ changes });
+  const banner = mockBanner(output);
+
+  output.setProps({ changes: null });
+
+  expect(banner.hideBanner).toHaveBeenCalled();
+});
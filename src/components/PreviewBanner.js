@@ -0,0 +1,75 @@
+// @flow
+import React from "react";
+import { View, StyleSheet } from "react-native";
+import { connect } from "react-redux";
+import type { Connector } from "react-redux";
+import Text from "./Text";
+import Touchable from "./Touchable";
+import { stopPreview } from "../actions/preview";
+import { previewBannerBgColor } from "../constants/colors";
+import text from "../constants/text";
+
+type OwnProps = {};
+
+type StateProps = {
+  active: boolean
+};
+
+type DispatchProps = {
+  onExit: () => void
+};
+
+type Props = OwnProps & StateProps & DispatchProps;
+
+// Stays on screen for as long as drafts are shown, so that editors
+// never mistake them for the published content.
+export const PreviewBanner = ({ active, onExit }: Props) =>
+  active ? (
+    <View style={styles.container}>
+      <View style={styles.message}>
+        <Text type="h4">{text.preview.title}</Text>
+        <Text type="small">{text.preview.message}</Text>
+      </View>
+      <Touchable
+        onPress={onExit}
+        accessibilityLabel={text.preview.exitAccessibilityLabel}
+        style={styles.exit}
+      >
+        <Text type="h4">{text.preview.exit}</Text>
+      </Touchable>
+    </View>
+  ) : null;
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 16,
+    backgroundColor: previewBannerBgColor
+  },
+  message: {
+    flex: 1,
+    paddingVertical: 8
+  },
+  exit: {
+    paddingLeft: 16
+  }
+});
+
+const mapStateToProps = (state): StateProps => ({
+  active: state.preview.active
+});
+
+const mapDispatchToProps = (dispatch): DispatchProps => ({
+  onExit: () => dispatch(stopPreview())
+});
+
+// Note we must add a return type here for react-redux connect to work
+// with flow correctly. If not provided is silently fails if types do
+// not line up. See https://github.com/facebook/flow/issues/5343
+const connector: Connector<OwnProps, Props> = connect(
+  mapStateToProps,
+  mapDispatchToProps
+);
+
+export default connector(PreviewBanner);
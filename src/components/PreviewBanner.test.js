@@ -0,0 +1,23 @@
+// @flow
+import React from "react";
+import { shallow } from "enzyme";
+import { PreviewBanner } from "./PreviewBanner";
+
+it("renders correctly in preview mode", () => {
+  const output = shallow(<PreviewBanner active onExit={() => {}} />);
+  expect(output).toMatchSnapshot();
+});
+
+it("renders nothing outside preview mode", () => {
+  const output = shallow(<PreviewBanner active={false} onExit={() => {}} />);
+  expect(output.isEmptyRender()).toBe(true);
+});
+
+it("leaves preview mode when exit is pressed", () => {
+  const onExit = jest.fn();
+  const output = shallow(<PreviewBanner active onExit={onExit} />);
+
+  output.find("Touchable").simulate("press");
+
+  expect(onExit).toHaveBeenCalled();
+});
@@ -0,0 +1,50 @@
+// @flow
+import React from "react";
+import type { Node } from "react";
+import { StyleSheet, View } from "react-native";
+import { connect } from "react-redux";
+import type { Connector } from "react-redux";
+import NumberBadge from "./NumberBadge";
+import { selectSavedEventChangeCount } from "../selectors/saved-event-changes";
+
+type OwnProps = {
+  children: Node
+};
+
+type StateProps = {
+  changeCount: number
+};
+
+type Props = OwnProps & StateProps;
+
+// Shows how many saved events changed on top of the tab icon
+export const SavedEventsTabIcon = ({ children, changeCount }: Props) => (
+  <View>
+    {children}
+    {changeCount > 0 && (
+      <View style={styles.badge}>
+        <NumberBadge value={changeCount} />
+      </View>
+    )}
+  </View>
+);
+
+const styles = StyleSheet.create({
+  badge: {
+    position: "absolute",
+    top: -4,
+    right: -12
+  }
+});
+
+// Note we must add a return type here for react-redux connect to work
+// with flow correctly. If not provided is silently fails if types do
+// not line up. See https://github.com/facebook/flow/issues/5343
+const mapStateToProps = (state, ownProps: OwnProps): Props => ({
+  changeCount: selectSavedEventChangeCount(state),
+  ...ownProps
+});
+
+const connector: Connector<OwnProps, Props> = connect(mapStateToProps);
+
+export default connector(SavedEventsTabIcon);
@@ -0,0 +1,23 @@
+// @flow
+import React from "react";
+import { View } from "react-native";
+import { shallow } from "enzyme";
+import { SavedEventsTabIcon } from "./SavedEventsTabIcon";
+
+it("renders correctly", () => {
+  const output = shallow(
+    <SavedEventsTabIcon changeCount={2}>
+      <View />
+    </SavedEventsTabIcon>
+  );
+  expect(output).toMatchSnapshot();
+});
+
+it("hides the badge when no saved event changed", () => {
+  const output = shallow(
+    <SavedEventsTabIcon changeCount={0}>
+      <View />
+    </SavedEventsTabIcon>
+  );
+  expect(output.find("NumberBadge").exists()).toBe(false);
+});
@@ -0,0 +1,127 @@
+// @flow
+import React, { Component as ReactComponent } from "react";
+import type { ComponentType } from "react";
+import type { Observable, Subscription } from "rxjs";
+import type { LocationStatus } from "../lib/geolocation";
+import {
+  activeLocationStream,
+  locationPermissionStream,
+  passiveLocationStream,
+  shouldRequest
+} from "../lib/geolocation";
+
+export type UserLocationProps = {
+  userLocation: LocationStatus,
+  followUserLocation: (follow: boolean) => void
+};
+
+type State = {
+  userLocation: LocationStatus
+};
+
+// This component gives its child the user's location. The permission is
+// checked when it is first shown, but the location is only followed
+// while the child asks for it with followUserLocation, asking the user
+// for permission first when needed.
+const withUserLocation = <A>(Component: ComponentType<A>) =>
+  class UserLocationComponent extends ReactComponent<*, State> {
+    state = {
+      userLocation: { type: "checking" }
+    };
+
+    componentDidMount() {
+      if (!this.permissionSubscription && !this.userLocationSubscription) {
+        this.checkPermission();
+      }
+    }
+
+    componentWillUnmount() {
+      this.stopCheckingPermission();
+      this.stopFollowingUserLocation();
+    }
+
+    setUserLocation = (userLocation: LocationStatus) => {
+      this.setState({ userLocation });
+    };
+
+    // The child can ask to follow the location before the permission
+    // has been checked. The check is then waited for, to know whether
+    // the user has to be asked for it.
+    setPermission = (userLocation: LocationStatus) => {
+      this.setUserLocation(userLocation);
+      if (this.followRequested && userLocation.type !== "checking") {
+        this.followRequested = false;
+        this.startFollowingUserLocation(userLocation);
+      }
+    };
+
+    followUserLocation = (follow: boolean) => {
+      this.followRequested = false;
+      if (!follow) {
+        this.stopFollowingUserLocation();
+        return;
+      }
+      if (this.userLocationSubscription) {
+        return;
+      }
+
+      if (this.state.userLocation.type === "checking") {
+        this.followRequested = true;
+        if (!this.permissionSubscription) {
+          this.checkPermission();
+        }
+      } else {
+        this.startFollowingUserLocation(this.state.userLocation);
+      }
+    };
+
+    checkPermission = () => {
+      this.permissionSubscription = locationPermissionStream().subscribe(
+        this.setPermission
+      );
+      // The check can finish as soon as it starts, and start following
+      if (this.userLocationSubscription) {
+        this.stopCheckingPermission();
+      }
+    };
+
+    startFollowingUserLocation = (userLocation: LocationStatus) => {
+      const stream: Observable<LocationStatus> = shouldRequest(userLocation)
+        ? activeLocationStream(userLocation)
+        : passiveLocationStream();
+      this.stopCheckingPermission();
+      this.userLocationSubscription = stream.subscribe(this.setUserLocation);
+    };
+
+    stopCheckingPermission = () => {
+      if (this.permissionSubscription) {
+        this.permissionSubscription.unsubscribe();
+        this.permissionSubscription = null;
+      }
+    };
+
+    stopFollowingUserLocation = () => {
+      if (this.userLocationSubscription) {
+        this.userLocationSubscription.unsubscribe();
+        this.userLocationSubscription = null;
+      }
+    };
+
+    followRequested: boolean = false;
+
+    permissionSubscription: ?Subscription = null;
+
+    userLocationSubscription: ?Subscription = null;
+
+    render() {
+      return (
+        <Component
+          {...this.props}
+          userLocation={this.state.userLocation}
+          followUserLocation={this.followUserLocation}
+        />
+      );
+    }
+  };
+
+export default withUserLocation;
@@ -0,0 +1,170 @@
+// @flow
+import React from "react";
+import { shallow } from "enzyme";
+import { Text } from "react-native";
+import * as Rx from "rxjs";
+import * as Geolocation from "../lib/geolocation";
+import withUserLocation from "./WithUserLocation";
+
+const authorized = { type: "authorized", location: { type: "awaiting" } };
+const tracking = {
+  type: "authorized",
+  location: { type: "tracking", coords: { latitude: 1, longitude: 2 } }
+};
+
+const locationPermissionStream = jest.spyOn(
+  Geolocation,
+  "locationPermissionStream"
+);
+const passiveLocationStream = jest.spyOn(Geolocation, "passiveLocationStream");
+const activeLocationStream = jest.spyOn(Geolocation, "activeLocationStream");
+
+beforeEach(() => {
+  locationPermissionStream.mockReturnValue(Rx.of(authorized));
+  passiveLocationStream.mockReturnValue(Rx.of(tracking));
+  activeLocationStream.mockReturnValue(Rx.of(tracking));
+});
+
+afterEach(() => {
+  locationPermissionStream.mockReset();
+  passiveLocationStream.mockReset();
+  activeLocationStream.mockReset();
+});
+
+const Test = () => <Text>Hello</Text>;
+const WithUserLocationComponent = withUserLocation(Test);
+
+const followUserLocation = (output, follow) => {
+  output
+    .find(Test)
+    .props()
+    .followUserLocation(follow);
+  output.update();
+};
+
+const subscriptionMock = () => {
+  const subscription = { unsubscribe: jest.fn() };
+  return {
+    subscription,
+    stream: { subscribe: jest.fn().mockReturnValue(subscription) }
+  };
+};
+
+it("passes through props", () => {
+  const output = shallow(<WithUserLocationComponent title="Events" />);
+  expect(output.find(Test).prop("title")).toBe("Events");
+});
+
+it("checks the permission without following the user's location", () => {
+  const output = shallow(<WithUserLocationComponent />);
+
+  expect(output.find(Test).prop("userLocation")).toEqual(authorized);
+  expect(passiveLocationStream).not.toHaveBeenCalled();
+});
+
+it("follows the user's location without asking when it is allowed", () => {
+  const output = shallow(<WithUserLocationComponent />);
+  followUserLocation(output, true);
+
+  expect(passiveLocationStream).toHaveBeenCalled();
+  expect(activeLocationStream).not.toHaveBeenCalled();
+  expect(output.find(Test).prop("userLocation")).toEqual(tracking);
+});
+
+it("asks for the user's location when it is not yet allowed", () => {
+  locationPermissionStream.mockReturnValue(Rx.of({ type: "denied" }));
+  const output = shallow(<WithUserLocationComponent />);
+  followUserLocation(output, true);
+
+  expect(activeLocationStream).toHaveBeenCalledWith({ type: "denied" });
+  expect(output.find(Test).prop("userLocation")).toEqual(tracking);
+});
+
+it("waits for the permission check when followed before it finishes", () => {
+  const permission = new Rx.Subject();
+  locationPermissionStream.mockReturnValue(permission);
+  const output = shallow(<WithUserLocationComponent />);
+  followUserLocation(output, true);
+
+  expect(passiveLocationStream).not.toHaveBeenCalled();
+  expect(activeLocationStream).not.toHaveBeenCalled();
+
+  permission.next({ type: "checking" });
+  expect(passiveLocationStream).not.toHaveBeenCalled();
+
+  permission.next(authorized);
+  output.update();
+  expect(passiveLocationStream).toHaveBeenCalled();
+  expect(activeLocationStream).not.toHaveBeenCalled();
+  expect(output.find(Test).prop("userLocation")).toEqual(tracking);
+});
+
+it("asks for the user's location once the check says it is not allowed", () => {
+  const permission = new Rx.Subject();
+  locationPermissionStream.mockReturnValue(permission);
+  const output = shallow(<WithUserLocationComponent />);
+  followUserLocation(output, true);
+  permission.next({ type: "undetermined" });
+
+  expect(activeLocationStream).toHaveBeenCalledWith({ type: "undetermined" });
+  expect(passiveLocationStream).not.toHaveBeenCalled();
+});
+
+it("checks the permission when followed before it is mounted", () => {
+  const output = shallow(<WithUserLocationComponent />, {
+    disableLifecycleMethods: true
+  });
+  followUserLocation(output, true);
+  output.instance().componentDidMount();
+
+  expect(locationPermissionStream).toHaveBeenCalledTimes(1);
+  expect(passiveLocationStream).toHaveBeenCalled();
+});
+
+it("does not follow once the check finishes when no longer asked to", () => {
+  const permission = new Rx.Subject();
+  locationPermissionStream.mockReturnValue(permission);
+  const output = shallow(<WithUserLocationComponent />);
+  followUserLocation(output, true);
+  followUserLocation(output, false);
+  permission.next(authorized);
+
+  expect(passiveLocationStream).not.toHaveBeenCalled();
+});
+
+it("only follows the user's location once while asked to", () => {
+  const output = shallow(<WithUserLocationComponent />);
+  followUserLocation(output, true);
+  followUserLocation(output, true);
+
+  expect(passiveLocationStream).toHaveBeenCalledTimes(1);
+});
+
+it("stops following the user's location when asked to", () => {
+  const { subscription, stream } = subscriptionMock();
+  passiveLocationStream.mockReturnValue(stream);
+  const output = shallow(<WithUserLocationComponent />);
+  followUserLocation(output, true);
+  followUserLocation(output, false);
+
+  expect(subscription.unsubscribe).toHaveBeenCalled();
+});
+
+it("stops following the user's location when unmounted", () => {
+  const { subscription, stream } = subscriptionMock();
+  passiveLocationStream.mockReturnValue(stream);
+  const output = shallow(<WithUserLocationComponent />);
+  followUserLocation(output, true);
+  output.unmount();
+
+  expect(subscription.unsubscribe).toHaveBeenCalled();
+});
+
+it("stops checking the permission when unmounted", () => {
+  const { subscription, stream } = subscriptionMock();
+  locationPermissionStream.mockReturnValue(stream);
+  const output = shallow(<WithUserLocationComponent />);
+  output.unmount();
+
+  expect(subscription.unsubscribe).toHaveBeenCalled();
+});
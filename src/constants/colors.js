@@ -66,6 +66,7 @@ export const interestButtonTextColor = whiteColor;
 export const filterButtonBorderColor = "rgb(44, 218, 157)";
 export const filterButtonTextColor = "rgb(44, 218, 157)";
 export const filterButtonsBgColor = darkBlueGreyTwoColor;
+export const eventSearchPlaceholderColor = "rgba(255, 255, 255, 0.6)";
 
 // EVENT LIST
 
@@ -73,6 +74,10 @@ export const eventListHeaderBgColor = lightishGreyColor;
 export const eventListHeaderColor = "rgb(51, 51, 51)";
 export const sectionHeaderBgColor = lightGreyColor;
 export const sectionHeaderShadow = "rgba(0, 0, 0, 0.14)";
+export const nearMeBarBgColor = lightGreyColor;
+export const nearMeRadiusSelectedBgColor = eucalyptusGreenColor;
+export const eventSortBarBgColor = lightGreyColor;
+export const eventSortOrderSelectedBgColor = eucalyptusGreenColor;
 
 // EVENT DATE FILTER
 
@@ -102,3 +107,7 @@ export const supportUsButtonShadow = "rgba(0, 0, 0, 0.2)";
 // SPONSOR
 
 export const sponsorLogoBackgroundColor = "rgba(243, 243, 243, 0.5)";
+
+// PREVIEW
+
+export const previewBannerBgColor = yellowColor;
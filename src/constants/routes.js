@@ -12,11 +12,13 @@ export const DONATE = "DONATE";
 export const SPONSOR = "SPONSOR";
 export const PARADE_GROUPS = "PARADE_GROUPS";
 export const PARADE_MAP = "PARADE_MAP";
+export const DIAGNOSTICS = "DIAGNOSTICS";
 
 export const routesWithoutEvents = [
   PARADE,
   PARADE_GROUPS,
   DONATE,
   SPONSOR,
-  SUPPORT_US
+  SUPPORT_US,
+  DIAGNOSTICS
 ];
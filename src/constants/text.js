@@ -23,6 +23,23 @@ const showEventsLabel = (numberOfEvents: number) => {
   return `Show ${numberOfEvents} selected events`;
 };
 
+const newContentMessage = (newEvents: number, updatedEvents: number) => {
+  const added = newEvents === 1 ? "1 new event" : `${newEvents} new events`;
+  const updated =
+    updatedEvents === 1 ? "1 event updated" : `${updatedEvents} events updated`;
+
+  if (newEvents > 0 && updatedEvents > 0) {
+    return `${added}, ${updatedEvents} updated. Tap to show them.`;
+  }
+  if (newEvents > 0) {
+    return `${added}. Tap to show them.`;
+  }
+  if (updatedEvents > 0) {
+    return `${updated}. Tap to show them.`;
+  }
+  return "Tap to see the latest news and events.";
+};
+
 export const calendarTitleLabel = (dateRange: string, incomplete: boolean) =>
   `Selected: ${dateRange}${
     incomplete ? ", pick another day to select range" : ""
@@ -43,6 +60,26 @@ export default {
   categoryFilterContents: "Filtering event type by",
   categoryFilterEmpty: "0 event types selected",
   addFilters: "Filter by area, price...",
+  priceRangeFrom: (min: string) => `£${min} and over`,
+  priceRangeUpTo: (max: string) => `Up to £${max}`,
+  priceRangeMinLabel: "Lowest price",
+  priceRangeMaxLabel: "Highest price",
+  priceRangeAny: "Any price",
+  eventSearchPlaceholder: "Search events, venues, performers...",
+  eventSearchLabel: "Search events",
+  nearMe: "Near me",
+  nearMeRadiusLabel: (radius: string) => `Show events within ${radius}`,
+  nearMeFindingLocation: "Finding your location...",
+  nearMeLocationUnavailable: "We can't find your location right now",
+  eventDistance: (distance: string) => `${distance} away`,
+  eventSortBy: "Sort by",
+  eventSortOrders: {
+    startTime: "Start time",
+    endTime: "Ending soonest",
+    price: "Price: low to high",
+    name: "Name: A–Z",
+    distance: "Distance"
+  },
   filters: "Filters",
   filterPickerApply: showEvents,
   filterPickerApplyLabel: showEventsLabel,
@@ -109,7 +146,6 @@ export default {
   tags: {
     audience: "Age group",
     price: "Price",
-    free: "Show only free events",
     timeOfDay: "Time of day",
     morning: "Morning",
     afternoon: "Afternoon",
@@ -139,9 +175,18 @@ export default {
   noSavedEventsSaveButtonAlt: "'save this event' button",
   noSavedEventsPart2: "on any event you like to save them here.",
   noSavedEventsButton: "Find Events",
+  savedEventChanges: {
+    title: "Updates to your saved events",
+    cancelled: "This event has been cancelled",
+    newTime: (time: string) => `New time: ${time}`,
+    newVenue: (venue: string) => `New venue: ${venue}`,
+    dismiss: "Dismiss updates"
+  },
   saveEventButtonUnSaveEvent: "remove event from saved list",
   saveEventButtonSaveEvent: "save this event",
   homeViewAll: "View all",
+  newContentTitle: "New content available",
+  newContentMessage,
   homeSupportUs: "Support us",
   homeSupportUsDescription: "Be part of the movement",
   parade: {
@@ -160,6 +205,35 @@ export default {
     expandAccessibilityLabel: "Show more",
     collapseAccessibilityLabel: "Show less"
   },
+  diagnostics: {
+    title: "Diagnostics",
+    sync: "Sync",
+    syncToken: "Sync token",
+    syncStatus: "Status",
+    lastSuccess: "Last synced",
+    lastError: "Last error",
+    entryCounts: "Cached entries",
+    rejections: "Rejected entries",
+    danglingReferences: "Dangling references",
+    savedEvents: "Saved events",
+    filters: "Selected filters",
+    app: "App",
+    version: "Version",
+    platform: "Platform",
+    releaseStage: "Release stage",
+    contentSource: "Content source",
+    locale: "Content language",
+    resync: "Force full resync",
+    resyncDone: "All content was downloaded again.",
+    clearCache: "Clear cache",
+    clearCacheDone: "The cache was cleared."
+  },
+  preview: {
+    title: "Preview",
+    message: "You are seeing draft content",
+    exit: "Exit",
+    exitAccessibilityLabel: "Exit preview"
+  },
   paradeInformationScreen: {
     pageHeading: "London Parade",
     pageSubheading: "Saturday 7 July",
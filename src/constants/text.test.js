@@ -38,4 +38,28 @@ describe("Constants text", () => {
   it("returns show 1 event given list of one", () => {
     expect(text.filterPickerApplyLabel(1)).toEqual("Show 1 selected event");
   });
+
+  it("describes new and updated events", () => {
+    expect(text.newContentMessage(12, 2)).toEqual(
+      "12 new events, 2 updated. Tap to show them."
+    );
+  });
+
+  it("describes new events only", () => {
+    expect(text.newContentMessage(1, 0)).toEqual(
+      "1 new event. Tap to show them."
+    );
+  });
+
+  it("describes updated events only", () => {
+    expect(text.newContentMessage(0, 2)).toEqual(
+      "2 events updated. Tap to show them."
+    );
+  });
+
+  it("falls back to a general message when no events changed", () => {
+    expect(text.newContentMessage(0, 0)).toEqual(
+      "Tap to see the latest news and events."
+    );
+  });
 });
@@ -4,7 +4,11 @@ import { gen, sampleOne as sample } from "@rgbboy/testcheck"; // eslint-disable-
 // $FlowFixMe
 import type { ValueGenerator } from "@rgbboy/testcheck";
 import { DateTime } from "luxon";
-import { FORMAT_CONTENTFUL_ISO, FORMAT_EUROPEAN_DATE } from "../lib/date";
+import {
+  FORMAT_CONTENTFUL_ISO,
+  FORMAT_EUROPEAN_DATE,
+  parse as parseDate
+} from "../lib/date";
 import type { Maybe } from "../lib/maybe";
 import { some } from "../lib/maybe";
 import type { Event, EventCategoryName } from "./event";
@@ -85,7 +89,9 @@ export const generateFeaturedEvents: ValueGenerator<FeaturedEvents> = gen({
   revision: 1,
   fields: gen({
     title: gen.alphaNumString.notEmpty(),
-    events: gen.array(generateFieldRef, { minSize: 0, maxSize: 10 })
+    events: gen.array(generateFieldRef, { minSize: 0, maxSize: 10 }),
+    visibleFrom: generateNull(),
+    visibleUntil: generateNull()
   })
 });
 
@@ -148,7 +154,9 @@ export const generateHeaderBanner: ValueGenerator<HeaderBanner> = gen({
     headingLine2: "headingLine2",
     subHeading: "subHeading",
     heroImage: generateFieldRef,
-    backgroundColour: "#ff0000"
+    backgroundColour: "#ff0000",
+    visibleFrom: generateNull(),
+    visibleUntil: generateNull()
   })
 });
 
@@ -199,7 +207,10 @@ export const generateEvent: ValueGenerator<Event> = gen({
     audience: gen.array(gen.alphaNumString, { minSize: 1, maxSize: 5 }),
     startTime: "2018-07-07T00:00+00:00",
     endTime: "2018-07-07T03:00+00:00",
+    startDateTime: gen.return(parseDate("2018-07-07T00:00+00:00")),
+    endDateTime: gen.return(parseDate("2018-07-07T03:00+00:00")),
     location: { lat: 0, lon: 10 },
+    area: gen.return(null),
     addressLine1: "addressLine1",
     addressLine2: "addressLine2",
     city: "city",
@@ -293,7 +304,10 @@ export const generateEventMinimum: ValueGenerator<Event> = gen({
     audience: [],
     startTime: "2018-07-07T00:00+00:00",
     endTime: "2018-07-07T03:00+00:00",
+    startDateTime: gen.return(parseDate("2018-07-07T00:00+00:00")),
+    endDateTime: gen.return(parseDate("2018-07-07T03:00+00:00")),
     location: { lat: 0, lon: 10 },
+    area: gen.return(null),
     addressLine1: generateNull(),
     addressLine2: generateNull(),
     city: generateNull(),
@@ -396,10 +410,13 @@ export const generatePerformance: ValueGenerator<Performance> = gen({
   id: gen.alphaNumString.notEmpty(),
   locale: "en-GB",
   revision: 1,
-  fields: gen({
-    title: "title",
-    startTime: generateDateString
-  })
+  fields: generateDateString.then(startTime =>
+    gen.return({
+      title: "title",
+      startTime,
+      startDateTime: parseDate(startTime)
+    })
+  )
 });
 
 export const generateCMSPerformance: ValueGenerator<mixed> = gen({
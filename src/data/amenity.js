@@ -1,6 +1,7 @@
 // @flow
 import * as decode from "../lib/decode";
 import type { Decoder } from "../lib/decode";
+import { localisedField } from "./locale";
 
 type AmenityType = "Toilet" | "First Aid";
 
@@ -33,9 +34,10 @@ const decodeAmenity = (locale: string): Decoder<Amenity> =>
     fields: decode.field(
       "fields",
       decode.shape({
-        type: decode.at(["type", locale], amenityTypeDecoder),
-        location: decode.at(
-          ["location", locale],
+        type: localisedField(locale, "type", amenityTypeDecoder),
+        location: localisedField(
+          locale,
+          "location",
           decode.shape({
             lat: decode.field("lat", decode.number),
             lon: decode.field("lon", decode.number)
@@ -1,8 +1,37 @@
-// Simple sqaure boundary around Central London
-// Adapted from https://www.london.gov.uk/file/13839/download?token=A-jJ8CEw
-export default {
-  northLatBoundary: "51.530327",
-  southLatBoundary: "51.493764",
-  westLonBoundary: "-0.152868",
-  eastLonBoundary: "-0.072527"
+// @flow
+import {
+  boundingBoxOf,
+  pointInBoundingBox,
+  pointInGeometry
+} from "../lib/geojson";
+import type { BoundingBox, Geometry } from "../lib/geojson";
+import type { Area } from "./event-filters";
+import boroughs from "./london-boroughs.json";
+
+type Borough = {
+  name: string,
+  area: Area,
+  geometry: Geometry,
+  boundingBox: BoundingBox
+};
+
+// The London boroughs, grouped into areas following the sub-regions of
+// the London Plan. The outlines are simplified, so places close to a
+// border may be put in the borough next door.
+const boroughAreas: Borough[] = boroughs.features.map(feature => ({
+  name: feature.properties.name,
+  area: (feature.properties.area: any),
+  geometry: (feature.geometry: any),
+  boundingBox: boundingBoxOf((feature.geometry: any))
+}));
+
+// Places outside of Greater London are not in any area
+// eslint-disable-next-line import/prefer-default-export
+export const areaOf = (location: { lat: number, lon: number }): ?Area => {
+  const point = [location.lon, location.lat];
+  const borough = boroughAreas.find(
+    ({ geometry, boundingBox }) =>
+      pointInBoundingBox(point, boundingBox) && pointInGeometry(point, geometry)
+  );
+  return borough ? borough.area : null;
 };
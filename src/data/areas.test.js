@@ -0,0 +1,32 @@
+// @flow
+import { areaOf } from "./areas";
+
+describe("areaOf", () => {
+  it("returns the area of the borough a place is in", () => {
+    // Trafalgar Square, Westminster
+    expect(areaOf({ lat: 51.508, lon: -0.128 })).toBe("Central");
+    // Alexandra Palace, Haringey
+    expect(areaOf({ lat: 51.5942, lon: -0.1309 })).toBe("North");
+    // Olympic Park, Newham
+    expect(areaOf({ lat: 51.5431, lon: -0.0134 })).toBe("East");
+    // Crystal Palace Park, Bromley
+    expect(areaOf({ lat: 51.4215, lon: -0.0706 })).toBe("South");
+    // Wembley Stadium, Brent
+    expect(areaOf({ lat: 51.556, lon: -0.2796 })).toBe("West");
+  });
+
+  it("puts Greenwich in the East only", () => {
+    expect(areaOf({ lat: 51.4826, lon: -0.0077 })).toBe("East");
+  });
+
+  it("puts Brixton in Lambeth, which is Central", () => {
+    expect(areaOf({ lat: 51.4627, lon: -0.1145 })).toBe("Central");
+  });
+
+  it("returns no area for places outside of London", () => {
+    // Watford
+    expect(areaOf({ lat: 51.6565, lon: -0.3903 })).toBe(null);
+    // Brighton
+    expect(areaOf({ lat: 50.82, lon: -0.14 })).toBe(null);
+  });
+});
@@ -1,10 +1,16 @@
 // @flow
 import type { DateTime } from "luxon";
+import R from "ramda";
+import * as decode from "../lib/decode";
+import type { Decoder } from "../lib/decode";
 import type { DateRange, Time } from "./date-time";
 import type { EventCategoryName } from "./event";
+import { eventCategoryNames } from "./event";
+import tags from "./tags";
 
 export type Area = "Central" | "East" | "North" | "South" | "West";
-export type Price = "free";
+// Prices in pounds. Without a maximum there is no upper limit.
+export type PriceRange = { min: number, max: ?number };
 export type Audience = "Families" | "Youth" | "16+" | "18+";
 export type VenueDetail = "Gender neutral toilets" | "Outdoors" | "Indoors";
 export type AccessibilityOption =
@@ -21,7 +27,7 @@ export type FilterCollection = {
   date: ?DateRange,
   timeOfDay: Set<Time>,
   categories: Set<EventCategoryName>,
-  price: Set<Price>,
+  priceRange: ?PriceRange,
   audience: Set<Audience>,
   venueDetails: Set<VenueDetail>,
   accessibilityOptions: Set<AccessibilityOption>,
@@ -30,7 +36,6 @@ export type FilterCollection = {
 
 export type TagFilterSet =
   | Set<Area>
-  | Set<Price>
   | Set<Audience>
   | Set<VenueDetail>
   | Set<AccessibilityOption>
@@ -44,6 +49,54 @@ export type StringFilterSet =
 
 export type State = {
   showEventsAfter: DateTime,
+  // Words to search the events for, on top of the filters
+  searchQuery: string,
   selectedFilters: FilterCollection,
   stagedFilters: FilterCollection
 };
+
+// The filters as they are kept in storage, with the Sets as arrays
+export const encodeFilterCollection = (
+  filters: FilterCollection
+): { [key: string]: mixed } =>
+  R.map(value => (value instanceof Set ? Array.from(value) : value), filters);
+
+// Values we no longer know of are dropped, and filters which are missing
+// or cannot be read are left empty, rather than losing all of them.
+const decodeSetOf = <A>(values: A[]): Decoder<Set<A>> =>
+  decode.map(
+    list => new Set(list),
+    decode.oneOf([
+      decode.filterMap(decode.oneOf(values.map(decode.value))),
+      decode.succeed([])
+    ])
+  );
+
+const decodeOptional = <A>(decoder: Decoder<A>): Decoder<?A> =>
+  decode.oneOf([decode.maybe(decoder), decode.succeed(null)]);
+
+const decodeDateRange: Decoder<DateRange> = decode.shape({
+  startDate: decode.field("startDate", decode.string),
+  endDate: decode.field("endDate", decode.string)
+});
+
+const decodePriceRange: Decoder<PriceRange> = decode.shape({
+  min: decode.field("min", decode.number),
+  max: decode.field("max", decode.maybe(decode.number))
+});
+
+const times: Time[] = ["morning", "afternoon", "evening"];
+
+export const decodeFilterCollection: Decoder<FilterCollection> = decode.shape({
+  date: decode.field("date", decodeOptional(decodeDateRange)),
+  timeOfDay: decode.field("timeOfDay", decodeSetOf(times)),
+  categories: decode.field("categories", decodeSetOf(eventCategoryNames)),
+  priceRange: decode.field("priceRange", decodeOptional(decodePriceRange)),
+  audience: decode.field("audience", decodeSetOf(tags.audience)),
+  venueDetails: decode.field("venueDetails", decodeSetOf(tags.venueDetails)),
+  accessibilityOptions: decode.field(
+    "accessibilityOptions",
+    decodeSetOf(tags.accessibilityOptions)
+  ),
+  area: decode.field("area", decodeSetOf(tags.area))
+});
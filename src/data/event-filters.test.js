@@ -0,0 +1,83 @@
+// @flow
+import {
+  decodeFilterCollection,
+  encodeFilterCollection
+} from "./event-filters";
+
+const filters = {
+  categories: new Set(["Music", "Nightlife"]),
+  date: { startDate: "2018-07-07", endDate: "2018-07-07" },
+  timeOfDay: new Set(["evening"]),
+  priceRange: { min: 5, max: null },
+  audience: new Set(["18+"]),
+  venueDetails: new Set(),
+  accessibilityOptions: new Set(["BSL Interpreter"]),
+  area: new Set(["East", "South"])
+};
+
+describe("encodeFilterCollection", () => {
+  it("turns the sets into arrays", () => {
+    expect(encodeFilterCollection(filters)).toEqual({
+      categories: ["Music", "Nightlife"],
+      date: { startDate: "2018-07-07", endDate: "2018-07-07" },
+      timeOfDay: ["evening"],
+      priceRange: { min: 5, max: null },
+      audience: ["18+"],
+      venueDetails: [],
+      accessibilityOptions: ["BSL Interpreter"],
+      area: ["East", "South"]
+    });
+  });
+});
+
+describe("decodeFilterCollection", () => {
+  it("decodes encoded filters", () => {
+    const encoded = JSON.parse(JSON.stringify(encodeFilterCollection(filters)));
+
+    expect(decodeFilterCollection(encoded)).toEqual({
+      ok: true,
+      value: filters
+    });
+  });
+
+  it("drops values which are not known", () => {
+    const decoded = decodeFilterCollection({
+      ...encodeFilterCollection(filters),
+      categories: ["Music", "Knitting"],
+      accessibilityOptions: ["BSL Interpreter", 3]
+    });
+
+    expect(decoded.ok && decoded.value.categories).toEqual(new Set(["Music"]));
+    expect(decoded.ok && decoded.value.accessibilityOptions).toEqual(
+      new Set(["BSL Interpreter"])
+    );
+  });
+
+  it("leaves filters which are missing or malformed empty", () => {
+    const decoded = decodeFilterCollection({
+      timeOfDay: "evening",
+      date: { startDate: "2018-07-07" },
+      priceRange: { min: 5, max: "lots" },
+      area: ["Central"]
+    });
+
+    expect(decoded).toEqual({
+      ok: true,
+      value: {
+        categories: new Set(),
+        date: null,
+        timeOfDay: new Set(),
+        priceRange: null,
+        audience: new Set(),
+        venueDetails: new Set(),
+        accessibilityOptions: new Set(),
+        area: new Set(["Central"])
+      }
+    });
+  });
+
+  it("fails when the value is not an object", () => {
+    expect(decodeFilterCollection(null).ok).toBe(false);
+    expect(decodeFilterCollection("filters").ok).toBe(false);
+  });
+});
@@ -0,0 +1,17 @@
+// @flow
+export type EventSortOrder =
+  | "startTime"
+  | "endTime"
+  | "price"
+  | "name"
+  | "distance";
+
+export const eventSortOrders: EventSortOrder[] = [
+  "startTime",
+  "endTime",
+  "price",
+  "name",
+  "distance"
+];
+
+export const defaultEventSortOrder: EventSortOrder = "startTime";
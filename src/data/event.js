@@ -1,19 +1,27 @@
 // @flow
 import R from "ramda";
 import {
-  set as setDate,
+  setInLondon,
+  addInLondon,
   diff as diffDate,
-  add as addToDate,
-  toFormat as formatDate,
-  FORMAT_EUROPEAN_DATE,
-  FORMAT_CONTENTFUL_ISO
+  startOfDay,
+  parse as parseDate,
+  toLondonFormat,
+  FORMAT_EUROPEAN_DATE
 } from "../lib/date";
+import type { DateTime } from "../lib/date";
 import type { Maybe } from "../lib/maybe";
-import * as maybe from "../lib/maybe";
 import type { Decoder } from "../lib/decode";
 import * as decode from "../lib/decode";
 import type { FieldRef } from "./field-ref";
 import decodeFieldRef from "./field-ref";
+import { areaOf } from "./areas";
+import type { Area } from "./event-filters";
+import {
+  localisedField,
+  maybeLocalisedField as maybeField,
+  maybeLocalisedFieldWithDefault as maybeFieldWithDefault
+} from "./locale";
 import * as colors from "../constants/colors";
 
 export type Events = {
@@ -148,7 +156,14 @@ export type Event = {
     audience: Array<string>,
     startTime: string,
     endTime: string,
+    // The start and end times parsed when decoding, so that sorting
+    // and filtering do not parse them again for every event
+    startDateTime: DateTime,
+    endDateTime: DateTime,
     location: { lat: number, lon: number },
+    // The area of London the event is in, found when decoding so that
+    // filtering by area does not look through the borough outlines
+    area: ?Area,
     addressLine1: Maybe<string>,
     addressLine2: Maybe<string>,
     city: Maybe<string>,
@@ -175,23 +190,41 @@ export type SavedEvents = Set<string>;
 
 export type EventDays = Event[][];
 
-const maybeField = <A>(
-  locale: string,
-  field: string,
-  decoder: Decoder<A>
-): Decoder<Maybe<A>> =>
-  decode.field(field, decode.maybe(decode.field(locale, decoder)));
+type EventTimes = {
+  startTime: string,
+  endTime: string,
+  startDateTime: DateTime,
+  endDateTime: DateTime
+};
 
-const maybeFieldWithDefault = <A>(
-  locale: string,
-  field: string,
-  decoder: Decoder<A>,
-  defaultValue: A
-): Decoder<A> =>
-  decode.map(
-    maybe.withDefault(defaultValue),
-    maybeField(locale, field, decoder)
-  );
+const toEventTimes = (startTime: string, endTime: string): EventTimes => ({
+  startTime,
+  endTime,
+  startDateTime: parseDate(startTime),
+  endDateTime: parseDate(endTime)
+});
+
+type EventFields = $PropertyType<Event, "fields">;
+
+// Some events are entered with their start and end times the wrong way
+// round, in which case they are swapped.
+const eventTimes = (startTime: string, endTime: string): EventTimes => {
+  const times = toEventTimes(startTime, endTime);
+  return +times.endDateTime < +times.startDateTime
+    ? toEventTimes(endTime, startTime)
+    : times;
+};
+
+const withDerivedFields = (
+  fields: $Diff<
+    EventFields,
+    { startDateTime: DateTime, endDateTime: DateTime, area: ?Area }
+  >
+): EventFields => ({
+  ...fields,
+  ...eventTimes(fields.startTime, fields.endTime),
+  area: areaOf(fields.location)
+});
 
 export const decodeEvent = (locale: string): Decoder<Event> =>
   decode.shape({
@@ -204,107 +237,137 @@ export const decodeEvent = (locale: string): Decoder<Event> =>
     revision: decode.at(["sys", "revision"], decode.number),
     fields: decode.field(
       "fields",
-      decode.shape({
-        name: decode.at(["name", locale], decode.string),
-        eventCategories: decode.at(
-          ["eventCategories", locale],
-          decode.array(decodeEventCategoryName)
-        ),
-        audience: maybeFieldWithDefault(
-          locale,
-          "audience",
-          decode.array(decode.string),
-          []
-        ),
-        // may want to combine startTime and endTime to fix the
-        // date flipping issue in the decoder
-        // may also want to convert it to a DateTime
-        startTime: decode.at(["startTime", locale], decode.string),
-        endTime: decode.at(["endTime", locale], decode.string),
-        location: decode.at(
-          ["location", locale],
-          decode.shape({
-            lat: decode.field("lat", decode.number),
-            lon: decode.field("lon", decode.number)
-          })
-        ),
-        addressLine1: maybeField(locale, "addressLine1", decode.string),
-        addressLine2: maybeField(locale, "addressLine2", decode.string),
-        city: maybeField(locale, "city", decode.string),
-        postcode: maybeField(locale, "postcode", decode.string),
-        locationName: decode.at(["locationName", locale], decode.string),
-        eventPriceLow: decode.at(["eventPriceLow", locale], decode.number),
-        eventPriceHigh: decode.at(["eventPriceHigh", locale], decode.number),
-        accessibilityOptions: maybeFieldWithDefault(
-          locale,
-          "accessibilityOptions",
-          decode.array(decode.string),
-          []
-        ),
-        eventDescription: decode.at(
-          ["eventDescription", locale],
-          decode.string
-        ),
-        accessibilityDetails: maybeField(
-          locale,
-          "accessibilityDetails",
-          decode.string
-        ),
-        email: maybeField(locale, "email", decode.string),
-        phone: maybeField(locale, "phone", decode.string),
-        ticketingUrl: maybeField(locale, "ticketingUrl", decode.string),
-        venueDetails: maybeFieldWithDefault(
-          locale,
-          "venueDetails",
-          decode.array(decode.string),
-          []
-        ),
-        individualEventPicture: decode.at(
-          ["individualEventPicture", locale],
-          decodeFieldRef
-        ),
-        eventsListPicture: decode.at(
-          ["eventsListPicture", locale],
-          decodeFieldRef
-        ),
-        performances: maybeFieldWithDefault(
-          locale,
-          "performances",
-          decode.array(decodeFieldRef),
-          []
-        ),
-        recurrenceDates: maybeFieldWithDefault(
-          locale,
-          "recurrenceDates",
-          decode.array(decode.string),
-          []
-        ),
-        stage: maybeFieldWithDefault(locale, "stage", decode.boolean, false)
-      })
+      decode.map(
+        withDerivedFields,
+        decode.shape({
+          name: localisedField(locale, "name", decode.string),
+          eventCategories: localisedField(
+            locale,
+            "eventCategories",
+            decode.array(decodeEventCategoryName)
+          ),
+          audience: maybeFieldWithDefault(
+            locale,
+            "audience",
+            decode.array(decode.string),
+            []
+          ),
+          startTime: localisedField(locale, "startTime", decode.string),
+          endTime: localisedField(locale, "endTime", decode.string),
+          location: localisedField(
+            locale,
+            "location",
+            decode.shape({
+              lat: decode.field("lat", decode.number),
+              lon: decode.field("lon", decode.number)
+            })
+          ),
+          addressLine1: maybeField(locale, "addressLine1", decode.string),
+          addressLine2: maybeField(locale, "addressLine2", decode.string),
+          city: maybeField(locale, "city", decode.string),
+          postcode: maybeField(locale, "postcode", decode.string),
+          locationName: localisedField(locale, "locationName", decode.string),
+          eventPriceLow: localisedField(locale, "eventPriceLow", decode.number),
+          eventPriceHigh: localisedField(
+            locale,
+            "eventPriceHigh",
+            decode.number
+          ),
+          accessibilityOptions: maybeFieldWithDefault(
+            locale,
+            "accessibilityOptions",
+            decode.array(decode.string),
+            []
+          ),
+          eventDescription: localisedField(
+            locale,
+            "eventDescription",
+            decode.string
+          ),
+          accessibilityDetails: maybeField(
+            locale,
+            "accessibilityDetails",
+            decode.string
+          ),
+          email: maybeField(locale, "email", decode.string),
+          phone: maybeField(locale, "phone", decode.string),
+          ticketingUrl: maybeField(locale, "ticketingUrl", decode.string),
+          venueDetails: maybeFieldWithDefault(
+            locale,
+            "venueDetails",
+            decode.array(decode.string),
+            []
+          ),
+          individualEventPicture: localisedField(
+            locale,
+            "individualEventPicture",
+            decodeFieldRef
+          ),
+          eventsListPicture: localisedField(
+            locale,
+            "eventsListPicture",
+            decodeFieldRef
+          ),
+          performances: maybeFieldWithDefault(
+            locale,
+            "performances",
+            decode.array(decodeFieldRef),
+            []
+          ),
+          recurrenceDates: maybeFieldWithDefault(
+            locale,
+            "recurrenceDates",
+            decode.array(decode.string),
+            []
+          ),
+          stage: maybeFieldWithDefault(locale, "stage", decode.boolean, false)
+        })
+      )
     )
   });
 
-const formatEuropeanDate = value => formatDate(value, FORMAT_EUROPEAN_DATE);
+const formatEuropeanDate = value => toLondonFormat(value, FORMAT_EUROPEAN_DATE);
+
+// Recurrences are given the id of the entry they were expanded from,
+// followed by this separator and the date they occur on.
+const RECURRENCE_ID_SEPARATOR = "-recurrence-";
+
+// The id of the CMS entry the event with the given id (or one of its
+// recurrences) came from
+export const entryIdOf = (id: string): string =>
+  id.split(RECURRENCE_ID_SEPARATOR)[0];
+
+export const getEntryId = (event: Event): string => entryIdOf(event.id);
 
 const generateRecurringEvent = (event: Event) => (
   recurrenceStartTime: string
 ) => {
   const { endTime, startTime } = event.fields;
 
-  const difference = diffDate(recurrenceStartTime, startTime);
-  const recurrenceEndTime = addToDate(endTime, difference);
+  // The end is moved by whole days in London, rather than by a duration,
+  // so that it keeps its time of day when the clocks change in between.
+  const { days = 0 } = diffDate(
+    startOfDay(recurrenceStartTime),
+    startOfDay(startTime),
+    "days"
+  );
+  const recurrenceEndTime = addInLondon(endTime, { days: Math.round(days) });
 
-  return R.mergeDeepRight(event, {
+  // Not merged deeply, as that would turn the DateTimes into objects
+  return {
+    ...event,
     fields: {
-      startTime: formatDate(recurrenceStartTime, FORMAT_CONTENTFUL_ISO),
-      endTime: formatDate(recurrenceEndTime, FORMAT_CONTENTFUL_ISO),
+      ...event.fields,
+      ...toEventTimes(recurrenceStartTime, recurrenceEndTime),
       recurrenceDates: [
         formatEuropeanDate(startTime),
         ...event.fields.recurrenceDates
       ]
     },
-    id: `${event.id}-recurrence-${formatEuropeanDate(recurrenceStartTime)}`
-  });
+    id: `${event.id}${RECURRENCE_ID_SEPARATOR}${formatEuropeanDate(
+      recurrenceStartTime
+    )}`
+  };
 };
 
 const recurrenceDateToStartTime = (originalStartTime: string) => (
@@ -314,14 +377,13 @@ const recurrenceDateToStartTime = (originalStartTime: string) => (
     "/"
   );
 
-  return formatDate(
-    setDate(originalStartTime, {
-      year: recurrenceYear,
-      month: recurrenceMonth,
-      day: recurrenceDay
-    }),
-    FORMAT_CONTENTFUL_ISO
-  );
+  // Recurrences happen at the same time of day in London as the
+  // original, whether or not the clocks have changed since.
+  return setInLondon(originalStartTime, {
+    year: Number(recurrenceYear),
+    month: Number(recurrenceMonth),
+    day: Number(recurrenceDay)
+  });
 };
 
 export const expandRecurringEvents = (event: Event): Array<Event> => {
@@ -332,7 +394,7 @@ export const expandRecurringEvents = (event: Event): Array<Event> => {
     )
   ];
 
-  const events = R.uniq(recurrenceStartTimes)
+  const events = R.uniqBy(time => +parseDate(time), recurrenceStartTimes)
     .slice(1)
     .map(generateRecurringEvent(event));
   return [event, ...events];
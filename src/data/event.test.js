@@ -5,7 +5,7 @@ import {
   generateEvent,
   sampleOne
 } from "./__test-data";
-import { decodeEvent, expandRecurringEvents } from "./event";
+import { decodeEvent, expandRecurringEvents, getEntryId } from "./event";
 
 describe("Event", () => {
   describe("decoder", () => {
@@ -45,14 +45,78 @@ describe("Event", () => {
       const decoded = decodeEvent("en-GB")(data);
       expect(decoded.ok).toEqual(false);
     });
+
+    it("parses the start and end times", () => {
+      const data: any = sampleOne(generateCMSEvent);
+      data.fields.startTime = { "en-GB": "2018-07-07T10:30+01:00" };
+      data.fields.endTime = { "en-GB": "2018-07-07T22:30+01:00" };
+
+      const decoded = decodeEvent("en-GB")(data);
+      expect(decoded.ok).toEqual(true);
+      if (decoded.ok) {
+        const { startDateTime, endDateTime } = decoded.value.fields;
+        expect(startDateTime.toISO()).toEqual("2018-07-07T10:30:00.000+01:00");
+        expect(endDateTime.toISO()).toEqual("2018-07-07T22:30:00.000+01:00");
+      }
+    });
+
+    it("swaps start and end times entered the wrong way round", () => {
+      const data: any = sampleOne(generateCMSEvent);
+      data.fields.startTime = { "en-GB": "2018-07-07T22:30+01:00" };
+      data.fields.endTime = { "en-GB": "2018-07-07T10:30+01:00" };
+
+      const decoded = decodeEvent("en-GB")(data);
+      expect(decoded.ok).toEqual(true);
+      if (decoded.ok) {
+        const { fields } = decoded.value;
+        expect(fields.startTime).toEqual("2018-07-07T10:30+01:00");
+        expect(fields.endTime).toEqual("2018-07-07T22:30+01:00");
+        expect(+fields.startDateTime).toBeLessThan(+fields.endDateTime);
+      }
+    });
+
+    it("finds the area of London the event is in", () => {
+      const data: any = sampleOne(generateCMSEvent);
+      data.fields.location = { "en-GB": { lat: 51.4627, lon: -0.1145 } };
+
+      const decoded = decodeEvent("en-GB")(data);
+      expect(decoded.ok).toEqual(true);
+      if (decoded.ok) {
+        expect(decoded.value.fields.area).toEqual("Central");
+      }
+    });
+
+    it("leaves events outside of London without an area", () => {
+      const data: any = sampleOne(generateCMSEvent);
+      data.fields.location = { "en-GB": { lat: 50.82, lon: -0.14 } };
+
+      const decoded = decodeEvent("en-GB")(data);
+      expect(decoded.ok).toEqual(true);
+      if (decoded.ok) {
+        expect(decoded.value.fields.area).toBe(null);
+      }
+    });
+
+    it("falls back to en-GB for fields missing a translation", () => {
+      const data: any = sampleOne(generateCMSEvent);
+      data.fields.name = { "en-GB": "Pride", "cy-GB": "Balchder" };
+
+      const decoded = decodeEvent("cy-GB")(data);
+      expect(decoded.ok).toEqual(true);
+      if (decoded.ok) {
+        expect(decoded.value.locale).toEqual("cy-GB");
+        expect(decoded.value.fields.name).toEqual("Balchder");
+        expect(decoded.value.fields.locationName).toEqual("locationName");
+      }
+    });
   });
 
   describe("expandRecurringEvents", () => {
     it("creates new events for each recurrence date", () => {
       const event = sampleOne(generateEvent);
       event.id = "test";
-      event.fields.startTime = "2018-08-02T00:00+00:00";
-      event.fields.endTime = "2018-08-02T03:00+00:00";
+      event.fields.startTime = "2018-08-02T00:00+01:00";
+      event.fields.endTime = "2018-08-02T03:00+01:00";
       event.fields.recurrenceDates = ["03/08/2018", "04/08/2018"];
 
       const expandedEvents = expandRecurringEvents(event);
@@ -61,7 +125,7 @@ describe("Event", () => {
       expect(expandedEvents[0]).toEqual(event);
       expect(expandedEvents[1].id).toEqual("test-recurrence-03/08/2018");
       expect(expandedEvents[1].fields.startTime).toEqual(
-        "2018-08-03T00:00+00:00"
+        "2018-08-03T00:00+01:00"
       );
       expect(expandedEvents[1].fields.recurrenceDates).toEqual([
         "02/08/2018",
@@ -70,7 +134,7 @@ describe("Event", () => {
       ]);
       expect(expandedEvents[2].id).toEqual("test-recurrence-04/08/2018");
       expect(expandedEvents[2].fields.startTime).toEqual(
-        "2018-08-04T00:00+00:00"
+        "2018-08-04T00:00+01:00"
       );
       expect(expandedEvents[2].fields.recurrenceDates).toEqual([
         "02/08/2018",
@@ -82,8 +146,8 @@ describe("Event", () => {
     it("creates new events for short format recurrence dates", () => {
       const event = sampleOne(generateEvent);
       event.id = "test";
-      event.fields.startTime = "2018-08-02T00:00+00:00";
-      event.fields.endTime = "2018-08-02T03:00+00:00";
+      event.fields.startTime = "2018-08-02T00:00+01:00";
+      event.fields.endTime = "2018-08-02T03:00+01:00";
       event.fields.recurrenceDates = ["3/8/2018", "4/8/2018"];
 
       const expandedEvents = expandRecurringEvents(event);
@@ -92,7 +156,7 @@ describe("Event", () => {
       expect(expandedEvents[0]).toEqual(event);
       expect(expandedEvents[1].id).toEqual("test-recurrence-03/08/2018");
       expect(expandedEvents[1].fields.startTime).toEqual(
-        "2018-08-03T00:00+00:00"
+        "2018-08-03T00:00+01:00"
       );
       expect(expandedEvents[1].fields.recurrenceDates).toEqual([
         "02/08/2018",
@@ -101,7 +165,7 @@ describe("Event", () => {
       ]);
       expect(expandedEvents[2].id).toEqual("test-recurrence-04/08/2018");
       expect(expandedEvents[2].fields.startTime).toEqual(
-        "2018-08-04T00:00+00:00"
+        "2018-08-04T00:00+01:00"
       );
       expect(expandedEvents[1].fields.recurrenceDates).toEqual([
         "02/08/2018",
@@ -110,21 +174,34 @@ describe("Event", () => {
       ]);
     });
 
+    it("parses the times of recurrences", () => {
+      const event = sampleOne(generateEvent);
+      event.fields.startTime = "2018-08-02T00:00+01:00";
+      event.fields.endTime = "2018-08-02T03:00+01:00";
+      event.fields.recurrenceDates = ["03/08/2018"];
+
+      const expandedEvents = expandRecurringEvents(event);
+
+      const { startDateTime, endDateTime } = expandedEvents[1].fields;
+      expect(startDateTime.toISO()).toEqual("2018-08-03T00:00:00.000+01:00");
+      expect(endDateTime.toISO()).toEqual("2018-08-03T03:00:00.000+01:00");
+    });
+
     it("updates endTime to be same distance from startTime", () => {
       const event = sampleOne(generateEvent);
       event.id = "test";
-      event.fields.startTime = "2018-08-02T00:00+00:00";
-      event.fields.endTime = "2018-08-02T03:00+00:00";
+      event.fields.startTime = "2018-08-02T00:00+01:00";
+      event.fields.endTime = "2018-08-02T03:00+01:00";
       event.fields.recurrenceDates = ["03/08/2018"];
 
       const expandedEvents = expandRecurringEvents(event);
 
       expect(expandedEvents[1].fields.endTime).toEqual(
-        "2018-08-03T03:00+00:00"
+        "2018-08-03T03:00+01:00"
       );
     });
 
-    it("preserves timezone of startTime and endTime", () => {
+    it("keeps the London time of day of startTime and endTime", () => {
       const event = sampleOne(generateEvent);
       event.fields.startTime = "2018-04-19T23:00+14:00";
       event.fields.endTime = "2018-04-20T14:48+02:00";
@@ -133,18 +210,54 @@ describe("Event", () => {
       const expandedEvents = expandRecurringEvents(event);
 
       expect(expandedEvents[1].fields.startTime).toEqual(
-        "2018-04-25T23:00+14:00"
+        "2018-04-25T10:00+01:00"
+      );
+      expect(expandedEvents[1].fields.endTime).toEqual(
+        "2018-04-26T13:48+01:00"
+      );
+    });
+
+    it("keeps the London time of day across the October clock change", () => {
+      const event = sampleOne(generateEvent);
+      event.id = "test";
+      event.fields.startTime = "2018-10-20T19:00+01:00";
+      event.fields.endTime = "2018-10-20T23:00+01:00";
+      event.fields.recurrenceDates = ["03/11/2018"];
+
+      const expandedEvents = expandRecurringEvents(event);
+
+      expect(expandedEvents[1].id).toEqual("test-recurrence-03/11/2018");
+      expect(expandedEvents[1].fields.startTime).toEqual(
+        "2018-11-03T19:00+00:00"
+      );
+      expect(expandedEvents[1].fields.endTime).toEqual(
+        "2018-11-03T23:00+00:00"
+      );
+    });
+
+    it("keeps the London time of day across the March clock change", () => {
+      const event = sampleOne(generateEvent);
+      event.id = "test";
+      event.fields.startTime = "2019-03-23T22:00Z";
+      event.fields.endTime = "2019-03-24T02:00Z";
+      event.fields.recurrenceDates = ["30/03/2019"];
+
+      const expandedEvents = expandRecurringEvents(event);
+
+      expect(expandedEvents[1].id).toEqual("test-recurrence-30/03/2019");
+      expect(expandedEvents[1].fields.startTime).toEqual(
+        "2019-03-30T22:00+00:00"
       );
       expect(expandedEvents[1].fields.endTime).toEqual(
-        "2018-04-26T14:48+02:00"
+        "2019-03-31T02:00+01:00"
       );
     });
 
     it("does not create new events recurrence is on the same day as start date", () => {
       const event = sampleOne(generateEvent);
       event.id = "test";
-      event.fields.startTime = "2018-08-02T00:00+00:00";
-      event.fields.endTime = "2018-08-02T03:00+00:00";
+      event.fields.startTime = "2018-08-02T00:00+01:00";
+      event.fields.endTime = "2018-08-02T03:00+01:00";
       event.fields.recurrenceDates = [
         "02/08/2018",
         "2/8/2018",
@@ -158,4 +271,18 @@ describe("Event", () => {
       expect(expandedEvents[0]).toEqual(event);
     });
   });
+
+  describe("getEntryId", () => {
+    it("returns the id of the entry recurrences were expanded from", () => {
+      const event = sampleOne(generateEvent);
+      event.id = "test";
+      event.fields.startTime = "2018-08-02T00:00+01:00";
+      event.fields.endTime = "2018-08-02T03:00+01:00";
+      event.fields.recurrenceDates = ["03/08/2018"];
+
+      const expandedEvents = expandRecurringEvents(event);
+
+      expect(expandedEvents.map(getEntryId)).toEqual(["test", "test"]);
+    });
+  });
 });
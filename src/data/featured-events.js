@@ -1,8 +1,10 @@
 // @flow
 import * as decode from "../lib/decode";
 import type { Decoder } from "../lib/decode";
+import { localisedField, maybeLocalisedField as maybeField } from "./locale";
 import type { FieldRef } from "./field-ref";
 import decodeFieldRef from "./field-ref";
+import type { Maybe } from "../lib/maybe";
 
 export type FeaturedEvents = {
   // important to keep this at the top level so type refinement works
@@ -12,7 +14,10 @@ export type FeaturedEvents = {
   revision: number,
   fields: {
     title: string,
-    events: Array<FieldRef>
+    events: Array<FieldRef>,
+    // The collection is only shown between these times, when they are set
+    visibleFrom: Maybe<string>,
+    visibleUntil: Maybe<string>
   }
 };
 
@@ -28,8 +33,10 @@ const decodeFeaturedEvents = (locale: string): Decoder<FeaturedEvents> =>
     fields: decode.field(
       "fields",
       decode.shape({
-        title: decode.at(["title", locale], decode.string),
-        events: decode.at(["events", locale], decode.array(decodeFieldRef))
+        title: localisedField(locale, "title", decode.string),
+        events: localisedField(locale, "events", decode.array(decodeFieldRef)),
+        visibleFrom: maybeField(locale, "visibleFrom", decode.string),
+        visibleUntil: maybeField(locale, "visibleUntil", decode.string)
       })
     )
   });
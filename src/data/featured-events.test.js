@@ -14,6 +14,29 @@ describe("FeaturedEvents", () => {
       }
     });
 
+    it("decodes the times it is visible between", () => {
+      const cmsData: Object = sampleOne(generateCMSFeaturedEvents);
+      const data: mixed = {
+        ...cmsData,
+        fields: {
+          ...cmsData.fields,
+          visibleFrom: { "en-GB": "2018-07-07T00:00+01:00" },
+          visibleUntil: { "en-GB": "2018-07-08T00:00+01:00" }
+        }
+      };
+
+      const decoded = decodeFeaturedEvents("en-GB")(data);
+      expect(decoded.ok).toEqual(true);
+      if (decoded.ok) {
+        expect(decoded.value.fields.visibleFrom).toEqual(
+          "2018-07-07T00:00+01:00"
+        );
+        expect(decoded.value.fields.visibleUntil).toEqual(
+          "2018-07-08T00:00+01:00"
+        );
+      }
+    });
+
     it("fails if a property is missing", () => {
       const data: mixed = {
         fields: {},
@@ -6,6 +6,7 @@ import {
   FORMAT_TIME_24
 } from "../lib/date";
 import type { DateRange } from "./date-time";
+import type { PriceRange } from "./event-filters";
 import text from "../constants/text";
 import { isFree } from "../selectors/event";
 
@@ -61,3 +62,23 @@ export const formatLongEventPrice = (
     return `£${formatPrice(eventPriceLow)} — £${formatPrice(eventPriceHigh)}`;
   return `£${formatPrice(eventPriceLow)}`;
 };
+
+// Distances are rounded to the nearest 10m, or to a tenth of a
+// kilometre from 1km up
+export const formatDistance = (metres: number) =>
+  metres < 995
+    ? `${Math.round(metres / 10) * 10}m`
+    : `${Math.round(metres / 100) / 10}km`;
+
+export const formatPriceRange = ({ min, max }: PriceRange) => {
+  if (max === 0) {
+    return text.isFreePrice;
+  }
+  if (max == null) {
+    return text.priceRangeFrom(formatPrice(min));
+  }
+  if (min === 0) {
+    return text.priceRangeUpTo(formatPrice(max));
+  }
+  return `£${formatPrice(min)} – £${formatPrice(max)}`;
+};
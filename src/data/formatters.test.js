@@ -5,7 +5,9 @@ import {
   formatPrice,
   formatContentfulDate,
   formatShortEventPrice,
-  formatLongEventPrice
+  formatLongEventPrice,
+  formatPriceRange,
+  formatDistance
 } from "./formatters";
 
 describe("formatDateRange", () => {
@@ -121,3 +123,35 @@ describe("formatLongEventPrice", () => {
     expect(formatLongEventPrice(1.12, 2.12)).toEqual("£1.12 — £2.12");
   });
 });
+
+describe("formatPriceRange", () => {
+  it("returns Free when the range is free", () => {
+    expect(formatPriceRange({ min: 0, max: 0 })).toEqual("Free");
+  });
+
+  it("returns the lowest price when there is no max", () => {
+    expect(formatPriceRange({ min: 20, max: null })).toEqual("£20 and over");
+  });
+
+  it("returns the highest price when the min is zero", () => {
+    expect(formatPriceRange({ min: 0, max: 15 })).toEqual("Up to £15");
+  });
+
+  it("returns the range of prices", () => {
+    expect(formatPriceRange({ min: 5, max: 12.5 })).toEqual("£5 – £12.50");
+  });
+});
+
+describe("formatDistance", () => {
+  it("formats short distances to the nearest 10 metres", () => {
+    expect(formatDistance(0)).toEqual("0m");
+    expect(formatDistance(347)).toEqual("350m");
+    expect(formatDistance(994)).toEqual("990m");
+  });
+
+  it("formats long distances in kilometres", () => {
+    expect(formatDistance(995)).toEqual("1km");
+    expect(formatDistance(1249)).toEqual("1.2km");
+    expect(formatDistance(12345)).toEqual("12.3km");
+  });
+});
@@ -1,8 +1,10 @@
 // @flow
 import * as decode from "../lib/decode";
 import type { Decoder } from "../lib/decode";
+import { localisedField, maybeLocalisedField as maybeField } from "./locale";
 import type { FieldRef } from "./field-ref";
 import decodeFieldRef from "./field-ref";
+import type { Maybe } from "../lib/maybe";
 
 export type HeaderBanner = {
   // important to keep this at the top level so type refinement works
@@ -15,7 +17,10 @@ export type HeaderBanner = {
     headingLine2: string,
     subHeading: string,
     heroImage: FieldRef,
-    backgroundColour: string
+    backgroundColour: string,
+    // The banner is only shown between these times, when they are set
+    visibleFrom: Maybe<string>,
+    visibleUntil: Maybe<string>
   }
 };
 
@@ -31,11 +36,17 @@ const decodeHeaderBanner = (locale: string): Decoder<HeaderBanner> =>
     fields: decode.field(
       "fields",
       decode.shape({
-        heading: decode.at(["heading", locale], decode.string),
-        headingLine2: decode.at(["headingLine2", locale], decode.string),
-        subHeading: decode.at(["subHeading", locale], decode.string),
-        heroImage: decode.at(["heroImage", locale], decodeFieldRef),
-        backgroundColour: decode.at(["backgroundColour", locale], decode.string)
+        heading: localisedField(locale, "heading", decode.string),
+        headingLine2: localisedField(locale, "headingLine2", decode.string),
+        subHeading: localisedField(locale, "subHeading", decode.string),
+        heroImage: localisedField(locale, "heroImage", decodeFieldRef),
+        backgroundColour: localisedField(
+          locale,
+          "backgroundColour",
+          decode.string
+        ),
+        visibleFrom: maybeField(locale, "visibleFrom", decode.string),
+        visibleUntil: maybeField(locale, "visibleUntil", decode.string)
       })
     )
   });
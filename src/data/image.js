@@ -1,6 +1,7 @@
 // @flow
 import * as decode from "../lib/decode";
 import type { Decoder } from "../lib/decode";
+import { localised } from "./locale";
 
 export type Images = {
   [id: string]: ImageDetails
@@ -14,9 +15,73 @@ export type ImageDetails = {
   height: number
 };
 
-export const getImageDetails = (images: Images) => (
-  id: string
-): ?ImageDetails => images[id];
+export type ImageFit = "pad" | "fill" | "scale" | "crop" | "thumb";
+
+export type ImageFormat = "jpg" | "png" | "webp";
+
+// Resizing options of the Contentful Images API, see
+// https://www.contentful.com/developers/docs/references/images-api/
+export type ImageTransform = {
+  // Sizes are in pixels, rather than points
+  width: number,
+  height: number,
+  fit?: ImageFit,
+  format?: ImageFormat,
+  // From 1 to 100, only used for JPG and WebP
+  quality?: number
+};
+
+// The Images API refuses to make images any larger than this
+const MAX_IMAGE_SIZE = 4000;
+
+const imageSize = (size: number) =>
+  Math.max(1, Math.min(Math.ceil(size), MAX_IMAGE_SIZE));
+
+// Only images served by the Images API can be resized, not the ones
+// cached on the device
+export const isRemoteImage = (image: ImageDetails): boolean =>
+  image.uri.startsWith("https:");
+
+export const imageUri = (
+  image: ImageDetails,
+  transform: ImageTransform
+): string => {
+  if (!isRemoteImage(image)) {
+    return image.uri;
+  }
+
+  const params = [
+    ["w", imageSize(transform.width)],
+    ["h", imageSize(transform.height)],
+    ["fit", transform.fit],
+    ["fm", transform.format],
+    ["q", transform.quality]
+  ]
+    .filter(([, value]) => value != null)
+    .map(([key, value]) => `${key}=${String(value)}`)
+    .join("&");
+
+  return `${image.uri}?${params}`;
+};
+
+// Scales the image down, keeping its proportions, so that it is no
+// wider than the given number of pixels. Images are never scaled up.
+export const fitWidthTransform = (
+  image: ImageDetails,
+  maxWidth: number
+): ImageTransform => {
+  const scale = Math.min(1, maxWidth / image.width);
+  return { width: image.width * scale, height: image.height * scale };
+};
+
+// The file is localised as a whole, rather than each of its properties,
+// so the url of one locale never gets mixed with the size of another.
+const fileField = <A>(
+  locale: string,
+  keys: Array<string>,
+  decoder: Decoder<A>
+): Decoder<A> =>
+  decode.at(["fields", "file"], localised(locale, decode.at(keys, decoder)));
 
 export const decodeImageDetails = (locale: string): Decoder<ImageDetails> =>
   decode.shape({
@@ -24,14 +89,8 @@ export const decodeImageDetails = (locale: string): Decoder<ImageDetails> =>
     revision: decode.at(["sys", "revision"], decode.number),
     uri: decode.map(
       value => `https:${value}`,
-      decode.at(["fields", "file", locale, "url"], decode.string)
-    ),
-    height: decode.at(
-      ["fields", "file", locale, "details", "image", "height"],
-      decode.number
+      fileField(locale, ["url"], decode.string)
     ),
-    width: decode.at(
-      ["fields", "file", locale, "details", "image", "width"],
-      decode.number
-    )
+    height: fileField(locale, ["details", "image", "height"], decode.number),
+    width: fileField(locale, ["details", "image", "width"], decode.number)
   });
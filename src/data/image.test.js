@@ -1,24 +1,8 @@
 // @flow
-import type { ImageDetails } from "./image";
-import {
-  generateImageDetails,
-  generateCMSImage,
-  sampleOne
-} from "./__test-data";
-import { decodeImageDetails, getImageDetails } from "./image";
+import { generateCMSImage, sampleOne } from "./__test-data";
+import { decodeImageDetails, fitWidthTransform, imageUri } from "./image";
 
 describe("image", () => {
-  describe("getImageDetails", () => {
-    it("returns the correct imageDetails", () => {
-      const imageDetails: ImageDetails = sampleOne(generateImageDetails);
-      const getter = getImageDetails({
-        [imageDetails.id]: imageDetails
-      });
-
-      expect(getter(imageDetails.id)).toEqual(imageDetails);
-    });
-  });
-
   describe("decodeImageDetails", () => {
     it("correctly decodes valid CMS image", () => {
       const data: mixed = sampleOne(generateCMSImage);
@@ -41,5 +25,99 @@ describe("image", () => {
       const decoded = decodeImageDetails("en-GB")(data);
       expect(decoded.ok).toEqual(false);
     });
+
+    it("uses the en-GB file when the locale has no file of its own", () => {
+      const data: mixed = {
+        fields: {
+          file: {
+            "en-GB": {
+              url: "//localhost/image.jpg",
+              details: { image: { height: 100, width: 200 } }
+            }
+          }
+        },
+        sys: {
+          id: "3O3SZPgYl2MUEWu2MoK2oi",
+          revision: 1
+        }
+      };
+
+      const decoded = decodeImageDetails("cy-GB")(data);
+      expect(decoded).toEqual({
+        ok: true,
+        value: {
+          id: "3O3SZPgYl2MUEWu2MoK2oi",
+          revision: 1,
+          uri: "https://localhost/image.jpg",
+          height: 100,
+          width: 200
+        }
+      });
+    });
+  });
+});
+
+describe("imageUri", () => {
+  const image = {
+    id: "a",
+    revision: 1,
+    uri: "https://images.ctfassets.net/a.jpg",
+    width: 1200,
+    height: 800
+  };
+
+  it("adds the size to the url", () => {
+    expect(imageUri(image, { width: 300, height: 200 })).toBe(
+      "https://images.ctfassets.net/a.jpg?w=300&h=200"
+    );
+  });
+
+  it("adds the fit, format and quality to the url", () => {
+    expect(
+      imageUri(image, {
+        width: 300,
+        height: 200,
+        fit: "fill",
+        format: "jpg",
+        quality: 80
+      })
+    ).toBe(
+      "https://images.ctfassets.net/a.jpg?w=300&h=200&fit=fill&fm=jpg&q=80"
+    );
+  });
+
+  it("keeps sizes within what the Images API allows", () => {
+    expect(imageUri(image, { width: 4500.5, height: 0.4 })).toBe(
+      "https://images.ctfassets.net/a.jpg?w=4000&h=1"
+    );
+  });
+
+  it("leaves images cached on the device alone", () => {
+    const cached = { ...image, uri: "file:///caches/images/a-1.jpg" };
+
+    expect(imageUri(cached, { width: 300, height: 200 })).toBe(
+      "file:///caches/images/a-1.jpg"
+    );
+  });
+});
+
+describe("fitWidthTransform", () => {
+  const image = {
+    id: "a",
+    revision: 1,
+    uri: "https://images.ctfassets.net/a.jpg",
+    width: 1200,
+    height: 800
+  };
+
+  it("scales wide images down to the width", () => {
+    expect(fitWidthTransform(image, 600)).toEqual({ width: 600, height: 400 });
+  });
+
+  it("keeps the size of narrower images", () => {
+    expect(fitWidthTransform(image, 2000)).toEqual({
+      width: 1200,
+      height: 800
+    });
   });
 });
@@ -1,2 +1,51 @@
 // @flow
-export default "en-GB";
+import * as decode from "../lib/decode";
+import type { Decoder } from "../lib/decode";
+import type { Maybe } from "../lib/maybe";
+import * as maybe from "../lib/maybe";
+
+export const defaultLocale = "en-GB";
+
+export const supportedLocales = ["en-GB", "cy-GB", "es-ES", "pl-PL"];
+
+// The list of locales we read a field from, in order of preference.
+// Every locale falls back to the default locale, as that is the one
+// editors are required to fill in.
+export const localeChain = (locale: string): Array<string> =>
+  locale === defaultLocale ? [locale] : [locale, defaultLocale];
+
+export const localised = <A>(locale: string, decoder: Decoder<A>): Decoder<A> =>
+  decode.firstField(localeChain(locale), decoder);
+
+export const localisedField = <A>(
+  locale: string,
+  field: string,
+  decoder: Decoder<A>
+): Decoder<A> => decode.field(field, localised(locale, decoder));
+
+// Optional fields may be missing entirely, or be present without a value
+// for any locale in the chain. Both are treated as no value.
+export const maybeLocalisedField = <A>(
+  locale: string,
+  field: string,
+  decoder: Decoder<A>
+): Decoder<Maybe<A>> => {
+  const optional = decode.maybe(decoder);
+  return decode.field(
+    field,
+    (v: mixed) => (v == null ? optional(v) : localised(locale, optional)(v))
+  );
+};
+
+export const maybeLocalisedFieldWithDefault = <A>(
+  locale: string,
+  field: string,
+  decoder: Decoder<A>,
+  defaultValue: A
+): Decoder<A> =>
+  decode.map(
+    maybe.withDefault(defaultValue),
+    maybeLocalisedField(locale, field, decoder)
+  );
+
+export default defaultLocale;
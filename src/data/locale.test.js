@@ -1,8 +1,112 @@
 // @flow
-import locale from "./locale";
+import * as decode from "../lib/decode";
+import locale, {
+  defaultLocale,
+  localeChain,
+  localisedField,
+  maybeLocalisedField,
+  maybeLocalisedFieldWithDefault
+} from "./locale";
 
 describe("locale.js", () => {
   it("locale exprts en-GB", () => {
     expect(locale).toBe("en-GB");
   });
+
+  it("uses en-GB as the default locale", () => {
+    expect(defaultLocale).toBe("en-GB");
+  });
+});
+
+describe("localeChain", () => {
+  it("falls back to the default locale", () => {
+    expect(localeChain("cy-GB")).toEqual(["cy-GB", "en-GB"]);
+  });
+
+  it("does not repeat the default locale", () => {
+    expect(localeChain("en-GB")).toEqual(["en-GB"]);
+  });
+});
+
+describe("localisedField", () => {
+  it("decodes the requested locale", () => {
+    const input: mixed = { name: { "en-GB": "Hello", "cy-GB": "Helo" } };
+
+    const result = localisedField("cy-GB", "name", decode.string)(input);
+
+    expect(result).toEqual({ ok: true, value: "Helo" });
+  });
+
+  it("falls back to the default locale when a translation is missing", () => {
+    const input: mixed = { name: { "en-GB": "Hello" } };
+
+    const result = localisedField("cy-GB", "name", decode.string)(input);
+
+    expect(result).toEqual({ ok: true, value: "Hello" });
+  });
+
+  it("fails when no locale in the chain has a value", () => {
+    const input: mixed = { name: { "es-ES": "Hola" } };
+
+    const result = localisedField("cy-GB", "name", decode.string)(input);
+
+    expect(result.ok).toBe(false);
+  });
+});
+
+describe("maybeLocalisedField", () => {
+  it("decodes the requested locale", () => {
+    const input: mixed = { city: { "en-GB": "London", "cy-GB": "Llundain" } };
+
+    const result = maybeLocalisedField("cy-GB", "city", decode.string)(input);
+
+    expect(result).toEqual({ ok: true, value: "Llundain" });
+  });
+
+  it("falls back to the default locale when a translation is missing", () => {
+    const input: mixed = { city: { "en-GB": "London" } };
+
+    const result = maybeLocalisedField("cy-GB", "city", decode.string)(input);
+
+    expect(result).toEqual({ ok: true, value: "London" });
+  });
+
+  it("succeeds with no value when the field is missing", () => {
+    const input: mixed = {};
+
+    const result = maybeLocalisedField("cy-GB", "city", decode.string)(input);
+
+    expect(result).toEqual({ ok: true, value: null });
+  });
+
+  it("succeeds with no value when no locale in the chain has a value", () => {
+    const input: mixed = { city: { "es-ES": "Londres" } };
+
+    const result = maybeLocalisedField("cy-GB", "city", decode.string)(input);
+
+    expect(result).toEqual({ ok: true, value: null });
+  });
+
+  it("fails when the value has the wrong type", () => {
+    const input: mixed = { city: { "cy-GB": 1, "en-GB": "London" } };
+
+    const result = maybeLocalisedField("cy-GB", "city", decode.string)(input);
+
+    expect(result.ok).toBe(false);
+  });
+});
+
+describe("maybeLocalisedFieldWithDefault", () => {
+  it("uses the default value when the field is missing", () => {
+    const input: mixed = {};
+
+    const result = maybeLocalisedFieldWithDefault(
+      "cy-GB",
+      "audience",
+      decode.array(decode.string),
+      []
+    )(input);
+
+    expect(result).toEqual({ ok: true, value: [] });
+  });
 });
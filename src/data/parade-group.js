@@ -2,6 +2,7 @@
 import * as decode from "../lib/decode";
 import type { Decoder } from "../lib/decode";
 import type { Maybe } from "../lib/maybe";
+import { localisedField, maybeLocalisedField as maybeField } from "./locale";
 
 export type ParadeGroup = {
   // important to keep this at the top level so type refinement works
@@ -17,13 +18,6 @@ export type ParadeGroup = {
   }
 };
 
-const maybeField = <A>(
-  locale: string,
-  field: string,
-  decoder: Decoder<A>
-): Decoder<Maybe<A>> =>
-  decode.field(field, decode.maybe(decode.field(locale, decoder)));
-
 const decodeParadeGroup = (locale: string): Decoder<ParadeGroup> =>
   decode.shape({
     contentType: decode.at(
@@ -36,7 +30,7 @@ const decodeParadeGroup = (locale: string): Decoder<ParadeGroup> =>
     fields: decode.field(
       "fields",
       decode.shape({
-        name: decode.at(["name", locale], decode.string),
+        name: localisedField(locale, "name", decode.string),
         facebookUrl: maybeField(locale, "facebookUrl", decode.string),
         twitterUrl: maybeField(locale, "twitterUrl", decode.string),
         websiteUrl: maybeField(locale, "websiteUrl", decode.string)
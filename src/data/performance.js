@@ -1,6 +1,9 @@
 // @flow
+import { parse as parseDate } from "../lib/date";
+import type { DateTime } from "../lib/date";
 import * as decode from "../lib/decode";
 import type { Decoder } from "../lib/decode";
+import { localisedField } from "./locale";
 
 export type Performances = {
   [id: string]: Performance
@@ -14,7 +17,9 @@ export type Performance = {
   revision: number,
   fields: {
     title: string,
-    startTime: string
+    startTime: string,
+    // Parsed when decoding, for sorting
+    startDateTime: DateTime
   }
 };
 
@@ -29,10 +34,13 @@ const decodePerformance = (locale: string): Decoder<Performance> =>
     revision: decode.at(["sys", "revision"], decode.number),
     fields: decode.field(
       "fields",
-      decode.shape({
-        title: decode.at(["title", locale], decode.string),
-        startTime: decode.at(["startTime", locale], decode.string)
-      })
+      decode.map(
+        fields => ({ ...fields, startDateTime: parseDate(fields.startTime) }),
+        decode.shape({
+          title: localisedField(locale, "title", decode.string),
+          startTime: localisedField(locale, "startTime", decode.string)
+        })
+      )
     )
   });
 
@@ -0,0 +1,176 @@
+// @flow
+import R from "ramda";
+import type { Event, Events, SavedEvents } from "./event";
+import { entryIdOf } from "./event";
+import { defaultLocale } from "./locale";
+import { compareAsc } from "../lib/date";
+
+// What we remember of a saved event, to tell the user when it changes
+export type EventSnapshot = {
+  revision: number,
+  name: string,
+  startTime: string,
+  endTime: string,
+  locationName: string,
+  // The locale the name and venue are in. Snapshots taken before the
+  // content language could be switched have none, and are in the
+  // default locale.
+  locale?: string
+};
+
+export type ChangedField = "startTime" | "endTime" | "locationName";
+
+export type SavedEventChange = {
+  id: string,
+  // The event as it was before it changed
+  previous: EventSnapshot,
+  // The event as it is now, or null when it was cancelled
+  current: ?EventSnapshot,
+  changedFields: ChangedField[],
+  // When the change was noticed
+  time: string
+};
+
+export type SavedEventChangeLog = {
+  // The saved events as they were when we last looked at them
+  snapshots: { [id: string]: EventSnapshot },
+  changes: SavedEventChange[]
+};
+
+export const emptyChangeLog: SavedEventChangeLog = {
+  snapshots: {},
+  changes: []
+};
+
+export const toSnapshot = (event: Event): EventSnapshot => ({
+  revision: event.revision,
+  name: event.fields.name,
+  startTime: event.fields.startTime,
+  endTime: event.fields.endTime,
+  locationName: event.fields.locationName,
+  locale: event.locale
+});
+
+const localeOf = (snapshot: EventSnapshot): string =>
+  snapshot.locale || defaultLocale;
+
+// A venue in another language than before may well be the same venue,
+// so venues are only compared in the same locale
+const fieldChanged = (
+  previous: EventSnapshot,
+  current: EventSnapshot,
+  field: ChangedField
+): boolean =>
+  field === "locationName"
+    ? localeOf(previous) === localeOf(current) &&
+      previous[field] !== current[field]
+    : compareAsc(previous[field], current[field]) !== 0;
+
+const changedFields = (
+  previous: EventSnapshot,
+  current: EventSnapshot
+): ChangedField[] =>
+  ["startTime", "endTime", "locationName"].filter(field =>
+    fieldChanged(previous, current, field)
+  );
+
+// An event which changes again is compared with how it was before its
+// first change, so that there is only ever one change per event and
+// changes which are undone disappear.
+const recordChange = (
+  changes: SavedEventChange[],
+  id: string,
+  previous: EventSnapshot,
+  current: ?EventSnapshot,
+  time: string
+): SavedEventChange[] => {
+  const existing = changes.find(change => change.id === id);
+  const original = existing ? existing.previous : previous;
+  const fields = current ? changedFields(original, current) : [];
+  const others = changes.filter(change => change.id !== id);
+  if (current && fields.length === 0) {
+    return others;
+  }
+  return [
+    ...others,
+    { id, previous: original, current, changedFields: fields, time }
+  ];
+};
+
+const trackEvent = (
+  events: Events,
+  knownEntryIds: Set<string>,
+  time: string
+) => (
+  log: SavedEventChangeLog,
+  [id, previous]: [string, ?EventSnapshot]
+): SavedEventChangeLog => {
+  const event = events[id];
+  if (!event && knownEntryIds.has(entryIdOf(id))) {
+    // The entry is still there, but could not be decoded, or it is a
+    // recurrence which moved to another date and so got another id.
+    // Neither means the event was cancelled, so we keep what we know
+    // of it and say nothing.
+    return previous
+      ? { ...log, snapshots: { ...log.snapshots, [id]: previous } }
+      : log;
+  }
+  if (!event) {
+    // The event was deleted. It is forgotten, so the change is only
+    // recorded once.
+    return previous
+      ? {
+          ...log,
+          changes: recordChange(log.changes, id, previous, null, time)
+        }
+      : log;
+  }
+
+  if (previous && previous.revision === event.revision) {
+    // Nothing changed, but the content may be shown in another language
+    // now, which the snapshot is kept in so venues can be compared
+    const snapshot =
+      localeOf(previous) === event.locale ? previous : toSnapshot(event);
+    return { ...log, snapshots: { ...log.snapshots, [id]: snapshot } };
+  }
+
+  const current = toSnapshot(event);
+  const cancelled = log.changes.find(
+    change => change.id === id && !change.current
+  );
+  const before = previous || (cancelled && cancelled.previous);
+  return {
+    snapshots: { ...log.snapshots, [id]: current },
+    changes: before
+      ? recordChange(log.changes, id, before, current, time)
+      : log.changes
+  };
+};
+
+/**
+ * Compares the saved events with the snapshots taken the last time we
+ * looked, and records how their time and venue changed, or whether
+ * they were cancelled. Only events with a new revision are compared.
+ * A missing event only counts as cancelled when its entry is gone too,
+ * and not when the entry is among the rejectedEntryIds, which could not
+ * be decoded. Returns the same log when nothing changed.
+ */
+export const trackSavedEventChanges = (
+  log: SavedEventChangeLog,
+  savedEvents: SavedEvents,
+  events: Events,
+  rejectedEntryIds: Set<string>,
+  time: string
+): SavedEventChangeLog => {
+  const knownEntryIds = new Set([
+    ...rejectedEntryIds,
+    ...Object.keys(events).map(entryIdOf)
+  ]);
+  const tracked = Array.from(savedEvents.values())
+    .map(id => [id, log.snapshots[id]])
+    .reduce(trackEvent(events, knownEntryIds, time), {
+      snapshots: {},
+      changes: log.changes.filter(change => savedEvents.has(change.id))
+    });
+  return R.equals(tracked, log) ? log : tracked;
+};
@@ -0,0 +1,239 @@
+// @flow
+import { generateEvent, sampleOne } from "./__test-data";
+import {
+  emptyChangeLog,
+  toSnapshot,
+  trackSavedEventChanges
+} from "./saved-event-changes";
+
+const time = "2018-07-08T12:00+01:00";
+
+const event = (id: string, revision: number, fields: Object = {}) => {
+  const generated = sampleOne(generateEvent);
+  return {
+    ...generated,
+    id,
+    revision,
+    fields: {
+      ...generated.fields,
+      name: `Event ${id}`,
+      startTime: "2018-07-09T11:00+01:00",
+      endTime: "2018-07-09T18:00+01:00",
+      locationName: "Vauxhall Pleasure Gardens",
+      ...fields
+    }
+  };
+};
+
+const track = (log, savedIds: string[], events, rejectedIds = []) =>
+  trackSavedEventChanges(
+    log,
+    new Set(savedIds),
+    events.reduce((acc, e) => ({ ...acc, [e.id]: e }), {}),
+    new Set(rejectedIds),
+    time
+  );
+
+describe("trackSavedEventChanges", () => {
+  it("takes snapshots of newly saved events", () => {
+    const original = event("1", 1);
+
+    const log = track(emptyChangeLog, ["1"], [original]);
+
+    expect(log).toEqual({
+      snapshots: { "1": toSnapshot(original) },
+      changes: []
+    });
+  });
+
+  it("returns the same log when nothing changed", () => {
+    const original = event("1", 1);
+    const log = track(emptyChangeLog, ["1"], [original]);
+
+    expect(track(log, ["1"], [original])).toBe(log);
+  });
+
+  it("records changes to the time and venue", () => {
+    const original = event("1", 1);
+    const updated = event("1", 2, {
+      startTime: "2018-07-09T12:00+01:00",
+      locationName: "Brockwell Park"
+    });
+    const log = track(emptyChangeLog, ["1"], [original]);
+
+    const tracked = track(log, ["1"], [updated]);
+
+    expect(tracked.changes).toEqual([
+      {
+        id: "1",
+        previous: toSnapshot(original),
+        current: toSnapshot(updated),
+        changedFields: ["startTime", "locationName"],
+        time
+      }
+    ]);
+    expect(tracked.snapshots["1"]).toEqual(toSnapshot(updated));
+  });
+
+  it("ignores new revisions which do not change the time or venue", () => {
+    const original = event("1", 1);
+    const updated = event("1", 2, { name: "Renamed" });
+    const log = track(emptyChangeLog, ["1"], [original]);
+
+    const tracked = track(log, ["1"], [updated]);
+
+    expect(tracked.changes).toEqual([]);
+    expect(tracked.snapshots["1"].revision).toBe(2);
+  });
+
+  it("ignores times written in another time zone", () => {
+    const original = event("1", 1);
+    const updated = event("1", 2, { startTime: "2018-07-09T10:00Z" });
+    const log = track(emptyChangeLog, ["1"], [original]);
+
+    expect(track(log, ["1"], [updated]).changes).toEqual([]);
+  });
+
+  it("does not compare venues in different languages", () => {
+    const original = event("1", 1);
+    const translated = {
+      ...event("1", 2, { locationName: "Gerddi Pleser Vauxhall" }),
+      locale: "cy-GB"
+    };
+    const log = track(emptyChangeLog, ["1"], [original]);
+
+    const tracked = track(log, ["1"], [translated]);
+
+    expect(tracked.changes).toEqual([]);
+    expect(tracked.snapshots["1"]).toEqual(toSnapshot(translated));
+  });
+
+  it("keeps the snapshot in the language the content is shown in", () => {
+    const original = event("1", 1);
+    const translated = {
+      ...event("1", 1, { locationName: "Gerddi Pleser Vauxhall" }),
+      locale: "cy-GB"
+    };
+    const moved = {
+      ...event("1", 2, { locationName: "Parc Brockwell" }),
+      locale: "cy-GB"
+    };
+    const log = track(emptyChangeLog, ["1"], [original]);
+
+    const switched = track(log, ["1"], [translated]);
+    expect(switched.snapshots["1"]).toEqual(toSnapshot(translated));
+
+    expect(track(switched, ["1"], [moved]).changes).toEqual([
+      {
+        id: "1",
+        previous: toSnapshot(translated),
+        current: toSnapshot(moved),
+        changedFields: ["locationName"],
+        time
+      }
+    ]);
+  });
+
+  it("compares venues with snapshots taken before they had a locale", () => {
+    const snapshot = {
+      revision: 1,
+      name: "Event 1",
+      startTime: "2018-07-09T11:00+01:00",
+      endTime: "2018-07-09T18:00+01:00",
+      locationName: "Vauxhall Pleasure Gardens"
+    };
+    const updated = event("1", 2, { locationName: "Brockwell Park" });
+    const log = { snapshots: { "1": snapshot }, changes: [] };
+
+    expect(track(log, ["1"], [updated]).changes).toEqual([
+      {
+        id: "1",
+        previous: snapshot,
+        current: toSnapshot(updated),
+        changedFields: ["locationName"],
+        time
+      }
+    ]);
+  });
+
+  it("records deleted events as cancelled", () => {
+    const original = event("1", 1);
+    const log = track(emptyChangeLog, ["1"], [original]);
+
+    const tracked = track(log, ["1"], []);
+
+    expect(tracked).toEqual({
+      snapshots: {},
+      changes: [
+        {
+          id: "1",
+          previous: toSnapshot(original),
+          current: null,
+          changedFields: [],
+          time
+        }
+      ]
+    });
+    expect(track(tracked, ["1"], [])).toBe(tracked);
+  });
+
+  it("does not record events which could not be decoded as cancelled", () => {
+    const original = event("1", 1);
+    const log = track(emptyChangeLog, ["1"], [original]);
+
+    const rejected = track(log, ["1"], [], ["1"]);
+
+    expect(rejected).toEqual(log);
+    const fixed = event("1", 2, { startTime: "2018-07-09T12:00+01:00" });
+    expect(track(rejected, ["1"], [fixed]).changes).toEqual([
+      {
+        id: "1",
+        previous: toSnapshot(original),
+        current: toSnapshot(fixed),
+        changedFields: ["startTime"],
+        time
+      }
+    ]);
+  });
+
+  it("does not record recurrences which moved to another date as cancelled", () => {
+    const original = event("1-recurrence-10/07/2018", 1);
+    const log = track(emptyChangeLog, [original.id], [original]);
+
+    const moved = event("1-recurrence-11/07/2018", 2);
+    const tracked = track(log, [original.id], [moved]);
+
+    expect(tracked).toEqual(log);
+  });
+
+  it("keeps one change per event, compared with how it was first", () => {
+    const original = event("1", 1);
+    const moved = event("1", 2, { startTime: "2018-07-09T12:00+01:00" });
+    const movedBack = event("1", 3);
+    const log = track(emptyChangeLog, ["1"], [original]);
+
+    const once = track(log, ["1"], [moved]);
+    const twice = track(once, ["1"], [movedBack]);
+
+    expect(once.changes).toHaveLength(1);
+    expect(twice.changes).toEqual([]);
+  });
+
+  it("forgets a cancellation when the event comes back unchanged", () => {
+    const original = event("1", 1);
+    const log = track(emptyChangeLog, ["1"], [original]);
+    const cancelled = track(log, ["1"], []);
+
+    const restored = track(cancelled, ["1"], [event("1", 2)]);
+
+    expect(restored.changes).toEqual([]);
+  });
+
+  it("forgets about events which are no longer saved", () => {
+    const original = event("1", 1);
+    const log = track(emptyChangeLog, ["1"], [original]);
+    const cancelled = track(log, ["1"], []);
+
+    expect(track(cancelled, [], [])).toEqual(emptyChangeLog);
+  });
+});
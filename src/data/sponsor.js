@@ -1,6 +1,7 @@
 // @flow
 import * as decode from "../lib/decode";
 import type { Decoder } from "../lib/decode";
+import { localisedField } from "./locale";
 import type { FieldRef } from "./field-ref";
 import decodeFieldRef from "./field-ref";
 
@@ -39,10 +40,14 @@ const decodeSponsor = (locale: string): Decoder<Sponsor> =>
     fields: decode.field(
       "fields",
       decode.shape({
-        sponsorName: decode.at(["sponsorName", locale], decode.string),
-        sponsorLogo: decode.at(["sponsorLogo", locale], decodeFieldRef),
-        sponsorUrl: decode.at(["sponsorUrl", locale], decode.string),
-        sponsorLevel: decode.at(["sponsorLevel", locale], sponsorLevelDecoder)
+        sponsorName: localisedField(locale, "sponsorName", decode.string),
+        sponsorLogo: localisedField(locale, "sponsorLogo", decodeFieldRef),
+        sponsorUrl: localisedField(locale, "sponsorUrl", decode.string),
+        sponsorLevel: localisedField(
+          locale,
+          "sponsorLevel",
+          sponsorLevelDecoder
+        )
       })
     )
   });
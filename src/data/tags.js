@@ -1,7 +1,6 @@
 // @flow
 import type {
   Area,
-  Price,
   Audience,
   VenueDetail,
   AccessibilityOption
@@ -9,7 +8,6 @@ import type {
 
 type Tags = {
   area: Area[],
-  price: Price[],
   audience: Audience[],
   venueDetails: VenueDetail[],
   accessibilityOptions: AccessibilityOption[]
@@ -17,7 +15,6 @@ type Tags = {
 
 const tags: Tags = {
   area: ["Central", "East", "North", "South", "West"],
-  price: ["free"],
   audience: ["Families", "Youth", "16+", "18+"],
   timeOfDay: ["morning", "afternoon", "evening"],
   venueDetails: ["Gender neutral toilets", "Indoors", "Outdoors"],
@@ -1,7 +1,7 @@
 // @flow
 import "core-js/modules/es7.string.pad-start";
 import React, { Component } from "react";
-import { AppState, UIManager, YellowBox } from "react-native";
+import { AppState, Linking, NetInfo, UIManager, YellowBox } from "react-native";
 import { createStore, applyMiddleware } from "redux";
 import { Provider } from "react-redux";
 import thunk from "redux-thunk";
@@ -10,9 +10,24 @@ import Config from "react-native-config";
 import { Client, Configuration } from "bugsnag-react-native";
 
 import analytics from "./integrations/analytics";
+import reportRejections from "./integrations/bugsnag";
+import prefetchImages from "./integrations/image-prefetch";
+import { parsePreviewLink } from "./integrations/preview";
+import trackSavedEvents from "./integrations/saved-event-tracker";
 import reducers from "./reducers";
 import { init } from "./actions";
-import { getData, backgroundRefreshData } from "./actions/data";
+import {
+  getData,
+  backgroundRefreshData,
+  cmsSyncScheduler,
+  loadLocale
+} from "./actions/data";
+import { updateClock } from "./actions/clock";
+import { loadCachedImages } from "./actions/image-cache";
+import { restorePreview, startPreview } from "./actions/preview";
+import { loadEventFilters } from "./actions/event-filters";
+import { loadEventSortOrder } from "./actions/event-sort";
+import { loadSavedEventChanges } from "./actions/saved-event-changes";
 import { loadSavedEvents } from "./actions/saved-events";
 import { navigate } from "./actions/navigation";
 import App from "./App";
@@ -23,7 +38,10 @@ bugsnagConfiguration.releaseStage = Config.RELEASE_STAGE
   : "dev";
 // Only send reports for releases from master branch
 bugsnagConfiguration.notifyReleaseStages = ["beta", "release"];
-const bugsnag = new Client(bugsnagConfiguration); // eslint-disable-line no-unused-vars
+const bugsnag = new Client(bugsnagConfiguration);
+
+// Reports failures which nothing else handles, the app carries on
+const reportError = (error: Error) => bugsnag.notify(error);
 
 // https://github.com/react-navigation/react-navigation/issues/3956#issuecomment-380648083
 YellowBox.ignoreWarnings([
@@ -37,28 +55,93 @@ if (UIManager.setLayoutAnimationEnabledExperimental) {
 
 const store = createStore(
   reducers,
-  composeWithDevTools(applyMiddleware(thunk, analytics))
+  composeWithDevTools(
+    applyMiddleware(
+      thunk,
+      analytics,
+      reportRejections(bugsnag),
+      prefetchImages(),
+      trackSavedEvents()
+    )
+  )
 );
 
 const handleNavigationChange = navigate(store.dispatch);
 
 const handleAppStateChange = () => {
-  if (AppState.currentState === "active")
+  if (AppState.currentState === "active") {
+    store.dispatch(updateClock());
     store.dispatch(backgroundRefreshData());
+  }
+};
+
+// How often we check whether scheduled content is due to be shown or
+// hidden. Android warns about timers longer than a minute.
+const CLOCK_INTERVAL = 60 * 1000;
+
+// Content bundled with the app (or cached while offline) is brought
+// up to date as soon as we get a connection. Failed syncs are not
+// retried while we are offline. This only listens once the content has
+// been loaded at launch, as a sync running alongside could overwrite it
+// with older content, or mix the published content with drafts.
+const handleConnectivityChange = (isConnected: boolean) => {
+  cmsSyncScheduler.setConnected(isConnected);
+  if (isConnected) store.dispatch(backgroundRefreshData());
+};
+
+// Editors open preview links to see their drafts in the app
+const handleUrl = (url: ?string): Promise<mixed> => {
+  const link = parsePreviewLink(url);
+  return link ? store.dispatch(startPreview(link.token)) : Promise.resolve();
+};
+
+const handleOpenUrl = ({ url }: { url: string }) => {
+  handleUrl(url).catch(reportError);
 };
 
 class AppWrapper extends Component<{}> {
   componentDidMount() {
+    this.clockInterval = setInterval(
+      () => store.dispatch(updateClock()),
+      CLOCK_INTERVAL
+    );
     store.dispatch(init());
-    store.dispatch(getData());
+    store.dispatch(loadLocale());
+    // Content is loaded from the preview cache when the app was closed
+    // in preview mode.
+    store
+      .dispatch(restorePreview())
+      .then(() => store.dispatch(getData()))
+      .then(() =>
+        NetInfo.isConnected.addEventListener(
+          "connectionChange",
+          handleConnectivityChange
+        )
+      )
+      .then(() => Linking.getInitialURL())
+      .then(handleUrl)
+      .catch(reportError);
     store.dispatch(loadSavedEvents());
+    store.dispatch(loadSavedEventChanges());
+    store.dispatch(loadEventFilters());
+    store.dispatch(loadEventSortOrder());
+    store.dispatch(loadCachedImages()).catch(reportError);
     AppState.addEventListener("change", handleAppStateChange);
+    Linking.addEventListener("url", handleOpenUrl);
   }
 
   componentWillUnmount() {
+    clearInterval(this.clockInterval);
     AppState.removeEventListener("change", handleAppStateChange);
+    Linking.removeEventListener("url", handleOpenUrl);
+    NetInfo.isConnected.removeEventListener(
+      "connectionChange",
+      handleConnectivityChange
+    );
   }
 
+  clockInterval: IntervalID;
+
   render() {
     return (
       <Provider store={store}>
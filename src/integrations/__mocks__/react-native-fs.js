@@ -0,0 +1,11 @@
+const RNFS = {
+  CachesDirectoryPath: "/caches",
+  exists: jest.fn(() => Promise.resolve(true)),
+  mkdir: jest.fn(() => Promise.resolve()),
+  unlink: jest.fn(() => Promise.resolve()),
+  downloadFile: jest.fn(() => ({
+    promise: Promise.resolve({ statusCode: 200, bytesWritten: 0 })
+  }))
+};
+
+export default RNFS;
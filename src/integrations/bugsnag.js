@@ -0,0 +1,71 @@
+// @flow
+import R from "ramda";
+import type { State } from "../reducers";
+import type { Rejection } from "../reducers/data";
+
+// The parts of the bugsnag-react-native Client we rely on
+type Report = {
+  addMetadata: (section: string, key: string, value: mixed) => void
+};
+
+export type BugsnagClient = {
+  leaveBreadcrumb: (name: string, metadata: { [string]: mixed }) => void,
+  config: {
+    registerBeforeSendCallback: ((report: Report) => mixed) => void
+  }
+};
+
+type Store = {
+  +getState: () => State
+};
+
+// Breadcrumbs are meant to be small, so they only list the first few
+// rejected entries. The full list is attached to error reports.
+const BREADCRUMB_REJECTIONS = 10;
+
+export const describeRejection = (rejection: Rejection): string =>
+  `${rejection.contentType} ${rejection.id}: ${rejection.reason}`;
+
+const breadcrumbMetadata = (rejections: Array<Rejection>) =>
+  rejections.slice(0, BREADCRUMB_REJECTIONS).reduce(
+    (acc, rejection, index) => {
+      // intentional mutation as this happens in a reduce
+      acc[`rejection ${index + 1}`] = describeRejection(rejection);
+      return acc;
+    },
+    { type: "state", count: rejections.length }
+  );
+
+// Reports CMS entries which could not be decoded, and so never show up
+// in the app. A breadcrumb is left whenever the list changes, and the
+// latest list is attached to every error report.
+const reportRejections = (client: BugsnagClient) => {
+  let reported: Array<Rejection> = [];
+
+  client.config.registerBeforeSendCallback(report => {
+    if (reported.length > 0) {
+      report.addMetadata(
+        "cms",
+        "rejectedEntries",
+        reported.map(describeRejection)
+      );
+    }
+  });
+
+  return (store: Store) => (next: Object => mixed) => (action: Object) => {
+    const result = next(action);
+    const { rejections } = store.getState().data;
+    if (!R.equals(rejections, reported)) {
+      reported = rejections;
+      if (rejections.length > 0) {
+        client.leaveBreadcrumb(
+          "CMS entries rejected",
+          breadcrumbMetadata(rejections)
+        );
+      }
+    }
+    return result;
+  };
+};
+
+export default reportRejections;
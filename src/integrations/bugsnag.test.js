@@ -0,0 +1,86 @@
+// @flow
+import reportRejections from "./bugsnag";
+
+const rejection = {
+  id: "1",
+  contentType: "event",
+  reason: "fields.eventPriceLow.en-GB: value is not a number"
+};
+
+const createMockClient = () => {
+  const callbacks = [];
+  return {
+    leaveBreadcrumb: jest.fn(),
+    config: {
+      registerBeforeSendCallback: jest.fn(callback => {
+        callbacks.push(callback);
+      })
+    },
+    callbacks
+  };
+};
+
+const createMockStore = rejections => ({
+  // $FlowFixMe
+  getState: () => ({ data: { rejections } })
+});
+
+describe("reportRejections middleware", () => {
+  it("behaves like a redux middleware", () => {
+    const mockNext = jest.fn(() => "result");
+    const action = { type: "RECEIVE_CMS_DATA" };
+
+    const result = reportRejections(createMockClient())(createMockStore([]))(
+      mockNext
+    )(action);
+
+    expect(mockNext).toBeCalledWith(action);
+    expect(result).toBe("result");
+  });
+
+  it("leaves a breadcrumb when entries are rejected", () => {
+    const client = createMockClient();
+    const middleware = reportRejections(client)(createMockStore([rejection]));
+
+    middleware(jest.fn())({ type: "RECEIVE_CMS_DATA" });
+
+    expect(client.leaveBreadcrumb).toBeCalledWith("CMS entries rejected", {
+      type: "state",
+      count: 1,
+      "rejection 1":
+        "event 1: fields.eventPriceLow.en-GB: value is not a number"
+    });
+  });
+
+  it("only leaves a breadcrumb when the rejections change", () => {
+    const client = createMockClient();
+    const middleware = reportRejections(client)(createMockStore([rejection]));
+
+    middleware(jest.fn())({ type: "RECEIVE_CMS_DATA" });
+    middleware(jest.fn())({ type: "RECEIVE_CMS_DATA" });
+
+    expect(client.leaveBreadcrumb).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not leave a breadcrumb when nothing was rejected", () => {
+    const client = createMockClient();
+    const middleware = reportRejections(client)(createMockStore([]));
+
+    middleware(jest.fn())({ type: "RECEIVE_CMS_DATA" });
+
+    expect(client.leaveBreadcrumb).not.toHaveBeenCalled();
+  });
+
+  it("attaches the rejected entries to error reports", () => {
+    const client = createMockClient();
+    const middleware = reportRejections(client)(createMockStore([rejection]));
+    const report = { addMetadata: jest.fn() };
+
+    middleware(jest.fn())({ type: "RECEIVE_CMS_DATA" });
+    client.callbacks.forEach(callback => callback(report));
+
+    expect(report.addMetadata).toBeCalledWith("cms", "rejectedEntries", [
+      "event 1: fields.eventPriceLow.en-GB: value is not a number"
+    ]);
+  });
+});
@@ -1,9 +1,11 @@
 // @flow
 
-import Config from "react-native-config";
-// force contentful SDK to use browser API
-import { createClient } from "contentful/dist/contentful.browser.min";
-import { saveCmsData, loadCmsData } from "./storage";
+import { AsyncStorage } from "react-native";
+import { getContentSource } from "./content-sources";
+import type { ContentSource } from "./content-sources";
+import { saveCmsData, loadCmsData, clearCmsData } from "./storage";
+import seedCmsData from "./seed";
+import { getPreviewToken, previewStorage } from "./preview";
 
 // Eventually this should change to mixed
 export type CmsEntry = {
@@ -24,66 +26,183 @@ export type CmsData = {
   deletedAssets: Object[],
   nextSyncToken: string
 };
+// The entries and assets a delta sync added, changed or deleted
+export type CmsDelta = {
+  previousSyncToken: string,
+  entries: CmsEntry[],
+  deletedEntries: CmsEntry[],
+  assets: Object[],
+  deletedAssets: Object[]
+};
 export type SavedData = {
   entries: CmsEntry[],
   assets: Object[],
   syncToken: string,
-  updated: boolean
+  updated: boolean,
+  // Only present when the data was brought up to date by a delta sync,
+  // so that the changes can be applied without decoding everything again.
+  delta?: CmsDelta,
+  // Set when the data is the snapshot bundled with the app, which is
+  // likely to be out of date.
+  seeded?: boolean
 };
 
-type SyncOpts = {
-  initial: boolean,
-  nextSyncToken?: string
-};
-type Client = {
-  sync: SyncOpts => Promise<CmsData>
+type WithSysId = { +sys: { +id: string } };
+
+const byIdIn = (items: $ReadOnlyArray<WithSysId>) => {
+  const ids = new Set(items.map(item => item.sys.id));
+  return (item: WithSysId) => ids.has(item.sys.id);
 };
 
-const client: Client = createClient({
-  space: Config.CONTENTFUL_SPACE_ID,
-  accessToken: Config.CONTENTFUL_API_KEY
+// Storage corrects entries as it saves them, so the changed entries are
+// taken from what was saved rather than straight from the sync result.
+const toDelta = (
+  previousSyncToken: string,
+  cmsData: CmsData,
+  savedChanges: { entries: CmsEntry[], assets: Object[] }
+): CmsDelta => ({
+  previousSyncToken,
+  entries: savedChanges.entries,
+  deletedEntries: cmsData.deletedEntries,
+  assets: savedChanges.assets,
+  deletedAssets: cmsData.deletedAssets
 });
 
+// Brings the items loaded from the cache up to date with the ones a sync
+// changed or deleted, so that the cache does not need to be read again.
+const applyChanges = <A: WithSysId>(
+  items: A[],
+  changed: A[],
+  deleted: $ReadOnlyArray<WithSysId>
+): A[] => {
+  const isDeleted = byIdIn(deleted);
+  const isStored = byIdIn(items);
+  const changedById: Map<string, A> = new Map(
+    changed.map(item => [item.sys.id, item])
+  );
+  return [
+    ...items
+      .filter(item => !isDeleted(item))
+      .map(item => changedById.get(item.sys.id) || item),
+    ...changed.filter(item => !isStored(item))
+  ];
+};
+
+// Drafts seen in preview mode are cached apart from the published
+// content.
+const cmsStorage = (): AsyncStorage =>
+  getPreviewToken() ? previewStorage : AsyncStorage;
+
+const loadCurrentCmsData = () => loadCmsData(cmsStorage());
+
+const saveCurrentCmsData = (cmsData: CmsData, previousSyncToken?: string) =>
+  saveCmsData(cmsData, cmsStorage(), previousSyncToken);
+
+// The snapshot bundled with the app only holds published content
+const seedCurrentCmsData = async () =>
+  getPreviewToken() ? null : seedCmsData();
+
+/**
+ * Removes the cached content shown right now, which is the drafts
+ * while in preview mode.
+ */
+export const clearCmsCache = () => clearCmsData(cmsStorage());
+
+// Sources which return all of the content every time do not say what
+// was deleted, so anything that was left out counts as deleted.
+const withDeletions = (
+  localCmsData: { entries: CmsEntry[], assets: Object[] },
+  cmsData: CmsData
+): CmsData => {
+  const stillThere = byIdIn([...cmsData.entries, ...cmsData.assets]);
+  return {
+    ...cmsData,
+    deletedEntries: localCmsData.entries.filter(entry => !stillThere(entry)),
+    deletedAssets: localCmsData.assets.filter(asset => !stillThere(asset))
+  };
+};
+
 export const getCmsData = async (
-  loadCmsDataFn: typeof loadCmsData = loadCmsData,
-  updateCmsDataFn: typeof updateCmsData = updateCmsData
+  loadCmsDataFn: typeof loadCmsData = loadCurrentCmsData,
+  updateCmsDataFn: typeof updateCmsData = updateCmsData,
+  seedCmsDataFn: typeof seedCmsData = seedCurrentCmsData
 ): Promise<SavedData> => {
   const localCmsData = await loadCmsDataFn();
-  const hasLocalCmsData = !!localCmsData;
 
-  if (hasLocalCmsData) {
+  if (localCmsData) {
     return { ...localCmsData, updated: false };
   }
 
+  const seededCmsData = await seedCmsDataFn();
+  if (seededCmsData) {
+    return seededCmsData;
+  }
+
   return updateCmsDataFn();
 };
 
 export const updateCmsData = async (
-  loadCmsDataFn: typeof loadCmsData = loadCmsData,
-  saveCmsDataFn: typeof saveCmsData = saveCmsData,
-  clientObj: Client = client
+  loadCmsDataFn: typeof loadCmsData = loadCurrentCmsData,
+  saveCmsDataFn: typeof saveCurrentCmsData = saveCurrentCmsData,
+  contentSource: ContentSource = getContentSource(),
+  clearCmsDataFn: typeof clearCmsCache = clearCmsCache
 ): Promise<SavedData> => {
   const localCmsData = await loadCmsDataFn();
-  const hasLocalCmsData = !!localCmsData;
 
-  const syncOpts = hasLocalCmsData
-    ? {
-        initial: false,
-        nextSyncToken: localCmsData.syncToken,
-        resolveLinks: false
-      }
-    : {
-        initial: true,
-        resolveLinks: false
-      };
+  const syncedCmsData = localCmsData
+    ? await contentSource.sync(localCmsData.syncToken)
+    : await contentSource.initialSync();
+  const cmsData =
+    localCmsData && contentSource.snapshots
+      ? withDeletions(localCmsData, syncedCmsData)
+      : syncedCmsData;
 
-  const cmsData = await clientObj.sync(syncOpts);
+  if (!localCmsData) {
+    const savedCmsData = await saveCmsDataFn(cmsData);
+    return { ...savedCmsData, updated: true };
+  }
 
-  if (hasLocalCmsData && localCmsData.syncToken === cmsData.nextSyncToken) {
+  if (localCmsData.syncToken === cmsData.nextSyncToken) {
     return { ...localCmsData, updated: false };
   }
 
-  const savedCmsData = await saveCmsDataFn(cmsData);
+  let savedChanges;
+  try {
+    savedChanges = await saveCmsDataFn(cmsData, localCmsData.syncToken);
+  } catch (e) {
+    // The cache broke or changed since it was loaded, so the changes
+    // cannot be applied to it. Start over with an initial sync.
+    await clearCmsDataFn();
+    return updateCmsData(
+      async () => null,
+      saveCmsDataFn,
+      contentSource,
+      clearCmsDataFn
+    );
+  }
+
+  const savedCmsData = {
+    entries: applyChanges(
+      localCmsData.entries,
+      savedChanges.entries,
+      cmsData.deletedEntries
+    ),
+    assets: applyChanges(
+      localCmsData.assets,
+      savedChanges.assets,
+      cmsData.deletedAssets
+    ),
+    syncToken: savedChanges.syncToken
+  };
+
+  // Every entry of a snapshot looks changed, so it is decoded in full
+  if (contentSource.snapshots) {
+    return { ...savedCmsData, updated: true };
+  }
 
-  return { ...savedCmsData, updated: true };
+  return {
+    ...savedCmsData,
+    updated: true,
+    delta: toDelta(localCmsData.syncToken, cmsData, savedChanges)
+  };
 };
@@ -32,7 +32,13 @@ describe("getCmsData", () => {
       updated: true
     }));
 
-    const entries = await getCmsData(mockLoadCmsData, mockUpdateCmsData);
+    const mockSeedCmsData = async () => null;
+
+    const entries = await getCmsData(
+      mockLoadCmsData,
+      mockUpdateCmsData,
+      mockSeedCmsData
+    );
 
     const expectedData = {
       ...mockRemoteEntries,
@@ -42,6 +48,29 @@ describe("getCmsData", () => {
     expect(mockUpdateCmsData).toHaveBeenCalled();
     expect(entries).toEqual(expectedData);
   });
+
+  it("seeds the cache with bundled content if local cms data not found", async () => {
+    const mockSeededData = {
+      entries: [{}],
+      assets: [{}],
+      syncToken: "seed",
+      updated: false,
+      seeded: true
+    };
+    const mockLoadCmsData = () => null;
+    const mockUpdateCmsData = jest.fn();
+    const mockSeedCmsData = jest.fn(async () => mockSeededData);
+
+    const entries = await getCmsData(
+      mockLoadCmsData,
+      mockUpdateCmsData,
+      mockSeedCmsData
+    );
+
+    expect(mockSeedCmsData).toHaveBeenCalled();
+    expect(mockUpdateCmsData).not.toHaveBeenCalled();
+    expect(entries).toEqual(mockSeededData);
+  });
 });
 
 describe("updateCmsData", () => {
@@ -60,14 +89,15 @@ describe("updateCmsData", () => {
     };
     const mockLoadCmsData = () => mockLocalCmsData;
     const mockSaveCmsData = jest.fn(() => mockSavedCmsData);
-    const mockClient = {
-      sync: jest.fn(() => downloadedCmsData)
+    const mockContentSource = {
+      initialSync: jest.fn(async () => downloadedCmsData),
+      sync: jest.fn(async () => downloadedCmsData)
     };
 
     const updatedCmsData = await updateCmsData(
       mockLoadCmsData,
       mockSaveCmsData,
-      mockClient
+      mockContentSource
     );
 
     const expectedData = {
@@ -75,11 +105,8 @@ describe("updateCmsData", () => {
       updated: true
     };
 
-    expect(mockClient.sync).toHaveBeenCalledWith(
-      expect.objectContaining({
-        initial: true
-      })
-    );
+    expect(mockContentSource.initialSync).toHaveBeenCalled();
+    expect(mockContentSource.sync).not.toHaveBeenCalled();
     expect(mockSaveCmsData).toHaveBeenCalledWith(downloadedCmsData);
     expect(updatedCmsData).toEqual(expectedData);
   });
@@ -99,14 +126,15 @@ describe("updateCmsData", () => {
     };
     const mockLoadCmsData = () => mockLocalCmsData;
     const mockSaveCmsData = jest.fn(() => mockSavedCmsData);
-    const mockClient = {
-      sync: jest.fn(() => downloadedCmsData)
+    const mockContentSource = {
+      initialSync: jest.fn(async () => downloadedCmsData),
+      sync: jest.fn(async () => downloadedCmsData)
     };
 
     const updatedCmsData = await updateCmsData(
       mockLoadCmsData,
       mockSaveCmsData,
-      mockClient
+      mockContentSource
     );
 
     const expectedData = {
@@ -114,59 +142,115 @@ describe("updateCmsData", () => {
       updated: true
     };
 
-    expect(mockClient.sync).toHaveBeenCalledWith(
-      expect.objectContaining({
-        initial: true
-      })
-    );
+    expect(mockContentSource.initialSync).toHaveBeenCalled();
+    expect(mockContentSource.sync).not.toHaveBeenCalled();
     expect(mockSaveCmsData).toHaveBeenCalledWith(downloadedCmsData);
     expect(updatedCmsData).toEqual(expectedData);
   });
 
   it("downloads delta update if local cms data is found", async () => {
     const mockLocalCmsData = {
-      entries: [{}],
-      assets: [{}],
+      entries: [{ sys: { id: "1" } }, { sys: { id: "2" } }],
+      assets: [{ sys: { id: "3" } }],
       syncToken: "123"
     };
-    const mockSavedCmsData = {
-      entries: [],
-      assets: []
+    const mockSavedChanges = {
+      entries: [{ sys: { id: "4", corrected: true } }],
+      assets: [],
+      syncToken: "abc"
     };
     const downloadedCmsData = {
-      entries: [],
+      entries: [{ sys: { id: "4" } }],
       assets: [],
-      deletedEntries: [],
+      deletedEntries: [{ sys: { id: "2" } }],
       deletedAssets: [],
       nextSyncToken: "abc"
     };
     const mockLoadCmsData = () => mockLocalCmsData;
-    const mockSaveCmsData = jest.fn(() => mockSavedCmsData);
-    const mockClient = {
-      sync: jest.fn(() => downloadedCmsData)
+    const mockSaveCmsData = jest.fn(() => mockSavedChanges);
+    const mockContentSource = {
+      initialSync: jest.fn(async () => downloadedCmsData),
+      sync: jest.fn(async () => downloadedCmsData)
     };
 
     const updatedCmsData = await updateCmsData(
       mockLoadCmsData,
       mockSaveCmsData,
-      mockClient
+      mockContentSource
     );
 
     const expectedData = {
-      ...mockSavedCmsData,
-      updated: true
+      entries: [{ sys: { id: "1" } }, { sys: { id: "4", corrected: true } }],
+      assets: [{ sys: { id: "3" } }],
+      syncToken: "abc",
+      updated: true,
+      delta: {
+        previousSyncToken: "123",
+        entries: [{ sys: { id: "4", corrected: true } }],
+        deletedEntries: [{ sys: { id: "2" } }],
+        assets: [],
+        deletedAssets: []
+      }
     };
 
-    expect(mockClient.sync).toHaveBeenCalledWith(
-      expect.objectContaining({
-        initial: false,
-        nextSyncToken: mockLocalCmsData.syncToken
-      })
+    expect(mockContentSource.sync).toHaveBeenCalledWith(
+      mockLocalCmsData.syncToken
     );
-    expect(mockSaveCmsData).toHaveBeenCalledWith(downloadedCmsData);
+    expect(mockSaveCmsData).toHaveBeenCalledWith(downloadedCmsData, "123");
     expect(updatedCmsData).toEqual(expectedData);
   });
 
+  it("falls back to an initial sync when the delta cannot be saved", async () => {
+    const mockLocalCmsData = {
+      entries: [{ sys: { id: "1" } }],
+      assets: [],
+      syncToken: "123"
+    };
+    const deltaCmsData = {
+      entries: [{ sys: { id: "2" } }],
+      assets: [],
+      deletedEntries: [],
+      deletedAssets: [],
+      nextSyncToken: "abc"
+    };
+    const initialCmsData = {
+      entries: [{ sys: { id: "1" } }, { sys: { id: "2" } }],
+      assets: [],
+      deletedEntries: [],
+      deletedAssets: [],
+      nextSyncToken: "def"
+    };
+    const mockSavedCmsData = {
+      entries: initialCmsData.entries,
+      assets: [],
+      syncToken: "def"
+    };
+    const mockLoadCmsData = () => mockLocalCmsData;
+    const mockSaveCmsData = jest
+      .fn()
+      .mockImplementationOnce(async () => {
+        throw new Error("Part of the cached CMS data has gone missing");
+      })
+      .mockImplementationOnce(async () => mockSavedCmsData);
+    const mockClearCmsData = jest.fn(async () => {});
+    const mockContentSource = {
+      initialSync: jest.fn(async () => initialCmsData),
+      sync: jest.fn(async () => deltaCmsData)
+    };
+
+    const updatedCmsData = await updateCmsData(
+      mockLoadCmsData,
+      mockSaveCmsData,
+      mockContentSource,
+      mockClearCmsData
+    );
+
+    expect(mockClearCmsData).toHaveBeenCalled();
+    expect(mockContentSource.initialSync).toHaveBeenCalled();
+    expect(mockSaveCmsData).toHaveBeenLastCalledWith(initialCmsData);
+    expect(updatedCmsData).toEqual({ ...mockSavedCmsData, updated: true });
+  });
+
   it("does not send delta to local storage if syncToken has not changed", async () => {
     const mockLocalCmsData = {
       entries: [{}],
@@ -182,14 +266,15 @@ describe("updateCmsData", () => {
     };
     const mockLoadCmsData = () => mockLocalCmsData;
     const mockSaveCmsData = jest.fn();
-    const mockClient = {
-      sync: jest.fn(() => downloadedCmsData)
+    const mockContentSource = {
+      initialSync: jest.fn(async () => downloadedCmsData),
+      sync: jest.fn(async () => downloadedCmsData)
     };
 
     const updatedCmsData = await updateCmsData(
       mockLoadCmsData,
       mockSaveCmsData,
-      mockClient
+      mockContentSource
     );
 
     const expectedData = {
@@ -197,13 +282,53 @@ describe("updateCmsData", () => {
       updated: false
     };
 
-    expect(mockClient.sync).toHaveBeenCalledWith(
-      expect.objectContaining({
-        initial: false,
-        nextSyncToken: mockLocalCmsData.syncToken
-      })
+    expect(mockContentSource.sync).toHaveBeenCalledWith(
+      mockLocalCmsData.syncToken
     );
     expect(mockSaveCmsData).not.toHaveBeenCalled();
     expect(updatedCmsData).toEqual(expectedData);
   });
+
+  it("deletes whatever a snapshot source left out", async () => {
+    const mockLocalCmsData = {
+      entries: [{ sys: { id: "1" } }, { sys: { id: "2" } }],
+      assets: [{ sys: { id: "3" } }],
+      syncToken: "preview:3:2018-07-01T10:00:00.000Z"
+    };
+    const mockSavedCmsData = {
+      entries: [{ sys: { id: "1" } }],
+      assets: [],
+      syncToken: "preview:1:2018-07-02T10:00:00.000Z"
+    };
+    const downloadedCmsData = {
+      entries: [{ sys: { id: "1" } }],
+      assets: [],
+      deletedEntries: [],
+      deletedAssets: [],
+      nextSyncToken: "preview:1:2018-07-02T10:00:00.000Z"
+    };
+    const mockLoadCmsData = () => mockLocalCmsData;
+    const mockSaveCmsData = jest.fn(() => mockSavedCmsData);
+    const mockContentSource = {
+      snapshots: true,
+      initialSync: jest.fn(async () => downloadedCmsData),
+      sync: jest.fn(async () => downloadedCmsData)
+    };
+
+    const updatedCmsData = await updateCmsData(
+      mockLoadCmsData,
+      mockSaveCmsData,
+      mockContentSource
+    );
+
+    expect(mockSaveCmsData).toHaveBeenCalledWith(
+      {
+        ...downloadedCmsData,
+        deletedEntries: [{ sys: { id: "2" } }],
+        deletedAssets: [{ sys: { id: "3" } }]
+      },
+      mockLocalCmsData.syncToken
+    );
+    expect(updatedCmsData).toEqual({ ...mockSavedCmsData, updated: true });
+  });
 });
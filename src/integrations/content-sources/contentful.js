@@ -0,0 +1,30 @@
+// @flow
+// force contentful SDK to use browser API
+import { createClient } from "contentful/dist/contentful.browser.min";
+import type { ContentSource } from "./types";
+
+type ContentfulConfig = {
+  space: string,
+  accessToken: string
+};
+
+// Entries are kept unresolved, they are linked to each other
+// when they are decoded.
+const createContentfulSource = (
+  config: ContentfulConfig,
+  createClientFn: typeof createClient = createClient
+): ContentSource => {
+  const client = createClientFn(config);
+
+  return {
+    initialSync: () => client.sync({ initial: true, resolveLinks: false }),
+    sync: syncToken =>
+      client.sync({
+        initial: false,
+        nextSyncToken: syncToken,
+        resolveLinks: false
+      })
+  };
+};
+
+export default createContentfulSource;
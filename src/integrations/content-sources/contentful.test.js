@@ -0,0 +1,53 @@
+// @flow
+import createContentfulSource from "./contentful";
+
+describe("createContentfulSource", () => {
+  const config = { space: "space", accessToken: "token" };
+  const payload = {
+    entries: [],
+    deletedEntries: [],
+    assets: [],
+    deletedAssets: [],
+    nextSyncToken: "abc"
+  };
+
+  const createMockClient = () => {
+    const client = { sync: jest.fn(async () => payload) };
+    return { client, createClient: jest.fn(() => client) };
+  };
+
+  it("creates a client for the given space", () => {
+    const { createClient } = createMockClient();
+
+    createContentfulSource(config, createClient);
+
+    expect(createClient).toHaveBeenCalledWith(config);
+  });
+
+  it("runs an initial sync without resolving links", async () => {
+    const { client, createClient } = createMockClient();
+
+    const data = await createContentfulSource(
+      config,
+      createClient
+    ).initialSync();
+
+    expect(data).toBe(payload);
+    expect(client.sync).toHaveBeenCalledWith({
+      initial: true,
+      resolveLinks: false
+    });
+  });
+
+  it("syncs from the given token without resolving links", async () => {
+    const { client, createClient } = createMockClient();
+
+    await createContentfulSource(config, createClient).sync("123");
+
+    expect(client.sync).toHaveBeenCalledWith({
+      initial: false,
+      nextSyncToken: "123",
+      resolveLinks: false
+    });
+  });
+});
@@ -0,0 +1,16 @@
+// @flow
+import type { CmsData } from "../cms";
+import type { ContentSource } from "./types";
+
+// Serves a sync payload recorded with scripts/record-content.js, so the
+// app can run offline and always shows the same content. Every sync
+// serves the whole recording, so content cached from anywhere else
+// (a seed, or an earlier source) is replaced by it instead of failing
+// to sync from a token the recording did not issue.
+const createFixtureSource = (payload: CmsData): ContentSource => ({
+  initialSync: async () => payload,
+  sync: async () => payload,
+  snapshots: true
+});
+
+export default createFixtureSource;
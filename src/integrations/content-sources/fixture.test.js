@@ -0,0 +1,38 @@
+// @flow
+import createFixtureSource from "./fixture";
+
+describe("createFixtureSource", () => {
+  const payload = {
+    entries: [
+      {
+        sys: { id: "1", contentType: { sys: { id: "event" } }, revision: 1 }
+      }
+    ],
+    deletedEntries: [],
+    assets: [],
+    deletedAssets: [],
+    nextSyncToken: "recorded"
+  };
+
+  it("serves the recorded payload as the initial sync", async () => {
+    const data = await createFixtureSource(payload).initialSync();
+
+    expect(data).toBe(payload);
+  });
+
+  it("serves the recorded payload when syncing from its own token", async () => {
+    const data = await createFixtureSource(payload).sync("recorded");
+
+    expect(data).toBe(payload);
+  });
+
+  it("serves the recorded payload when syncing from any other token", async () => {
+    const data = await createFixtureSource(payload).sync("other");
+
+    expect(data).toBe(payload);
+  });
+
+  it("snapshots the content, so content missing from it is deleted", () => {
+    expect(createFixtureSource(payload).snapshots).toBe(true);
+  });
+});
@@ -0,0 +1,78 @@
+// @flow
+import Config from "react-native-config";
+import type { CmsData } from "../cms";
+import createContentfulSource from "./contentful";
+import createFixtureSource from "./fixture";
+import createPreviewSource from "./preview";
+import { getPreviewToken } from "../preview";
+import type { ContentSource } from "./types";
+
+export type { ContentSource } from "./types";
+
+type ContentSourceConfig = {
+  CONTENT_SOURCE?: string,
+  CONTENTFUL_SPACE_ID: string,
+  CONTENTFUL_API_KEY: string
+};
+
+// The recording is only bundled with development builds, release
+// builds drop the require as dead code
+export const loadRecordedContent = (dev: boolean = __DEV__): CmsData => {
+  if (dev) {
+    // eslint-disable-next-line global-require
+    return require("../../../fixtures/cms-sync.json");
+  }
+  throw new Error("The recorded content is only bundled in development");
+};
+
+/**
+ * Creates the content source picked by CONTENT_SOURCE in .env:
+ * "contentful" (the default) or "fixture" for the recorded payload
+ * in fixtures/cms-sync.json, which only development builds include.
+ */
+export const createContentSource = (
+  config: ContentSourceConfig = Config,
+  loadFixture: () => CmsData = loadRecordedContent
+): ContentSource => {
+  switch (config.CONTENT_SOURCE) {
+    case "fixture":
+      return createFixtureSource(loadFixture());
+    case "contentful":
+    case "":
+    case undefined:
+      return createContentfulSource({
+        space: config.CONTENTFUL_SPACE_ID,
+        accessToken: config.CONTENTFUL_API_KEY
+      });
+    default:
+      throw new Error(`Unknown CONTENT_SOURCE "${config.CONTENT_SOURCE}"`);
+  }
+};
+
+let contentSource: ?ContentSource;
+let previewSource: ?{ token: string, source: ContentSource };
+
+// The content source is created on first use, rather than when this
+// module is loaded. In preview mode drafts come from the Preview API.
+export const getContentSource = (
+  previewToken: ?string = getPreviewToken(),
+  config: ContentSourceConfig = Config
+): ContentSource => {
+  if (previewToken) {
+    if (!previewSource || previewSource.token !== previewToken) {
+      previewSource = {
+        token: previewToken,
+        source: createPreviewSource({
+          space: config.CONTENTFUL_SPACE_ID,
+          accessToken: previewToken
+        })
+      };
+    }
+    return previewSource.source;
+  }
+
+  if (!contentSource) {
+    contentSource = createContentSource(config);
+  }
+  return contentSource;
+};
@@ -0,0 +1,80 @@
+// @flow
+import { createContentSource, getContentSource, loadRecordedContent } from ".";
+
+describe("createContentSource", () => {
+  const payload = {
+    entries: [],
+    deletedEntries: [],
+    assets: [],
+    deletedAssets: [],
+    nextSyncToken: "recorded"
+  };
+  const config = {
+    CONTENTFUL_SPACE_ID: "space",
+    CONTENTFUL_API_KEY: "token"
+  };
+
+  it("serves the recorded payload when set to fixture", async () => {
+    const loadFixture = jest.fn(() => payload);
+
+    const source = createContentSource(
+      { ...config, CONTENT_SOURCE: "fixture" },
+      loadFixture
+    );
+
+    expect(await source.initialSync()).toBe(payload);
+  });
+
+  it("uses Contentful by default", () => {
+    const loadFixture = jest.fn(() => payload);
+
+    const source = createContentSource(config, loadFixture);
+
+    expect(loadFixture).not.toHaveBeenCalled();
+    expect(source).toEqual({
+      initialSync: expect.any(Function),
+      sync: expect.any(Function)
+    });
+  });
+
+  it("throws for unknown content sources", () => {
+    expect(() =>
+      createContentSource({ ...config, CONTENT_SOURCE: "wordpress" })
+    ).toThrow('Unknown CONTENT_SOURCE "wordpress"');
+  });
+});
+
+describe("loadRecordedContent", () => {
+  it("loads the recording in development builds", () => {
+    expect(loadRecordedContent(true)).toEqual(
+      expect.objectContaining({ nextSyncToken: expect.any(String) })
+    );
+  });
+
+  it("refuses to load the recording in release builds", () => {
+    expect(() => loadRecordedContent(false)).toThrow(
+      "The recorded content is only bundled in development"
+    );
+  });
+});
+
+describe("getContentSource", () => {
+  const config = {
+    CONTENT_SOURCE: "fixture",
+    CONTENTFUL_SPACE_ID: "space",
+    CONTENTFUL_API_KEY: "token"
+  };
+
+  it("serves drafts from the Preview API in preview mode", () => {
+    const source = getContentSource("preview-token", config);
+
+    expect(source.snapshots).toBe(true);
+    expect(getContentSource("preview-token", config)).toBe(source);
+  });
+
+  it("creates a new preview source for a new token", () => {
+    const source = getContentSource("preview-token", config);
+
+    expect(getContentSource("another-token", config)).not.toBe(source);
+  });
+});
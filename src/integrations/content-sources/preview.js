@@ -0,0 +1,89 @@
+// @flow
+// force contentful SDK to use browser API
+import { createClient } from "contentful/dist/contentful.browser.min";
+import type { CmsData } from "../cms";
+import type { ContentSource } from "./types";
+
+type PreviewConfig = {
+  space: string,
+  accessToken: string
+};
+
+type Page = {
+  items: Object[],
+  total: number
+};
+
+// The most the Preview API returns in one go
+const PAGE_SIZE = 1000;
+
+const fetchAll = async (
+  fetchPage: (skip: number) => Promise<Page>,
+  items: Object[] = []
+): Promise<Object[]> => {
+  const page = await fetchPage(items.length);
+  const fetched = [...items, ...page.items];
+  if (page.items.length === 0 || fetched.length >= page.total) {
+    return fetched;
+  }
+  return fetchAll(fetchPage, fetched);
+};
+
+// Drafts which were never published have no revision
+const withRevision = (item: Object) => ({
+  ...item,
+  sys: { revision: 0, ...item.sys }
+});
+
+// There are no sync tokens for previews, so the token is made up from
+// the content. It changes whenever something is added, edited or
+// removed.
+const snapshotToken = (items: Object[]): string => {
+  const updatedAt = items
+    .map(item => item.sys.updatedAt || "")
+    .reduce((latest, date) => (date > latest ? date : latest), "");
+  return `preview:${items.length}:${updatedAt}`;
+};
+
+/**
+ * Serves drafts from the Contentful Preview API. It has no sync API, so
+ * every sync downloads all of the content.
+ */
+const createPreviewSource = (
+  config: PreviewConfig,
+  createClientFn: typeof createClient = createClient
+): ContentSource => {
+  const client = createClientFn({
+    ...config,
+    host: "preview.contentful.com",
+    resolveLinks: false
+  });
+
+  // Every locale is requested, so that the content has the same shape
+  // as a sync payload.
+  const snapshot = async (): Promise<CmsData> => {
+    const [entries, assets] = await Promise.all([
+      fetchAll(skip =>
+        client.getEntries({ locale: "*", limit: PAGE_SIZE, skip })
+      ),
+      fetchAll(skip =>
+        client.getAssets({ locale: "*", limit: PAGE_SIZE, skip })
+      )
+    ]);
+    return {
+      entries: entries.map(withRevision),
+      deletedEntries: [],
+      assets: assets.map(withRevision),
+      deletedAssets: [],
+      nextSyncToken: snapshotToken([...entries, ...assets])
+    };
+  };
+
+  return {
+    snapshots: true,
+    initialSync: snapshot,
+    sync: snapshot
+  };
+};
+
+export default createPreviewSource;
@@ -0,0 +1,94 @@
+// @flow
+import createPreviewSource from "./preview";
+
+describe("createPreviewSource", () => {
+  const config = { space: "space", accessToken: "preview-token" };
+  const entry = (id: string, updatedAt: string, revision?: number) => ({
+    sys: { id, updatedAt, ...(revision != null ? { revision } : {}) }
+  });
+
+  const createMockClient = (entries: Object[], assets: Object[]) => {
+    const page = items => async ({ skip, limit }) => ({
+      items: items.slice(skip, skip + limit),
+      total: items.length
+    });
+    const client = {
+      getEntries: jest.fn(page(entries)),
+      getAssets: jest.fn(page(assets))
+    };
+    return { client, createClient: jest.fn(() => client) };
+  };
+
+  it("creates a client for the Preview API", () => {
+    const { createClient } = createMockClient([], []);
+
+    createPreviewSource(config, createClient);
+
+    expect(createClient).toHaveBeenCalledWith({
+      space: "space",
+      accessToken: "preview-token",
+      host: "preview.contentful.com",
+      resolveLinks: false
+    });
+  });
+
+  it("downloads all entries and assets in every locale", async () => {
+    const entries = [
+      entry("1", "2018-07-01T10:00:00.000Z", 3),
+      entry("2", "2018-07-03T10:00:00.000Z", 1)
+    ];
+    const assets = [entry("3", "2018-07-02T10:00:00.000Z", 2)];
+    const { client, createClient } = createMockClient(entries, assets);
+
+    const data = await createPreviewSource(config, createClient).initialSync();
+
+    expect(data).toEqual({
+      entries,
+      deletedEntries: [],
+      assets,
+      deletedAssets: [],
+      nextSyncToken: "preview:3:2018-07-03T10:00:00.000Z"
+    });
+    expect(client.getEntries).toHaveBeenCalledWith({
+      locale: "*",
+      limit: 1000,
+      skip: 0
+    });
+  });
+
+  it("pages through large spaces", async () => {
+    const entries = Array.from({ length: 2500 }, (_, i) =>
+      entry(String(i), "2018-07-01T10:00:00.000Z", 1)
+    );
+    const { client, createClient } = createMockClient(entries, []);
+
+    const data = await createPreviewSource(config, createClient).sync(
+      "preview:0:"
+    );
+
+    expect(data.entries).toHaveLength(2500);
+    expect(client.getEntries).toHaveBeenCalledTimes(3);
+    expect(client.getEntries).toHaveBeenLastCalledWith({
+      locale: "*",
+      limit: 1000,
+      skip: 2000
+    });
+  });
+
+  it("gives drafts which were never published revision 0", async () => {
+    const { createClient } = createMockClient(
+      [entry("1", "2018-07-01T10:00:00.000Z")],
+      []
+    );
+
+    const data = await createPreviewSource(config, createClient).initialSync();
+
+    expect(data.entries[0].sys.revision).toBe(0);
+  });
+
+  it("is a snapshot source", () => {
+    const { createClient } = createMockClient([], []);
+
+    expect(createPreviewSource(config, createClient).snapshots).toBe(true);
+  });
+});
@@ -0,0 +1,15 @@
+// @flow
+import type { CmsData } from "../cms";
+
+// Where the app gets its content from. Both calls resolve with the
+// same payload as a Contentful sync.
+export type ContentSource = {
+  // Downloads all of the content
+  initialSync: () => Promise<CmsData>,
+  // Downloads the content that changed since the sync which returned
+  // the given token
+  sync: (syncToken: string) => Promise<CmsData>,
+  // Set for sources which cannot tell what changed, and return all of
+  // the content from both calls instead
+  snapshots?: boolean
+};
@@ -0,0 +1,287 @@
+// @flow
+import { AsyncStorage, NetInfo } from "react-native";
+import RNFS from "react-native-fs";
+import type { ImageDetails } from "../data/image";
+import * as decode from "../lib/decode";
+import type { Decoder } from "../lib/decode";
+
+// The parts of react-native-fs we rely on
+export type FileSystem = {
+  +CachesDirectoryPath: string,
+  +exists: (path: string) => Promise<boolean>,
+  +mkdir: (path: string) => Promise<void>,
+  +unlink: (path: string) => Promise<void>,
+  +downloadFile: ({
+    fromUrl: string,
+    toFile: string
+  }) => {
+    +promise: Promise<{ +statusCode: number, +bytesWritten: number }>
+  }
+};
+
+// Adapts react-native-fs to the FileSystem type
+const defaultFileSystem: FileSystem = {
+  CachesDirectoryPath: RNFS.CachesDirectoryPath,
+  exists: path => RNFS.exists(path),
+  mkdir: path => RNFS.mkdir(path),
+  unlink: path => RNFS.unlink(path),
+  downloadFile: ({ fromUrl, toFile }) => RNFS.downloadFile({ fromUrl, toFile })
+};
+
+// The parts of NetInfo we rely on
+export type NetworkInfo = {
+  +getConnectionInfo: () => Promise<?{ +type: string }>,
+  +isConnectionExpensive: () => Promise<?boolean>
+};
+
+export type CachedImage = {
+  id: string,
+  revision: number,
+  path: string,
+  size: number,
+  // When the image was last downloaded or found in the content, in
+  // milliseconds
+  lastUsed: number
+};
+
+// Cached images by key, see imageKey
+export type ImageCacheIndex = { [key: string]: CachedImage };
+
+// Local file uris by asset id, along with the revision of the asset
+// the file was downloaded for
+export type CachedImageUris = {
+  [id: string]: { revision: number, uri: string }
+};
+
+export const IMAGE_CACHE_INDEX_KEY = "@ImageCache:index";
+
+const decodeCachedImage: Decoder<CachedImage> = decode.shape({
+  id: decode.field("id", decode.string),
+  revision: decode.field("revision", decode.number),
+  path: decode.field("path", decode.string),
+  size: decode.field("size", decode.number),
+  lastUsed: decode.field("lastUsed", decode.number)
+});
+
+const IMAGE_CACHE_DIRECTORY = "images";
+
+// Pictures stop being cached once they take up this much space,
+// starting with the ones which went longest without being used.
+export const IMAGE_CACHE_BUDGET = 50 * 1024 * 1024;
+
+// A new revision of an asset may point to a different file, so each
+// revision is cached separately.
+export const imageKey = (image: { +id: string, +revision: number }) =>
+  `${image.id}-${image.revision}`;
+
+const extension = (uri: string) => {
+  const match = /\.(\w+)(?:\?.*)?$/.exec(uri);
+  return match ? `.${match[1]}` : "";
+};
+
+const cacheDirectory = (fs: FileSystem) =>
+  `${fs.CachesDirectoryPath}/${IMAGE_CACHE_DIRECTORY}`;
+
+/**
+ * Drops the least recently used images until the ones left fit in
+ * the budget.
+ */
+export const evictImages = (
+  index: ImageCacheIndex,
+  budget: number
+): { index: ImageCacheIndex, evicted: CachedImage[] } => {
+  const images: CachedImage[] = Object.keys(index)
+    .map(key => index[key])
+    .sort((a, b) => b.lastUsed - a.lastUsed);
+
+  let total = 0;
+  return images.reduce(
+    (acc, image) => {
+      total += image.size;
+      if (total > budget) {
+        acc.evicted.push(image);
+      } else {
+        // intentional mutation as this happens in a reduce
+        acc.index[imageKey(image)] = image;
+      }
+      return acc;
+    },
+    { index: {}, evicted: [] }
+  );
+};
+
+export const toCachedImageUris = (index: ImageCacheIndex): CachedImageUris =>
+  Object.keys(index).reduce((acc: CachedImageUris, key) => {
+    const image = index[key];
+    const cached = acc[image.id];
+    // Only the latest revision of each asset is of any use
+    if (!cached || cached.revision < image.revision) {
+      // intentional mutation as this happens in a reduce
+      acc[image.id] = { revision: image.revision, uri: `file://${image.path}` };
+    }
+    return acc;
+  }, {});
+
+const saveIndex = (
+  index: ImageCacheIndex,
+  AsyncStorageObj: AsyncStorage
+): Promise<void> =>
+  AsyncStorageObj.setItem(IMAGE_CACHE_INDEX_KEY, JSON.stringify(index));
+
+// Entries which cannot be read are left out, so their pictures are
+// downloaded again
+const decodeIndex = (stored: mixed): ImageCacheIndex => {
+  if (!stored || typeof stored !== "object" || Array.isArray(stored)) {
+    return {};
+  }
+  const obj = stored;
+  return Object.keys(obj).reduce((acc: ImageCacheIndex, key) => {
+    const image = decodeCachedImage(obj[key]);
+    if (image.ok) {
+      // intentional mutation as this happens in a reduce
+      acc[key] = image.value;
+    }
+    return acc;
+  }, {});
+};
+
+/**
+ * Loads the index of cached images. Images whose files were removed,
+ * which the OS may do to free up space, are left out.
+ */
+export const loadImageCache = async (
+  fs: FileSystem = defaultFileSystem,
+  AsyncStorageObj: AsyncStorage = AsyncStorage
+): Promise<ImageCacheIndex> => {
+  let index: ImageCacheIndex;
+  try {
+    index = decodeIndex(
+      JSON.parse(await AsyncStorageObj.getItem(IMAGE_CACHE_INDEX_KEY))
+    );
+  } catch (e) {
+    return {};
+  }
+
+  const keys = Object.keys(index);
+  const exists = await Promise.all(keys.map(key => fs.exists(index[key].path)));
+  return keys.reduce((acc: ImageCacheIndex, key, i) => {
+    if (exists[i]) {
+      // intentional mutation as this happens in a reduce
+      acc[key] = index[key];
+    }
+    return acc;
+  }, {});
+};
+
+const downloadImage = async (
+  fs: FileSystem,
+  image: ImageDetails
+): Promise<?{ path: string, size: number }> => {
+  const path = `${cacheDirectory(fs)}/${imageKey(image)}${extension(
+    image.uri
+  )}`;
+  try {
+    const result = await fs.downloadFile({ fromUrl: image.uri, toFile: path })
+      .promise;
+    if (result.statusCode >= 200 && result.statusCode < 300) {
+      return { path, size: result.bytesWritten };
+    }
+    await fs.unlink(path);
+  } catch (e) {
+    // The picture is downloaded again with the next prefetch
+  }
+  return null;
+};
+
+/**
+ * Pictures are only prefetched over Wi-Fi or a wired connection, and
+ * not when Android reports that connection as metered. iOS cannot tell,
+ * so there any Wi-Fi counts.
+ */
+export const isUnmeteredConnection = async (
+  netInfo: NetworkInfo = NetInfo
+): Promise<boolean> => {
+  const info = await netInfo.getConnectionInfo();
+  if (!info || (info.type !== "wifi" && info.type !== "ethernet")) {
+    return false;
+  }
+  try {
+    return !(await netInfo.isConnectionExpensive());
+  } catch (e) {
+    return true;
+  }
+};
+
+/**
+ * Downloads the given images which are not cached yet, one at a time,
+ * and then evicts images until the cache fits in its budget. The
+ * images which are cached already count towards the budget first, and
+ * downloading stops once the budget is reached, so that the images of
+ * the content never push each other out of the cache, only to be
+ * downloaded again with the next prefetch.
+ */
+export const prefetchImages = async (
+  images: ImageDetails[],
+  now: () => number = Date.now,
+  fs: FileSystem = defaultFileSystem,
+  AsyncStorageObj: AsyncStorage = AsyncStorage,
+  budget: number = IMAGE_CACHE_BUDGET
+): Promise<ImageCacheIndex> => {
+  const index = await loadImageCache(fs, AsyncStorageObj);
+  await fs.mkdir(cacheDirectory(fs));
+
+  const touched = images.reduce(
+    (acc: ImageCacheIndex, image) => {
+      const key = imageKey(image);
+      if (acc[key]) {
+        // intentional mutation as this happens in a reduce
+        acc[key] = { ...acc[key], lastUsed: now() };
+      }
+      return acc;
+    },
+    { ...index }
+  );
+  let used = images.reduce((total, image) => {
+    const cached = touched[imageKey(image)];
+    return cached ? total + cached.size : total;
+  }, 0);
+
+  const updated = await images.reduce(
+    async (accPromise: Promise<ImageCacheIndex>, image) => {
+      const acc = await accPromise;
+      const key = imageKey(image);
+      if (acc[key] || used >= budget) {
+        return acc;
+      }
+
+      const file = await downloadImage(fs, image);
+      if (!file) {
+        return acc;
+      }
+      if (used + file.size > budget) {
+        await fs.unlink(file.path).catch(() => {});
+        used = budget;
+        return acc;
+      }
+      used += file.size;
+      return {
+        ...acc,
+        [key]: {
+          id: image.id,
+          revision: image.revision,
+          path: file.path,
+          size: file.size,
+          lastUsed: now()
+        }
+      };
+    },
+    Promise.resolve(touched)
+  );
+
+  const result = evictImages(updated, budget);
+  await Promise.all(
+    result.evicted.map(image => fs.unlink(image.path).catch(() => {}))
+  );
+  await saveIndex(result.index, AsyncStorageObj);
+  return result.index;
+};
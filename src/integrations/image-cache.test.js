@@ -0,0 +1,351 @@
+import {
+  evictImages,
+  imageKey,
+  isUnmeteredConnection,
+  loadImageCache,
+  prefetchImages,
+  toCachedImageUris,
+  IMAGE_CACHE_INDEX_KEY
+} from "./image-cache";
+
+const createMockAsyncStorage = (initialItems = {}) => {
+  const items = { ...initialItems };
+  return {
+    items,
+    getItem: jest.fn(
+      async key => (items[key] !== undefined ? items[key] : null)
+    ),
+    setItem: jest.fn(async (key, value) => {
+      items[key] = value;
+    })
+  };
+};
+
+const createMockFileSystem = (
+  files = [],
+  statusCode = 200,
+  bytesWritten = 100
+) => {
+  const existing = new Set(files);
+  return {
+    CachesDirectoryPath: "/caches",
+    exists: jest.fn(async path => existing.has(path)),
+    mkdir: jest.fn(async () => {}),
+    unlink: jest.fn(async path => {
+      existing.delete(path);
+    }),
+    downloadFile: jest.fn(({ toFile }) => {
+      existing.add(toFile);
+      return { promise: Promise.resolve({ statusCode, bytesWritten }) };
+    })
+  };
+};
+
+const image = (id, revision = 1) => ({
+  id,
+  revision,
+  uri: `https://images.ctfassets.net/${id}.jpg`,
+  width: 100,
+  height: 100
+});
+
+const cached = (id, revision, lastUsed, size = 100) => ({
+  id,
+  revision,
+  path: `/caches/images/${id}-${revision}.jpg`,
+  size,
+  lastUsed
+});
+
+const clock = (time = 10) => () => time;
+
+const indexOf = (...images) =>
+  images.reduce((acc, value) => ({ ...acc, [imageKey(value)]: value }), {});
+
+describe("imageKey", () => {
+  it("combines the asset id and revision", () => {
+    expect(imageKey({ id: "a", revision: 3 })).toBe("a-3");
+  });
+});
+
+describe("evictImages", () => {
+  it("keeps everything which fits in the budget", () => {
+    const index = indexOf(cached("a", 1, 1), cached("b", 1, 2));
+
+    expect(evictImages(index, 200)).toEqual({ index, evicted: [] });
+  });
+
+  it("evicts the least recently used images first", () => {
+    const a = cached("a", 1, 3);
+    const b = cached("b", 1, 1);
+    const c = cached("c", 1, 2);
+
+    const result = evictImages(indexOf(a, b, c), 250);
+
+    expect(result.index).toEqual(indexOf(a, c));
+    expect(result.evicted).toEqual([b]);
+  });
+});
+
+describe("toCachedImageUris", () => {
+  it("points each asset at the file of its latest revision", () => {
+    const index = indexOf(cached("a", 1, 1), cached("a", 2, 1));
+
+    expect(toCachedImageUris(index)).toEqual({
+      a: { revision: 2, uri: "file:///caches/images/a-2.jpg" }
+    });
+  });
+});
+
+describe("loadImageCache", () => {
+  it("returns an empty index when nothing was cached", async () => {
+    const index = await loadImageCache(
+      createMockFileSystem(),
+      createMockAsyncStorage()
+    );
+
+    expect(index).toEqual({});
+  });
+
+  it("returns an empty index when the stored one is corrupt", async () => {
+    const index = await loadImageCache(
+      createMockFileSystem(),
+      createMockAsyncStorage({ [IMAGE_CACHE_INDEX_KEY]: "{" })
+    );
+
+    expect(index).toEqual({});
+  });
+
+  it("leaves out entries which cannot be read", async () => {
+    const a = cached("a", 1, 1);
+    const storage = createMockAsyncStorage({
+      [IMAGE_CACHE_INDEX_KEY]: JSON.stringify({
+        ...indexOf(a),
+        "b-1": null,
+        "c-1": { id: "c", revision: 1 }
+      })
+    });
+
+    const index = await loadImageCache(createMockFileSystem([a.path]), storage);
+
+    expect(index).toEqual(indexOf(a));
+  });
+
+  it("leaves out images whose files are gone", async () => {
+    const a = cached("a", 1, 1);
+    const b = cached("b", 1, 1);
+    const storage = createMockAsyncStorage({
+      [IMAGE_CACHE_INDEX_KEY]: JSON.stringify(indexOf(a, b))
+    });
+
+    const index = await loadImageCache(createMockFileSystem([a.path]), storage);
+
+    expect(index).toEqual(indexOf(a));
+  });
+});
+
+describe("isUnmeteredConnection", () => {
+  const createMockNetInfo = (type, expensive) => ({
+    getConnectionInfo: jest.fn(async () => ({ type })),
+    isConnectionExpensive: jest.fn(async () => expensive)
+  });
+
+  it("is true for Wi-Fi and wired connections", async () => {
+    expect(await isUnmeteredConnection(createMockNetInfo("wifi", false))).toBe(
+      true
+    );
+    expect(
+      await isUnmeteredConnection(createMockNetInfo("ethernet", false))
+    ).toBe(true);
+  });
+
+  it("is false for mobile data and unknown connections", async () => {
+    expect(
+      await isUnmeteredConnection(createMockNetInfo("cellular", false))
+    ).toBe(false);
+    expect(
+      await isUnmeteredConnection(createMockNetInfo("unknown", false))
+    ).toBe(false);
+    expect(await isUnmeteredConnection(createMockNetInfo("none", false))).toBe(
+      false
+    );
+  });
+
+  it("is false for Wi-Fi reported as metered", async () => {
+    expect(await isUnmeteredConnection(createMockNetInfo("wifi", true))).toBe(
+      false
+    );
+  });
+
+  it("is true for Wi-Fi when the platform cannot tell if it is metered", async () => {
+    const netInfo = createMockNetInfo("wifi", false);
+    netInfo.isConnectionExpensive.mockImplementation(async () => {
+      throw new Error("Currently not supported on iOS");
+    });
+
+    expect(await isUnmeteredConnection(netInfo)).toBe(true);
+  });
+});
+
+describe("prefetchImages", () => {
+  it("downloads images which are not cached yet", async () => {
+    const fs = createMockFileSystem();
+    const storage = createMockAsyncStorage();
+
+    const index = await prefetchImages([image("a")], clock(), fs, storage);
+
+    expect(fs.mkdir).toHaveBeenCalledWith("/caches/images");
+    expect(fs.downloadFile).toHaveBeenCalledWith({
+      fromUrl: "https://images.ctfassets.net/a.jpg",
+      toFile: "/caches/images/a-1.jpg"
+    });
+    expect(index).toEqual(indexOf(cached("a", 1, 10)));
+    expect(JSON.parse(storage.items[IMAGE_CACHE_INDEX_KEY])).toEqual(index);
+  });
+
+  it("does not download images again", async () => {
+    const a = cached("a", 1, 1);
+    const fs = createMockFileSystem([a.path]);
+    const storage = createMockAsyncStorage({
+      [IMAGE_CACHE_INDEX_KEY]: JSON.stringify(indexOf(a))
+    });
+
+    const index = await prefetchImages([image("a")], clock(), fs, storage);
+
+    expect(fs.downloadFile).not.toHaveBeenCalled();
+    expect(index).toEqual(indexOf({ ...a, lastUsed: 10 }));
+  });
+
+  it("downloads new revisions of cached images", async () => {
+    const a = cached("a", 1, 1);
+    const fs = createMockFileSystem([a.path]);
+    const storage = createMockAsyncStorage({
+      [IMAGE_CACHE_INDEX_KEY]: JSON.stringify(indexOf(a))
+    });
+
+    const index = await prefetchImages([image("a", 2)], clock(), fs, storage);
+
+    expect(fs.downloadFile).toHaveBeenCalledWith({
+      fromUrl: "https://images.ctfassets.net/a.jpg",
+      toFile: "/caches/images/a-2.jpg"
+    });
+    expect(index).toEqual(indexOf(a, cached("a", 2, 10)));
+  });
+
+  it("removes files which failed to download", async () => {
+    const fs = createMockFileSystem([], 404);
+
+    const index = await prefetchImages(
+      [image("a")],
+      clock(),
+      fs,
+      createMockAsyncStorage()
+    );
+
+    expect(fs.unlink).toHaveBeenCalledWith("/caches/images/a-1.jpg");
+    expect(index).toEqual({});
+  });
+
+  it("carries on when a download fails", async () => {
+    const fs = createMockFileSystem();
+    fs.downloadFile.mockImplementationOnce(() => ({
+      promise: Promise.reject(new Error("offline"))
+    }));
+
+    const index = await prefetchImages(
+      [image("a"), image("b")],
+      clock(),
+      fs,
+      createMockAsyncStorage()
+    );
+
+    expect(index).toEqual(indexOf(cached("b", 1, 10)));
+  });
+
+  it("removes the files of evicted images", async () => {
+    const a = cached("a", 1, 1);
+    const fs = createMockFileSystem([a.path]);
+    const storage = createMockAsyncStorage({
+      [IMAGE_CACHE_INDEX_KEY]: JSON.stringify(indexOf(a))
+    });
+
+    const index = await prefetchImages([image("b")], clock(), fs, storage, 150);
+
+    expect(fs.unlink).toHaveBeenCalledWith(a.path);
+    expect(index).toEqual(indexOf(cached("b", 1, 10)));
+  });
+
+  it("stops downloading once the budget is reached", async () => {
+    const fs = createMockFileSystem();
+
+    const index = await prefetchImages(
+      [image("a"), image("b"), image("c")],
+      clock(),
+      fs,
+      createMockAsyncStorage(),
+      200
+    );
+
+    expect(fs.downloadFile).toHaveBeenCalledTimes(2);
+    expect(index).toEqual(indexOf(cached("a", 1, 10), cached("b", 1, 10)));
+  });
+
+  it("does not keep a download which goes over the budget", async () => {
+    const fs = createMockFileSystem([], 200, 100);
+
+    const index = await prefetchImages(
+      [image("a"), image("b")],
+      clock(),
+      fs,
+      createMockAsyncStorage(),
+      150
+    );
+
+    expect(fs.unlink).toHaveBeenCalledWith("/caches/images/b-1.jpg");
+    expect(index).toEqual(indexOf(cached("a", 1, 10)));
+  });
+
+  it("keeps cached images of the content over downloading others", async () => {
+    const b = cached("b", 1, 1);
+    const fs = createMockFileSystem([b.path]);
+    const storage = createMockAsyncStorage({
+      [IMAGE_CACHE_INDEX_KEY]: JSON.stringify(indexOf(b))
+    });
+
+    const index = await prefetchImages(
+      [image("a"), image("b")],
+      clock(),
+      fs,
+      storage,
+      150
+    );
+
+    expect(fs.unlink).toHaveBeenCalledWith("/caches/images/a-1.jpg");
+    expect(fs.unlink).not.toHaveBeenCalledWith(b.path);
+    expect(index).toEqual(indexOf({ ...b, lastUsed: 10 }));
+  });
+
+  it("records when each image was last used", async () => {
+    const a = cached("a", 1, 1);
+    const fs = createMockFileSystem([a.path]);
+    const storage = createMockAsyncStorage({
+      [IMAGE_CACHE_INDEX_KEY]: JSON.stringify(indexOf(a))
+    });
+    let time = 10;
+    const now = () => {
+      time += 1;
+      return time;
+    };
+
+    const index = await prefetchImages(
+      [image("a"), image("b"), image("c")],
+      now,
+      fs,
+      storage
+    );
+
+    expect(index).toEqual(
+      indexOf({ ...a, lastUsed: 11 }, cached("b", 1, 12), cached("c", 1, 13))
+    );
+  });
+});
@@ -0,0 +1,50 @@
+// @flow
+import type { State } from "../reducers";
+import { cacheImages } from "../actions/image-cache";
+
+type Store = {
+  +getState: () => State,
+  +dispatch: Function
+};
+
+// Caches pictures whenever new content comes in. Only one prefetch
+// runs at a time, content received while one is running is cached
+// once it finishes. Drafts seen in preview mode are not cached, as
+// the cache is shared with the published content.
+const prefetchImages = (cacheImagesFn: typeof cacheImages = cacheImages) => (
+  store: Store
+) => {
+  let cmsData = null;
+  let running = false;
+  let pending = false;
+
+  const run = async () => {
+    running = true;
+    do {
+      pending = false;
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await store.dispatch(cacheImagesFn());
+      } catch (e) {
+        // Pictures which could not be cached are loaded from the CMS
+      }
+    } while (pending);
+    running = false;
+  };
+
+  return (next: Object => mixed) => (action: Object) => {
+    const result = next(action);
+    const { data, preview } = store.getState();
+    if (!preview.active && data.cmsData && data.cmsData !== cmsData) {
+      ({ cmsData } = data);
+      if (running) {
+        pending = true;
+      } else {
+        run();
+      }
+    }
+    return result;
+  };
+};
+
+export default prefetchImages;
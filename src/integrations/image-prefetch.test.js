@@ -0,0 +1,99 @@
+// @flow
+import prefetchImages from "./image-prefetch";
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+const createMockStore = () => {
+  const store: Object = {
+    state: { data: { cmsData: null }, preview: { active: false } },
+    getState: () => store.state,
+    dispatch: jest.fn(() => Promise.resolve())
+  };
+  return store;
+};
+
+describe("prefetchImages middleware", () => {
+  it("behaves like a redux middleware", () => {
+    const mockNext = jest.fn(() => "result");
+    const action = { type: "SOME_ACTION" };
+
+    const result = prefetchImages(jest.fn())(createMockStore())(mockNext)(
+      action
+    );
+
+    expect(mockNext).toBeCalledWith(action);
+    expect(result).toBe("result");
+  });
+
+  it("caches images when new content is received", () => {
+    const store = createMockStore();
+    const cacheImages: any = jest.fn(() => "cacheImages");
+    const dispatch = prefetchImages(cacheImages)(store)(() => {
+      store.state = { ...store.state, data: { cmsData: {} } };
+    });
+
+    dispatch({ type: "RECEIVE_CMS_DATA" });
+
+    expect(store.dispatch).toHaveBeenCalledWith("cacheImages");
+  });
+
+  it("does not cache images of drafts in preview mode", () => {
+    const store = createMockStore();
+    const dispatch = prefetchImages(jest.fn())(store)(() => {
+      store.state = { data: { cmsData: {} }, preview: { active: true } };
+    });
+
+    dispatch({ type: "RECEIVE_CMS_DATA" });
+
+    expect(store.dispatch).not.toHaveBeenCalled();
+  });
+
+  it("does nothing when the content has not changed", () => {
+    const store = createMockStore();
+    const dispatch = prefetchImages(jest.fn())(store)(() => {});
+
+    dispatch({ type: "SOME_ACTION" });
+
+    expect(store.dispatch).not.toHaveBeenCalled();
+  });
+
+  it("caches images for content received during a prefetch afterwards", async () => {
+    const store = createMockStore();
+    let finishPrefetch = () => {};
+    store.dispatch.mockImplementationOnce(
+      () =>
+        new Promise(resolve => {
+          finishPrefetch = resolve;
+        })
+    );
+    const dispatch = prefetchImages(jest.fn())(store)(action => {
+      store.state = { ...store.state, data: { cmsData: action.cmsData } };
+    });
+
+    dispatch({ type: "RECEIVE_CMS_DATA", cmsData: {} });
+    dispatch({ type: "RECEIVE_CMS_DATA", cmsData: {} });
+    dispatch({ type: "RECEIVE_CMS_DATA", cmsData: {} });
+    expect(store.dispatch).toHaveBeenCalledTimes(1);
+
+    finishPrefetch();
+    await flushPromises();
+
+    expect(store.dispatch).toHaveBeenCalledTimes(2);
+  });
+
+  it("carries on after a failed prefetch", async () => {
+    const store = createMockStore();
+    store.dispatch.mockImplementationOnce(() =>
+      Promise.reject(new Error("offline"))
+    );
+    const dispatch = prefetchImages(jest.fn())(store)(action => {
+      store.state = { ...store.state, data: { cmsData: action.cmsData } };
+    });
+
+    dispatch({ type: "RECEIVE_CMS_DATA", cmsData: {} });
+    await flushPromises();
+    dispatch({ type: "RECEIVE_CMS_DATA", cmsData: {} });
+
+    expect(store.dispatch).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,112 @@
+// @flow
+import { AsyncStorage } from "react-native";
+
+// Deep links like prideinlondon://preview?token=<preview token> switch
+// the app to preview mode, where editors see their drafts. The token is
+// a Contentful Preview API access token.
+export type PreviewLink = { token: string };
+
+export const PREVIEW_TOKEN_KEY = "@Preview:token";
+
+// Content shown in preview mode is cached under this prefix, apart from
+// the published content, so leaving preview mode is instant.
+const PREVIEW_STORAGE_PREFIX = "@Preview/";
+
+type Storage = {
+  getItem: (key: string) => Promise<?string>,
+  setItem: (key: string, value: string) => Promise<void>,
+  removeItem: (key: string) => Promise<void>,
+  multiGet: (keys: string[]) => Promise<Array<[string, ?string]>>,
+  multiSet: (pairs: Array<[string, string]>) => Promise<void>,
+  multiRemove: (keys: string[]) => Promise<void>,
+  getAllKeys: () => Promise<string[]>
+};
+
+/**
+ * Wraps AsyncStorage so that every key gets the given prefix. Code
+ * written against AsyncStorage, like integrations/storage.js, can then
+ * keep its data apart without knowing about it.
+ */
+export const createPrefixedStorage = (
+  storage: Storage,
+  prefix: string
+): Storage => {
+  const withPrefix = (key: string) => `${prefix}${key}`;
+  const withoutPrefix = (key: string) => key.slice(prefix.length);
+  return {
+    getItem: key => storage.getItem(withPrefix(key)),
+    setItem: (key, value) => storage.setItem(withPrefix(key), value),
+    removeItem: key => storage.removeItem(withPrefix(key)),
+    multiGet: async keys => {
+      const pairs = await storage.multiGet(keys.map(withPrefix));
+      return pairs.map(([key, value]) => [withoutPrefix(key), value]);
+    },
+    multiSet: pairs =>
+      storage.multiSet(pairs.map(([key, value]) => [withPrefix(key), value])),
+    multiRemove: keys => storage.multiRemove(keys.map(withPrefix)),
+    getAllKeys: async () => {
+      const keys = await storage.getAllKeys();
+      return keys.filter(key => key.startsWith(prefix)).map(withoutPrefix);
+    }
+  };
+};
+
+export const previewStorage: Storage = createPrefixedStorage(
+  AsyncStorage,
+  PREVIEW_STORAGE_PREFIX
+);
+
+let previewToken: ?string = null;
+
+// The token of the running preview session, if there is one
+export const getPreviewToken = (): ?string => previewToken;
+
+/**
+ * Picks up the preview session the app was in when it was closed.
+ */
+export const restorePreviewSession = async (
+  AsyncStorageObj: Storage = AsyncStorage
+): Promise<?string> => {
+  previewToken = await AsyncStorageObj.getItem(PREVIEW_TOKEN_KEY);
+  return previewToken;
+};
+
+export const startPreviewSession = async (
+  token: string,
+  AsyncStorageObj: Storage = AsyncStorage
+): Promise<void> => {
+  previewToken = token;
+  await AsyncStorageObj.setItem(PREVIEW_TOKEN_KEY, token);
+};
+
+/**
+ * Leaves preview mode and throws away the drafts it cached.
+ */
+export const stopPreviewSession = async (
+  AsyncStorageObj: Storage = AsyncStorage,
+  previewStorageObj: Storage = previewStorage
+): Promise<void> => {
+  previewToken = null;
+  await AsyncStorageObj.removeItem(PREVIEW_TOKEN_KEY);
+  const keys = await previewStorageObj.getAllKeys();
+  if (keys.length > 0) {
+    await previewStorageObj.multiRemove(keys);
+  }
+};
+
+const parseQuery = (query: string): { [key: string]: string } =>
+  query.split("&").reduce((acc, pair) => {
+    const [key, value = ""] = pair.split("=");
+    // intentional mutation as this happens in a reduce
+    acc[decodeURIComponent(key)] = decodeURIComponent(value);
+    return acc;
+  }, {});
+
+export const parsePreviewLink = (url: ?string): ?PreviewLink => {
+  const match = /^[\w.+-]+:\/\/preview\/?\?([^#]*)/.exec(url || "");
+  if (!match) {
+    return null;
+  }
+  const { token } = parseQuery(match[1]);
+  return token ? { token } : null;
+};
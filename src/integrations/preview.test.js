@@ -0,0 +1,132 @@
+import {
+  createPrefixedStorage,
+  getPreviewToken,
+  parsePreviewLink,
+  restorePreviewSession,
+  startPreviewSession,
+  stopPreviewSession,
+  PREVIEW_TOKEN_KEY
+} from "./preview";
+
+// An in memory stand-in for AsyncStorage
+const createMockAsyncStorage = (initialItems = {}) => {
+  const items = { ...initialItems };
+  const get = key => (items[key] !== undefined ? items[key] : null);
+  return {
+    items,
+    getItem: jest.fn(async key => get(key)),
+    setItem: jest.fn(async (key, value) => {
+      items[key] = value;
+    }),
+    removeItem: jest.fn(async key => {
+      delete items[key];
+    }),
+    multiGet: jest.fn(async keys => keys.map(key => [key, get(key)])),
+    multiSet: jest.fn(async pairs => {
+      pairs.forEach(([key, value]) => {
+        items[key] = value;
+      });
+    }),
+    multiRemove: jest.fn(async keys => {
+      keys.forEach(key => {
+        delete items[key];
+      });
+    }),
+    getAllKeys: jest.fn(async () => Object.keys(items))
+  };
+};
+
+describe("createPrefixedStorage", () => {
+  it("prefixes the keys it writes", async () => {
+    const storage = createMockAsyncStorage();
+    const prefixed = createPrefixedStorage(storage, "@Preview/");
+
+    await prefixed.setItem("a", "1");
+    await prefixed.multiSet([["b", "2"]]);
+
+    expect(storage.items).toEqual({ "@Preview/a": "1", "@Preview/b": "2" });
+  });
+
+  it("reads back the keys it wrote", async () => {
+    const storage = createMockAsyncStorage({
+      a: "published",
+      "@Preview/a": "draft"
+    });
+    const prefixed = createPrefixedStorage(storage, "@Preview/");
+
+    expect(await prefixed.getItem("a")).toBe("draft");
+    expect(await prefixed.multiGet(["a", "b"])).toEqual([
+      ["a", "draft"],
+      ["b", null]
+    ]);
+  });
+
+  it("only lists and removes its own keys", async () => {
+    const storage = createMockAsyncStorage({
+      a: "published",
+      "@Preview/a": "draft"
+    });
+    const prefixed = createPrefixedStorage(storage, "@Preview/");
+
+    expect(await prefixed.getAllKeys()).toEqual(["a"]);
+    await prefixed.multiRemove(["a"]);
+
+    expect(storage.items).toEqual({ a: "published" });
+  });
+});
+
+describe("preview sessions", () => {
+  it("remembers the token of a preview session", async () => {
+    const storage = createMockAsyncStorage();
+
+    await startPreviewSession("preview-token", storage);
+
+    expect(getPreviewToken()).toBe("preview-token");
+    expect(storage.items[PREVIEW_TOKEN_KEY]).toBe("preview-token");
+  });
+
+  it("restores the session the app was closed in", async () => {
+    const storage = createMockAsyncStorage({
+      [PREVIEW_TOKEN_KEY]: "preview-token"
+    });
+
+    const token = await restorePreviewSession(storage);
+
+    expect(token).toBe("preview-token");
+    expect(getPreviewToken()).toBe("preview-token");
+  });
+
+  it("throws away the drafts when the session stops", async () => {
+    const storage = createMockAsyncStorage({
+      [PREVIEW_TOKEN_KEY]: "preview-token",
+      "@CmsStore:manifest": "published",
+      "@Preview/@CmsStore:manifest": "draft"
+    });
+
+    await stopPreviewSession(
+      storage,
+      createPrefixedStorage(storage, "@Preview/")
+    );
+
+    expect(getPreviewToken()).toBeNull();
+    expect(storage.items).toEqual({ "@CmsStore:manifest": "published" });
+  });
+});
+
+describe("parsePreviewLink", () => {
+  it("reads the token from a preview link", () => {
+    expect(
+      parsePreviewLink("prideinlondon://preview?token=abc%2B123&utm=email")
+    ).toEqual({ token: "abc+123" });
+  });
+
+  it("ignores other links", () => {
+    expect(parsePreviewLink("prideinlondon://events?token=abc")).toBeNull();
+    expect(parsePreviewLink(null)).toBeNull();
+  });
+
+  it("ignores preview links without a token", () => {
+    expect(parsePreviewLink("prideinlondon://preview?token=")).toBeNull();
+    expect(parsePreviewLink("prideinlondon://preview")).toBeNull();
+  });
+});
@@ -0,0 +1,49 @@
+// @flow
+import type { State } from "../reducers";
+import { updateSavedEventChanges } from "../actions/saved-event-changes";
+
+type Store = {
+  +getState: () => State,
+  +dispatch: Function
+};
+
+// Looks for changes to the saved events whenever the content or the
+// saved events change. Nothing is tracked until the saved events, the
+// change log and the content have all been loaded, or while drafts
+// are shown in preview mode.
+const trackSavedEvents = (
+  updateSavedEventChangesFn: typeof updateSavedEventChanges = updateSavedEventChanges
+) => (store: Store) => {
+  let savedEventsLoaded = false;
+  let events = null;
+  let savedEvents = null;
+  let loaded = false;
+
+  return (next: Object => mixed) => (action: Object) => {
+    const result = next(action);
+    if (action.type === "RECEIVE_SAVED_EVENTS") {
+      savedEventsLoaded = true;
+    }
+
+    const state = store.getState();
+    const ready =
+      savedEventsLoaded &&
+      state.savedEventChanges.loaded &&
+      !!state.data.cmsData &&
+      !state.preview.active;
+    if (
+      ready &&
+      (!loaded ||
+        state.data.events !== events ||
+        state.savedEvents !== savedEvents)
+    ) {
+      loaded = true;
+      ({ events } = state.data);
+      ({ savedEvents } = state);
+      store.dispatch(updateSavedEventChangesFn());
+    }
+    return result;
+  };
+};
+
+export default trackSavedEvents;
@@ -0,0 +1,85 @@
+// @flow
+import trackSavedEvents from "./saved-event-tracker";
+
+const events = [];
+const savedEvents = new Set();
+
+const readyState = {
+  data: { cmsData: {}, events },
+  savedEvents,
+  savedEventChanges: { loaded: true },
+  preview: { active: false }
+};
+
+const createMockStore = (state: Object = readyState) => {
+  const store: Object = {
+    state,
+    getState: () => store.state,
+    dispatch: jest.fn()
+  };
+  return store;
+};
+
+const createDispatch = store =>
+  trackSavedEvents((() => "update": any))(store)(() => {});
+
+describe("trackSavedEvents middleware", () => {
+  it("behaves like a redux middleware", () => {
+    const mockNext = jest.fn(() => "result");
+    const action = { type: "SOME_ACTION" };
+
+    const result = trackSavedEvents(jest.fn())(createMockStore())(mockNext)(
+      action
+    );
+
+    expect(mockNext).toBeCalledWith(action);
+    expect(result).toBe("result");
+  });
+
+  it("waits for the saved events to be loaded", () => {
+    const store = createMockStore();
+    const dispatch = createDispatch(store);
+
+    dispatch({ type: "RECEIVE_CMS_DATA" });
+    expect(store.dispatch).not.toHaveBeenCalled();
+
+    dispatch({ type: "RECEIVE_SAVED_EVENTS" });
+    expect(store.dispatch).toHaveBeenCalledWith("update");
+  });
+
+  it("tracks changes when the content or the saved events change", () => {
+    const store = createMockStore();
+    const dispatch = createDispatch(store);
+    dispatch({ type: "RECEIVE_SAVED_EVENTS" });
+
+    store.state = { ...readyState, data: { cmsData: {}, events: [] } };
+    dispatch({ type: "APPLY_STAGED_CMS_DATA" });
+    store.state = { ...store.state, savedEvents: new Set(["1"]) };
+    dispatch({ type: "ADD_SAVED_EVENT" });
+    dispatch({ type: "SOME_ACTION" });
+
+    expect(store.dispatch).toHaveBeenCalledTimes(3);
+  });
+
+  it("waits for the content and the change log", () => {
+    const store = createMockStore({
+      ...readyState,
+      data: { cmsData: null, events },
+      savedEventChanges: { loaded: false }
+    });
+    const dispatch = createDispatch(store);
+
+    dispatch({ type: "RECEIVE_SAVED_EVENTS" });
+
+    expect(store.dispatch).not.toHaveBeenCalled();
+  });
+
+  it("does not track drafts shown in preview mode", () => {
+    const store = createMockStore({ ...readyState, preview: { active: true } });
+    const dispatch = createDispatch(store);
+
+    dispatch({ type: "RECEIVE_SAVED_EVENTS" });
+
+    expect(store.dispatch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,29 @@
+// @flow
+import type { CmsData, SavedData } from "./cms";
+import { saveCmsData } from "./storage";
+
+const loadBundledSeed = (): CmsData =>
+  // eslint-disable-next-line global-require
+  require("../../seed/cms-seed.json");
+
+/**
+ * Fills the empty cache with the content snapshot taken when the app
+ * was built (yarn snapshot-content), so the app has something to show
+ * on first launch without a connection. Returns null for builds which
+ * do not include a snapshot. A snapshot without a sync token is never
+ * saved, as the app could not sync on from it.
+ */
+const seedCmsData = async (
+  loadSeedFn: () => CmsData = loadBundledSeed,
+  saveCmsDataFn: typeof saveCmsData = saveCmsData
+): Promise<?SavedData> => {
+  const seed = loadSeedFn();
+  if (!seed.nextSyncToken) {
+    return null;
+  }
+
+  const savedCmsData = await saveCmsDataFn(seed);
+  return { ...savedCmsData, updated: false, seeded: true };
+};
+
+export default seedCmsData;
@@ -0,0 +1,62 @@
+// @flow
+import seedCmsData from "./seed";
+
+describe("seedCmsData", () => {
+  const seed = {
+    entries: [
+      {
+        sys: { id: "1", contentType: { sys: { id: "event" } }, revision: 1 }
+      }
+    ],
+    deletedEntries: [],
+    assets: [],
+    deletedAssets: [],
+    nextSyncToken: "seed"
+  };
+
+  it("saves the bundled content to the cache", async () => {
+    const savedCmsData = {
+      entries: seed.entries,
+      assets: [],
+      syncToken: "seed"
+    };
+    const mockSaveCmsData: any = jest.fn(async () => savedCmsData);
+
+    const data = await seedCmsData(() => seed, mockSaveCmsData);
+
+    expect(mockSaveCmsData).toHaveBeenCalledWith(seed);
+    expect(data).toEqual({ ...savedCmsData, updated: false, seeded: true });
+  });
+
+  it("returns null when the build has no bundled content", async () => {
+    const mockSaveCmsData: any = jest.fn();
+
+    const data = await seedCmsData(
+      () => ({ ...seed, entries: [], nextSyncToken: "" }),
+      mockSaveCmsData
+    );
+
+    expect(data).toBeNull();
+    expect(mockSaveCmsData).not.toHaveBeenCalled();
+  });
+
+  it("does not save a snapshot without a sync token", async () => {
+    const mockSaveCmsData: any = jest.fn();
+
+    const data = await seedCmsData(
+      () => ({ ...seed, nextSyncToken: "" }),
+      mockSaveCmsData
+    );
+
+    expect(data).toBeNull();
+    expect(mockSaveCmsData).not.toHaveBeenCalled();
+  });
+
+  it("ships without bundled content until a snapshot is taken", async () => {
+    const mockSaveCmsData: any = jest.fn();
+
+    const data = await seedCmsData(undefined, mockSaveCmsData);
+
+    expect(data).toBeNull();
+  });
+});
@@ -1,8 +1,21 @@
 // @flow
 import { AsyncStorage } from "react-native";
-import { isBefore } from "../lib/date";
+import R from "ramda";
+import * as decode from "../lib/decode";
+import type { Decoder } from "../lib/decode";
+import type { Result } from "../lib/result";
+import { ok, error } from "../lib/result";
 import type { CmsEntry } from "./cms";
-import locale from "../data/locale";
+import type { SavedEventChangeLog } from "../data/saved-event-changes";
+import { emptyChangeLog } from "../data/saved-event-changes";
+import locale, { supportedLocales } from "../data/locale";
+import type { FilterCollection } from "../data/event-filters";
+import {
+  decodeFilterCollection,
+  encodeFilterCollection
+} from "../data/event-filters";
+import { eventSortOrders } from "../data/event-sort";
+import type { EventSortOrder } from "../data/event-sort";
 
 type SavedData = {
   entries: CmsEntry[],
@@ -18,115 +31,621 @@ type CmsData = {
   nextSyncToken: string
 };
 
-const CMS_DATA_KEY = "@CmsStore:data";
+// The CMS data is stored across several records, grouped by content type,
+// so that a sync only reads and rewrites the records holding entries it
+// changed. The manifest lists the ids held by each record, which tells us
+// where to find an entry that was updated or deleted.
+type Manifest = {
+  version: number,
+  syncToken: string,
+  records: { [key: string]: Array<string> }
+};
 
-const addOrUpdateEntry = (entries, newEntry) => {
-  const indexToUpdate = entries.findIndex(
-    localEvent => localEvent.sys.id === newEntry.sys.id
-  );
-  if (indexToUpdate > -1) {
-    entries.splice(indexToUpdate, 1, newEntry);
-    return entries;
-  }
-  return entries.concat(newEntry);
+type Records = { [key: string]: Array<Object> };
+
+// Releases up to 2.0.3 stored all the data in this single record
+export const CMS_DATA_KEY = "@CmsStore:data";
+export const CMS_MANIFEST_KEY = "@CmsStore:manifest";
+const CMS_KEY_PREFIX = "@CmsStore:";
+const CMS_RECORD_KEY_PREFIX = "@CmsStore:records:";
+
+// Records are filled up to this many characters, and split once they
+// grow past it, so that none of them comes near the 2 MB a single row
+// can hold on Android.
+export const MAX_RECORD_SIZE = 512 * 1024;
+
+// Bump this whenever the shape of the stored CMS data changes, and add
+// a migration to cmsDataMigrations below.
+export const CMS_DATA_VERSION = 3;
+
+type CmsDataEnvelope = {
+  version: number,
+  data: mixed
 };
 
-const entryNotDeleted = (entry, deletedEntryIds) =>
-  !deletedEntryIds.includes(entry.sys.id);
+export type Migration = {
+  // The version this migration upgrades the data to. It is given data
+  // stored under the previous version.
+  version: number,
+  migrate: mixed => mixed
+};
 
-const correctDates = (entry: Object) => {
-  if (!entry.fields) {
-    return entry;
+// Ordered list of migrations, used to upgrade data cached by older
+// releases of the app. Never edit a migration once it has been
+// released, add a new one instead.
+export const cmsDataMigrations: Array<Migration> = [
+  {
+    // Releases up to 2.0.3 stored the data without an envelope. The data
+    // itself did not change, so it is taken over as is.
+    version: 2,
+    migrate: data => data
+  },
+  {
+    // Version 3 split the data into one record per content type. The
+    // data itself did not change, loadCmsData takes care of the layout.
+    version: 3,
+    migrate: data => data
   }
+];
 
-  const { startTime, endTime } = entry.fields;
-  if (startTime === undefined || endTime === undefined) {
-    return entry;
+// Data stored before we started versioning it has no envelope, and is
+// treated as version 1.
+const LEGACY_CMS_DATA_VERSION = 1;
+
+const toEnvelope = (stored: mixed): ?CmsDataEnvelope => {
+  if (stored == null || typeof stored !== "object" || Array.isArray(stored)) {
+    return null;
+  }
+  if (typeof stored.version === "number") {
+    return { version: stored.version, data: stored.data };
   }
+  return { version: LEGACY_CMS_DATA_VERSION, data: stored };
+};
+
+const decodeStoredEntries = decode.array(
+  decode.at(["sys", "id"], decode.string)
+);
+
+const decodeSavedData = decode.shape({
+  entries: decode.field("entries", decodeStoredEntries),
+  assets: decode.field("assets", decodeStoredEntries),
+  syncToken: decode.field("syncToken", decode.string)
+});
+
+const decodeManifest: Decoder<Manifest> = decode.shape({
+  version: decode.field("version", decode.number),
+  syncToken: decode.field("syncToken", decode.string),
+  records: decode.field("records", (v: mixed) => {
+    if (v == null || typeof v !== "object" || Array.isArray(v)) {
+      return error("value is not an object");
+    }
+    const obj = v;
+    return Object.keys(obj).reduce((acc, key) => {
+      const ids = decode.array(decode.string)(obj[key]);
+      if (!acc.ok || !ids.ok || !key.startsWith(CMS_RECORD_KEY_PREFIX)) {
+        return error("value is not a record index");
+      }
+      return ok({ ...acc.value, [key]: ids.value });
+    }, ok({}));
+  })
+});
 
-  if (isBefore(startTime[locale], endTime[locale])) {
+// Puts the prices of each locale in order. A locale can leave either
+// price out and fall back to the default locale's, so its prices are
+// compared with those in place.
+const orderLocalePrices = (
+  priceLow: { [string]: number },
+  priceHigh: { [string]: number }
+) => (
+  acc: { low: { [string]: number }, high: { [string]: number } },
+  key: string
+) => {
+  const low = priceLow[key] !== undefined ? priceLow[key] : acc.low[locale];
+  const high = priceHigh[key] !== undefined ? priceHigh[key] : acc.high[locale];
+  if (low > high) {
+    // intentional mutation as this happens in a reduce
+    acc.low[key] = high;
+    acc.high[key] = low;
+  }
+  return acc;
+};
+
+const orderHighLowPrice = (entry: Object) => {
+  if (!entry.fields) {
     return entry;
   }
 
+  const priceLow = entry.fields.eventPriceLow || {};
+  const priceHigh = entry.fields.eventPriceHigh || {};
+  // Missing prices are set to zero in the default locale only, the
+  // other locales fall back to it
+  const ordered = priceLow[locale] < priceHigh[locale];
+  const prices = R.without(
+    [locale],
+    R.union(Object.keys(priceLow), Object.keys(priceHigh))
+  ).reduce(orderLocalePrices(priceLow, priceHigh), {
+    low: {
+      ...priceLow,
+      [locale]: ordered ? priceLow[locale] : priceHigh[locale] || 0
+    },
+    high: {
+      ...priceHigh,
+      [locale]: ordered ? priceHigh[locale] : priceLow[locale] || 0
+    }
+  });
+
   return {
     ...entry,
     fields: {
       ...entry.fields,
-      startTime: endTime,
-      endTime: startTime
+      eventPriceLow: prices.low,
+      eventPriceHigh: prices.high
     }
   };
 };
 
-const orderHighLowPrice = (entry: Object) => {
-  if (!entry.fields) {
-    return entry;
+// Each content type is a partition of one or more records, numbered
+// from 0, e.g. "@CmsStore:records:entries:event:0".
+const recordKey = (partition: string, position: number): string =>
+  `${CMS_RECORD_KEY_PREFIX}${partition}:${position}`;
+
+const partitionOfKey = (key: string): string =>
+  key.slice(CMS_RECORD_KEY_PREFIX.length, key.lastIndexOf(":"));
+
+const positionOfKey = (key: string): number =>
+  Number(key.slice(key.lastIndexOf(":") + 1));
+
+const contentTypeOf = (entry: Object): string =>
+  entry.sys.contentType ? entry.sys.contentType.sys.id : "unknown";
+
+// Pairs each entry and asset with the partition it belongs in
+const withPartitions = (
+  entries: Array<Object>,
+  assets: Array<Object>
+): Array<[string, Object]> => [
+  ...entries.map(entry => [`entries:${contentTypeOf(entry)}`, entry]),
+  ...assets.map(asset => ["assets", asset])
+];
+
+const isAssetRecord = (key: string) =>
+  key.startsWith(`${CMS_RECORD_KEY_PREFIX}assets:`);
+
+const parseJson = (value: ?string): mixed => {
+  try {
+    return value != null ? JSON.parse(value) : null;
+  } catch (e) {
+    return undefined;
+  }
+};
+
+const readManifest = async (
+  AsyncStorageObj: AsyncStorage
+): Promise<Result<string, ?Manifest>> => {
+  const stored = parseJson(await AsyncStorageObj.getItem(CMS_MANIFEST_KEY));
+  if (stored === null) {
+    return ok(null);
   }
+  const manifest = decodeManifest(stored);
+  return manifest.ok ? ok(manifest.value) : manifest;
+};
+
+// The records read or written since the app started, for each storage.
+// All writes go through writeRecords, which keeps these up to date, so
+// each record is only read from the device once. Syncs then only read
+// the manifest, and records are never parsed twice.
+const loadedRecords: WeakMap<
+  AsyncStorage,
+  Map<string, Array<Object>>
+> = new WeakMap();
+
+const loadedRecordsOf = (
+  AsyncStorageObj: AsyncStorage
+): Map<string, Array<Object>> => {
+  const loaded = loadedRecords.get(AsyncStorageObj) || new Map();
+  loadedRecords.set(AsyncStorageObj, loaded);
+  return loaded;
+};
 
-  const priceLow =
-    entry.fields.eventPriceLow && entry.fields.eventPriceLow[locale];
-  const priceHigh =
-    entry.fields.eventPriceHigh && entry.fields.eventPriceHigh[locale];
+// Reads the given records, from the device only when they have not been
+// loaded yet. Returns null if any of them is missing or cannot be read.
+const readRecords = async (
+  keys: Array<string>,
+  AsyncStorageObj: AsyncStorage
+): Promise<?Records> => {
+  const loaded = loadedRecordsOf(AsyncStorageObj);
+  const unloadedKeys = keys.filter(key => !loaded.has(key));
+  const pairs =
+    unloadedKeys.length > 0 ? await AsyncStorageObj.multiGet(unloadedKeys) : [];
+  const read = pairs.reduce((acc, [key, value]) => {
+    const record = parseJson(value);
+    if (acc && decodeStoredEntries(record).ok) {
+      acc[key] = record; // intentional mutation as this happens in a reduce
+      return acc;
+    }
+    return null;
+  }, {});
+  if (!read) {
+    return null;
+  }
 
-  if (priceLow < priceHigh) return entry;
+  Object.keys(read).forEach(key => loaded.set(key, read[key]));
+  return keys.reduce((acc, key) => {
+    // intentional mutation as this happens in a reduce
+    acc[key] = loaded.get(key);
+    return acc;
+  }, {});
+};
 
+const assemble = (records: Records, syncToken: string): SavedData => {
+  const keys = Object.keys(records);
   return {
-    ...entry,
-    fields: {
-      ...entry.fields,
-      eventPriceLow: {
-        [locale]: priceHigh || 0
-      },
-      eventPriceHigh: {
-        [locale]: priceLow || 0
+    entries: R.unnest(
+      keys.filter(key => !isAssetRecord(key)).map(key => records[key])
+    ),
+    assets: R.unnest(keys.filter(isAssetRecord).map(key => records[key])),
+    syncToken
+  };
+};
+
+// Splits the items into chunks which each fit in a record, keeping their
+// order. An item larger than a record on its own gets a chunk to itself.
+const splitIntoChunks = (
+  items: Array<Object>,
+  maxRecordSize: number
+): Array<Array<Object>> =>
+  items
+    .reduce((acc, item) => {
+      // Each item is followed by a comma, and the record is wrapped in
+      // brackets.
+      const size = JSON.stringify(item).length + 1;
+      const last = acc[acc.length - 1];
+      if (last && last.size + size <= maxRecordSize) {
+        // intentional mutation as this happens in a reduce
+        last.items.push(item);
+        last.size += size;
+      } else {
+        acc.push({ items: [item], size: size + 2 });
       }
-    }
+      return acc;
+    }, [])
+    .map(chunk => chunk.items);
+
+// The number of the next record of each partition
+const nextPositions = (keys: Array<string>): { [string]: number } =>
+  keys.reduce((acc, key) => {
+    const partition = partitionOfKey(key);
+    // intentional mutation as this happens in a reduce
+    acc[partition] = Math.max(acc[partition] || 0, positionOfKey(key) + 1);
+    return acc;
+  }, {});
+
+// Splits each record which has grown too large, keeping the key of the
+// record for its first part.
+const splitRecords = (
+  records: Records,
+  takenKeys: Array<string>,
+  maxRecordSize: number
+): Records => {
+  const positions = nextPositions(takenKeys);
+  return Object.keys(records).reduce((acc, key) => {
+    const partition = partitionOfKey(key);
+    const [first, ...rest] = splitIntoChunks(records[key], maxRecordSize);
+    // intentional mutation as this happens in a reduce
+    acc[key] = first;
+    rest.forEach(chunk => {
+      acc[recordKey(partition, positions[partition])] = chunk;
+      positions[partition] += 1;
+    });
+    return acc;
+  }, {});
+};
+
+const groupIntoRecords = (
+  items: Array<[string, Object]>,
+  maxRecordSize: number
+): Records => {
+  const partitions = R.groupBy(([partition]) => partition, items);
+  return Object.keys(partitions).reduce((acc, partition) => {
+    const chunks = splitIntoChunks(
+      partitions[partition].map(([, item]) => item),
+      maxRecordSize
+    );
+    chunks.forEach((chunk, position) => {
+      // intentional mutation as this happens in a reduce
+      acc[recordKey(partition, position)] = chunk;
+    });
+    return acc;
+  }, {});
+};
+
+const indexRecords = (records: Records) =>
+  R.map(items => items.map(item => item.sys.id), records);
+
+const writeRecords = async (
+  records: Records,
+  manifest: Manifest,
+  staleKeys: Array<string>,
+  AsyncStorageObj: AsyncStorage
+) => {
+  await AsyncStorageObj.multiSet([
+    ...Object.keys(records).map(key => [key, JSON.stringify(records[key])]),
+    [CMS_MANIFEST_KEY, JSON.stringify(manifest)]
+  ]);
+  const loaded = loadedRecordsOf(AsyncStorageObj);
+  Object.keys(records).forEach(key => loaded.set(key, records[key]));
+  if (staleKeys.length > 0) {
+    await AsyncStorageObj.multiRemove(staleKeys);
+    staleKeys.forEach(key => loaded.delete(key));
+  }
+};
+
+// Writes all of the data, replacing whatever was stored before.
+const writeCmsData = async (
+  data: SavedData,
+  previousManifest: ?Manifest,
+  AsyncStorageObj: AsyncStorage
+) => {
+  const records = groupIntoRecords(
+    withPartitions(data.entries, data.assets),
+    MAX_RECORD_SIZE
+  );
+  const manifest = {
+    version: CMS_DATA_VERSION,
+    syncToken: data.syncToken,
+    records: indexRecords(records)
   };
+  const staleKeys = previousManifest
+    ? Object.keys(previousManifest.records).filter(key => !records[key])
+    : [];
+  await writeRecords(records, manifest, staleKeys, AsyncStorageObj);
 };
 
-const updateCmsEntryList = (newList, deletedList, localList) => {
-  const deletedEntryIds = deletedList.map(deletedEntry => deletedEntry.sys.id);
+/**
+ * Removes all CMS data cached on the device, whichever version of
+ * the app wrote it.
+ */
+export const clearCmsData = async (
+  AsyncStorageObj: AsyncStorage = AsyncStorage
+) => {
+  loadedRecords.delete(AsyncStorageObj);
+  const keys = await AsyncStorageObj.getAllKeys();
+  const cmsKeys = keys.filter(key => key.startsWith(CMS_KEY_PREFIX));
+  if (cmsKeys.length > 0) {
+    await AsyncStorageObj.multiRemove(cmsKeys);
+  }
+};
 
-  return newList
-    .reduce(addOrUpdateEntry, localList)
-    .filter(entry => entryNotDeleted(entry, deletedEntryIds))
-    .map(correctDates)
-    .map(orderHighLowPrice);
+const addOrUpdateHelp = (acc: Records, [key, item]: [string, Object]) => {
+  const items = acc[key] || [];
+  const index = items.findIndex(existing => existing.sys.id === item.sys.id);
+  // intentional mutation as this happens in a reduce
+  acc[key] = index > -1 ? R.update(index, item, items) : [...items, item];
+  return acc;
 };
 
+// Where each stored id is kept, by partition
+const locateItems = (records: {
+  [key: string]: Array<string>
+}): { [partition: string]: { [id: string]: string } } =>
+  Object.keys(records).reduce((acc, key) => {
+    const partition = partitionOfKey(key);
+    const ids = acc[partition] || {};
+    records[key].forEach(id => {
+      ids[id] = key;
+    });
+    // intentional mutation as this happens in a reduce
+    acc[partition] = ids;
+    return acc;
+  }, {});
+
+// The record of each partition new items are added to
+const lastRecordKeys = (keys: Array<string>): { [string]: string } =>
+  keys.reduce((acc, key) => {
+    const partition = partitionOfKey(key);
+    if (!acc[partition] || positionOfKey(acc[partition]) < positionOfKey(key)) {
+      // intentional mutation as this happens in a reduce
+      acc[partition] = key;
+    }
+    return acc;
+  }, {});
+
+/**
+ * Applies a sync result on top of the cached data. Only the records
+ * holding entries that were updated or deleted, and the last record of
+ * each content type that gained entries, are read and written. The
+ * others are left untouched.
+ *
+ * Returns the entries and assets of the sync result as they were saved.
+ * Rejects when the cache cannot be read, or when previousSyncToken is
+ * given and the cache is not the one the sync started from. Saving a
+ * delta onto anything else would leave entries out for good, so in that
+ * case the caller should start over with an initial sync.
+ */
 export const saveCmsData = async (
   cmsData: CmsData,
-  loadCmsDataFn: typeof loadCmsData = loadCmsData,
-  AsyncStorageObj: AsyncStorage = AsyncStorage
+  AsyncStorageObj: AsyncStorage = AsyncStorage,
+  previousSyncToken: ?string = null,
+  maxRecordSize: number = MAX_RECORD_SIZE
 ): Promise<SavedData> => {
-  const localCmsData = await loadCmsDataFn();
-  const localEntries = localCmsData ? localCmsData.entries : [];
-  const localAssets = localCmsData ? localCmsData.assets : [];
-
-  const entries = updateCmsEntryList(
-    cmsData.entries,
-    cmsData.deletedEntries,
-    localEntries
+  const manifestResult = await readManifest(AsyncStorageObj);
+  if (!manifestResult.ok) {
+    throw new Error("The cached CMS data is corrupt");
+  }
+  const manifest = manifestResult.value;
+  if (
+    previousSyncToken != null &&
+    (!manifest || manifest.syncToken !== previousSyncToken)
+  ) {
+    throw new Error("The cached CMS data is not the data that was synced");
+  }
+
+  const deletedIds = new Set(
+    [...cmsData.deletedEntries, ...cmsData.deletedAssets].map(
+      deleted => deleted.sys.id
+    )
   );
-  const assets = updateCmsEntryList(
-    cmsData.assets,
-    cmsData.deletedAssets,
-    localAssets
+  const index = manifest ? manifest.records : {};
+  const storedKeys = Object.keys(index);
+  const locations = locateItems(index);
+  const lastKeys = lastRecordKeys(storedKeys);
+  const entries = cmsData.entries.map(orderHighLowPrice);
+  const assets = cmsData.assets.map(orderHighLowPrice);
+  const changedItems = withPartitions(entries, assets).map(
+    ([partition, item]) => {
+      const storedKey =
+        locations[partition] && locations[partition][item.sys.id];
+      return [
+        storedKey || lastKeys[partition] || recordKey(partition, 0),
+        item
+      ];
+    }
   );
+  const changedKeys = R.uniq([
+    ...changedItems.map(([key]) => key),
+    ...storedKeys.filter(key => index[key].some(id => deletedIds.has(id)))
+  ]);
 
-  const syncToken = cmsData.nextSyncToken;
-  const newCmsData = { entries, assets, syncToken };
+  const changedRecords = await readRecords(
+    changedKeys.filter(key => index[key]),
+    AsyncStorageObj
+  );
+  if (!changedRecords) {
+    throw new Error("Part of the cached CMS data has gone missing");
+  }
 
-  await AsyncStorageObj.setItem(CMS_DATA_KEY, JSON.stringify(newCmsData));
+  const updatedRecords = R.map(
+    items => items.filter(item => !deletedIds.has(item.sys.id)),
+    changedItems.reduce(addOrUpdateHelp, changedRecords)
+  );
+  const emptyKeys = Object.keys(updatedRecords).filter(
+    key => updatedRecords[key].length === 0
+  );
+  const writtenRecords = splitRecords(
+    R.omit(emptyKeys, updatedRecords),
+    [...storedKeys, ...changedKeys],
+    maxRecordSize
+  );
 
-  return newCmsData;
+  const newManifest = {
+    version: CMS_DATA_VERSION,
+    syncToken: cmsData.nextSyncToken,
+    records: {
+      ...R.omit(emptyKeys, index),
+      ...indexRecords(writtenRecords)
+    }
+  };
+  await writeRecords(
+    writtenRecords,
+    newManifest,
+    emptyKeys.filter(key => index[key]),
+    AsyncStorageObj
+  );
+
+  return { entries, assets, syncToken: cmsData.nextSyncToken };
 };
 
-export const loadCmsData = async (
-  AsyncStorageObj: AsyncStorage = AsyncStorage
-): Promise<SavedData> => {
+const migrationsHelp = (version: number) => (
+  acc: ?mixed,
+  migration: Migration
+): ?mixed => {
+  if (acc === undefined || migration.version <= version) {
+    return acc;
+  }
+  return migration.migrate(acc);
+};
+
+/**
+ * Brings data stored under the given version up to the current version.
+ * Returns undefined when the data cannot be upgraded, e.g. because it
+ * was written by a newer release of the app.
+ */
+export const migrateCmsData = (
+  version: number,
+  data: mixed,
+  migrations: Array<Migration> = cmsDataMigrations,
+  currentVersion: number = CMS_DATA_VERSION
+): mixed => {
+  if (version > currentVersion) {
+    return undefined;
+  }
+  return migrations
+    .filter(migration => migration.version <= currentVersion)
+    .reduce(migrationsHelp(version), data);
+};
+
+// Reads data written by releases which stored everything in one record
+const loadLegacyCmsData = async (
+  AsyncStorageObj: AsyncStorage
+): Promise<?CmsDataEnvelope> => {
   const stringData = await AsyncStorageObj.getItem(CMS_DATA_KEY);
-  return JSON.parse(stringData);
+  if (stringData == null) {
+    return null;
+  }
+  return toEnvelope(parseJson(stringData)) || { version: -1, data: undefined };
+};
+
+const loadRecordedCmsData = async (
+  manifest: Manifest,
+  AsyncStorageObj: AsyncStorage
+): Promise<CmsDataEnvelope> => {
+  const records = await readRecords(
+    Object.keys(manifest.records),
+    AsyncStorageObj
+  );
+  return {
+    version: manifest.version,
+    data: records ? assemble(records, manifest.syncToken) : undefined
+  };
+};
+
+/**
+ * Loads the CMS data cached on the device. The manifest is always read,
+ * but records are only read the first time they are needed, so loading
+ * the data again after a sync is cheap. Returns null when there is
+ * nothing cached, or when the cache cannot be read (corrupt, written by
+ * an unknown version). In the latter case the cache is removed, so the
+ * app falls back to a clean initial sync.
+ */
+export const loadCmsData = async (
+  AsyncStorageObj: AsyncStorage = AsyncStorage,
+  migrations: Array<Migration> = cmsDataMigrations,
+  currentVersion: number = CMS_DATA_VERSION
+): Promise<?SavedData> => {
+  const manifest = await readManifest(AsyncStorageObj);
+  const envelope =
+    manifest.ok && manifest.value
+      ? await loadRecordedCmsData(manifest.value, AsyncStorageObj)
+      : manifest.ok && (await loadLegacyCmsData(AsyncStorageObj));
+  if (envelope === null) {
+    return null;
+  }
+
+  const data = envelope
+    ? migrateCmsData(
+        envelope.version,
+        envelope.data,
+        migrations,
+        currentVersion
+      )
+    : undefined;
+
+  if (!envelope || !decodeSavedData(data).ok) {
+    await clearCmsData(AsyncStorageObj);
+    return null;
+  }
+
+  // The decoder above only validates the data, it does not decode
+  // each entry.
+  const savedData = ((data: any): SavedData);
+  if (envelope.version < currentVersion) {
+    await writeCmsData(
+      savedData,
+      manifest.ok ? manifest.value : null,
+      AsyncStorageObj
+    );
+    await AsyncStorageObj.removeItem(CMS_DATA_KEY);
+  }
+  return savedData;
 };
 
 export const SAVED_EVENTS_DATA_KEY = "@SavedEvents:data";
@@ -158,3 +677,115 @@ export const storeSavedEvents = async (
   await AsyncStorageObj.setItem(SAVED_EVENTS_DATA_KEY, data);
   return events;
 };
+
+export const SAVED_EVENT_CHANGES_DATA_KEY = "@SavedEvents:changes";
+
+// Only validates the log, which is only ever written by
+// storeSavedEventChanges
+const decodeSavedEventChangeLog = decode.shape({
+  snapshots: decode.field(
+    "snapshots",
+    (v: mixed) =>
+      v != null && typeof v === "object" && !Array.isArray(v)
+        ? ok(v)
+        : error("value is not an object")
+  ),
+  changes: decode.field(
+    "changes",
+    decode.array(decode.at(["id"], decode.string))
+  )
+});
+
+export const fetchSavedEventChanges = async (
+  AsyncStorageObj: AsyncStorage = AsyncStorage
+): Promise<SavedEventChangeLog> => {
+  const data = parseJson(
+    await AsyncStorageObj.getItem(SAVED_EVENT_CHANGES_DATA_KEY)
+  );
+  return decodeSavedEventChangeLog(data).ok
+    ? ((data: any): SavedEventChangeLog)
+    : emptyChangeLog;
+};
+
+export const storeSavedEventChanges = async (
+  log: SavedEventChangeLog,
+  AsyncStorageObj: AsyncStorage = AsyncStorage
+): Promise<SavedEventChangeLog> => {
+  await AsyncStorageObj.setItem(
+    SAVED_EVENT_CHANGES_DATA_KEY,
+    JSON.stringify(log)
+  );
+  return log;
+};
+
+export const EVENT_SORT_ORDER_DATA_KEY = "@EventSort:order";
+
+// Returns null when no order was stored, or when it is not one we know
+// of any more.
+export const fetchEventSortOrder = async (
+  AsyncStorageObj: AsyncStorage = AsyncStorage
+): Promise<?EventSortOrder> => {
+  const data = parseJson(
+    await AsyncStorageObj.getItem(EVENT_SORT_ORDER_DATA_KEY)
+  );
+  return eventSortOrders.find(order => order === data) || null;
+};
+
+export const storeEventSortOrder = async (
+  order: EventSortOrder,
+  AsyncStorageObj: AsyncStorage = AsyncStorage
+): Promise<EventSortOrder> => {
+  await AsyncStorageObj.setItem(
+    EVENT_SORT_ORDER_DATA_KEY,
+    JSON.stringify(order)
+  );
+  return order;
+};
+
+export const LOCALE_DATA_KEY = "@Locale:locale";
+
+// Returns null when no locale was stored, or when it is not one we
+// have content in any more.
+export const fetchLocale = async (
+  AsyncStorageObj: AsyncStorage = AsyncStorage
+): Promise<?string> => {
+  const data = parseJson(await AsyncStorageObj.getItem(LOCALE_DATA_KEY));
+  return supportedLocales.find(value => value === data) || null;
+};
+
+export const storeLocale = async (
+  value: string,
+  AsyncStorageObj: AsyncStorage = AsyncStorage
+): Promise<string> => {
+  await AsyncStorageObj.setItem(LOCALE_DATA_KEY, JSON.stringify(value));
+  return value;
+};
+
+export const EVENT_FILTERS_DATA_KEY = "@EventFilters:selected";
+
+// Returns null when no filters were stored, or when they cannot be read
+export const fetchEventFilters = async (
+  AsyncStorageObj: AsyncStorage = AsyncStorage
+): Promise<?FilterCollection> => {
+  const filters = decodeFilterCollection(
+    parseJson(await AsyncStorageObj.getItem(EVENT_FILTERS_DATA_KEY))
+  );
+  return filters.ok ? filters.value : null;
+};
+
+export const storeEventFilters = async (
+  filters: FilterCollection,
+  AsyncStorageObj: AsyncStorage = AsyncStorage
+): Promise<FilterCollection> => {
+  await AsyncStorageObj.setItem(
+    EVENT_FILTERS_DATA_KEY,
+    JSON.stringify(encodeFilterCollection(filters))
+  );
+  return filters;
+};
+
+export const clearStoredEventFilters = async (
+  AsyncStorageObj: AsyncStorage = AsyncStorage
+) => {
+  await AsyncStorageObj.removeItem(EVENT_FILTERS_DATA_KEY);
+};
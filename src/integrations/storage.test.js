@@ -1,230 +1,567 @@
 import {
+  clearCmsData,
   loadCmsData,
+  migrateCmsData,
   saveCmsData,
+  CMS_DATA_KEY,
+  CMS_DATA_VERSION,
+  CMS_MANIFEST_KEY,
   fetchSavedEvents,
   storeSavedEvents,
-  SAVED_EVENTS_DATA_KEY
+  SAVED_EVENTS_DATA_KEY,
+  fetchSavedEventChanges,
+  storeSavedEventChanges,
+  SAVED_EVENT_CHANGES_DATA_KEY,
+  fetchEventSortOrder,
+  storeEventSortOrder,
+  EVENT_SORT_ORDER_DATA_KEY,
+  fetchLocale,
+  storeLocale,
+  LOCALE_DATA_KEY,
+  fetchEventFilters,
+  storeEventFilters,
+  clearStoredEventFilters,
+  EVENT_FILTERS_DATA_KEY
 } from "./storage";
 
+// An in memory stand-in for AsyncStorage
+const createMockAsyncStorage = (initialItems = {}) => {
+  const items = { ...initialItems };
+  const get = key => (items[key] !== undefined ? items[key] : null);
+  return {
+    items,
+    getItem: jest.fn(async key => get(key)),
+    setItem: jest.fn(async (key, value) => {
+      items[key] = value;
+    }),
+    removeItem: jest.fn(async key => {
+      delete items[key];
+    }),
+    multiGet: jest.fn(async keys => keys.map(key => [key, get(key)])),
+    multiSet: jest.fn(async pairs => {
+      pairs.forEach(([key, value]) => {
+        items[key] = value;
+      });
+    }),
+    multiRemove: jest.fn(async keys => {
+      keys.forEach(key => {
+        delete items[key];
+      });
+    }),
+    getAllKeys: jest.fn(async () => Object.keys(items))
+  };
+};
+
+const byId = (a, b) => a.sys.id.localeCompare(b.sys.id);
+
+const sorted = data => ({
+  ...data,
+  entries: [...data.entries].sort(byId),
+  assets: [...data.assets].sort(byId)
+});
+
+const event = (id, revision = 1) => ({
+  sys: { id, revision, contentType: { sys: { id: "event" } } }
+});
+
+const sponsor = (id, revision = 1) => ({
+  sys: { id, revision, contentType: { sys: { id: "sponsor" } } }
+});
+
+const asset = (id, revision = 1) => ({ sys: { id, revision } });
+
+const sync = delta => ({
+  entries: [],
+  assets: [],
+  deletedEntries: [],
+  deletedAssets: [],
+  nextSyncToken: "abc",
+  ...delta
+});
+
+// The same stored items, as the app sees them after it is restarted and
+// has not loaded any of them yet
+const restarted = mockAsyncStorage =>
+  createMockAsyncStorage(mockAsyncStorage.items);
+
+const recordKeys = mockAsyncStorage =>
+  Object.keys(mockAsyncStorage.items).filter(key =>
+    key.startsWith("@CmsStore:records:")
+  );
+
 describe("saveCmsData", () => {
-  it("appends entries to list found in local storage", async () => {
-    const cmsData = {
-      entries: [{ sys: { id: "1" } }, { sys: { id: "2" } }],
-      assets: [{ sys: { id: "1" } }, { sys: { id: "2" } }],
-      deletedEntries: [],
-      deletedAssets: [],
-      nextSyncToken: "abc"
-    };
-    const mockLoadCmsData = async () => ({
-      entries: [{ sys: { id: "3" } }, { sys: { id: "4" } }],
-      assets: [{ sys: { id: "3" } }, { sys: { id: "4" } }],
-      syncToken: "123"
-    });
-    const mockAsyncStorage = { setItem: jest.fn() };
-    const expectedCmsData = {
-      entries: [
-        { sys: { id: "1" } },
-        { sys: { id: "2" } },
-        { sys: { id: "3" } },
-        { sys: { id: "4" } }
-      ],
-      assets: [
-        { sys: { id: "1" } },
-        { sys: { id: "2" } },
-        { sys: { id: "3" } },
-        { sys: { id: "4" } }
-      ],
-      syncToken: "abc"
-    };
-    const expectedStringifiedEntries = '{"sys":{"id":"1"}},{"sys":{"id":"2"}}';
+  it("stores entries when nothing is stored yet", async () => {
+    const mockAsyncStorage = createMockAsyncStorage();
 
-    const savedEntries = await saveCmsData(
-      cmsData,
-      mockLoadCmsData,
+    const savedCmsData = await saveCmsData(
+      sync({
+        entries: [event("1"), sponsor("2")],
+        assets: [asset("3")]
+      }),
       mockAsyncStorage
     );
 
-    expect(mockAsyncStorage.setItem).toHaveBeenCalledWith(
-      expect.any(String),
-      expect.stringContaining(expectedStringifiedEntries)
+    expect(sorted(savedCmsData)).toEqual({
+      entries: [event("1"), sponsor("2")],
+      assets: [asset("3")],
+      syncToken: "abc"
+    });
+    expect(await loadCmsData(mockAsyncStorage)).toEqual(savedCmsData);
+  });
+
+  it("stores each content type in separate records", async () => {
+    const mockAsyncStorage = createMockAsyncStorage();
+
+    await saveCmsData(
+      sync({ entries: [event("1"), sponsor("2")], assets: [asset("3")] }),
+      mockAsyncStorage
     );
-    expect(savedEntries.entries).toEqual(
-      expect.arrayContaining(expectedCmsData.entries)
+
+    const keys = recordKeys(mockAsyncStorage);
+    expect(keys).toHaveLength(3);
+    expect(keys.filter(key => key.includes(":entries:event:"))).toHaveLength(1);
+    expect(keys.filter(key => key.includes(":entries:sponsor:"))).toHaveLength(
+      1
     );
-    expect(savedEntries.assets).toEqual(
-      expect.arrayContaining(expectedCmsData.assets)
+    expect(keys.filter(key => key.includes(":assets:"))).toHaveLength(1);
+  });
+
+  it("spreads large content types across records within the size limit", async () => {
+    const mockAsyncStorage = createMockAsyncStorage();
+    const events = Array.from({ length: 100 }, (_, i) => event(`event-${i}`));
+
+    await saveCmsData(sync({ entries: events }), mockAsyncStorage, null, 1000);
+
+    const keys = recordKeys(mockAsyncStorage);
+    expect(keys.length).toBeGreaterThan(1);
+    keys.forEach(key => {
+      expect(mockAsyncStorage.items[key].length).toBeLessThanOrEqual(1000);
+    });
+    expect(sorted(await loadCmsData(mockAsyncStorage))).toEqual(
+      sorted({ entries: events, assets: [], syncToken: "abc" })
     );
-    expect(savedEntries.syncToken).toEqual(expectedCmsData.syncToken);
   });
 
-  it("adds entries to local storage if local entries are empty", async () => {
-    const cmsData = {
-      entries: [{ sys: { id: "1" } }, { sys: { id: "2" } }],
-      assets: [{ sys: { id: "1" } }, { sys: { id: "2" } }],
-      deletedEntries: [],
-      deletedAssets: [],
-      nextSyncToken: "abc"
-    };
-    const mockLoadCmsData = async () => ({
-      entries: [],
-      assets: [],
-      syncToken: "123"
+  it("splits records which grow past the size limit", async () => {
+    const mockAsyncStorage = createMockAsyncStorage();
+    const events = Array.from({ length: 10 }, (_, i) => event(`event-${i}`));
+    await saveCmsData(sync({ entries: events }), mockAsyncStorage, null, 1000);
+    const keysBefore = recordKeys(mockAsyncStorage);
+
+    const moreEvents = Array.from({ length: 20 }, (_, i) =>
+      event(`more-event-${i}`)
+    );
+    await saveCmsData(
+      sync({ entries: moreEvents, nextSyncToken: "def" }),
+      mockAsyncStorage,
+      "abc",
+      1000
+    );
+
+    const keys = recordKeys(mockAsyncStorage);
+    expect(keys.length).toBeGreaterThan(keysBefore.length);
+    keys.forEach(key => {
+      expect(mockAsyncStorage.items[key].length).toBeLessThanOrEqual(1000);
     });
-    const mockAsyncStorage = { setItem: jest.fn() };
-    const expectedCmsData = {
-      entries: [{ sys: { id: "1" } }, { sys: { id: "2" } }],
-      assets: [{ sys: { id: "1" } }, { sys: { id: "2" } }],
-      syncToken: "abc"
-    };
+    expect(sorted(await loadCmsData(mockAsyncStorage))).toEqual(
+      sorted({
+        entries: [...events, ...moreEvents],
+        assets: [],
+        syncToken: "def"
+      })
+    );
+  });
 
-    const savedCmsData = await saveCmsData(
-      cmsData,
-      mockLoadCmsData,
+  it("appends entries to the stored entries", async () => {
+    const mockAsyncStorage = createMockAsyncStorage();
+    await saveCmsData(
+      sync({ entries: [event("3"), event("4")], assets: [asset("3")] }),
       mockAsyncStorage
     );
 
-    expect(mockAsyncStorage.setItem).toHaveBeenCalledWith(
-      expect.any(String),
-      JSON.stringify(expectedCmsData)
+    const savedCmsData = await saveCmsData(
+      sync({
+        entries: [event("1"), event("2")],
+        assets: [asset("1")],
+        nextSyncToken: "def"
+      }),
+      mockAsyncStorage
     );
-    expect(savedCmsData).toEqual(expectedCmsData);
+
+    expect(savedCmsData).toEqual({
+      entries: [event("1"), event("2")],
+      assets: [asset("1")],
+      syncToken: "def"
+    });
+    expect(sorted(await loadCmsData(mockAsyncStorage))).toEqual({
+      entries: [event("1"), event("2"), event("3"), event("4")],
+      assets: [asset("1"), asset("3")],
+      syncToken: "def"
+    });
   });
 
-  it("adds entries to local storage if local entries are not found", async () => {
-    const cmsData = {
-      entries: [{ sys: { id: "1" } }, { sys: { id: "2" } }],
-      assets: [{ sys: { id: "1" } }, { sys: { id: "2" } }],
-      deletedEntries: [],
-      deletedAssets: [],
-      nextSyncToken: "abc"
-    };
-    const mockLoadCmsData = async () => null;
-    const mockAsyncStorage = { setItem: jest.fn() };
-    const expectedCmsData = {
-      entries: [{ sys: { id: "1" } }, { sys: { id: "2" } }],
-      assets: [{ sys: { id: "1" } }, { sys: { id: "2" } }],
-      syncToken: "abc"
-    };
+  it("removes entries listed in deletions", async () => {
+    const mockAsyncStorage = createMockAsyncStorage();
+    await saveCmsData(
+      sync({
+        entries: [event("1"), event("2")],
+        assets: [asset("1"), asset("2")]
+      }),
+      mockAsyncStorage
+    );
 
     const savedCmsData = await saveCmsData(
-      cmsData,
-      mockLoadCmsData,
+      sync({
+        deletedEntries: [{ sys: { id: "1" } }],
+        deletedAssets: [{ sys: { id: "1" } }]
+      }),
       mockAsyncStorage
     );
 
-    expect(mockAsyncStorage.setItem).toHaveBeenCalledWith(
-      expect.any(String),
-      JSON.stringify(expectedCmsData)
+    expect(savedCmsData).toEqual({ entries: [], assets: [], syncToken: "abc" });
+    expect(await loadCmsData(mockAsyncStorage)).toEqual({
+      entries: [event("2")],
+      assets: [asset("2")],
+      syncToken: "abc"
+    });
+  });
+
+  it("removes records which no longer hold any entries", async () => {
+    const mockAsyncStorage = createMockAsyncStorage();
+    await saveCmsData(
+      sync({ entries: [event("1"), sponsor("2")] }),
+      mockAsyncStorage
     );
-    expect(savedCmsData).toEqual(expectedCmsData);
+
+    await saveCmsData(
+      sync({ deletedEntries: [{ sys: { id: "2" } }] }),
+      mockAsyncStorage
+    );
+
+    const keys = recordKeys(mockAsyncStorage);
+    expect(keys).toHaveLength(1);
+    expect(keys[0]).toContain(":entries:event:");
   });
 
-  it("removes entries from local storage if listed in deletions", async () => {
-    const cmsData = {
-      entries: [],
-      assets: [],
-      deletedEntries: [{ sys: { id: "1" } }],
-      deletedAssets: [{ sys: { id: "1" } }],
-      nextSyncToken: "abc"
-    };
-    const mockLoadCmsData = async () => ({
-      entries: [{ sys: { id: "1" } }, { sys: { id: "2" } }],
-      assets: [{ sys: { id: "1" } }, { sys: { id: "2" } }],
-      syncToken: "123"
-    });
-    const mockAsyncStorage = { setItem: jest.fn() };
-    const expectedCmsData = {
-      entries: [{ sys: { id: "2" } }],
-      assets: [{ sys: { id: "2" } }],
-      syncToken: "abc"
-    };
+  it("updates entries when a new revision is provided", async () => {
+    const mockAsyncStorage = createMockAsyncStorage();
+    await saveCmsData(
+      sync({
+        entries: [event("1"), event("2")],
+        assets: [asset("1"), asset("2")]
+      }),
+      mockAsyncStorage
+    );
 
-    const savedEntries = await saveCmsData(
-      cmsData,
-      mockLoadCmsData,
+    await saveCmsData(
+      sync({ entries: [event("1", 2)], assets: [asset("1", 2)] }),
       mockAsyncStorage
     );
 
-    expect(mockAsyncStorage.setItem).toHaveBeenCalledWith(
-      expect.any(String),
-      JSON.stringify(expectedCmsData)
+    expect(await loadCmsData(mockAsyncStorage)).toEqual({
+      entries: [event("1", 2), event("2")],
+      assets: [asset("1", 2), asset("2")],
+      syncToken: "abc"
+    });
+  });
+
+  it("only reads and rewrites the records holding changed entries", async () => {
+    const previousAsyncStorage = createMockAsyncStorage();
+    await saveCmsData(
+      sync({ entries: [event("1"), sponsor("2")], assets: [asset("3")] }),
+      previousAsyncStorage
+    );
+    const mockAsyncStorage = restarted(previousAsyncStorage);
+
+    await saveCmsData(sync({ entries: [sponsor("2", 2)] }), mockAsyncStorage);
+
+    const readKeys = mockAsyncStorage.multiGet.mock.calls[0][0];
+    expect(readKeys).toHaveLength(1);
+    expect(readKeys[0]).toContain(":entries:sponsor:");
+    const writtenKeys = mockAsyncStorage.multiSet.mock.calls[0][0].map(
+      ([key]) => key
     );
-    expect(savedEntries).toEqual(expectedCmsData);
+    expect(writtenKeys).toHaveLength(2);
+    expect(writtenKeys).toContain(CMS_MANIFEST_KEY);
+    expect(writtenKeys[0]).toContain(":entries:sponsor:");
   });
 
-  it("updates entries in local storage when new revision provided", async () => {
-    const cmsData = {
-      entries: [{ sys: { id: "1", revision: 2 } }],
-      assets: [{ sys: { id: "1", revision: 2 } }],
-      deletedEntries: [],
-      deletedAssets: [],
-      nextSyncToken: "abc"
-    };
-    const mockLoadCmsData = async () => ({
-      entries: [
-        { sys: { id: "1", revision: 1 } },
-        { sys: { id: "2", revision: 1 } }
-      ],
-      assets: [
-        { sys: { id: "1", revision: 1 } },
-        { sys: { id: "2", revision: 1 } }
-      ],
-      syncToken: "123"
-    });
-    const mockAsyncStorage = { setItem: jest.fn() };
-    const expectedCmsData = {
-      entries: [
-        { sys: { id: "1", revision: 2 } },
-        { sys: { id: "2", revision: 1 } }
-      ],
-      assets: [
-        { sys: { id: "1", revision: 2 } },
-        { sys: { id: "2", revision: 1 } }
-      ],
-      syncToken: "abc"
-    };
+  it("does not read records again which it has saved before", async () => {
+    const mockAsyncStorage = createMockAsyncStorage();
+    await saveCmsData(
+      sync({ entries: [event("1"), sponsor("2")] }),
+      mockAsyncStorage
+    );
 
-    const savedEntries = await saveCmsData(
-      cmsData,
-      mockLoadCmsData,
+    await saveCmsData(
+      sync({ entries: [sponsor("2", 2)], nextSyncToken: "def" }),
       mockAsyncStorage
     );
 
-    expect(mockAsyncStorage.setItem).toHaveBeenCalledWith(
-      expect.any(String),
-      JSON.stringify(expectedCmsData)
+    expect(mockAsyncStorage.multiGet).not.toHaveBeenCalled();
+    expect(sorted(await loadCmsData(restarted(mockAsyncStorage)))).toEqual({
+      entries: [event("1"), sponsor("2", 2)],
+      assets: [],
+      syncToken: "def"
+    });
+  });
+
+  it("rejects when a stored record has gone missing", async () => {
+    const previousAsyncStorage = createMockAsyncStorage();
+    await saveCmsData(
+      sync({ entries: [event("1"), sponsor("2")] }),
+      previousAsyncStorage
     );
-    expect(savedEntries).toEqual(expectedCmsData);
+    const mockAsyncStorage = restarted(previousAsyncStorage);
+    const [sponsorKey] = recordKeys(mockAsyncStorage).filter(key =>
+      key.includes(":entries:sponsor:")
+    );
+    delete mockAsyncStorage.items[sponsorKey];
+
+    await expect(
+      saveCmsData(
+        sync({ entries: [sponsor("2", 2)], nextSyncToken: "def" }),
+        mockAsyncStorage
+      )
+    ).rejects.toBeInstanceOf(Error);
+    expect(mockAsyncStorage.multiSet).not.toHaveBeenCalled();
+  });
+
+  it("rejects when the manifest is corrupt", async () => {
+    const mockAsyncStorage = createMockAsyncStorage({
+      [CMS_MANIFEST_KEY]: "{"
+    });
+
+    await expect(
+      saveCmsData(sync({ entries: [event("1")] }), mockAsyncStorage)
+    ).rejects.toBeInstanceOf(Error);
+    expect(mockAsyncStorage.multiSet).not.toHaveBeenCalled();
+  });
+
+  it("rejects changes synced from other data than the one stored", async () => {
+    const mockAsyncStorage = createMockAsyncStorage();
+    await saveCmsData(sync({ entries: [event("1")] }), mockAsyncStorage);
+    mockAsyncStorage.multiSet.mockClear();
+
+    await expect(
+      saveCmsData(
+        sync({ entries: [event("2")], nextSyncToken: "ghi" }),
+        mockAsyncStorage,
+        "def"
+      )
+    ).rejects.toBeInstanceOf(Error);
+    await expect(
+      saveCmsData(
+        sync({ entries: [event("2")], nextSyncToken: "ghi" }),
+        createMockAsyncStorage(),
+        "def"
+      )
+    ).rejects.toBeInstanceOf(Error);
+    expect(mockAsyncStorage.multiSet).not.toHaveBeenCalled();
   });
 });
 
 describe("loadCmsData", () => {
-  it("parses JSON object from local storage", async () => {
-    const mockData = { entries: [] };
-    const mockAsyncStorage = { getItem: () => JSON.stringify(mockData) };
+  const cmsData = {
+    entries: [event("1")],
+    assets: [asset("2")],
+    syncToken: "abc"
+  };
+
+  const legacyStorage = value =>
+    createMockAsyncStorage({ [CMS_DATA_KEY]: value });
+
+  it("returns null when nothing is stored", async () => {
+    const mockAsyncStorage = createMockAsyncStorage();
 
     const loadedData = await loadCmsData(mockAsyncStorage);
-    expect(loadedData).toEqual(mockData);
+    expect(loadedData).toBeNull();
+    expect(mockAsyncStorage.multiRemove).not.toHaveBeenCalled();
+  });
+
+  it("moves data stored in a single record into separate records", async () => {
+    const mockAsyncStorage = legacyStorage(
+      JSON.stringify({ version: 2, data: cmsData })
+    );
+
+    const loadedData = await loadCmsData(mockAsyncStorage);
+    expect(loadedData).toEqual(cmsData);
+    expect(mockAsyncStorage.items[CMS_DATA_KEY]).toBeUndefined();
+    expect(recordKeys(mockAsyncStorage)).toHaveLength(2);
+    expect(await loadCmsData(mockAsyncStorage)).toEqual(cmsData);
+  });
+
+  it("upgrades data stored without an envelope by release 2.0.3", async () => {
+    const mockAsyncStorage = legacyStorage(JSON.stringify(cmsData));
+
+    const loadedData = await loadCmsData(mockAsyncStorage);
+    expect(loadedData).toEqual(cmsData);
+  });
+
+  it("runs every migration newer than the stored version in order", async () => {
+    const migrations = [
+      { version: 2, migrate: jest.fn() },
+      {
+        version: 3,
+        migrate: data => ({ ...data, syncToken: `${data.token}-3` })
+      },
+      {
+        version: 4,
+        migrate: data => ({ ...data, syncToken: `${data.syncToken}-4` })
+      }
+    ];
+    const mockAsyncStorage = legacyStorage(
+      JSON.stringify({
+        version: 2,
+        data: { entries: [], assets: [], token: "abc" }
+      })
+    );
+
+    const loadedData = await loadCmsData(mockAsyncStorage, migrations, 4);
+    expect(migrations[0].migrate).not.toHaveBeenCalled();
+    expect(loadedData).toEqual({
+      entries: [],
+      assets: [],
+      token: "abc",
+      syncToken: "abc-3-4"
+    });
+  });
+
+  it("discards data written by a newer version of the app", async () => {
+    const mockAsyncStorage = createMockAsyncStorage();
+    await saveCmsData(sync({ entries: cmsData.entries }), mockAsyncStorage);
+    const manifest = JSON.parse(mockAsyncStorage.items[CMS_MANIFEST_KEY]);
+    mockAsyncStorage.items[CMS_MANIFEST_KEY] = JSON.stringify({
+      ...manifest,
+      version: CMS_DATA_VERSION + 1
+    });
+
+    const loadedData = await loadCmsData(mockAsyncStorage);
+    expect(loadedData).toBeNull();
+    expect(mockAsyncStorage.items).toEqual({});
+  });
+
+  it("only reads the manifest once the records have been loaded", async () => {
+    const mockAsyncStorage = createMockAsyncStorage();
+    await saveCmsData(sync(cmsData), mockAsyncStorage);
+
+    expect(await loadCmsData(mockAsyncStorage)).toEqual(cmsData);
+    expect(mockAsyncStorage.getItem).toHaveBeenCalledWith(CMS_MANIFEST_KEY);
+    expect(mockAsyncStorage.multiGet).not.toHaveBeenCalled();
+  });
+
+  it("discards data when a record has gone missing", async () => {
+    const previousAsyncStorage = createMockAsyncStorage();
+    await saveCmsData(sync(cmsData), previousAsyncStorage);
+    const mockAsyncStorage = restarted(previousAsyncStorage);
+    delete mockAsyncStorage.items[recordKeys(mockAsyncStorage)[0]];
+
+    const loadedData = await loadCmsData(mockAsyncStorage);
+    expect(loadedData).toBeNull();
+    expect(mockAsyncStorage.items).toEqual({});
+  });
+
+  it("discards data when the manifest is corrupt", async () => {
+    const mockAsyncStorage = createMockAsyncStorage();
+    await saveCmsData(sync(cmsData), mockAsyncStorage);
+    mockAsyncStorage.items[CMS_MANIFEST_KEY] = '{"version": 3, ';
+
+    const loadedData = await loadCmsData(mockAsyncStorage);
+    expect(loadedData).toBeNull();
+    expect(mockAsyncStorage.items).toEqual({});
+  });
+
+  it("discards data that is not valid JSON", async () => {
+    const mockAsyncStorage = legacyStorage('{"entries": [');
+
+    const loadedData = await loadCmsData(mockAsyncStorage);
+    expect(loadedData).toBeNull();
+    expect(mockAsyncStorage.items).toEqual({});
+  });
+
+  it("discards data without a sync token", async () => {
+    const mockAsyncStorage = legacyStorage(
+      JSON.stringify({ version: 2, data: { entries: [], assets: [] } })
+    );
+
+    const loadedData = await loadCmsData(mockAsyncStorage);
+    expect(loadedData).toBeNull();
+    expect(mockAsyncStorage.items).toEqual({});
+  });
+
+  it("discards data with malformed entries", async () => {
+    const mockAsyncStorage = legacyStorage(
+      JSON.stringify({
+        version: 2,
+        data: { ...cmsData, entries: [{ fields: {} }] }
+      })
+    );
+
+    const loadedData = await loadCmsData(mockAsyncStorage);
+    expect(loadedData).toBeNull();
+  });
+
+  it("discards data that is not an object", async () => {
+    const mockAsyncStorage = legacyStorage("[]");
+
+    const loadedData = await loadCmsData(mockAsyncStorage);
+    expect(loadedData).toBeNull();
   });
 });
 
-describe("correctPrice", () => {
-  const mockLoadCmsData = async () => ({
-    entries: [],
-    assets: [],
-    syncToken: "123"
+describe("clearCmsData", () => {
+  it("removes all CMS records and leaves other data alone", async () => {
+    const mockAsyncStorage = createMockAsyncStorage({
+      [CMS_DATA_KEY]: "{}",
+      [SAVED_EVENTS_DATA_KEY]: "[]"
+    });
+    await saveCmsData(sync({ entries: [event("1")] }), mockAsyncStorage);
+
+    await clearCmsData(mockAsyncStorage);
+
+    expect(mockAsyncStorage.items).toEqual({ [SAVED_EVENTS_DATA_KEY]: "[]" });
   });
+});
+
+describe("migrateCmsData", () => {
+  it("leaves data at the current version untouched", () => {
+    const migrations = [{ version: 2, migrate: jest.fn() }];
+    const data = { a: 1 };
 
-  const mockAsyncStorage = { setItem: jest.fn() };
+    expect(migrateCmsData(2, data, migrations, 2)).toBe(data);
+    expect(migrations[0].migrate).not.toHaveBeenCalled();
+  });
 
+  it("ignores migrations newer than the current version", () => {
+    const migrations = [
+      { version: 2, migrate: () => "2" },
+      { version: 3, migrate: () => "3" }
+    ];
+
+    expect(migrateCmsData(1, "1", migrations, 2)).toEqual("2");
+  });
+
+  it("stops when a migration cannot upgrade the data", () => {
+    const later = jest.fn();
+    const migrations = [
+      { version: 2, migrate: () => undefined },
+      { version: 3, migrate: later }
+    ];
+
+    expect(migrateCmsData(1, "1", migrations, 3)).toBeUndefined();
+    expect(later).not.toHaveBeenCalled();
+  });
+});
+
+describe("correctPrice", () => {
   it("should set prices to zero if they are not provided", async () => {
     const cmsData = {
       entries: [
         {
           sys: { contentType: { sys: { id: "event" } }, id: "1" },
           fields: {
-            startTime: { "en-GB": "2018-07-07T22:3001:00" },
-            endTime: { "en-GB": "2018-07-07T10:3001:00" }
+            startTime: { "en-GB": "2018-07-07T10:3001:00" },
+            endTime: { "en-GB": "2018-07-07T22:3001:00" }
           }
         }
       ],
@@ -254,11 +591,7 @@ describe("correctPrice", () => {
       syncToken: "abc"
     };
 
-    const savedCmsData = await saveCmsData(
-      cmsData,
-      mockLoadCmsData,
-      mockAsyncStorage
-    );
+    const savedCmsData = await saveCmsData(cmsData, createMockAsyncStorage());
 
     expect(savedCmsData).toEqual(expectedCmsData);
   });
@@ -269,8 +602,8 @@ describe("correctPrice", () => {
         {
           sys: { contentType: { sys: { id: "event" } }, id: "1" },
           fields: {
-            startTime: { "en-GB": "2018-07-07T22:3001:00" },
-            endTime: { "en-GB": "2018-07-07T10:3001:00" },
+            startTime: { "en-GB": "2018-07-07T10:3001:00" },
+            endTime: { "en-GB": "2018-07-07T22:3001:00" },
             eventPriceLow: {
               "en-GB": undefined
             },
@@ -306,11 +639,7 @@ describe("correctPrice", () => {
       syncToken: "abc"
     };
 
-    const savedCmsData = await saveCmsData(
-      cmsData,
-      mockLoadCmsData,
-      mockAsyncStorage
-    );
+    const savedCmsData = await saveCmsData(cmsData, createMockAsyncStorage());
 
     expect(savedCmsData).toEqual(expectedCmsData);
   });
@@ -321,8 +650,8 @@ describe("correctPrice", () => {
         {
           sys: { contentType: { sys: { id: "event" } }, id: "1" },
           fields: {
-            startTime: { "en-GB": "2018-07-07T22:3001:00" },
-            endTime: { "en-GB": "2018-07-07T10:3001:00" },
+            startTime: { "en-GB": "2018-07-07T10:3001:00" },
+            endTime: { "en-GB": "2018-07-07T22:3001:00" },
             eventPriceLow: {
               "en-GB": 20
             },
@@ -358,11 +687,7 @@ describe("correctPrice", () => {
       syncToken: "abc"
     };
 
-    const savedCmsData = await saveCmsData(
-      cmsData,
-      mockLoadCmsData,
-      mockAsyncStorage
-    );
+    const savedCmsData = await saveCmsData(cmsData, createMockAsyncStorage());
 
     expect(savedCmsData).toEqual(expectedCmsData);
   });
@@ -373,8 +698,8 @@ describe("correctPrice", () => {
         {
           sys: { contentType: { sys: { id: "event" } }, id: "1" },
           fields: {
-            startTime: { "en-GB": "2018-07-07T22:3001:00" },
-            endTime: { "en-GB": "2018-07-07T10:3001:00" },
+            startTime: { "en-GB": "2018-07-07T10:3001:00" },
+            endTime: { "en-GB": "2018-07-07T22:3001:00" },
             eventPriceLow: {
               "en-GB": 20
             },
@@ -410,85 +735,62 @@ describe("correctPrice", () => {
       syncToken: "abc"
     };
 
-    const savedCmsData = await saveCmsData(
-      cmsData,
-      mockLoadCmsData,
-      mockAsyncStorage
-    );
+    const savedCmsData = await saveCmsData(cmsData, createMockAsyncStorage());
 
     expect(savedCmsData).toEqual(expectedCmsData);
   });
-});
 
-describe("correctDates", () => {
-  it("switches dates if end date is before start date", async () => {
+  it("should reverse the prices of every locale", async () => {
     const cmsData = {
       entries: [
         {
           sys: { contentType: { sys: { id: "event" } }, id: "1" },
           fields: {
-            startTime: { "en-GB": "2018-07-07T22:3001:00" },
-            endTime: { "en-GB": "2018-07-07T10:3001:00" },
             eventPriceLow: {
-              "en-GB": 0
+              "en-GB": 10,
+              "cy-GB": 30,
+              "es-ES": 5
             },
             eventPriceHigh: {
-              "en-GB": 0
+              "en-GB": 20,
+              "cy-GB": 15
             }
           }
         }
       ],
-      assets: [{ sys: { id: "1" } }],
+      assets: [],
       deletedEntries: [],
       deletedAssets: [],
       nextSyncToken: "abc"
     };
-    const mockLoadCmsData = async () => ({
-      entries: [],
-      assets: [],
-      syncToken: "123"
-    });
-    const mockAsyncStorage = { setItem: jest.fn() };
-    const expectedCmsData = {
-      entries: [
-        {
-          sys: { contentType: { sys: { id: "event" } }, id: "1" },
-          fields: {
-            startTime: { "en-GB": "2018-07-07T10:3001:00" },
-            endTime: { "en-GB": "2018-07-07T22:3001:00" },
-            eventPriceLow: {
-              "en-GB": 0
-            },
-            eventPriceHigh: {
-              "en-GB": 0
-            }
-          }
-        }
-      ],
-      assets: [{ sys: { id: "1" } }],
-      syncToken: "abc"
-    };
 
-    const savedCmsData = await saveCmsData(
-      cmsData,
-      mockLoadCmsData,
-      mockAsyncStorage
-    );
-    expect(savedCmsData).toEqual(expectedCmsData);
+    const savedCmsData = await saveCmsData(cmsData, createMockAsyncStorage());
+
+    expect(savedCmsData.entries[0].fields).toEqual({
+      eventPriceLow: {
+        "en-GB": 10,
+        "cy-GB": 15,
+        "es-ES": 5
+      },
+      eventPriceHigh: {
+        "en-GB": 20,
+        "cy-GB": 30
+      }
+    });
   });
 
-  it("does not change entry when startDate or endDate is undefined", async () => {
+  it("should reverse a locale's price against the default locale's it falls back to", async () => {
     const cmsData = {
       entries: [
         {
-          sys: { id: "1" },
+          sys: { contentType: { sys: { id: "event" } }, id: "1" },
           fields: {
-            name: { "en-GB": "I am not an event" },
             eventPriceLow: {
-              "en-GB": 0
+              "en-GB": 10,
+              "cy-GB": 30
             },
             eventPriceHigh: {
-              "en-GB": 0
+              "en-GB": 20
             }
           }
         }
@@ -498,19 +800,19 @@ describe("correctDates", () => {
       deletedAssets: [],
       nextSyncToken: "abc"
     };
-    const mockLoadCmsData = async () => ({
-      entries: [],
-      assets: [],
-      syncToken: "123"
-    });
-    const mockAsyncStorage = { setItem: jest.fn() };
 
-    const savedCmsData = await saveCmsData(
-      cmsData,
-      mockLoadCmsData,
-      mockAsyncStorage
-    );
-    expect(savedCmsData.entries[0]).toEqual(cmsData.entries[0]);
+    const savedCmsData = await saveCmsData(cmsData, createMockAsyncStorage());
+
+    expect(savedCmsData.entries[0].fields).toEqual({
+      eventPriceLow: {
+        "en-GB": 10,
+        "cy-GB": 20
+      },
+      eventPriceHigh: {
+        "en-GB": 20,
+        "cy-GB": 30
+      }
+    });
   });
 });
 
@@ -558,3 +860,163 @@ describe("storeSavedEvents", () => {
     expect(done).toEqual(events);
   });
 });
+
+describe("fetchSavedEventChanges", () => {
+  it("parses the log from local storage", async () => {
+    const log = {
+      snapshots: {},
+      changes: [{ id: "1", current: null }]
+    };
+    const mockAsyncStorage = createMockAsyncStorage({
+      [SAVED_EVENT_CHANGES_DATA_KEY]: JSON.stringify(log)
+    });
+
+    const loadedData = await fetchSavedEventChanges(mockAsyncStorage);
+    expect(loadedData).toEqual(log);
+  });
+
+  it("returns an empty log if data is missing or malformed", async () => {
+    const mockAsyncStorage = createMockAsyncStorage({
+      [SAVED_EVENT_CHANGES_DATA_KEY]: JSON.stringify(["a"])
+    });
+
+    expect(await fetchSavedEventChanges(mockAsyncStorage)).toEqual({
+      snapshots: {},
+      changes: []
+    });
+    expect(await fetchSavedEventChanges(createMockAsyncStorage())).toEqual({
+      snapshots: {},
+      changes: []
+    });
+  });
+});
+
+describe("storeSavedEventChanges", () => {
+  it("stores the log as JSON", async () => {
+    const log = { snapshots: {}, changes: [] };
+    const mockAsyncStorage = createMockAsyncStorage();
+
+    const done = await storeSavedEventChanges(log, mockAsyncStorage);
+
+    expect(
+      JSON.parse(mockAsyncStorage.items[SAVED_EVENT_CHANGES_DATA_KEY])
+    ).toEqual(log);
+    expect(done).toBe(log);
+  });
+});
+
+describe("fetchEventSortOrder", () => {
+  it("parses the order from local storage", async () => {
+    const mockAsyncStorage = createMockAsyncStorage({
+      [EVENT_SORT_ORDER_DATA_KEY]: JSON.stringify("price")
+    });
+
+    expect(await fetchEventSortOrder(mockAsyncStorage)).toBe("price");
+  });
+
+  it("returns null if the order is missing or unknown", async () => {
+    const mockAsyncStorage = createMockAsyncStorage({
+      [EVENT_SORT_ORDER_DATA_KEY]: JSON.stringify("popularity")
+    });
+
+    expect(await fetchEventSortOrder(mockAsyncStorage)).toBe(null);
+    expect(await fetchEventSortOrder(createMockAsyncStorage())).toBe(null);
+  });
+});
+
+describe("storeEventSortOrder", () => {
+  it("stores the order as JSON", async () => {
+    const mockAsyncStorage = createMockAsyncStorage();
+
+    const done = await storeEventSortOrder("name", mockAsyncStorage);
+
+    expect(mockAsyncStorage.items[EVENT_SORT_ORDER_DATA_KEY]).toBe('"name"');
+    expect(done).toBe("name");
+  });
+});
+
+describe("fetchLocale", () => {
+  it("parses the locale from local storage", async () => {
+    const mockAsyncStorage = createMockAsyncStorage({
+      [LOCALE_DATA_KEY]: JSON.stringify("cy-GB")
+    });
+
+    expect(await fetchLocale(mockAsyncStorage)).toBe("cy-GB");
+  });
+
+  it("returns null if the locale is missing or not supported", async () => {
+    const mockAsyncStorage = createMockAsyncStorage({
+      [LOCALE_DATA_KEY]: JSON.stringify("fr-FR")
+    });
+
+    expect(await fetchLocale(mockAsyncStorage)).toBe(null);
+    expect(await fetchLocale(createMockAsyncStorage())).toBe(null);
+  });
+});
+
+describe("storeLocale", () => {
+  it("stores the locale as JSON", async () => {
+    const mockAsyncStorage = createMockAsyncStorage();
+
+    const done = await storeLocale("pl-PL", mockAsyncStorage);
+
+    expect(mockAsyncStorage.items[LOCALE_DATA_KEY]).toBe('"pl-PL"');
+    expect(done).toBe("pl-PL");
+  });
+});
+
+describe("event filters", () => {
+  const filters = {
+    categories: new Set(["Music"]),
+    date: { startDate: "2018-07-07", endDate: "2018-07-08" },
+    timeOfDay: new Set(["morning", "evening"]),
+    priceRange: { min: 0, max: 20 },
+    audience: new Set(),
+    venueDetails: new Set(["Outdoors"]),
+    accessibilityOptions: new Set(["Step free access", "BSL Interpreter"]),
+    area: new Set(["Central"])
+  };
+
+  it("stores the filters with the sets as arrays", async () => {
+    const mockAsyncStorage = createMockAsyncStorage();
+
+    const done = await storeEventFilters(filters, mockAsyncStorage);
+
+    expect(JSON.parse(mockAsyncStorage.items[EVENT_FILTERS_DATA_KEY])).toEqual({
+      categories: ["Music"],
+      date: { startDate: "2018-07-07", endDate: "2018-07-08" },
+      timeOfDay: ["morning", "evening"],
+      priceRange: { min: 0, max: 20 },
+      audience: [],
+      venueDetails: ["Outdoors"],
+      accessibilityOptions: ["Step free access", "BSL Interpreter"],
+      area: ["Central"]
+    });
+    expect(done).toBe(filters);
+  });
+
+  it("fetches the filters which were stored", async () => {
+    const mockAsyncStorage = createMockAsyncStorage();
+    await storeEventFilters(filters, mockAsyncStorage);
+
+    expect(await fetchEventFilters(mockAsyncStorage)).toEqual(filters);
+  });
+
+  it("returns null if nothing was stored or it is malformed", async () => {
+    expect(await fetchEventFilters(createMockAsyncStorage())).toBe(null);
+    expect(
+      await fetchEventFilters(
+        createMockAsyncStorage({ [EVENT_FILTERS_DATA_KEY]: "[1, 2" })
+      )
+    ).toBe(null);
+  });
+
+  it("removes the stored filters", async () => {
+    const mockAsyncStorage = createMockAsyncStorage();
+    await storeEventFilters(filters, mockAsyncStorage);
+
+    await clearStoredEventFilters(mockAsyncStorage);
+
+    expect(mockAsyncStorage.items).toEqual({});
+  });
+});
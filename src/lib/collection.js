@@ -0,0 +1,47 @@
+// @flow
+
+// Items kept by id, along with the order they came in
+export type Collection<A> = {
+  byId: { [id: string]: A },
+  allIds: string[]
+};
+
+export const emptyCollection = <A>(): Collection<A> => ({
+  byId: {},
+  allIds: []
+});
+
+export const toCollection = <A: { +id: string }>(
+  items: $ReadOnlyArray<A>
+): Collection<A> =>
+  items.reduce(
+    (acc: Collection<A>, item: A) => {
+      // intentional mutation as this happens in a reduce
+      if (!acc.byId[item.id]) {
+        acc.allIds.push(item.id);
+      }
+      acc.byId[item.id] = item;
+      return acc;
+    },
+    { byId: {}, allIds: [] }
+  );
+
+export const valuesOf = <A>(collection: Collection<A>): A[] =>
+  collection.allIds.map(id => collection.byId[id]);
+
+/**
+ * Drops the items which match `remove` and adds `items` at the end.
+ * The same collection comes back when nothing changed, so that
+ * selectors built on it are not recomputed.
+ */
+export const updateCollection = <A: { +id: string }>(
+  collection: Collection<A>,
+  remove: A => boolean,
+  items: $ReadOnlyArray<A>
+): Collection<A> => {
+  const kept = valuesOf(collection).filter(item => !remove(item));
+  if (kept.length === collection.allIds.length && items.length === 0) {
+    return collection;
+  }
+  return toCollection([...kept, ...items]);
+};
@@ -0,0 +1,55 @@
+// @flow
+import {
+  emptyCollection,
+  toCollection,
+  updateCollection,
+  valuesOf
+} from "./collection";
+
+const a = { id: "a", value: 1 };
+const b = { id: "b", value: 2 };
+const c = { id: "c", value: 3 };
+
+describe("toCollection", () => {
+  it("keeps items by id in the order they came in", () => {
+    expect(toCollection([b, a])).toEqual({
+      byId: { a, b },
+      allIds: ["b", "a"]
+    });
+  });
+
+  it("keeps the last of items with the same id", () => {
+    const newA = { id: "a", value: 4 };
+
+    expect(toCollection([a, b, newA])).toEqual({
+      byId: { a: newA, b },
+      allIds: ["a", "b"]
+    });
+  });
+});
+
+describe("valuesOf", () => {
+  it("returns the items in order", () => {
+    expect(valuesOf(toCollection([c, a, b]))).toEqual([c, a, b]);
+  });
+
+  it("returns no items for an empty collection", () => {
+    expect(valuesOf(emptyCollection())).toEqual([]);
+  });
+});
+
+describe("updateCollection", () => {
+  it("removes items and adds new ones at the end", () => {
+    const collection = toCollection([a, b]);
+
+    const updated = updateCollection(collection, item => item.id === "a", [c]);
+
+    expect(valuesOf(updated)).toEqual([b, c]);
+  });
+
+  it("returns the same collection when nothing changed", () => {
+    const collection = toCollection([a, b]);
+
+    expect(updateCollection(collection, () => false, [])).toBe(collection);
+  });
+});
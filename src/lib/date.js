@@ -1,6 +1,7 @@
 // @flow
 import { DateTime as LuxonDateTime, Interval } from "luxon";
 import type { DateTimeUnit } from "luxon";
+import { londonZone } from "./london-zone";
 
 export type DateTime = LuxonDateTime;
 
@@ -19,29 +20,39 @@ const contentfulISOFormatOptions = {
   suppressSeconds: true
 };
 
-const parse = (date: string) => LuxonDateTime.fromISO(date, { setZone: true });
+// Dates are either ISO strings or DateTimes which were parsed ahead of
+// time, such as the times of events.
+export type DateInput = string | DateTime;
 
-export const toFormat = (date: string, format: string) =>
+// Keeps the offset the date was written with. Dates without an offset,
+// such as the days picked in the calendar, are taken to be in London.
+export const parse = (date: DateInput): DateTime =>
+  typeof date === "string"
+    ? LuxonDateTime.fromISO(date, { setZone: true, zone: londonZone })
+    : date;
+
+// Days and hours are always those of London, whichever time zone the
+// device is in and whichever offset the date was written with.
+const inLondon = (date: DateInput): DateTime => parse(date).setZone(londonZone);
+
+export const toFormat = (date: DateInput, format: string) =>
   parse(date).toFormat(format);
 
-export const toLondonFormat = (date: string, format: string) =>
-  // Note setZone transforms the timezone and time but retains
-  // the epoch time. Essentially it keeps the same value
-  parse(date)
-    .setZone("utc+1")
-    .toFormat(format);
+export const toLondonFormat = (date: DateInput, format: string) =>
+  inLondon(date).toFormat(format);
 
-export const isBefore = (d1: string, d2: string) => +parse(d1) < +parse(d2);
+export const isBefore = (d1: DateInput, d2: DateInput) =>
+  +parse(d1) < +parse(d2);
 
 export const now = () =>
   LuxonDateTime.local().toISO(contentfulISOFormatOptions);
 
-export const addDays = (date: string, days: number) => add(date, { days });
+export const addDays = (date: DateInput, days: number) => add(date, { days });
 
-export const isSameDay = (d1: string, d2: string) =>
-  parse(d1).hasSame(parse(d2), "day");
+export const isSameDay = (d1: DateInput, d2: DateInput) =>
+  inLondon(d1).hasSame(parse(d2), "day");
 
-export const compareAsc = (d1: string, d2: string) => {
+export const compareAsc = (d1: DateInput, d2: DateInput) => {
   const coercedD1 = +parse(d1);
   const coercedD2 = +parse(d2);
   if (coercedD1 < coercedD2) {
@@ -54,10 +65,10 @@ export const compareAsc = (d1: string, d2: string) => {
 };
 
 export const areRangesOverlapping = (
-  d1Start: string,
-  d1End: string,
-  d2Start: string,
-  d2End: string
+  d1Start: DateInput,
+  d1End: DateInput,
+  d2Start: DateInput,
+  d2End: DateInput
 ) => {
   const range1 = Interval.fromDateTimes(parse(d1Start), parse(d1End));
   const range2 = Interval.fromDateTimes(parse(d2Start), parse(d2End));
@@ -65,33 +76,47 @@ export const areRangesOverlapping = (
   return range1.overlaps(range2);
 };
 
-export const startOfDay = (date: string) =>
-  parse(date)
+export const startOfDay = (date: DateInput) =>
+  inLondon(date)
     .startOf("day")
     .toISO(contentfulISOFormatOptions);
 
-export const endOfDay = (date: string) =>
-  parse(date)
+export const endOfDay = (date: DateInput) =>
+  inLondon(date)
     .endOf("day")
     .toISO(contentfulISOFormatOptions);
 
-export const getHours = (date: string) => parse(date).hour;
+export const getHours = (date: DateInput) => inLondon(date).hour;
 
-export const set = (date: string, values: Object) =>
+export const set = (date: DateInput, values: Object) =>
   parse(date)
     .set(values)
     .toISO(contentfulISOFormatOptions);
 
+// Like set, but on the date and time in London, whichever offset the
+// date was written with
+export const setInLondon = (date: DateInput, values: Object) =>
+  inLondon(date)
+    .set(values)
+    .toISO(contentfulISOFormatOptions);
+
 export const diff = (
-  d1: string,
-  d2: string,
+  d1: DateInput,
+  d2: DateInput,
   unit?: DateTimeUnit | DateTimeUnit[] = "milliseconds"
 ) =>
   parse(d1)
     .diff(parse(d2), unit)
     .toObject();
 
-export const add = (date: string, values: Object) =>
+export const add = (date: DateInput, values: Object) =>
   parse(date)
     .plus(values)
     .toISO(contentfulISOFormatOptions);
+
+// Like add, but in London time, so that the time of day is kept when
+// the clocks change
+export const addInLondon = (date: DateInput, values: Object) =>
+  inLondon(date)
+    .plus(values)
+    .toISO(contentfulISOFormatOptions);
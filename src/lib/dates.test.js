@@ -1,3 +1,4 @@
+import { Settings } from "luxon";
 import {
   toFormat,
   toLondonFormat,
@@ -11,9 +12,14 @@ import {
   set,
   diff,
   add,
+  setInLondon,
+  addInLondon,
   now,
+  isSameDay,
   FORMAT_CONTENTFUL_ISO,
-  FORMAT_WEEKDAY_MONTH_DAY
+  FORMAT_TIME_24,
+  FORMAT_WEEKDAY_MONTH_DAY,
+  FORMAT_YEAR_MONTH_DAY
 } from "./date";
 
 describe("toFormat", () => {
@@ -42,6 +48,12 @@ describe("toLondonFormat", () => {
       toLondonFormat("2018-07-07T04:00+14:00", FORMAT_CONTENTFUL_ISO)
     ).toEqual("2018-07-06T15:00+01:00");
   });
+
+  it("converts to +00:00 timezone in winter", () => {
+    expect(
+      toLondonFormat("2018-12-07T04:00+14:00", FORMAT_CONTENTFUL_ISO)
+    ).toEqual("2018-12-06T14:00+00:00");
+  });
 });
 
 describe("isBefore", () => {
@@ -144,6 +156,14 @@ describe("set", () => {
   });
 });
 
+describe("setInLondon", () => {
+  it("sets values on the London date and time", () => {
+    expect(setInLondon("2018-10-20T18:00Z", { month: 11, day: 3 })).toEqual(
+      "2018-11-03T19:00+00:00"
+    );
+  });
+});
+
 describe("diff", () => {
   it("returns an object describing the diff between two dates", () => {
     expect(diff("2018-07-07T04:00+01:00", "2018-08-09T04:00+01:00")).toEqual({
@@ -165,3 +185,74 @@ describe("now", () => {
     expect(now()).toEqual(expect.any(String));
   });
 });
+
+// The clocks in London went back an hour at 02:00 BST on 28 October 2018
+[
+  "Europe/London",
+  "UTC",
+  "America/Los_Angeles",
+  "Asia/Tokyo",
+  "Australia/Sydney"
+].forEach(zone => {
+  describe(`in London, on a device in ${zone}`, () => {
+    beforeEach(() => {
+      Settings.defaultZoneName = zone;
+    });
+
+    afterEach(() => {
+      Settings.defaultZoneName = "local";
+    });
+
+    it("formats times before and after the clocks go back", () => {
+      expect(toLondonFormat("2018-10-28T00:30Z", FORMAT_TIME_24)).toBe("01:30");
+      expect(toLondonFormat("2018-10-28T01:30Z", FORMAT_TIME_24)).toBe("01:30");
+      expect(toLondonFormat("2018-10-28T02:30Z", FORMAT_TIME_24)).toBe("02:30");
+    });
+
+    it("formats the day of a time written with another offset", () => {
+      expect(
+        toLondonFormat("2018-10-28T07:59+09:00", FORMAT_YEAR_MONTH_DAY)
+      ).toBe("2018-10-27");
+      expect(
+        toLondonFormat("2018-10-28T09:00+09:00", FORMAT_YEAR_MONTH_DAY)
+      ).toBe("2018-10-28");
+    });
+
+    it("finds the start and end of the day the clocks go back", () => {
+      expect(startOfDay("2018-10-28T12:00Z")).toBe("2018-10-28T00:00+01:00");
+      expect(endOfDay("2018-10-28T00:30+01:00")).toBe(
+        "2018-10-28T23:59:59.999+00:00"
+      );
+    });
+
+    it("takes days without an offset to be London days", () => {
+      expect(startOfDay("2018-10-28")).toBe("2018-10-28T00:00+01:00");
+      expect(endOfDay("2018-10-29")).toBe("2018-10-29T23:59:59.999+00:00");
+      expect(addDays("2018-10-27", 1)).toBe("2018-10-28T00:00+01:00");
+      expect(addDays("2018-10-28", 1)).toBe("2018-10-29T00:00+00:00");
+    });
+
+    it("gets the hours of the time in London", () => {
+      expect(getHours("2018-10-27T23:30Z")).toBe(0);
+      expect(getHours("2018-10-28T23:30Z")).toBe(23);
+      expect(getHours("2018-10-28T04:00-07:00")).toBe(11);
+    });
+
+    it("compares days in London", () => {
+      expect(isSameDay("2018-10-27T23:30Z", "2018-10-28T23:30Z")).toBe(true);
+      expect(isSameDay("2018-10-27T22:30Z", "2018-10-27T23:30Z")).toBe(false);
+      expect(isSameDay("2018-10-28", "2018-10-28T23:59Z")).toBe(true);
+    });
+  });
+});
+
+describe("addInLondon", () => {
+  it("keeps the London time of day when the clocks change", () => {
+    expect(addInLondon("2018-10-27T19:00+01:00", { days: 1 })).toEqual(
+      "2018-10-28T19:00+00:00"
+    );
+    expect(addInLondon("2019-03-30T19:00Z", { days: 1 })).toEqual(
+      "2019-03-31T19:00+01:00"
+    );
+  });
+});
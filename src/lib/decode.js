@@ -2,7 +2,12 @@
 import type { Maybe } from "./maybe";
 import { some, none } from "./maybe";
 import type { Result } from "./result";
-import { ok, error, map as mapResult } from "./result";
+import {
+  ok,
+  error,
+  map as mapResult,
+  mapError as mapResultError
+} from "./result";
 
 // Decoders give you a way to safely convert from an unknown type to a
 // concrete type and recover from failure at runtime.
@@ -10,6 +15,24 @@ import { ok, error, map as mapResult } from "./result";
 // http://package.elm-lang.org/packages/elm-lang/core/latest/Json-Decode
 export type Decoder<A> = mixed => Result<string, A>;
 
+// Errors name the path to the value that failed to decode, e.g.
+// "fields.eventPriceLow.en-GB: value is not a number". Each decoder
+// which steps into a field or array item prepends its segment.
+const pathPattern = /^\S+: /;
+
+const prependPath = (segment: string) => (message: string): string => {
+  if (pathPattern.test(message)) {
+    const separator = message.startsWith("[") ? "" : ".";
+    return `${segment}${separator}${message}`;
+  }
+  return `${segment}: ${message}`;
+};
+
+const inPath = <A>(
+  segment: string,
+  result: Result<string, A>
+): Result<string, A> => mapResultError(prependPath(segment), result);
+
 export const succeed = <A>(v: A): Decoder<A> => () => ok(v);
 
 export const boolean: Decoder<boolean> = (v: mixed) => {
@@ -51,16 +74,17 @@ export const maybe = <A>(decoder: Decoder<A>): Decoder<Maybe<A>> => (
 
 const arrayHelp = <A>(
   decoder: Decoder<A>
-): ((Result<string, Array<A>>, mixed) => Result<string, Array<A>>) => (
+): ((Result<string, Array<A>>, mixed, number) => Result<string, Array<A>>) => (
   acc,
-  item
+  item,
+  index
 ) => {
   if (acc.ok) {
     const result: Result<string, A> = decoder(item);
     if (result.ok) {
       return ok([...acc.value, result.value]);
     }
-    return result;
+    return inPath(`[${index}]`, result);
   }
   return acc;
 };
@@ -78,7 +102,29 @@ export const field = <A>(key: string, decoder: Decoder<A>): Decoder<A> => (
   v: mixed
 ) => {
   if (v != null && typeof v === "object") {
-    return decoder(v[key]);
+    return inPath(key, decoder(v[key]));
+  }
+  return error(`value is not an object`);
+};
+
+// Decodes the value held by the first of the given keys that is present
+// on the object. Keys are tried in order, so this can be used to fall
+// back through a list of alternatives (e.g. locales). When none of the
+// keys are present, errors are reported against the last one.
+export const firstField = <A>(
+  keys: Array<string>,
+  decoder: Decoder<A>
+): Decoder<A> => (v: mixed) => {
+  if (v != null && typeof v === "object") {
+    const obj = v;
+    const key = keys.find(k => obj[k] != null);
+    if (key != null) {
+      return inPath(key, decoder(obj[key]));
+    }
+    const lastKey = keys[keys.length - 1];
+    return lastKey != null
+      ? inPath(lastKey, decoder(undefined))
+      : decoder(undefined);
   }
   return error(`value is not an object`);
 };
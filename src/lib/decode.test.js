@@ -7,6 +7,7 @@ import {
   maybe,
   array,
   field,
+  firstField,
   at,
   shape,
   oneOf,
@@ -211,7 +212,7 @@ describe("array", () => {
 
     expect(result.ok).toEqual(false);
     if (!result.ok) {
-      expect(result.error).toEqual("value is not a string");
+      expect(result.error).toEqual("[0]: value is not a string");
     }
   });
 });
@@ -248,7 +249,7 @@ describe("field", () => {
 
     expect(result.ok).toEqual(false);
     if (!result.ok) {
-      expect(result.error).toEqual("value is not a string");
+      expect(result.error).toEqual("a: value is not a string");
     }
   });
 
@@ -261,7 +262,61 @@ describe("field", () => {
 
     expect(result.ok).toEqual(false);
     if (!result.ok) {
-      expect(result.error).toEqual("value is not a string");
+      expect(result.error).toEqual("a: value is not a string");
+    }
+  });
+});
+
+describe("firstField", () => {
+  it("decodes the first field that has a value", () => {
+    const input: mixed = {
+      b: "second",
+      c: "third"
+    };
+
+    const result = firstField(["a", "b", "c"], string)(input);
+
+    expect(result.ok).toEqual(true);
+    if (result.ok) {
+      expect(result.value).toEqual("second");
+    }
+  });
+
+  it("does not fall back when the first field has the wrong type", () => {
+    const input: mixed = {
+      a: 1,
+      b: "second"
+    };
+
+    const result = firstField(["a", "b"], string)(input);
+
+    expect(result.ok).toEqual(false);
+    if (!result.ok) {
+      expect(result.error).toEqual("a: value is not a string");
+    }
+  });
+
+  it("decodes undefined when none of the fields have a value", () => {
+    const input: mixed = {
+      a: null
+    };
+
+    const result = firstField(["a", "b"], string)(input);
+
+    expect(result.ok).toEqual(false);
+    if (!result.ok) {
+      expect(result.error).toEqual("b: value is not a string");
+    }
+  });
+
+  it("fails when input is not an object", () => {
+    const input: mixed = "test";
+
+    const result = firstField(["a"], string)(input);
+
+    expect(result.ok).toEqual(false);
+    if (!result.ok) {
+      expect(result.error).toEqual("value is not an object");
     }
   });
 });
@@ -293,7 +348,7 @@ describe("at", () => {
 
     expect(result.ok).toEqual(false);
     if (!result.ok) {
-      expect(result.error).toEqual("value is not an object");
+      expect(result.error).toEqual("a.b: value is not an object");
     }
   });
 
@@ -310,7 +365,40 @@ describe("at", () => {
 
     expect(result.ok).toEqual(false);
     if (!result.ok) {
-      expect(result.error).toEqual("value is not a string");
+      expect(result.error).toEqual("a.b.c: value is not a string");
+    }
+  });
+});
+
+describe("error paths", () => {
+  it("joins fields and array indices into a path", () => {
+    const decoder = field("performances", array(at(["sys", "id"], string)));
+
+    const result = decoder({
+      performances: [{ sys: { id: "a" } }, { sys: { id: 1 } }]
+    });
+
+    expect(result.ok).toEqual(false);
+    if (!result.ok) {
+      expect(result.error).toEqual(
+        "performances[1].sys.id: value is not a string"
+      );
+    }
+  });
+
+  it("names the key chosen by firstField", () => {
+    const decoder = at(
+      ["fields", "eventPriceLow"],
+      firstField(["cy-GB", "en-GB"], number)
+    );
+
+    const result = decoder({ fields: { eventPriceLow: { "en-GB": "£5" } } });
+
+    expect(result.ok).toEqual(false);
+    if (!result.ok) {
+      expect(result.error).toEqual(
+        "fields.eventPriceLow.en-GB: value is not a number"
+      );
     }
   });
 });
@@ -364,7 +452,7 @@ describe("shape", () => {
 
     expect(result.ok).toEqual(false);
     if (!result.ok) {
-      expect(result.error).toEqual("value is not an object");
+      expect(result.error).toEqual("b: value is not an object");
     }
   });
 
@@ -383,7 +471,7 @@ describe("shape", () => {
 
     expect(result.ok).toEqual(false);
     if (!result.ok) {
-      expect(result.error).toEqual("value is not a string");
+      expect(result.error).toEqual("a: value is not a string");
     }
   });
 });
@@ -0,0 +1,25 @@
+// @flow
+/* eslint-disable import/prefer-default-export */
+import type { Coordinate } from "./geolocation";
+
+// The mean radius of the Earth, in metres
+const EARTH_RADIUS = 6371008.8;
+
+const toRadians = (degrees: number) => (degrees * Math.PI) / 180;
+
+/**
+ * The distance between two points along the surface of the Earth, in
+ * metres, using the haversine formula. Treating the Earth as a sphere
+ * is out by less than half a percent, which is close enough for
+ * telling how far away something is.
+ */
+export const distanceBetween = (from: Coordinate, to: Coordinate): number => {
+  const latitudeDelta = toRadians(to.latitude - from.latitude);
+  const longitudeDelta = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(latitudeDelta / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) *
+      Math.cos(toRadians(to.latitude)) *
+      Math.sin(longitudeDelta / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
@@ -0,0 +1,30 @@
+// @flow
+import { distanceBetween } from "./distance";
+
+const trafalgarSquare = { latitude: 51.508039, longitude: -0.128069 };
+const hydePark = { latitude: 51.507268, longitude: -0.16573 };
+const brighton = { latitude: 50.822529, longitude: -0.137163 };
+
+describe("distanceBetween", () => {
+  it("is zero between a point and itself", () => {
+    expect(distanceBetween(trafalgarSquare, trafalgarSquare)).toBe(0);
+  });
+
+  it("measures short distances across London", () => {
+    expect(distanceBetween(trafalgarSquare, hydePark)).toBeCloseTo(2608, -1);
+  });
+
+  it("measures long distances", () => {
+    expect(distanceBetween(trafalgarSquare, brighton) / 1000).toBeCloseTo(
+      76.2,
+      0
+    );
+  });
+
+  it("is the same in both directions", () => {
+    expect(distanceBetween(hydePark, brighton)).toBeCloseTo(
+      distanceBetween(brighton, hydePark),
+      6
+    );
+  });
+});
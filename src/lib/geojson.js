@@ -0,0 +1,69 @@
+// @flow
+
+// A longitude and latitude, in that order, as GeoJSON has them
+export type Position = [number, number];
+
+// The first ring is the outline, any others are holes in it
+export type PolygonCoordinates = Position[][];
+
+export type Geometry =
+  | { type: "Polygon", coordinates: PolygonCoordinates }
+  | { type: "MultiPolygon", coordinates: PolygonCoordinates[] };
+
+export type BoundingBox = {
+  west: number,
+  south: number,
+  east: number,
+  north: number
+};
+
+const polygonsOf = (geometry: Geometry): PolygonCoordinates[] =>
+  geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+
+export const boundingBoxOf = (geometry: Geometry): BoundingBox =>
+  polygonsOf(geometry).reduce(
+    (acc, polygon) =>
+      polygon[0].reduce(
+        (box, [longitude, latitude]) => ({
+          west: Math.min(box.west, longitude),
+          south: Math.min(box.south, latitude),
+          east: Math.max(box.east, longitude),
+          north: Math.max(box.north, latitude)
+        }),
+        acc
+      ),
+    { west: Infinity, south: Infinity, east: -Infinity, north: -Infinity }
+  );
+
+export const pointInBoundingBox = (
+  [longitude, latitude]: Position,
+  box: BoundingBox
+): boolean =>
+  longitude >= box.west &&
+  longitude <= box.east &&
+  latitude >= box.south &&
+  latitude <= box.north;
+
+// Casts a ray from the point along its latitude, which crosses the
+// edges of the ring an odd number of times when the point is inside.
+const pointInRing = ([longitude, latitude]: Position, ring: Position[]) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const [x1, y1] = ring[j];
+    const [x2, y2] = ring[i];
+    if (
+      y1 > latitude !== y2 > latitude &&
+      longitude < ((x2 - x1) * (latitude - y1)) / (y2 - y1) + x1
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const pointInPolygon = (point: Position, polygon: PolygonCoordinates) =>
+  pointInRing(point, polygon[0]) &&
+  !polygon.slice(1).some(hole => pointInRing(point, hole));
+
+export const pointInGeometry = (point: Position, geometry: Geometry): boolean =>
+  polygonsOf(geometry).some(polygon => pointInPolygon(point, polygon));
@@ -0,0 +1,81 @@
+// @flow
+import { boundingBoxOf, pointInBoundingBox, pointInGeometry } from "./geojson";
+import type { Geometry } from "./geojson";
+
+// A square with a square hole in the middle
+const square: Geometry = {
+  type: "Polygon",
+  coordinates: [
+    [[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]],
+    [[1, 1], [1, 3], [3, 3], [3, 1], [1, 1]]
+  ]
+};
+
+// An L shape and a separate triangle
+const shapes: Geometry = {
+  type: "MultiPolygon",
+  coordinates: [
+    [[[0, 0], [2, 0], [2, 1], [1, 1], [1, 2], [0, 2], [0, 0]]],
+    [[[5, 5], [7, 5], [6, 7], [5, 5]]]
+  ]
+};
+
+describe("boundingBoxOf", () => {
+  it("returns the bounds of a polygon", () => {
+    expect(boundingBoxOf(square)).toEqual({
+      west: 0,
+      south: 0,
+      east: 4,
+      north: 4
+    });
+  });
+
+  it("returns the bounds of every polygon in a multi polygon", () => {
+    expect(boundingBoxOf(shapes)).toEqual({
+      west: 0,
+      south: 0,
+      east: 7,
+      north: 7
+    });
+  });
+});
+
+describe("pointInBoundingBox", () => {
+  const box = { west: 0, south: 0, east: 4, north: 4 };
+
+  it("includes points inside and on the edges of the box", () => {
+    expect(pointInBoundingBox([2, 2], box)).toBe(true);
+    expect(pointInBoundingBox([0, 4], box)).toBe(true);
+  });
+
+  it("excludes points outside of the box", () => {
+    expect(pointInBoundingBox([5, 2], box)).toBe(false);
+    expect(pointInBoundingBox([2, -1], box)).toBe(false);
+  });
+});
+
+describe("pointInGeometry", () => {
+  it("includes points inside a polygon", () => {
+    expect(pointInGeometry([0.5, 2], square)).toBe(true);
+    expect(pointInGeometry([3.5, 3.5], square)).toBe(true);
+  });
+
+  it("excludes points in the holes of a polygon", () => {
+    expect(pointInGeometry([2, 2], square)).toBe(false);
+  });
+
+  it("excludes points outside of a polygon", () => {
+    expect(pointInGeometry([5, 2], square)).toBe(false);
+    expect(pointInGeometry([-1, -1], square)).toBe(false);
+  });
+
+  it("follows the outline of concave polygons", () => {
+    expect(pointInGeometry([0.5, 1.5], shapes)).toBe(true);
+    expect(pointInGeometry([1.5, 1.5], shapes)).toBe(false);
+  });
+
+  it("includes points inside any polygon of a multi polygon", () => {
+    expect(pointInGeometry([6, 6], shapes)).toBe(true);
+    expect(pointInGeometry([4, 4], shapes)).toBe(false);
+  });
+});
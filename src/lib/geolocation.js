@@ -147,6 +147,18 @@ export const locationStatusStream = () => {
   return race(stream, timedOut);
 };
 
+/*
+Returns a stream of LocationStatus values from checking the permission
+alone, without following the user's location.
+Example steaming output:
+|-A---B
+Where:
+A = Checking
+B = Authorized + Awaiting
+*/
+export const locationPermissionStream = () =>
+  checkPermissionStream().pipe(map(permissionToLocationStatus));
+
 /*
 Returns a stream of LocationStatus values. Automatically streams
 location updates if permissions allow this to be done passively.
@@ -160,8 +172,7 @@ D = Authorized + Tracking(1, 2)
 E = Authorized + Error
 */
 export const passiveLocationStream = () =>
-  checkPermissionStream().pipe(
-    map(permissionToLocationStatus),
+  locationPermissionStream().pipe(
     switchMap(value => {
       if (value.type === "authorized") {
         return merge(of(value), locationStatusStream());
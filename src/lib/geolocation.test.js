@@ -10,6 +10,7 @@ import {
   activeLocationStream,
   requestPermissionStream,
   locationStatusStream,
+  locationPermissionStream,
   getLocation,
   shouldNeverRequest,
   shouldRequest
@@ -285,6 +286,37 @@ describe("locationStatusStream", () => {
   });
 });
 
+describe("locationPermissionStream", () => {
+  it("emits checking to start", done => {
+    expect.assertions(1);
+    // $FlowFixMe
+    Permissions.check.mockReturnValue(Promise.resolve("authorized"));
+    locationPermissionStream()
+      .pipe(take(1))
+      .subscribe(value => {
+        expect(value).toEqual({ type: "checking" });
+        done();
+      });
+  });
+
+  it("ends with the result of checking without following the location", done => {
+    expect.assertions(2);
+    watchPosition.mockClear();
+    // $FlowFixMe
+    Permissions.check.mockReturnValue(Promise.resolve("authorized"));
+    locationPermissionStream()
+      .pipe(last())
+      .subscribe(value => {
+        expect(value).toEqual({
+          type: "authorized",
+          location: { type: "awaiting" }
+        });
+        expect(watchPosition).not.toHaveBeenCalled();
+        done();
+      });
+  });
+});
+
 describe("passiveLocationStream", () => {
   it("emits requesting to start", done => {
     expect.assertions(1);
@@ -0,0 +1,66 @@
+// @flow
+import { Zone } from "luxon";
+
+// The time of the change is 01:00 UTC on the last Sunday of the month
+const lastSundayOf = (year: number, month: number) => {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0));
+  return Date.UTC(year, month, lastDay.getUTCDate() - lastDay.getUTCDay(), 1);
+};
+
+// British Summer Time, as epoch milliseconds, by year
+const summerTimes: { [year: number]: [number, number] } = {};
+
+const summerTimeOf = (year: number): [number, number] => {
+  if (!summerTimes[year]) {
+    summerTimes[year] = [lastSundayOf(year, 2), lastSundayOf(year, 9)];
+  }
+  return summerTimes[year];
+};
+
+const isSummerTime = (ts: number) => {
+  const [start, end] = summerTimeOf(new Date(ts).getUTCFullYear());
+  return ts >= start && ts < end;
+};
+
+/**
+ * The Europe/London time zone. Luxon needs Intl to work with IANA
+ * zones, which the JavaScriptCore shipped with React Native on Android
+ * does not have, so we follow the UK's daylight saving rules ourselves.
+ */
+/* eslint-disable class-methods-use-this */
+export class LondonZone extends Zone {
+  get type() {
+    return "london";
+  }
+
+  get name() {
+    return "Europe/London";
+  }
+
+  get universal() {
+    return false;
+  }
+
+  offsetName(ts: number, opts?: { format?: ?string } = {}) {
+    if (opts.format === "long") {
+      return isSummerTime(ts) ? "British Summer Time" : "Greenwich Mean Time";
+    }
+    return isSummerTime(ts) ? "BST" : "GMT";
+  }
+
+  // The offset from UTC, in minutes
+  offset(ts: number) {
+    return isSummerTime(ts) ? 60 : 0;
+  }
+
+  equals(otherZone: Zone) {
+    return otherZone.type === this.type;
+  }
+
+  get isValid() {
+    return true;
+  }
+}
+/* eslint-enable class-methods-use-this */
+
+export const londonZone = new LondonZone();
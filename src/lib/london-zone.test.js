@@ -0,0 +1,61 @@
+// @flow
+import { DateTime, Settings } from "luxon";
+import { LondonZone, londonZone } from "./london-zone";
+
+const ts = (iso: string) => +DateTime.fromISO(iso);
+
+describe("londonZone", () => {
+  it("is an hour ahead of UTC during British Summer Time", () => {
+    expect(londonZone.offset(ts("2018-07-07T12:00Z"))).toBe(60);
+    expect(londonZone.offsetName(ts("2018-07-07T12:00Z"))).toBe("BST");
+  });
+
+  it("is on UTC outside of British Summer Time", () => {
+    expect(londonZone.offset(ts("2018-12-01T12:00Z"))).toBe(0);
+    expect(londonZone.offsetName(ts("2018-12-01T12:00Z"))).toBe("GMT");
+  });
+
+  it("moves the clocks forward at 01:00 UTC on the last Sunday of March", () => {
+    expect(londonZone.offset(ts("2018-03-25T00:59:59.999Z"))).toBe(0);
+    expect(londonZone.offset(ts("2018-03-25T01:00Z"))).toBe(60);
+    expect(londonZone.offset(ts("2019-03-31T00:59:59.999Z"))).toBe(0);
+    expect(londonZone.offset(ts("2019-03-31T01:00Z"))).toBe(60);
+  });
+
+  it("moves the clocks back at 01:00 UTC on the last Sunday of October", () => {
+    expect(londonZone.offset(ts("2018-10-28T00:59:59.999Z"))).toBe(60);
+    expect(londonZone.offset(ts("2018-10-28T01:00Z"))).toBe(0);
+    expect(londonZone.offset(ts("2019-10-27T00:59:59.999Z"))).toBe(60);
+    expect(londonZone.offset(ts("2019-10-27T01:00Z"))).toBe(0);
+  });
+
+  it("gives long names for the offsets", () => {
+    expect(
+      londonZone.offsetName(ts("2018-07-07T12:00Z"), { format: "long" })
+    ).toBe("British Summer Time");
+    expect(
+      londonZone.offsetName(ts("2018-12-01T12:00Z"), { format: "long" })
+    ).toBe("Greenwich Mean Time");
+  });
+
+  it("converts times either side of the October change", () => {
+    const before = DateTime.fromISO("2018-10-28T00:30Z").setZone(londonZone);
+    const after = DateTime.fromISO("2018-10-28T01:30Z").setZone(londonZone);
+    expect(before.toFormat("HH:mm ZZ")).toBe("01:30 +01:00");
+    expect(after.toFormat("HH:mm ZZ")).toBe("01:30 +00:00");
+  });
+
+  it("reads local London times with the offset of the day", () => {
+    expect(
+      DateTime.fromISO("2018-10-27T12:00", { zone: londonZone }).toUTC().hour
+    ).toBe(11);
+    expect(
+      DateTime.fromISO("2018-10-28T12:00", { zone: londonZone }).toUTC().hour
+    ).toBe(12);
+  });
+
+  it("is equal to itself only", () => {
+    expect(londonZone.equals(new LondonZone())).toBe(true);
+    expect(londonZone.equals(Settings.defaultZone)).toBe(false);
+  });
+});
@@ -21,7 +21,17 @@ export const map = <X, A, B>(
   return result;
 };
 
-export const withDefault = <X, A>(value: A, result: Result<X, A>) => {
+export const mapError = <X, Y, A>(
+  fn: (x: X) => Y,
+  result: Result<X, A>
+): Result<Y, A> => {
+  if (result.ok) {
+    return result;
+  }
+  return error(fn(result.error));
+};
+
+export const withDefault = <X, A>(value: A, result: Result<X, A>): A => {
   if (result.ok) {
     return result.value;
   }
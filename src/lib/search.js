@@ -0,0 +1,162 @@
+// @flow
+
+// Letters with diacritics and the plain letters they are folded into.
+// String.prototype.normalize is not available on every device we
+// support, so the common Latin letters are listed here instead.
+// Combining marks, left over from text which was decomposed, are
+// dropped.
+const foldedLetters = {
+  a: "àáâãäåāăą",
+  ae: "æ",
+  c: "çćĉċč",
+  d: "ďđð",
+  e: "èéêëēĕėęě",
+  g: "ĝğġģ",
+  h: "ĥħ",
+  i: "ìíîïĩīĭįı",
+  j: "ĵ",
+  k: "ķ",
+  l: "ĺļľŀł",
+  n: "ñńņňŉ",
+  o: "òóôõöøōŏő",
+  oe: "œ",
+  r: "ŕŗř",
+  s: "śŝşš",
+  ss: "ß",
+  t: "ţťŧ",
+  th: "þ",
+  u: "ùúûüũūŭůűų",
+  w: "ŵ",
+  y: "ýÿŷ",
+  z: "źżž"
+};
+
+const foldedLetterMap: { [letter: string]: string } = Object.keys(
+  foldedLetters
+).reduce((acc, plain) => {
+  foldedLetters[plain].split("").forEach(letter => {
+    // intentional mutation as this happens in a reduce
+    acc[letter] = plain;
+  });
+  return acc;
+}, {});
+
+export const foldDiacritics = (text: string): string =>
+  text
+    .toLowerCase()
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[\u0080-\uffff]/g, letter => foldedLetterMap[letter] || letter);
+
+// Splits text into lower case words without diacritics. Apostrophes
+// are dropped rather than split on, so that "Queen's" becomes "queens".
+export const tokenise = (text: string): string[] =>
+  foldDiacritics(text)
+    .replace(/['’]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 0);
+
+export type SearchField = {
+  text: string,
+  // How much a match in this field counts towards the relevance
+  weight: number
+};
+
+export type SearchDocument = {
+  id: string,
+  fields: SearchField[]
+};
+
+export type SearchIndex = {
+  // Every term in the index, sorted so that prefixes can be looked up
+  terms: string[],
+  // The weight of each term in each document, by term and document id
+  postings: { [term: string]: { [id: string]: number } }
+};
+
+export type SearchResult = {
+  id: string,
+  score: number
+};
+
+// Objects without a prototype, so that words and ids such as
+// "constructor" are not looked up on Object
+const emptyMap = <V>(): { [key: string]: V } => (Object.create(null): any);
+
+// Matches on the start of a word count for less than whole words
+const PREFIX_MATCH_WEIGHT = 0.5;
+
+export const createSearchIndex = (
+  documents: $ReadOnlyArray<SearchDocument>
+): SearchIndex => {
+  const postings = emptyMap();
+  documents.forEach(document => {
+    document.fields.forEach(field => {
+      // A word counts once per field, however often it is repeated
+      new Set(tokenise(field.text)).forEach(term => {
+        postings[term] = postings[term] || emptyMap();
+        postings[term][document.id] =
+          (postings[term][document.id] || 0) + field.weight;
+      });
+    });
+  });
+  return {
+    terms: Object.keys(postings).sort(),
+    postings
+  };
+};
+
+// The position of the first term which is not before the prefix
+const firstTermFrom = (terms: string[], prefix: string) => {
+  let low = 0;
+  let high = terms.length;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (terms[middle] < prefix) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+};
+
+// The best score of each document for a single word of the query
+const scoreToken = (
+  index: SearchIndex,
+  token: string
+): { [id: string]: number } => {
+  const scores = emptyMap();
+  for (
+    let i = firstTermFrom(index.terms, token);
+    i < index.terms.length && index.terms[i].startsWith(token);
+    i += 1
+  ) {
+    const term = index.terms[i];
+    const factor = term === token ? 1 : PREFIX_MATCH_WEIGHT;
+    const postings = index.postings[term];
+    Object.keys(postings).forEach(id => {
+      scores[id] = Math.max(scores[id] || 0, postings[id] * factor);
+    });
+  }
+  return scores;
+};
+
+/**
+ * Finds the documents which contain every word of the query, either in
+ * full or as the start of a longer word, most relevant first.
+ */
+export const search = (index: SearchIndex, query: string): SearchResult[] => {
+  const tokens = Array.from(new Set(tokenise(query)));
+  if (tokens.length === 0) {
+    return [];
+  }
+
+  const [first, ...rest] = tokens.map(token => scoreToken(index, token));
+  return Object.keys(first)
+    .filter(id => rest.every(scores => scores[id] != null))
+    .map(id => ({
+      id,
+      score: rest.reduce((acc, scores) => acc + scores[id], first[id])
+    }))
+    .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : 1));
+};
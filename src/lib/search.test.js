@@ -0,0 +1,115 @@
+// @flow
+import { createSearchIndex, foldDiacritics, search, tokenise } from "./search";
+
+describe("foldDiacritics", () => {
+  it("lower cases text and removes diacritics", () => {
+    expect(foldDiacritics("Café Crème, Zoë & Łódź")).toBe(
+      "cafe creme, zoe & lodz"
+    );
+  });
+
+  it("spells out letters which are written as two", () => {
+    expect(foldDiacritics("Straße Æther Œuvre")).toBe("strasse aether oeuvre");
+  });
+
+  it("removes combining marks", () => {
+    expect(foldDiacritics("Café")).toBe("cafe");
+  });
+});
+
+describe("tokenise", () => {
+  it("splits text into words", () => {
+    expect(tokenise("Pride in London: the Parade!")).toEqual([
+      "pride",
+      "in",
+      "london",
+      "the",
+      "parade"
+    ]);
+  });
+
+  it("keeps numbers, such as in postcodes", () => {
+    expect(tokenise("W1D 3QU")).toEqual(["w1d", "3qu"]);
+  });
+
+  it("drops apostrophes", () => {
+    expect(tokenise("Queen’s Head, King's Cross")).toEqual([
+      "queens",
+      "head",
+      "kings",
+      "cross"
+    ]);
+  });
+
+  it("returns no words for empty text", () => {
+    expect(tokenise(" - ")).toEqual([]);
+  });
+});
+
+describe("search", () => {
+  const index = createSearchIndex([
+    {
+      id: "brunch",
+      fields: [
+        { text: "Drag Brunch", weight: 8 },
+        { text: "Bottomless brunch with drag queens", weight: 1 }
+      ]
+    },
+    {
+      id: "cabaret",
+      fields: [
+        { text: "Cabaret Night", weight: 8 },
+        { text: "Drag and cabaret at the Café de Paris", weight: 1 }
+      ]
+    },
+    {
+      id: "dragons",
+      fields: [{ text: "Dragons of Soho", weight: 8 }]
+    }
+  ]);
+
+  it("finds documents by words, most relevant first", () => {
+    expect(search(index, "drag")).toEqual([
+      { id: "brunch", score: 9 },
+      { id: "dragons", score: 4 },
+      { id: "cabaret", score: 1 }
+    ]);
+  });
+
+  it("finds documents by the start of words", () => {
+    expect(search(index, "cab").map(result => result.id)).toEqual(["cabaret"]);
+  });
+
+  it("only finds documents which contain every word", () => {
+    expect(search(index, "drag cafe").map(result => result.id)).toEqual([
+      "cabaret"
+    ]);
+  });
+
+  it("ignores case and diacritics", () => {
+    expect(search(index, "CAFÉ").map(result => result.id)).toEqual(["cabaret"]);
+    expect(search(index, "paris café").map(result => result.id)).toEqual([
+      "cabaret"
+    ]);
+  });
+
+  it("indexes words which are also names of object properties", () => {
+    const objectIndex = createSearchIndex([
+      { id: "ev1", fields: [{ text: "Meet the constructor", weight: 1 }] }
+    ]);
+
+    expect(search(objectIndex, "constructor")).toEqual([
+      { id: "ev1", score: 1 }
+    ]);
+    expect(search(objectIndex, "toString")).toEqual([]);
+    expect(Object.keys(Object)).toEqual([]);
+  });
+
+  it("finds nothing when nothing matches", () => {
+    expect(search(index, "parade")).toEqual([]);
+  });
+
+  it("finds nothing when there are no words to search for", () => {
+    expect(search(index, "  ")).toEqual([]);
+  });
+});
@@ -0,0 +1,145 @@
+// @flow
+
+export type Backoff = {
+  // How long to wait before the first retry, in milliseconds
+  initialDelay: number,
+  // The delay is multiplied by this after every failed retry
+  factor: number,
+  // Retries never wait longer than this, in milliseconds
+  maxDelay: number
+};
+
+export type Timers = {
+  setTimeout: (callback: () => mixed, delay: number) => TimeoutID,
+  clearTimeout: (timeout: TimeoutID) => mixed
+};
+
+export type SyncScheduler = {
+  // Runs the task, or joins the run which is already in progress
+  run: <A>(task: () => Promise<A>) => Promise<A>,
+  // Runs the task once the run in progress has finished, rather than
+  // joining it. Runs started in the meantime join this one.
+  runNext: <A>(task: () => Promise<A>) => Promise<A>,
+  // Retries are held back while there is no connection, and
+  // run straight away when it comes back
+  setConnected: (isConnected: boolean) => void,
+  // Forgets about any retry which is waiting to run
+  cancel: () => void
+};
+
+export const defaultBackoff: Backoff = {
+  initialDelay: 5000,
+  factor: 2,
+  maxDelay: 5 * 60 * 1000
+};
+
+const defaultTimers: Timers = {
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: timeout => clearTimeout(timeout)
+};
+
+export const retryDelay = (backoff: Backoff, attempt: number): number =>
+  Math.min(backoff.initialDelay * backoff.factor ** attempt, backoff.maxDelay);
+
+/**
+ * Makes sure only one sync runs at a time. When a sync fails it is
+ * tried again later, waiting longer after every failure, until one
+ * succeeds or another sync is started.
+ */
+export const createSyncScheduler = (
+  backoff: Backoff = defaultBackoff,
+  timers: Timers = defaultTimers
+): SyncScheduler => {
+  let inFlight: ?Promise<any> = null;
+  let isConnected = true;
+  let attempt = 0;
+  let pendingTask: ?() => Promise<mixed> = null;
+  let retryTimeout: ?TimeoutID = null;
+
+  const clearRetry = () => {
+    if (retryTimeout != null) {
+      timers.clearTimeout(retryTimeout);
+      retryTimeout = null;
+    }
+  };
+
+  // Retries have nobody waiting for them, so their errors are dropped
+  // once the next retry has been scheduled.
+  const retry = () => {
+    const task = pendingTask;
+    retryTimeout = null;
+    if (task) {
+      // eslint-disable-next-line no-use-before-define
+      start(task, attempt + 1).catch(() => {});
+    }
+  };
+
+  const scheduleRetry = (task: () => Promise<mixed>, failedAttempt: number) => {
+    pendingTask = task;
+    attempt = failedAttempt;
+    if (isConnected) {
+      retryTimeout = timers.setTimeout(
+        retry,
+        retryDelay(backoff, failedAttempt)
+      );
+    }
+  };
+
+  const start = <A>(
+    task: () => Promise<A>,
+    taskAttempt: number
+  ): Promise<A> => {
+    clearRetry();
+    pendingTask = null;
+    // A run which runNext waits for finishes while the next one is
+    // already in flight. It is superseded by that run, so it neither
+    // clears it nor schedules a retry.
+    const isCurrent = () => inFlight === promise;
+    const promise = task().then(
+      result => {
+        if (isCurrent()) {
+          inFlight = null;
+          attempt = 0;
+        }
+        return result;
+      },
+      error => {
+        if (isCurrent()) {
+          inFlight = null;
+          scheduleRetry(task, taskAttempt);
+        }
+        throw error;
+      }
+    );
+    inFlight = promise;
+    return promise;
+  };
+
+  return {
+    run: <A>(task: () => Promise<A>): Promise<A> => {
+      if (inFlight) {
+        return inFlight;
+      }
+      return start(task, 0);
+    },
+    runNext: <A>(task: () => Promise<A>): Promise<A> => {
+      const previous = inFlight ? inFlight.catch(() => {}) : Promise.resolve();
+      return start(() => previous.then(task), 0);
+    },
+    setConnected: (connected: boolean) => {
+      const reconnected = connected && !isConnected;
+      isConnected = connected;
+      if (!connected) {
+        clearRetry();
+      } else if (reconnected && pendingTask && !inFlight) {
+        // There is no point waiting any longer now that we are back online
+        retry();
+      }
+    },
+    cancel: () => {
+      clearRetry();
+      pendingTask = null;
+      attempt = 0;
+    }
+  };
+};
@@ -0,0 +1,225 @@
+// @flow
+import { createSyncScheduler, retryDelay } from "./sync-scheduler";
+
+const backoff = { initialDelay: 1000, factor: 2, maxDelay: 5000 };
+
+const createMockTimers = () => {
+  let pending = [];
+  let nextId = 0;
+  return {
+    setTimeout: jest.fn((callback, delay) => {
+      nextId += 1;
+      pending.push({ id: nextId, callback, delay });
+      return (nextId: any);
+    }),
+    clearTimeout: jest.fn(id => {
+      pending = pending.filter(timeout => timeout.id !== id);
+    }),
+    pending: () => pending,
+    runAll: () => {
+      const due = pending;
+      pending = [];
+      due.forEach(timeout => timeout.callback());
+    }
+  };
+};
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe("retryDelay", () => {
+  it("doubles the delay after every attempt", () => {
+    expect(retryDelay(backoff, 0)).toBe(1000);
+    expect(retryDelay(backoff, 1)).toBe(2000);
+    expect(retryDelay(backoff, 2)).toBe(4000);
+  });
+
+  it("never waits longer than the maximum delay", () => {
+    expect(retryDelay(backoff, 3)).toBe(5000);
+    expect(retryDelay(backoff, 10)).toBe(5000);
+  });
+});
+
+describe("createSyncScheduler", () => {
+  it("resolves with the result of the task", async () => {
+    const scheduler = createSyncScheduler(backoff, createMockTimers());
+
+    const result = await scheduler.run(async () => "result");
+
+    expect(result).toBe("result");
+  });
+
+  it("joins a run which is already in progress", async () => {
+    const scheduler = createSyncScheduler(backoff, createMockTimers());
+    const task = jest.fn(async () => "first");
+    const otherTask = jest.fn(async () => "second");
+
+    const results = await Promise.all([
+      scheduler.run(task),
+      scheduler.run(otherTask)
+    ]);
+
+    expect(results).toEqual(["first", "first"]);
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(otherTask).not.toHaveBeenCalled();
+  });
+
+  it("starts a new run once the previous one has finished", async () => {
+    const scheduler = createSyncScheduler(backoff, createMockTimers());
+    const task = jest.fn(async () => "result");
+
+    await scheduler.run(task);
+    await scheduler.run(task);
+
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+
+  it("rejects and retries a task which fails", async () => {
+    const timers = createMockTimers();
+    const scheduler = createSyncScheduler(backoff, timers);
+    const task = jest
+      .fn()
+      .mockImplementationOnce(() => Promise.reject(new Error("offline")))
+      .mockImplementation(async () => "result");
+
+    await expect(scheduler.run(task)).rejects.toEqual(new Error("offline"));
+    expect(timers.pending()).toHaveLength(1);
+    expect(timers.pending()[0].delay).toBe(1000);
+
+    timers.runAll();
+    await flushPromises();
+
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(timers.pending()).toHaveLength(0);
+  });
+
+  it("backs off exponentially while the task keeps failing", async () => {
+    const timers = createMockTimers();
+    const scheduler = createSyncScheduler(backoff, timers);
+    const task = jest.fn(() => Promise.reject(new Error("offline")));
+
+    await expect(scheduler.run(task)).rejects.toBeDefined();
+    const delays = [];
+    for (let i = 0; i < 4; i += 1) {
+      delays.push(timers.pending()[0].delay);
+      timers.runAll();
+      // eslint-disable-next-line no-await-in-loop
+      await flushPromises();
+    }
+
+    expect(delays).toEqual([1000, 2000, 4000, 5000]);
+    expect(task).toHaveBeenCalledTimes(5);
+  });
+
+  it("drops a waiting retry when a new run starts", async () => {
+    const timers = createMockTimers();
+    const scheduler = createSyncScheduler(backoff, timers);
+
+    await expect(
+      scheduler.run(() => Promise.reject(new Error("offline")))
+    ).rejects.toBeDefined();
+    await scheduler.run(async () => "result");
+
+    expect(timers.pending()).toHaveLength(0);
+  });
+
+  it("holds back retries while offline", async () => {
+    const timers = createMockTimers();
+    const scheduler = createSyncScheduler(backoff, timers);
+    const task = jest.fn(() => Promise.reject(new Error("offline")));
+
+    await expect(scheduler.run(task)).rejects.toBeDefined();
+    scheduler.setConnected(false);
+
+    expect(timers.pending()).toHaveLength(0);
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  it("retries straight away when the connection comes back", async () => {
+    const timers = createMockTimers();
+    const scheduler = createSyncScheduler(backoff, timers);
+    const task = jest
+      .fn()
+      .mockImplementationOnce(() => Promise.reject(new Error("offline")))
+      .mockImplementation(async () => "result");
+
+    scheduler.setConnected(false);
+    await expect(scheduler.run(task)).rejects.toBeDefined();
+    expect(timers.pending()).toHaveLength(0);
+
+    scheduler.setConnected(true);
+    await flushPromises();
+
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+
+  it("does not run anything when connected without a failed task", () => {
+    const timers = createMockTimers();
+    const scheduler = createSyncScheduler(backoff, timers);
+
+    scheduler.setConnected(false);
+    scheduler.setConnected(true);
+
+    expect(timers.setTimeout).not.toHaveBeenCalled();
+  });
+
+  it("forgets a waiting retry when cancelled", async () => {
+    const timers = createMockTimers();
+    const scheduler = createSyncScheduler(backoff, timers);
+    const task = jest.fn(() => Promise.reject(new Error("offline")));
+
+    await expect(scheduler.run(task)).rejects.toBeDefined();
+    scheduler.cancel();
+    scheduler.setConnected(false);
+    scheduler.setConnected(true);
+
+    expect(timers.pending()).toHaveLength(0);
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  it("waits for the run in progress before running the next task", async () => {
+    const scheduler = createSyncScheduler(backoff, createMockTimers());
+    const calls = [];
+    let finishFirst = () => {};
+    const first = scheduler.run(
+      () =>
+        new Promise(resolve => {
+          finishFirst = () => {
+            calls.push("first");
+            resolve("first");
+          };
+        })
+    );
+
+    const next = scheduler.runNext(async () => {
+      calls.push("next");
+      return "next";
+    });
+    const joined = scheduler.run(async () => "other");
+    await flushPromises();
+    expect(calls).toEqual([]);
+
+    finishFirst();
+
+    expect(await Promise.all([first, next, joined])).toEqual([
+      "first",
+      "next",
+      "next"
+    ]);
+    expect(calls).toEqual(["first", "next"]);
+  });
+
+  it("runs the next task even when the run in progress fails", async () => {
+    const timers = createMockTimers();
+    const scheduler = createSyncScheduler(backoff, timers);
+    const failing = jest.fn(() => Promise.reject(new Error("offline")));
+
+    const first = scheduler.run(failing);
+    const next = scheduler.runNext(async () => "next");
+
+    await expect(first).rejects.toBeDefined();
+    expect(await next).toBe("next");
+    // The failed run was superseded, so it is not retried
+    expect(timers.pending()).toHaveLength(0);
+    expect(failing).toHaveBeenCalledTimes(1);
+  });
+});
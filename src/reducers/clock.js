@@ -0,0 +1,20 @@
+// @flow
+import type { ClockAction } from "../actions/clock";
+
+// The time scheduled content is shown for. It is only moved on when
+// something is due to be shown or hidden, see actions/clock.js.
+export type State = string;
+
+const Clock = (now: () => string) => {
+  const defaultState: State = now();
+  return (state: State = defaultState, action: ClockAction): State => {
+    switch (action.type) {
+      case "UPDATE_CLOCK":
+        return action.now;
+      default:
+        return state;
+    }
+  };
+};
+
+export default Clock;
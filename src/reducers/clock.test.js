@@ -0,0 +1,22 @@
+// @flow
+import Clock from "./clock";
+
+describe("Clock reducer", () => {
+  it("initialises with the current time", () => {
+    const reducer = Clock(() => "2018-07-07T12:00+01:00");
+    // $FlowFixMe
+    const state = reducer(undefined, {});
+
+    expect(state).toBe("2018-07-07T12:00+01:00");
+  });
+
+  it("moves on to the time of UPDATE_CLOCK", () => {
+    const reducer = Clock(() => "2018-07-07T12:00+01:00");
+    const state = reducer("2018-07-07T12:00+01:00", {
+      type: "UPDATE_CLOCK",
+      now: "2018-07-08T00:00+01:00"
+    });
+
+    expect(state).toBe("2018-07-08T00:00+01:00");
+  });
+});
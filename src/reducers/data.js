@@ -1,15 +1,17 @@
 // @flow
 import R from "ramda";
 import type { DataAction } from "../actions/data";
+import type { NavigationAction } from "../actions/navigation";
+import type { CmsDelta, CmsEntry, SavedData } from "../integrations/cms";
 import type { Event } from "../data/event";
 import type { FeaturedEvents } from "../data/featured-events";
 import type { HeaderBanner } from "../data/header-banner";
-import type { Images } from "../data/image";
+import type { ImageDetails } from "../data/image";
 import type { ParadeGroup } from "../data/parade-group";
-import type { Performances } from "../data/performance";
+import type { Performance } from "../data/performance";
 import type { Sponsor } from "../data/sponsor";
 import type { Amenity } from "../data/amenity";
-import { decodeEvent, expandRecurringEvents } from "../data/event";
+import { decodeEvent, expandRecurringEvents, getEntryId } from "../data/event";
 import decodeFeaturedEvents from "../data/featured-events";
 import decodeHeaderBanner from "../data/header-banner";
 import { decodeImageDetails } from "../data/image";
@@ -17,90 +19,249 @@ import decodeParadeGroup from "../data/parade-group";
 import decodePerformance from "../data/performance";
 import decodeSponsor from "../data/sponsor";
 import decodeAmenity from "../data/amenity";
-import locale from "../data/locale";
+import { defaultLocale } from "../data/locale";
+import type { Collection } from "../lib/collection";
+import {
+  emptyCollection,
+  toCollection,
+  updateCollection,
+  valuesOf
+} from "../lib/collection";
 import type { Decoder } from "../lib/decode";
-import { filterMap as decodeFilterMap, map as decodeMap } from "../lib/decode";
+import { at as decodeAt, string as decodeString } from "../lib/decode";
 import { withDefault as resultWithDefault } from "../lib/result";
 
+// An entry which could not be decoded, and so is missing from the app
+export type Rejection = {
+  id: string,
+  contentType: string,
+  reason: string
+};
+
 export type State = {
-  events: Event[],
-  featuredEvents: FeaturedEvents[],
-  headerBanners: HeaderBanner[],
-  images: Images,
-  paradeGroups: ParadeGroup[],
-  performances: Performances,
-  sponsors: Sponsor[],
-  amenities: Amenity[],
+  locale: string,
+  // The raw payload last received from the CMS, kept around so that
+  // it can be decoded again when the locale changes.
+  cmsData: ?SavedData,
+  // A newer payload from a background sync, which is held back until
+  // the user asks for it or moves on to another screen, so that lists
+  // do not change under their finger.
+  stagedCmsData: ?SavedData,
+  // Entries by content type. Each collection is only replaced when
+  // its entries change, so selectors built on it stay memoised.
+  events: Collection<Event>,
+  featuredEvents: Collection<FeaturedEvents>,
+  headerBanners: Collection<HeaderBanner>,
+  images: Collection<ImageDetails>,
+  paradeGroups: Collection<ParadeGroup>,
+  performances: Collection<Performance>,
+  sponsors: Collection<Sponsor>,
+  amenities: Collection<Amenity>,
+  rejections: Rejection[],
   loading: boolean,
   refreshing: boolean,
   noDataReceived: boolean
 };
 
 const defaultState = {
-  events: [],
-  featuredEvents: [],
-  headerBanners: [],
-  images: {},
-  paradeGroups: [],
-  performances: {},
-  sponsors: [],
-  amenities: [],
+  locale: defaultLocale,
+  cmsData: null,
+  stagedCmsData: null,
+  events: emptyCollection(),
+  featuredEvents: emptyCollection(),
+  headerBanners: emptyCollection(),
+  images: emptyCollection(),
+  paradeGroups: emptyCollection(),
+  performances: emptyCollection(),
+  sponsors: emptyCollection(),
+  amenities: emptyCollection(),
+  rejections: [],
   loading: true,
   refreshing: false,
   noDataReceived: false
 };
 
-type ObjectWithId<A> = {
-  id: string
-} & A;
+const decodeId: Decoder<string> = decodeAt(["sys", "id"], decodeString);
+
+const decodeContentType: Decoder<string> = decodeAt(
+  ["sys", "contentType", "sys", "id"],
+  decodeString
+);
 
-const reduceToMapHelp = <A>(
-  acc: { [id: string]: ObjectWithId<A> },
-  item: ObjectWithId<A>
-): { [id: string]: ObjectWithId<A> } => {
-  acc[item.id] = item; // intentional mutation as this happens in a reduce
-  return acc;
+const idOf = (item: mixed): string => resultWithDefault("", decodeId(item));
+
+const contentTypeOf = (item: mixed): string =>
+  resultWithDefault("", decodeContentType(item));
+
+type Decoded<A> = {
+  values: Array<A>,
+  rejections: Array<Rejection>
 };
 
-// moving locale here so we can deal with it in a single place
-// this can be moved inside the reducer function if we later want
-// to make this dynamic
-const decodeEvents: Decoder<Array<Event>> = decodeMap(
-  events => R.unnest(events.map(expandRecurringEvents)),
-  decodeFilterMap(decodeEvent(locale))
-);
+// Decodes each item on its own, so that one broken entry does not take
+// the rest down with it. Items which fail are dropped, but we keep hold
+// of the reason so that editors can be told why their content is missing.
+const decodeEach = <A>(
+  contentType: string,
+  decoder: Decoder<A>,
+  items: $ReadOnlyArray<mixed>
+): Decoded<A> =>
+  items.reduce(
+    (acc: Decoded<A>, item: mixed) => {
+      const result = decoder(item);
+      // intentional mutation as this happens in a reduce
+      if (result.ok) {
+        acc.values.push(result.value);
+      } else {
+        acc.rejections.push({
+          id: idOf(item),
+          contentType,
+          reason: result.error
+        });
+      }
+      return acc;
+    },
+    { values: [], rejections: [] }
+  );
 
-const decodeFeaturedEventsCollection: Decoder<
-  Array<FeaturedEvents>
-> = decodeFilterMap(decodeFeaturedEvents(locale));
+type DecodedCmsData = {
+  events: Collection<Event>,
+  featuredEvents: Collection<FeaturedEvents>,
+  headerBanners: Collection<HeaderBanner>,
+  images: Collection<ImageDetails>,
+  paradeGroups: Collection<ParadeGroup>,
+  performances: Collection<Performance>,
+  sponsors: Collection<Sponsor>,
+  amenities: Collection<Amenity>,
+  rejections: Rejection[]
+};
 
-const decodeHeaderBanners: Decoder<Array<HeaderBanner>> = decodeFilterMap(
-  decodeHeaderBanner(locale)
-);
+const decodeCmsData = (
+  locale: string,
+  data: { entries: CmsEntry[], assets: Object[] }
+): DecodedCmsData => {
+  const entriesByContentType = R.groupBy(contentTypeOf, data.entries);
+  const entriesOf = (contentType: string) =>
+    entriesByContentType[contentType] || [];
 
-const decodeImages: Decoder<Images> = decodeMap(
-  images => images.reduce(reduceToMapHelp, {}),
-  decodeFilterMap(decodeImageDetails(locale))
-);
+  const events = decodeEach("event", decodeEvent(locale), entriesOf("event"));
+  const featuredEvents = decodeEach(
+    "featuredEvents",
+    decodeFeaturedEvents(locale),
+    entriesOf("featuredEvents")
+  );
+  const headerBanners = decodeEach(
+    "headerBanner",
+    decodeHeaderBanner(locale),
+    entriesOf("headerBanner")
+  );
+  const images = decodeEach("asset", decodeImageDetails(locale), data.assets);
+  const paradeGroups = decodeEach(
+    "paradeGroup",
+    decodeParadeGroup(locale),
+    entriesOf("paradeGroup")
+  );
+  const performances = decodeEach(
+    "performance",
+    decodePerformance(locale),
+    entriesOf("performance")
+  );
+  const sponsors = decodeEach(
+    "sponsor",
+    decodeSponsor(locale),
+    entriesOf("sponsor")
+  );
+  const amenities = decodeEach(
+    "amenity",
+    decodeAmenity(locale),
+    entriesOf("amenity")
+  );
 
-const decodeParadeGroups: Decoder<Array<ParadeGroup>> = decodeFilterMap(
-  decodeParadeGroup(locale)
-);
+  return {
+    events: toCollection(R.unnest(events.values.map(expandRecurringEvents))),
+    featuredEvents: toCollection(featuredEvents.values),
+    headerBanners: toCollection(headerBanners.values),
+    images: toCollection(images.values),
+    paradeGroups: toCollection(paradeGroups.values),
+    performances: toCollection(performances.values),
+    sponsors: toCollection(sponsors.values),
+    amenities: toCollection(amenities.values),
+    rejections: [
+      ...events.rejections,
+      ...featuredEvents.rejections,
+      ...headerBanners.rejections,
+      ...images.rejections,
+      ...paradeGroups.rejections,
+      ...performances.rejections,
+      ...sponsors.rejections,
+      ...amenities.rejections
+    ]
+  };
+};
 
-const decodePerformances: Decoder<Performances> = decodeMap(
-  performances => performances.reduce(reduceToMapHelp, {}),
-  decodeFilterMap(decodePerformance(locale))
-);
+// Applies the changes from a delta sync to the decoded data, so that
+// only the entries which changed are decoded (and expanded) again.
+const applyCmsDelta = (state: State, delta: CmsDelta): DecodedCmsData => {
+  const changedEntryIds = new Set(
+    [...delta.entries, ...delta.deletedEntries].map(entry => entry.sys.id)
+  );
+  const changedAssetIds = new Set(
+    [...delta.assets, ...delta.deletedAssets].map(asset => asset.sys.id)
+  );
+  const changed = (item: { +id: string }) => changedEntryIds.has(item.id);
+  const unchangedRejection = (rejection: Rejection) =>
+    rejection.contentType === "asset"
+      ? !changedAssetIds.has(rejection.id)
+      : !changedEntryIds.has(rejection.id);
+  const decoded = decodeCmsData(state.locale, delta);
+  const update = <A: { +id: string }>(
+    collection: Collection<A>,
+    added: Collection<A>,
+    remove: A => boolean = changed
+  ): Collection<A> => updateCollection(collection, remove, valuesOf(added));
 
-const decodeSponsors: Decoder<Array<Sponsor>> = decodeFilterMap(
-  decodeSponsor(locale)
-);
+  return {
+    events: update(state.events, decoded.events, event =>
+      changedEntryIds.has(getEntryId(event))
+    ),
+    featuredEvents: update(state.featuredEvents, decoded.featuredEvents),
+    headerBanners: update(state.headerBanners, decoded.headerBanners),
+    images: update(state.images, decoded.images, image =>
+      changedAssetIds.has(image.id)
+    ),
+    paradeGroups: update(state.paradeGroups, decoded.paradeGroups),
+    performances: update(state.performances, decoded.performances),
+    sponsors: update(state.sponsors, decoded.sponsors),
+    amenities: update(state.amenities, decoded.amenities),
+    rejections: [
+      ...state.rejections.filter(unchangedRejection),
+      ...decoded.rejections
+    ]
+  };
+};
 
-const decodeAmenities: Decoder<Array<Amenity>> = decodeFilterMap(
-  decodeAmenity(locale)
-);
+// A delta can only be applied on top of the data it was synced from
+const canApplyDelta = (state: State, delta: CmsDelta): boolean =>
+  !!state.cmsData && state.cmsData.syncToken === delta.previousSyncToken;
+
+const receiveCmsData = (state: State, data: SavedData): State => ({
+  ...state,
+  ...(data.delta && canApplyDelta(state, data.delta)
+    ? applyCmsDelta(state, data.delta)
+    : decodeCmsData(state.locale, data)),
+  cmsData: data,
+  stagedCmsData: null,
+  loading: false,
+  refreshing: false,
+  noDataReceived: false
+});
+
+const applyStagedCmsData = (state: State): State =>
+  state.stagedCmsData ? receiveCmsData(state, state.stagedCmsData) : state;
+
+type SupportedAction = DataAction | NavigationAction;
 
-const reducer = (state: State = defaultState, action: DataAction) => {
+const reducer = (state: State = defaultState, action: SupportedAction) => {
   switch (action.type) {
     case "REQUEST_CMS_DATA":
       return {
@@ -115,31 +276,37 @@ const reducer = (state: State = defaultState, action: DataAction) => {
         refreshing: true
       };
     case "RECEIVE_CMS_DATA":
+      return receiveCmsData(state, action.data);
+    case "STAGE_CMS_DATA":
+      // There is nothing on screen to swap out yet
+      if (!state.cmsData) {
+        return receiveCmsData(state, action.data);
+      }
       return {
-        loading: false,
-        refreshing: false,
-        noDataReceived: false,
-        events: resultWithDefault([], decodeEvents(action.data.entries)),
-        featuredEvents: resultWithDefault(
-          [],
-          decodeFeaturedEventsCollection(action.data.entries)
-        ),
-        headerBanners: resultWithDefault(
-          [],
-          decodeHeaderBanners(action.data.entries)
-        ),
-        images: resultWithDefault({}, decodeImages(action.data.assets)),
-        paradeGroups: resultWithDefault(
-          [],
-          decodeParadeGroups(action.data.entries)
-        ),
-        performances: resultWithDefault(
-          {},
-          decodePerformances(action.data.entries)
-        ),
-        sponsors: resultWithDefault([], decodeSponsors(action.data.entries)),
-        amenities: resultWithDefault([], decodeAmenities(action.data.entries))
+        ...state,
+        stagedCmsData: action.data
+      };
+    case "APPLY_STAGED_CMS_DATA":
+    case "NAVIGATION":
+      return applyStagedCmsData(state);
+    case "SET_LOCALE":
+      if (action.locale === state.locale) {
+        return state;
+      }
+      return {
+        ...state,
+        ...(state.cmsData ? decodeCmsData(action.locale, state.cmsData) : {}),
+        locale: action.locale
       };
+    case "SYNC_SUCCEEDED":
+      // Nothing new may have come in, in which case RECEIVE_CMS_DATA
+      // is never dispatched.
+      return state.refreshing
+        ? {
+            ...state,
+            refreshing: false
+          }
+        : state;
     case "NO_DATA_RECEIVED":
       return {
         ...state,
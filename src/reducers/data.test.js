@@ -6,6 +6,8 @@ import {
   generateCMSAmenity,
   sampleOne
 } from "../data/__test-data";
+import { emptyCollection, valuesOf } from "../lib/collection";
+import { parse as parseDate } from "../lib/date";
 import reducer from "./data";
 
 describe("Events reducer", () => {
@@ -18,14 +20,18 @@ describe("Events reducer", () => {
 
   it("sets loading flag for REQUEST_CMS_DATA action", () => {
     const initialState = {
-      events: [],
-      featuredEvents: [],
-      headerBanners: [],
-      images: {},
-      paradeGroups: [],
-      performances: {},
-      sponsors: [],
-      amenities: [],
+      locale: "en-GB",
+      cmsData: null,
+      stagedCmsData: null,
+      events: emptyCollection(),
+      featuredEvents: emptyCollection(),
+      headerBanners: emptyCollection(),
+      images: emptyCollection(),
+      paradeGroups: emptyCollection(),
+      performances: emptyCollection(),
+      sponsors: emptyCollection(),
+      amenities: emptyCollection(),
+      rejections: [],
       loading: false,
       refreshing: false,
       noDataReceived: false
@@ -38,14 +44,18 @@ describe("Events reducer", () => {
 
   it("sets refreshing flag for REQUEST_UPDATE_CMS_DATA action", () => {
     const initialState = {
-      events: [],
-      featuredEvents: [],
-      headerBanners: [],
-      images: {},
-      paradeGroups: [],
-      performances: {},
-      sponsors: [],
-      amenities: [],
+      locale: "en-GB",
+      cmsData: null,
+      stagedCmsData: null,
+      events: emptyCollection(),
+      featuredEvents: emptyCollection(),
+      headerBanners: emptyCollection(),
+      images: emptyCollection(),
+      paradeGroups: emptyCollection(),
+      performances: emptyCollection(),
+      sponsors: emptyCollection(),
+      amenities: emptyCollection(),
+      rejections: [],
       loading: false,
       refreshing: false,
       noDataReceived: false
@@ -58,14 +68,18 @@ describe("Events reducer", () => {
 
   it("sets loading and refreshing to false for NO_DATA_RECEIVED action", () => {
     const initialState = {
-      events: [],
-      featuredEvents: [],
-      headerBanners: [],
-      images: {},
-      paradeGroups: [],
-      performances: {},
-      sponsors: [],
-      amenities: [],
+      locale: "en-GB",
+      cmsData: null,
+      stagedCmsData: null,
+      events: emptyCollection(),
+      featuredEvents: emptyCollection(),
+      headerBanners: emptyCollection(),
+      images: emptyCollection(),
+      paradeGroups: emptyCollection(),
+      performances: emptyCollection(),
+      sponsors: emptyCollection(),
+      amenities: emptyCollection(),
+      rejections: [],
       loading: true,
       refreshing: true,
       noDataReceived: false
@@ -77,17 +91,47 @@ describe("Events reducer", () => {
     expect(state.noDataReceived).toBe(true);
   });
 
+  it("sets refreshing to false for SYNC_SUCCEEDED action", () => {
+    const initialState = {
+      locale: "en-GB",
+      cmsData: null,
+      stagedCmsData: null,
+      events: emptyCollection(),
+      featuredEvents: emptyCollection(),
+      headerBanners: emptyCollection(),
+      images: emptyCollection(),
+      paradeGroups: emptyCollection(),
+      performances: emptyCollection(),
+      sponsors: emptyCollection(),
+      amenities: emptyCollection(),
+      rejections: [],
+      loading: false,
+      refreshing: true,
+      noDataReceived: false
+    };
+    const state = reducer(initialState, {
+      type: "SYNC_SUCCEEDED",
+      time: "2018-07-07T12:00:00.000+01:00"
+    });
+
+    expect(state.refreshing).toBe(false);
+  });
+
   describe("RECEIVE_CMS_DATA action", () => {
     it("decodes events", () => {
       const initialState = {
-        events: [],
-        featuredEvents: [],
-        headerBanners: [],
-        images: {},
-        paradeGroups: [],
-        performances: {},
-        sponsors: [],
-        amenities: [],
+        locale: "en-GB",
+        cmsData: null,
+        stagedCmsData: null,
+        events: emptyCollection(),
+        featuredEvents: emptyCollection(),
+        headerBanners: emptyCollection(),
+        images: emptyCollection(),
+        paradeGroups: emptyCollection(),
+        performances: emptyCollection(),
+        sponsors: emptyCollection(),
+        amenities: emptyCollection(),
+        rejections: [],
         loading: true,
         refreshing: false,
         noDataRecived: true
@@ -106,20 +150,24 @@ describe("Events reducer", () => {
         data: newCmsData
       });
 
-      expect(state.events).toMatchSnapshot();
+      expect(valuesOf(state.events)).toMatchSnapshot();
       expect(state.noDataReceived).toBe(false);
     });
 
     it("expands recurring events", () => {
       const initialState = {
-        events: [],
-        featuredEvents: [],
-        headerBanners: [],
-        images: {},
-        paradeGroups: [],
-        performances: {},
-        sponsors: [],
-        amenities: [],
+        locale: "en-GB",
+        cmsData: null,
+        stagedCmsData: null,
+        events: emptyCollection(),
+        featuredEvents: emptyCollection(),
+        headerBanners: emptyCollection(),
+        images: emptyCollection(),
+        paradeGroups: emptyCollection(),
+        performances: emptyCollection(),
+        sponsors: emptyCollection(),
+        amenities: emptyCollection(),
+        rejections: [],
         loading: true,
         refreshing: false,
         noDataRecived: false
@@ -147,19 +195,23 @@ describe("Events reducer", () => {
         data: newCmsData
       });
 
-      expect(state.events).toMatchSnapshot();
+      expect(valuesOf(state.events)).toMatchSnapshot();
     });
 
     it("decodes featuredEvents", () => {
       const initialState = {
-        events: [],
-        featuredEvents: [],
-        headerBanners: [],
-        images: {},
-        paradeGroups: [],
-        performances: {},
-        sponsors: [],
-        amenities: [],
+        locale: "en-GB",
+        cmsData: null,
+        stagedCmsData: null,
+        events: emptyCollection(),
+        featuredEvents: emptyCollection(),
+        headerBanners: emptyCollection(),
+        images: emptyCollection(),
+        paradeGroups: emptyCollection(),
+        performances: emptyCollection(),
+        sponsors: emptyCollection(),
+        amenities: emptyCollection(),
+        rejections: [],
         loading: true,
         refreshing: false
       };
@@ -195,7 +247,9 @@ describe("Events reducer", () => {
           locale: "en-GB",
           fields: {
             title: "title",
-            events: []
+            events: [],
+            visibleFrom: null,
+            visibleUntil: null
           }
         }
       ];
@@ -206,19 +260,23 @@ describe("Events reducer", () => {
         data: newCmsData
       });
 
-      expect(state.featuredEvents).toEqual(expected);
+      expect(valuesOf(state.featuredEvents)).toEqual(expected);
     });
 
     it("decodes headerBanners", () => {
       const initialState = {
-        events: [],
-        featuredEvents: [],
-        headerBanners: [],
-        images: {},
-        paradeGroups: [],
-        performances: {},
-        sponsors: [],
-        amenities: [],
+        locale: "en-GB",
+        cmsData: null,
+        stagedCmsData: null,
+        events: emptyCollection(),
+        featuredEvents: emptyCollection(),
+        headerBanners: emptyCollection(),
+        images: emptyCollection(),
+        paradeGroups: emptyCollection(),
+        performances: emptyCollection(),
+        sponsors: emptyCollection(),
+        amenities: emptyCollection(),
+        rejections: [],
         loading: true,
         refreshing: false
       };
@@ -260,7 +318,9 @@ describe("Events reducer", () => {
             headingLine2: "headingLine2",
             subHeading: "subHeading",
             heroImage: { sys: { id: "2o2SZPgYl2ABCWu2MoK333" } },
-            backgroundColour: "#333333"
+            backgroundColour: "#333333",
+            visibleFrom: null,
+            visibleUntil: null
           }
         }
       ];
@@ -271,19 +331,23 @@ describe("Events reducer", () => {
         data: newCmsData
       });
 
-      expect(state.headerBanners).toEqual(expected);
+      expect(valuesOf(state.headerBanners)).toEqual(expected);
     });
 
     it("decodes performances", () => {
       const initialState = {
-        events: [],
-        featuredEvents: [],
-        headerBanners: [],
-        images: {},
-        paradeGroups: [],
-        performances: {},
-        sponsors: [],
-        amenities: [],
+        locale: "en-GB",
+        cmsData: null,
+        stagedCmsData: null,
+        events: emptyCollection(),
+        featuredEvents: emptyCollection(),
+        headerBanners: emptyCollection(),
+        images: emptyCollection(),
+        paradeGroups: emptyCollection(),
+        performances: emptyCollection(),
+        sponsors: emptyCollection(),
+        amenities: emptyCollection(),
+        rejections: [],
         loading: true,
         refreshing: false
       };
@@ -331,19 +395,23 @@ describe("Events reducer", () => {
         data: newCmsData
       });
 
-      expect(state.images).toEqual(expected);
+      expect(state.images.byId).toEqual(expected);
     });
 
     it("decodes parade groups", () => {
       const initialState = {
-        events: [],
-        featuredEvents: [],
-        headerBanners: [],
-        images: {},
-        paradeGroups: [],
-        performances: {},
-        sponsors: [],
-        amenities: [],
+        locale: "en-GB",
+        cmsData: null,
+        stagedCmsData: null,
+        events: emptyCollection(),
+        featuredEvents: emptyCollection(),
+        headerBanners: emptyCollection(),
+        images: emptyCollection(),
+        paradeGroups: emptyCollection(),
+        performances: emptyCollection(),
+        sponsors: emptyCollection(),
+        amenities: emptyCollection(),
+        rejections: [],
         loading: true,
         refreshing: false
       };
@@ -362,19 +430,25 @@ describe("Events reducer", () => {
       });
 
       // $FlowFixMe
-      expect(state.paradeGroups[0].id).toEqual(newCmsData.entries[0].sys.id);
+      expect(valuesOf(state.paradeGroups)[0].id).toEqual(
+        newCmsData.entries[0].sys.id
+      );
     });
 
     it("decodes performances", () => {
       const initialState = {
-        events: [],
-        featuredEvents: [],
-        headerBanners: [],
-        images: {},
-        paradeGroups: [],
-        performances: {},
-        sponsors: [],
-        amenities: [],
+        locale: "en-GB",
+        cmsData: null,
+        stagedCmsData: null,
+        events: emptyCollection(),
+        featuredEvents: emptyCollection(),
+        headerBanners: emptyCollection(),
+        images: emptyCollection(),
+        paradeGroups: emptyCollection(),
+        performances: emptyCollection(),
+        sponsors: emptyCollection(),
+        amenities: emptyCollection(),
+        rejections: [],
         loading: true,
         refreshing: false
       };
@@ -410,7 +484,8 @@ describe("Events reducer", () => {
           locale: "en-GB",
           fields: {
             title: "title",
-            startTime: "2018-07-07T12:00:00+01:00"
+            startTime: "2018-07-07T12:00:00+01:00",
+            startDateTime: parseDate("2018-07-07T12:00:00+01:00")
           }
         }
       };
@@ -421,19 +496,23 @@ describe("Events reducer", () => {
         data: newCmsData
       });
 
-      expect(state.performances).toEqual(expected);
+      expect(state.performances.byId).toEqual(expected);
     });
 
     it("decodes sponsors", () => {
       const initialState = {
-        events: [],
-        featuredEvents: [],
-        headerBanners: [],
-        images: {},
-        paradeGroups: [],
-        performances: {},
-        sponsors: [],
-        amenities: [],
+        locale: "en-GB",
+        cmsData: null,
+        stagedCmsData: null,
+        events: emptyCollection(),
+        featuredEvents: emptyCollection(),
+        headerBanners: emptyCollection(),
+        images: emptyCollection(),
+        paradeGroups: emptyCollection(),
+        performances: emptyCollection(),
+        sponsors: emptyCollection(),
+        amenities: emptyCollection(),
+        rejections: [],
         loading: true,
         refreshing: false
       };
@@ -452,19 +531,25 @@ describe("Events reducer", () => {
       });
 
       // $FlowFixMe
-      expect(state.sponsors[0].id).toEqual(newCmsData.entries[0].sys.id);
+      expect(valuesOf(state.sponsors)[0].id).toEqual(
+        newCmsData.entries[0].sys.id
+      );
     });
 
     it("decodes amenities", () => {
       const initialState = {
-        events: [],
-        featuredEvents: [],
-        headerBanners: [],
-        images: {},
-        paradeGroups: [],
-        performances: {},
-        sponsors: [],
-        amenities: [],
+        locale: "en-GB",
+        cmsData: null,
+        stagedCmsData: null,
+        events: emptyCollection(),
+        featuredEvents: emptyCollection(),
+        headerBanners: emptyCollection(),
+        images: emptyCollection(),
+        paradeGroups: emptyCollection(),
+        performances: emptyCollection(),
+        sponsors: emptyCollection(),
+        amenities: emptyCollection(),
+        rejections: [],
         loading: true,
         refreshing: false
       };
@@ -483,7 +568,395 @@ describe("Events reducer", () => {
       });
 
       // $FlowFixMe
-      expect(state.amenities[0].id).toEqual(newCmsData.entries[0].sys.id);
+      expect(valuesOf(state.amenities)[0].id).toEqual(
+        newCmsData.entries[0].sys.id
+      );
+    });
+
+    it("keeps the received payload", () => {
+      const newCmsData = {
+        entries: [sampleOne(generateCMSEvent, { seed: 1345 })],
+        assets: [],
+        syncToken: "abc",
+        updated: true
+      };
+
+      // $FlowFixMe
+      const state = reducer(undefined, {
+        type: "RECEIVE_CMS_DATA",
+        data: newCmsData
+      });
+
+      expect(state.cmsData).toBe(newCmsData);
+    });
+
+    it("decodes using the current locale", () => {
+      const event: any = sampleOne(generateCMSEvent, { seed: 1345 });
+      event.fields.name = { "en-GB": "Pride", "cy-GB": "Balchder" };
+      const newCmsData = {
+        entries: [event],
+        assets: [],
+        syncToken: "abc",
+        updated: true
+      };
+
+      // $FlowFixMe
+      const initialState = reducer(undefined, {
+        type: "SET_LOCALE",
+        locale: "cy-GB"
+      });
+      // $FlowFixMe
+      const state = reducer(initialState, {
+        type: "RECEIVE_CMS_DATA",
+        data: newCmsData
+      });
+
+      expect(valuesOf(state.events)[0].locale).toBe("cy-GB");
+      expect(valuesOf(state.events)[0].fields.name).toBe("Balchder");
+    });
+    it("records the entries which failed to decode", () => {
+      const event: any = sampleOne(generateCMSEvent, { seed: 1345 });
+      event.sys.id = "broken-event";
+      event.fields.eventPriceLow = { "en-GB": "£5" };
+      const sponsor: any = sampleOne(generateCMSSponsor, { seed: 6534 });
+      const newCmsData = {
+        entries: [event, sponsor],
+        assets: [],
+        syncToken: "abc",
+        updated: true
+      };
+
+      // $FlowFixMe
+      const state = reducer(undefined, {
+        type: "RECEIVE_CMS_DATA",
+        data: newCmsData
+      });
+
+      expect(state.events).toEqual(emptyCollection());
+      expect(state.sponsors.allIds).toHaveLength(1);
+      expect(state.rejections).toEqual([
+        {
+          id: "broken-event",
+          contentType: "event",
+          reason: "fields.eventPriceLow.en-GB: value is not a number"
+        }
+      ]);
+    });
+
+    it("ignores entries of content types the app does not use", () => {
+      const newCmsData = {
+        entries: [
+          {
+            fields: {},
+            sys: { id: "1", contentType: { sys: { id: "unknown" } } }
+          }
+        ],
+        assets: [],
+        syncToken: "abc",
+        updated: true
+      };
+
+      // $FlowFixMe
+      const state = reducer(undefined, {
+        type: "RECEIVE_CMS_DATA",
+        data: newCmsData
+      });
+
+      expect(state.rejections).toEqual([]);
+    });
+  });
+
+  describe("STAGE_CMS_DATA action", () => {
+    const cmsData = (name, syncToken) => {
+      const event: any = sampleOne(generateCMSEvent, { seed: 1345 });
+      event.fields.name = { "en-GB": name };
+      return {
+        entries: [event],
+        assets: [],
+        syncToken,
+        updated: true
+      };
+    };
+
+    it("shows the data straight away when nothing is shown yet", () => {
+      const data = cmsData("Pride", "abc");
+      // $FlowFixMe
+      const state = reducer(undefined, { type: "STAGE_CMS_DATA", data });
+
+      expect(state.cmsData).toBe(data);
+      expect(state.stagedCmsData).toBeNull();
+      expect(valuesOf(state.events)[0].fields.name).toBe("Pride");
+    });
+
+    it("holds back new data while other data is shown", () => {
+      const data = cmsData("Pride", "abc");
+      const newData = cmsData("Parade", "def");
+      // $FlowFixMe
+      const initialState = reducer(undefined, {
+        type: "RECEIVE_CMS_DATA",
+        data
+      });
+      const state = reducer(initialState, {
+        type: "STAGE_CMS_DATA",
+        data: newData
+      });
+
+      expect(state.cmsData).toBe(data);
+      expect(state.stagedCmsData).toBe(newData);
+      expect(state.events).toBe(initialState.events);
+    });
+
+    it("shows the staged data on APPLY_STAGED_CMS_DATA", () => {
+      const newData = cmsData("Parade", "def");
+      // $FlowFixMe
+      const initialState = reducer(undefined, {
+        type: "RECEIVE_CMS_DATA",
+        data: cmsData("Pride", "abc")
+      });
+      const stagedState = reducer(initialState, {
+        type: "STAGE_CMS_DATA",
+        data: newData
+      });
+      const state = reducer(stagedState, { type: "APPLY_STAGED_CMS_DATA" });
+
+      expect(state.cmsData).toBe(newData);
+      expect(state.stagedCmsData).toBeNull();
+      expect(valuesOf(state.events)[0].fields.name).toBe("Parade");
+    });
+
+    it("shows the staged data when the user navigates", () => {
+      const newData = cmsData("Parade", "def");
+      // $FlowFixMe
+      const initialState = reducer(undefined, {
+        type: "RECEIVE_CMS_DATA",
+        data: cmsData("Pride", "abc")
+      });
+      const stagedState = reducer(initialState, {
+        type: "STAGE_CMS_DATA",
+        data: newData
+      });
+      const state = reducer(stagedState, {
+        type: "NAVIGATION",
+        route: "HOME"
+      });
+
+      expect(state.cmsData).toBe(newData);
+      expect(state.stagedCmsData).toBeNull();
+    });
+
+    it("returns the same state when nothing is staged", () => {
+      // $FlowFixMe
+      const initialState = reducer(undefined, {});
+      const state = reducer(initialState, { type: "APPLY_STAGED_CMS_DATA" });
+
+      expect(state).toBe(initialState);
+    });
+  });
+
+  describe("RECEIVE_CMS_DATA action with a sync delta", () => {
+    const createEvent = (id, name) => {
+      const event: any = sampleOne(generateCMSEvent, { seed: 1345 });
+      event.sys.id = id;
+      event.fields.name = { "en-GB": name };
+      event.fields.startTime = { "en-GB": "2018-08-02T00:00+00:00" };
+      event.fields.endTime = { "en-GB": "2018-08-02T03:00+00:00" };
+      event.fields.recurrenceDates = { "en-GB": ["03/08/2018"] };
+      return event;
+    };
+
+    const receive = (state, data) =>
+      // $FlowFixMe
+      reducer(state, { type: "RECEIVE_CMS_DATA", data });
+
+    const initialState = () =>
+      receive(undefined, {
+        entries: [createEvent("1", "One"), createEvent("2", "Two")],
+        assets: [],
+        syncToken: "abc",
+        updated: true
+      });
+
+    it("only decodes the entries which changed", () => {
+      const state = initialState();
+      const updated = createEvent("2", "Two, updated");
+      const added = createEvent("3", "Three");
+
+      const newState = receive(state, {
+        entries: [createEvent("1", "One"), updated, added],
+        assets: [],
+        syncToken: "def",
+        updated: true,
+        delta: {
+          previousSyncToken: "abc",
+          entries: [updated, added],
+          deletedEntries: [],
+          assets: [],
+          deletedAssets: []
+        }
+      });
+
+      const names = valuesOf(newState.events).map(event => [
+        event.id,
+        event.fields.name
+      ]);
+      expect(names).toEqual([
+        ["1", "One"],
+        ["1-recurrence-03/08/2018", "One"],
+        ["2", "Two, updated"],
+        ["2-recurrence-03/08/2018", "Two, updated"],
+        ["3", "Three"],
+        ["3-recurrence-03/08/2018", "Three"]
+      ]);
+      expect(valuesOf(newState.events)[0]).toBe(valuesOf(state.events)[0]);
+      expect(newState.cmsData && newState.cmsData.syncToken).toBe("def");
+    });
+
+    it("keeps the collections of content types which did not change", () => {
+      const state = initialState();
+      const updated = createEvent("2", "Two, updated");
+
+      const newState = receive(state, {
+        entries: [createEvent("1", "One"), updated],
+        assets: [],
+        syncToken: "def",
+        updated: true,
+        delta: {
+          previousSyncToken: "abc",
+          entries: [updated],
+          deletedEntries: [],
+          assets: [],
+          deletedAssets: []
+        }
+      });
+
+      expect(newState.events).not.toBe(state.events);
+      expect(newState.sponsors).toBe(state.sponsors);
+      expect(newState.performances).toBe(state.performances);
+      expect(newState.images).toBe(state.images);
+    });
+
+    it("removes deleted entries along with their recurrences", () => {
+      const state = initialState();
+
+      const newState = receive(state, {
+        entries: [createEvent("2", "Two")],
+        assets: [],
+        syncToken: "def",
+        updated: true,
+        delta: {
+          previousSyncToken: "abc",
+          entries: [],
+          deletedEntries: [{ sys: { id: "1" } }],
+          assets: [],
+          deletedAssets: []
+        }
+      });
+
+      expect(valuesOf(newState.events).map(event => event.id)).toEqual([
+        "2",
+        "2-recurrence-03/08/2018"
+      ]);
+    });
+
+    it("replaces rejections for entries which changed", () => {
+      const broken = createEvent("1", "One");
+      broken.fields.eventPriceLow = { "en-GB": "£5" };
+      const state = receive(undefined, {
+        entries: [broken],
+        assets: [],
+        syncToken: "abc",
+        updated: true
+      });
+
+      const newState = receive(state, {
+        entries: [createEvent("1", "One")],
+        assets: [],
+        syncToken: "def",
+        updated: true,
+        delta: {
+          previousSyncToken: "abc",
+          entries: [createEvent("1", "One")],
+          deletedEntries: [],
+          assets: [],
+          deletedAssets: []
+        }
+      });
+
+      expect(state.rejections).toHaveLength(1);
+      expect(newState.rejections).toEqual([]);
+      expect(newState.events.allIds).toHaveLength(2);
+    });
+
+    it("decodes everything when the delta does not follow the current data", () => {
+      const state = initialState();
+
+      const newState = receive(state, {
+        entries: [createEvent("3", "Three")],
+        assets: [],
+        syncToken: "ghi",
+        updated: true,
+        delta: {
+          previousSyncToken: "def",
+          entries: [],
+          deletedEntries: [],
+          assets: [],
+          deletedAssets: []
+        }
+      });
+
+      expect(valuesOf(newState.events).map(event => event.id)).toEqual([
+        "3",
+        "3-recurrence-03/08/2018"
+      ]);
+    });
+  });
+
+  describe("SET_LOCALE action", () => {
+    it("sets the locale", () => {
+      // $FlowFixMe
+      const state = reducer(undefined, { type: "SET_LOCALE", locale: "cy-GB" });
+
+      expect(state.locale).toBe("cy-GB");
+      expect(state.events).toEqual(emptyCollection());
+    });
+
+    it("re-decodes the received payload in the new locale", () => {
+      const event: any = sampleOne(generateCMSEvent, { seed: 1345 });
+      event.fields.name = { "en-GB": "Pride", "cy-GB": "Balchder" };
+      const sponsor: any = sampleOne(generateCMSSponsor, { seed: 6534 });
+      sponsor.fields.sponsorName = { "en-GB": "Sponsor" };
+      const newCmsData = {
+        entries: [event, sponsor],
+        assets: [],
+        syncToken: "abc",
+        updated: true
+      };
+
+      // $FlowFixMe
+      const initialState = reducer(undefined, {
+        type: "RECEIVE_CMS_DATA",
+        data: newCmsData
+      });
+      const state = reducer(initialState, {
+        type: "SET_LOCALE",
+        locale: "cy-GB"
+      });
+
+      expect(valuesOf(initialState.events)[0].fields.name).toBe("Pride");
+      expect(valuesOf(state.events)[0].fields.name).toBe("Balchder");
+      expect(valuesOf(state.sponsors)[0].fields.sponsorName).toBe("Sponsor");
+      expect(valuesOf(state.sponsors)[0].locale).toBe("cy-GB");
+    });
+
+    it("returns the same state when the locale does not change", () => {
+      // $FlowFixMe
+      const initialState = reducer(undefined, {});
+      const state = reducer(initialState, {
+        type: "SET_LOCALE",
+        locale: "en-GB"
+      });
+
+      expect(state).toBe(initialState);
     });
   });
 });
@@ -11,11 +11,12 @@ type Action = EventFiltersAction | NavigationAction | InitAction;
 
 export const createEventFiltersState = (now: DateTime): State => ({
   showEventsAfter: now,
+  searchQuery: "",
   selectedFilters: {
     categories: new Set(), // When this is empty it signifies no category filter.
     date: null,
     timeOfDay: new Set(),
-    price: new Set(),
+    priceRange: null,
     audience: new Set(),
     venueDetails: new Set(),
     accessibilityOptions: new Set(),
@@ -25,7 +26,7 @@ export const createEventFiltersState = (now: DateTime): State => ({
     categories: new Set(), // When this is empty it signifies no category filter.
     date: null,
     timeOfDay: new Set(),
-    price: new Set(),
+    priceRange: null,
     audience: new Set(),
     venueDetails: new Set(),
     accessibilityOptions: new Set(),
@@ -61,11 +62,26 @@ const EventFilters = (now: void => DateTime) => {
           ...state,
           selectedFilters: state.stagedFilters
         };
+      case "RECEIVE_EVENT_FILTERS":
+        filters = {
+          ...defaultState.selectedFilters,
+          ...action.payload
+        };
+        return {
+          ...state,
+          stagedFilters: filters,
+          selectedFilters: filters
+        };
       case "CLEAR_STAGED_EVENT_FILTERS":
         return {
           ...state,
           stagedFilters: state.selectedFilters
         };
+      case "SET_EVENT_SEARCH_QUERY":
+        return {
+          ...state,
+          searchQuery: action.payload || ""
+        };
       case "CLEAR_EVENT_FILTERS":
         return {
           ...defaultState,
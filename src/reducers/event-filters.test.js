@@ -123,8 +123,44 @@ describe("Event filters reducer", () => {
     expect(state.stagedFilters).toBe(state.selectedFilters);
   });
 
+  it("updates the search query for SET_EVENT_SEARCH_QUERY action", () => {
+    const initialState = createEventFiltersState(newTime);
+
+    const reducer = Reducer(() => newTime);
+    const state = reducer(initialState, {
+      type: "SET_EVENT_SEARCH_QUERY",
+      payload: "drag brunch"
+    });
+
+    expect(state.searchQuery).toBe("drag brunch");
+    expect(state.selectedFilters).toBe(initialState.selectedFilters);
+    expect(state.stagedFilters).toBe(initialState.stagedFilters);
+  });
+
+  it("selects and stages the stored filters for RECEIVE_EVENT_FILTERS action", () => {
+    const initialState = createEventFiltersState(newTime);
+    const reducer = Reducer(() => newTime);
+    const state = reducer(initialState, {
+      type: "RECEIVE_EVENT_FILTERS",
+      payload: {
+        accessibilityOptions: new Set(["Step free access", "BSL Interpreter"]),
+        priceRange: { min: 0, max: 10 }
+      }
+    });
+
+    const expectedFilters = {
+      ...initialState.selectedFilters,
+      accessibilityOptions: new Set(["Step free access", "BSL Interpreter"]),
+      priceRange: { min: 0, max: 10 }
+    };
+    expect(state.selectedFilters).toEqual(expectedFilters);
+    expect(state.stagedFilters).toEqual(expectedFilters);
+    expect(state.showEventsAfter).toBe(initialState.showEventsAfter);
+  });
+
   it("clears the event filters for CLEAR_EVENT_FILTERS action", () => {
     const initialState = createEventFiltersState(newTime);
+    initialState.searchQuery = "drag brunch";
     initialState.selectedFilters.date = {
       startDate: "2018-03-12",
       endDate: "2018-03-12"
@@ -143,7 +179,7 @@ describe("Event filters reducer", () => {
       categories: new Set(), // When this is empty it signifies no category filter.
       date: null,
       timeOfDay: new Set(),
-      price: new Set(),
+      priceRange: null,
       audience: new Set(),
       venueDetails: new Set(),
       accessibilityOptions: new Set(),
@@ -152,6 +188,7 @@ describe("Event filters reducer", () => {
 
     expect(state.stagedFilters).toEqual(emptyFilters);
     expect(state.selectedFilters).toEqual(emptyFilters);
+    expect(state.searchQuery).toBe("");
     expect(state.showEventsAfter).toEqual(newTime);
   });
 
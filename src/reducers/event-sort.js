@@ -0,0 +1,19 @@
+// @flow
+import type { EventSortAction } from "../actions/event-sort";
+import { defaultEventSortOrder } from "../data/event-sort";
+import type { EventSortOrder as State } from "../data/event-sort";
+
+const eventSort = (
+  state: State = defaultEventSortOrder,
+  action: EventSortAction
+) => {
+  switch (action.type) {
+    case "SET_EVENT_SORT_ORDER":
+    case "RECEIVE_EVENT_SORT_ORDER":
+      return action.order;
+    default:
+      return state;
+  }
+};
+
+export default eventSort;
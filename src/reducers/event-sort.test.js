@@ -0,0 +1,29 @@
+// @flow
+import reducer from "./event-sort";
+
+describe("Event sort reducer", () => {
+  it("initialises with the order of the start time", () => {
+    // $FlowFixMe
+    const state = reducer(undefined, {});
+
+    expect(state).toBe("startTime");
+  });
+
+  it("sets the order on SET_EVENT_SORT_ORDER", () => {
+    const state = reducer("startTime", {
+      type: "SET_EVENT_SORT_ORDER",
+      order: "name"
+    });
+
+    expect(state).toBe("name");
+  });
+
+  it("sets the stored order on RECEIVE_EVENT_SORT_ORDER", () => {
+    const state = reducer("startTime", {
+      type: "RECEIVE_EVENT_SORT_ORDER",
+      order: "distance"
+    });
+
+    expect(state).toBe("distance");
+  });
+});
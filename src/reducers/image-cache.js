@@ -0,0 +1,16 @@
+// @flow
+import type { ImageCacheAction } from "../actions/image-cache";
+import type { CachedImageUris } from "../integrations/image-cache";
+
+export type State = CachedImageUris;
+
+const imageCache = (state: State = {}, action: ImageCacheAction) => {
+  switch (action.type) {
+    case "RECEIVE_CACHED_IMAGES":
+      return action.images;
+    default:
+      return state;
+  }
+};
+
+export default imageCache;
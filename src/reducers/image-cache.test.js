@@ -0,0 +1,22 @@
+// @flow
+import reducer from "./image-cache";
+
+describe("Image cache reducer", () => {
+  it("initialises with default state", () => {
+    // $FlowFixMe
+    const state = reducer(undefined, {});
+
+    expect(state).toEqual({});
+  });
+
+  it("replaces the cached images on RECEIVE_CACHED_IMAGES", () => {
+    const images = { b: { revision: 1, uri: "file:///b.jpg" } };
+
+    const state = reducer(
+      { a: { revision: 1, uri: "file:///a.jpg" } },
+      { type: "RECEIVE_CACHED_IMAGES", images }
+    );
+
+    expect(state).toEqual(images);
+  });
+});
@@ -1,25 +1,50 @@
 // @flow
 import { combineReducers } from "redux";
 import { DateTime } from "luxon";
+import { now } from "../lib/date";
+import Clock from "./clock";
+import type { State as ClockState } from "./clock";
 import data from "./data";
 import type { State as DataState } from "./data";
 import EventFilters from "./event-filters";
 import type { State as EventFiltersState } from "../data/event-filters";
+import eventSort from "./event-sort";
+import type { EventSortOrder as EventSortState } from "../data/event-sort";
+import imageCache from "./image-cache";
+import type { State as ImageCacheState } from "./image-cache";
+import preview from "./preview";
+import type { State as PreviewState } from "./preview";
+import savedEventChanges from "./saved-event-changes";
+import type { State as SavedEventChangesState } from "./saved-event-changes";
 import savedEvents from "./saved-events";
 import type { SavedEvents as SavedEventsState } from "../data/event";
 import splashScreen from "./splash-screen";
 import type { State as SplashScreenState } from "./splash-screen";
+import sync from "./sync";
+import type { State as SyncState } from "./sync";
 
 export type State = {
+  clock: ClockState,
   data: DataState,
   eventFilters: EventFiltersState,
+  eventSort: EventSortState,
+  imageCache: ImageCacheState,
+  preview: PreviewState,
+  savedEventChanges: SavedEventChangesState,
   savedEvents: SavedEventsState,
-  splashScreen: SplashScreenState
+  splashScreen: SplashScreenState,
+  sync: SyncState
 };
 
 export default combineReducers({
+  clock: Clock(now),
   data,
   eventFilters: EventFilters(DateTime.local),
+  eventSort,
+  imageCache,
+  preview,
+  savedEventChanges,
   savedEvents,
-  splashScreen
+  splashScreen,
+  sync
 });
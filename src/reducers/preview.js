@@ -0,0 +1,22 @@
+// @flow
+import type { PreviewAction } from "../actions/preview";
+
+export type State = {
+  // Set while drafts are shown instead of the published content
+  active: boolean
+};
+
+const defaultState = { active: false };
+
+const preview = (state: State = defaultState, action: PreviewAction) => {
+  switch (action.type) {
+    case "START_PREVIEW":
+      return { active: true };
+    case "STOP_PREVIEW":
+      return { active: false };
+    default:
+      return state;
+  }
+};
+
+export default preview;
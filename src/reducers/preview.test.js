@@ -0,0 +1,23 @@
+// @flow
+import reducer from "./preview";
+
+describe("Preview reducer", () => {
+  it("initialises with preview mode off", () => {
+    // $FlowFixMe
+    const state = reducer(undefined, {});
+
+    expect(state).toEqual({ active: false });
+  });
+
+  it("turns preview mode on with START_PREVIEW", () => {
+    const state = reducer({ active: false }, { type: "START_PREVIEW" });
+
+    expect(state).toEqual({ active: true });
+  });
+
+  it("turns preview mode off with STOP_PREVIEW", () => {
+    const state = reducer({ active: true }, { type: "STOP_PREVIEW" });
+
+    expect(state).toEqual({ active: false });
+  });
+});
@@ -0,0 +1,30 @@
+// @flow
+import type { SavedEventChangesAction } from "../actions/saved-event-changes";
+import type { SavedEventChangeLog } from "../data/saved-event-changes";
+import { emptyChangeLog } from "../data/saved-event-changes";
+
+export type State = {
+  // Changes are not tracked until the log was loaded from storage
+  loaded: boolean,
+  log: SavedEventChangeLog
+};
+
+const defaultState = { loaded: false, log: emptyChangeLog };
+
+const savedEventChanges = (
+  state: State = defaultState,
+  action: SavedEventChangesAction
+) => {
+  switch (action.type) {
+    case "RECEIVE_SAVED_EVENT_CHANGES":
+      return { loaded: true, log: action.log };
+    case "UPDATE_SAVED_EVENT_CHANGES":
+      return { ...state, log: action.log };
+    case "DISMISS_SAVED_EVENT_CHANGES":
+      return { ...state, log: { ...state.log, changes: [] } };
+    default:
+      return state;
+  }
+};
+
+export default savedEventChanges;
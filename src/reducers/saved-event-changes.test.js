@@ -0,0 +1,66 @@
+// @flow
+import reducer from "./saved-event-changes";
+
+const snapshot = {
+  revision: 1,
+  name: "Pride in the Park",
+  startTime: "2018-07-09T11:00+01:00",
+  endTime: "2018-07-09T18:00+01:00",
+  locationName: "Vauxhall Pleasure Gardens"
+};
+
+const log = {
+  snapshots: { "1": snapshot },
+  changes: [
+    {
+      id: "1",
+      previous: snapshot,
+      current: null,
+      changedFields: [],
+      time: "2018-07-08T12:00+01:00"
+    }
+  ]
+};
+
+describe("Saved event changes reducer", () => {
+  it("initialises with an empty log which is not loaded", () => {
+    // $FlowFixMe
+    const state = reducer(undefined, {});
+
+    expect(state).toEqual({
+      loaded: false,
+      log: { snapshots: {}, changes: [] }
+    });
+  });
+
+  it("stores the log loaded with RECEIVE_SAVED_EVENT_CHANGES", () => {
+    // $FlowFixMe
+    const state = reducer(undefined, {
+      type: "RECEIVE_SAVED_EVENT_CHANGES",
+      log
+    });
+
+    expect(state).toEqual({ loaded: true, log });
+  });
+
+  it("replaces the log on UPDATE_SAVED_EVENT_CHANGES", () => {
+    const state = reducer(
+      { loaded: true, log: { snapshots: {}, changes: [] } },
+      { type: "UPDATE_SAVED_EVENT_CHANGES", log }
+    );
+
+    expect(state).toEqual({ loaded: true, log });
+  });
+
+  it("clears the changes but keeps the snapshots on DISMISS_SAVED_EVENT_CHANGES", () => {
+    const state = reducer(
+      { loaded: true, log },
+      { type: "DISMISS_SAVED_EVENT_CHANGES" }
+    );
+
+    expect(state).toEqual({
+      loaded: true,
+      log: { snapshots: log.snapshots, changes: [] }
+    });
+  });
+});
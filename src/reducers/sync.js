@@ -0,0 +1,45 @@
+// @flow
+import type { SyncAction } from "../actions/data";
+
+export type SyncStatus = "idle" | "syncing" | "failed";
+
+export type State = {
+  status: SyncStatus,
+  // The message of the error which made the last sync fail
+  lastError: ?string,
+  // When the CMS was last synced successfully, as an ISO string
+  lastSuccess: ?string
+};
+
+const defaultState = {
+  status: "idle",
+  lastError: null,
+  lastSuccess: null
+};
+
+const sync = (state: State = defaultState, action: SyncAction) => {
+  switch (action.type) {
+    case "SYNC_STARTED":
+      return {
+        ...state,
+        status: "syncing"
+      };
+    case "SYNC_SUCCEEDED":
+      return {
+        ...state,
+        status: "idle",
+        lastError: null,
+        lastSuccess: action.time
+      };
+    case "SYNC_FAILED":
+      return {
+        ...state,
+        status: "failed",
+        lastError: action.error
+      };
+    default:
+      return state;
+  }
+};
+
+export default sync;
@@ -0,0 +1,62 @@
+// @flow
+import reducer from "./sync";
+
+describe("Sync reducer", () => {
+  it("initialises with default state", () => {
+    // $FlowFixMe
+    const state = reducer(undefined, {});
+
+    expect(state).toEqual({
+      status: "idle",
+      lastError: null,
+      lastSuccess: null
+    });
+  });
+
+  it("marks a sync as running on SYNC_STARTED", () => {
+    const state = reducer(
+      { status: "failed", lastError: "offline", lastSuccess: null },
+      { type: "SYNC_STARTED" }
+    );
+
+    expect(state).toEqual({
+      status: "syncing",
+      lastError: "offline",
+      lastSuccess: null
+    });
+  });
+
+  it("records when the sync finished on SYNC_SUCCEEDED", () => {
+    const state = reducer(
+      { status: "syncing", lastError: "offline", lastSuccess: null },
+      { type: "SYNC_SUCCEEDED", time: "2018-07-07T12:00:00.000+01:00" }
+    );
+
+    expect(state).toEqual({
+      status: "idle",
+      lastError: null,
+      lastSuccess: "2018-07-07T12:00:00.000+01:00"
+    });
+  });
+
+  it("records the error on SYNC_FAILED", () => {
+    const state = reducer(
+      {
+        status: "syncing",
+        lastError: null,
+        lastSuccess: "2018-07-07T12:00:00.000+01:00"
+      },
+      {
+        type: "SYNC_FAILED",
+        error: "Network request failed",
+        time: "2018-07-07T13:00:00.000+01:00"
+      }
+    );
+
+    expect(state).toEqual({
+      status: "failed",
+      lastError: "Network request failed",
+      lastSuccess: "2018-07-07T12:00:00.000+01:00"
+    });
+  });
+});
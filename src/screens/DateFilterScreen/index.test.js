@@ -7,6 +7,7 @@ import { shallow } from "enzyme";
 import { DateTime } from "luxon";
 import { Container } from "./";
 import { createEventFiltersState } from "../../reducers/event-filters";
+import { emptyCollection } from "../../lib/collection";
 
 const navigation: NavigationScreenProp<*> = ({}: any);
 
@@ -14,12 +15,12 @@ const mockStore = configureStore([thunk]);
 
 const initialState = {
   data: {
-    events: [],
-    featuredEvents: [],
-    headerBanners: [],
-    images: {},
-    performances: {},
-    sponsors: [],
+    events: emptyCollection(),
+    featuredEvents: emptyCollection(),
+    headerBanners: emptyCollection(),
+    images: emptyCollection(),
+    performances: emptyCollection(),
+    sponsors: emptyCollection(),
     loading: true,
     refreshing: false
   },
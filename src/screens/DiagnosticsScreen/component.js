@@ -0,0 +1,287 @@
+// @flow
+import React, { PureComponent } from "react";
+import { StyleSheet, View } from "react-native";
+import type { NavigationScreenProp, NavigationState } from "react-navigation";
+import Button from "../../components/ButtonPrimary";
+import ContentPadding from "../../components/ContentPadding";
+import Header from "../../components/Header";
+import ShadowedScrollView from "../../components/ShadowedScrollView";
+import Text from "../../components/Text";
+import Touchable from "../../components/Touchable";
+import { whiteColor } from "../../constants/colors";
+import text from "../../constants/text";
+import type { FilterCollection } from "../../data/event-filters";
+import { formatPriceRange } from "../../data/formatters";
+import { supportedLocales } from "../../data/locale";
+import { describeRejection } from "../../integrations/bugsnag";
+import type { Rejection } from "../../reducers/data";
+import type { State as SyncState } from "../../reducers/sync";
+import type { DanglingReference } from "../../selectors/references";
+
+export type AppInfo = {
+  version: string,
+  platform: string,
+  releaseStage: string,
+  contentSource: string
+};
+
+type Props = {
+  navigation: NavigationScreenProp<NavigationState>,
+  syncToken: ?string,
+  sync: SyncState,
+  entryCounts: { [contentType: string]: number },
+  rejections: Rejection[],
+  danglingReferences: DanglingReference[],
+  savedEventIds: string[],
+  filters: FilterCollection,
+  appInfo: AppInfo,
+  locale: string,
+  setLocale: string => void,
+  forceResyncData: () => Promise<void>,
+  clearCachedData: () => Promise<void>
+};
+
+type State = {
+  busy: boolean,
+  message: ?string
+};
+
+const none = "–";
+
+export const describeFilters = (filters: FilterCollection): string[] =>
+  Object.keys(filters).reduce((acc, key) => {
+    const value = filters[key];
+    if (value instanceof Set) {
+      if (value.size > 0) {
+        acc.push(`${key}: ${Array.from(value).join(", ")}`);
+      }
+    } else if (key === "date" && filters.date) {
+      acc.push(`${key}: ${filters.date.startDate} – ${filters.date.endDate}`);
+    } else if (key === "priceRange" && filters.priceRange) {
+      acc.push(`${key}: ${formatPriceRange(filters.priceRange)}`);
+    }
+    return acc;
+  }, []);
+
+const Row = ({ label, value }: { label: string, value: string }) => (
+  <View style={styles.row}>
+    <Text type="small" style={styles.label}>
+      {label}
+    </Text>
+    <Text type="small" style={styles.value} selectable>
+      {value}
+    </Text>
+  </View>
+);
+
+const Section = ({ title, lines }: { title: string, lines: string[] }) => (
+  <View style={styles.section}>
+    <Text type="h3">{title}</Text>
+    {lines.length > 0 ? (
+      lines.map(line => (
+        <Text key={line} type="small" selectable>
+          {line}
+        </Text>
+      ))
+    ) : (
+      <Text type="small">{none}</Text>
+    )}
+  </View>
+);
+
+// Shows what the app has downloaded and cached, for tracking down
+// content problems on a device. It is opened with a long press on
+// the Support Us tab.
+class DiagnosticsScreen extends PureComponent<Props, State> {
+  state = {
+    busy: false,
+    message: null
+  };
+
+  run = async (task: () => Promise<void>, done: string) => {
+    this.setState({ busy: true, message: null });
+    try {
+      await task();
+      this.setState({ busy: false, message: done });
+    } catch (e) {
+      this.setState({ busy: false, message: e.message });
+    }
+  };
+
+  handleForceResyncPress = () =>
+    this.run(this.props.forceResyncData, text.diagnostics.resyncDone);
+
+  handleClearCachePress = () =>
+    this.run(this.props.clearCachedData, text.diagnostics.clearCacheDone);
+
+  render() {
+    const {
+      navigation,
+      syncToken,
+      sync,
+      entryCounts,
+      rejections,
+      danglingReferences,
+      savedEventIds,
+      filters,
+      appInfo,
+      locale,
+      setLocale
+    } = this.props;
+    const { busy, message } = this.state;
+
+    return (
+      <View style={styles.container} testID="diagnostics-screen">
+        <Header
+          leftElement={
+            <Header.BackButton
+              onPress={() => {
+                navigation.goBack(null);
+              }}
+            />
+          }
+          title={text.diagnostics.title}
+        />
+        <ShadowedScrollView topShadow={false} shadowOpacity={0.6}>
+          <ContentPadding style={styles.content}>
+            <View style={styles.section}>
+              <Text type="h3">{text.diagnostics.sync}</Text>
+              <Row
+                label={text.diagnostics.syncToken}
+                value={syncToken || none}
+              />
+              <Row label={text.diagnostics.syncStatus} value={sync.status} />
+              <Row
+                label={text.diagnostics.lastSuccess}
+                value={sync.lastSuccess || none}
+              />
+              <Row
+                label={text.diagnostics.lastError}
+                value={sync.lastError || none}
+              />
+            </View>
+            <Section
+              title={text.diagnostics.entryCounts}
+              lines={Object.keys(entryCounts)
+                .sort()
+                .map(
+                  contentType => `${contentType}: ${entryCounts[contentType]}`
+                )}
+            />
+            <Section
+              title={text.diagnostics.rejections}
+              lines={rejections.map(describeRejection)}
+            />
+            <Section
+              title={text.diagnostics.danglingReferences}
+              lines={danglingReferences.map(
+                reference => `${reference.contentType} ${reference.id}`
+              )}
+            />
+            <Section
+              title={text.diagnostics.savedEvents}
+              lines={savedEventIds}
+            />
+            <Section
+              title={text.diagnostics.filters}
+              lines={describeFilters(filters)}
+            />
+            <View style={styles.section}>
+              <Text type="h3">{text.diagnostics.app}</Text>
+              <Row label={text.diagnostics.version} value={appInfo.version} />
+              <Row label={text.diagnostics.platform} value={appInfo.platform} />
+              <Row
+                label={text.diagnostics.releaseStage}
+                value={appInfo.releaseStage}
+              />
+              <Row
+                label={text.diagnostics.contentSource}
+                value={appInfo.contentSource}
+              />
+            </View>
+            <View style={styles.section}>
+              <Text type="h3">{text.diagnostics.locale}</Text>
+              {supportedLocales.map(value => (
+                <Touchable
+                  key={value}
+                  accessibilityTraits={
+                    value === locale ? ["button", "selected"] : ["button"]
+                  }
+                  onPress={() => setLocale(value)}
+                  style={styles.locale}
+                  testID={`diagnostics-locale-${value}`}
+                >
+                  <Text
+                    type="small"
+                    style={value === locale && styles.localeSelected}
+                  >
+                    {value}
+                  </Text>
+                </Touchable>
+              ))}
+            </View>
+            <View style={styles.section}>
+              <Button
+                onPress={this.handleForceResyncPress}
+                disabled={busy}
+                testID="diagnostics-resync-button"
+              >
+                {text.diagnostics.resync}
+              </Button>
+              <View style={styles.buttonSpacing} />
+              <Button
+                onPress={this.handleClearCachePress}
+                disabled={busy}
+                testID="diagnostics-clear-cache-button"
+              >
+                {text.diagnostics.clearCache}
+              </Button>
+              {message && (
+                <Text type="small" style={styles.message}>
+                  {message}
+                </Text>
+              )}
+            </View>
+          </ContentPadding>
+        </ShadowedScrollView>
+      </View>
+    );
+  }
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: whiteColor
+  },
+  content: {
+    paddingBottom: 24
+  },
+  section: {
+    marginTop: 16
+  },
+  row: {
+    flexDirection: "row"
+  },
+  label: {
+    width: 120
+  },
+  value: {
+    flex: 1
+  },
+  locale: {
+    alignItems: "flex-start",
+    minHeight: 32
+  },
+  localeSelected: {
+    fontFamily: "Roboto-Medium"
+  },
+  buttonSpacing: {
+    height: 12
+  },
+  message: {
+    marginTop: 8
+  }
+});
+
+export default DiagnosticsScreen;
@@ -0,0 +1,151 @@
+// @flow
+import React from "react";
+import { shallow } from "enzyme";
+import Component, { describeFilters } from "./component";
+import Header from "../../components/Header";
+
+const navigation: any = {
+  goBack: jest.fn()
+};
+
+const filters = {
+  date: { startDate: "2018-07-07", endDate: "2018-07-08" },
+  timeOfDay: new Set(["morning"]),
+  categories: new Set(["Music", "Nightlife"]),
+  priceRange: { min: 5, max: 20 },
+  audience: new Set(),
+  venueDetails: new Set(),
+  accessibilityOptions: new Set(),
+  area: new Set()
+};
+
+const render = props =>
+  shallow(
+    <Component
+      navigation={navigation}
+      syncToken="abc"
+      sync={{
+        status: "failed",
+        lastError: "Network request failed",
+        lastSuccess: "2018-07-07T12:00:00.000+01:00"
+      }}
+      entryCounts={{ event: 2, asset: 1 }}
+      rejections={[
+        { id: "1", contentType: "event", reason: "fields.name: missing" }
+      ]}
+      danglingReferences={[{ contentType: "performance", id: "4" }]}
+      savedEventIds={["2", "3"]}
+      filters={filters}
+      appInfo={{
+        version: "2.0.3",
+        platform: "ios 11.4",
+        releaseStage: "dev",
+        contentSource: "contentful"
+      }}
+      locale="en-GB"
+      setLocale={() => {}}
+      forceResyncData={() => Promise.resolve()}
+      clearCachedData={() => Promise.resolve()}
+      {...props}
+    />
+  );
+
+beforeEach(() => {
+  navigation.goBack.mockClear();
+});
+
+it("renders correctly", () => {
+  const output = render();
+  expect(output).toMatchSnapshot();
+});
+
+it("navigates back when the back button is pressed", () => {
+  const output = render();
+  const header = output.find(Header).shallow();
+
+  header
+    .find(Header.BackButton)
+    .props()
+    .onPress();
+
+  expect(navigation.goBack).toHaveBeenCalledWith(null);
+});
+
+it("marks the content language", () => {
+  const output = render({ locale: "cy-GB" });
+
+  expect(
+    output
+      .find({ testID: "diagnostics-locale-cy-GB" })
+      .prop("accessibilityTraits")
+  ).toEqual(["button", "selected"]);
+  expect(
+    output
+      .find({ testID: "diagnostics-locale-en-GB" })
+      .prop("accessibilityTraits")
+  ).toEqual(["button"]);
+});
+
+it("switches the content language", () => {
+  const setLocale = jest.fn();
+  const output = render({ setLocale });
+
+  output.find({ testID: "diagnostics-locale-pl-PL" }).simulate("press");
+
+  expect(setLocale).toHaveBeenCalledWith("pl-PL");
+});
+
+it("forces a full resync", async () => {
+  const forceResyncData = jest.fn(() => Promise.resolve());
+  const output = render({ forceResyncData });
+
+  await output
+    .find({ testID: "diagnostics-resync-button" })
+    .props()
+    .onPress();
+
+  expect(forceResyncData).toHaveBeenCalled();
+  expect(output.state()).toEqual({
+    busy: false,
+    message: "All content was downloaded again."
+  });
+});
+
+it("clears the cache", async () => {
+  const clearCachedData = jest.fn(() => Promise.resolve());
+  const output = render({ clearCachedData });
+
+  await output
+    .find({ testID: "diagnostics-clear-cache-button" })
+    .props()
+    .onPress();
+
+  expect(clearCachedData).toHaveBeenCalled();
+  expect(output.state()).toEqual({
+    busy: false,
+    message: "The cache was cleared."
+  });
+});
+
+it("shows why an action failed", async () => {
+  const forceResyncData = () => Promise.reject(new Error("offline"));
+  const output = render({ forceResyncData });
+
+  await output
+    .find({ testID: "diagnostics-resync-button" })
+    .props()
+    .onPress();
+
+  expect(output.state()).toEqual({ busy: false, message: "offline" });
+});
+
+describe("describeFilters", () => {
+  it("lists the filters which are set", () => {
+    expect(describeFilters(filters)).toEqual([
+      "date: 2018-07-07 – 2018-07-08",
+      "timeOfDay: morning",
+      "categories: Music, Nightlife",
+      "priceRange: £5 – £20"
+    ]);
+  });
+});
@@ -0,0 +1,107 @@
+// @flow
+import { Platform } from "react-native";
+import { connect } from "react-redux";
+import type { Connector } from "react-redux";
+import type { NavigationScreenProp, NavigationState } from "react-navigation";
+import Config from "react-native-config";
+import { createSelector } from "reselect";
+import type { State } from "../../reducers";
+import type { Rejection } from "../../reducers/data";
+import type { State as SyncState } from "../../reducers/sync";
+import type { FilterCollection } from "../../data/event-filters";
+import type { DanglingReference } from "../../selectors/references";
+import {
+  clearCachedData,
+  forceResyncData,
+  setLocale
+} from "../../actions/data";
+import {
+  getDanglingReferences,
+  selectData,
+  selectSavedEvents
+} from "../../selectors";
+import { selectEntryCounts } from "../../selectors/data";
+import { version } from "../../../package.json";
+import Component from "./component";
+import type { AppInfo } from "./component";
+import withIsFocused from "../../components/WithIsFocused";
+
+type OwnProps = {
+  navigation: NavigationScreenProp<NavigationState>,
+  isFocused: boolean
+};
+
+type StateProps = {
+  navigation: NavigationScreenProp<NavigationState>,
+  syncToken: ?string,
+  sync: SyncState,
+  entryCounts: { [contentType: string]: number },
+  rejections: Rejection[],
+  danglingReferences: DanglingReference[],
+  savedEventIds: string[],
+  filters: FilterCollection,
+  appInfo: AppInfo,
+  locale: string
+};
+
+type DispatchProps = {
+  setLocale: string => void,
+  forceResyncData: () => Promise<void>,
+  clearCachedData: () => Promise<void>
+};
+
+type Props = StateProps & DispatchProps;
+
+const appInfo: AppInfo = {
+  version,
+  platform: `${Platform.OS} ${Platform.Version}`,
+  releaseStage: Config.RELEASE_STAGE || "dev",
+  contentSource: Config.CONTENT_SOURCE || "contentful"
+};
+
+const getEntryCounts = createSelector([selectData], selectEntryCounts);
+
+const getSavedEventIds = createSelector([selectSavedEvents], savedEvents =>
+  Array.from(savedEvents)
+);
+
+let cache: StateProps;
+
+// Note we must add a return type here for react-redux connect to work
+// with flow correctly. If not provided is silently fails if types do
+// not line up. See https://github.com/facebook/flow/issues/5343
+const mapStateToProps = (
+  state: State,
+  { navigation, isFocused }: OwnProps
+): StateProps => {
+  if (!cache || isFocused) {
+    cache = {
+      navigation,
+      syncToken: state.data.cmsData ? state.data.cmsData.syncToken : null,
+      sync: state.sync,
+      entryCounts: getEntryCounts(state),
+      rejections: state.data.rejections,
+      danglingReferences: getDanglingReferences(state),
+      savedEventIds: getSavedEventIds(state),
+      filters: state.eventFilters.selectedFilters,
+      appInfo,
+      locale: state.data.locale
+    };
+  }
+  return cache;
+};
+
+const mapDispatchToProps = {
+  setLocale,
+  forceResyncData,
+  clearCachedData
+};
+
+const connector: Connector<OwnProps, Props> = connect(
+  mapStateToProps,
+  mapDispatchToProps
+);
+
+export const Container = connector(Component);
+
+export default withIsFocused(Container);
@@ -0,0 +1,52 @@
+// @flow
+import React from "react";
+import type { NavigationScreenProp } from "react-navigation";
+import configureStore from "redux-mock-store";
+import thunk from "redux-thunk";
+import { shallow } from "enzyme";
+import { DateTime } from "luxon";
+import { Container } from "./";
+import { createEventFiltersState } from "../../reducers/event-filters";
+import { emptyCollection } from "../../lib/collection";
+
+const navigation: NavigationScreenProp<*> = ({}: any);
+
+const mockStore = configureStore([thunk]);
+
+const initialState = {
+  data: {
+    cmsData: null,
+    locale: "en-GB",
+    events: emptyCollection(),
+    featuredEvents: emptyCollection(),
+    headerBanners: emptyCollection(),
+    images: emptyCollection(),
+    paradeGroups: emptyCollection(),
+    performances: emptyCollection(),
+    sponsors: emptyCollection(),
+    rejections: []
+  },
+  eventFilters: createEventFiltersState(
+    DateTime.fromISO("2018-07-07T00:00:00+01:00")
+  ),
+  savedEvents: new Set(),
+  sync: {
+    status: "idle",
+    lastError: null,
+    lastSuccess: null
+  }
+};
+
+describe("DiagnosticsScreen Container", () => {
+  it("returns cached props when not focused", () => {
+    const store = mockStore(() => ({ ...initialState }));
+    const output = shallow(
+      <Container store={store} navigation={navigation} isFocused={false} />
+    );
+
+    const props = output.props();
+    store.dispatch({ type: "DUMMY" });
+
+    expect(output.props()).toBe(props);
+  });
+});
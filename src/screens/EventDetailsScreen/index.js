@@ -5,16 +5,14 @@ import type { NavigationScreenProp } from "react-navigation";
 import { createSelector } from "reselect";
 import type { State } from "../../reducers";
 import type { Event, EventCategoryName } from "../../data/event";
-import type { Performance, Performances } from "../../data/performance";
-import type { FieldRef } from "../../data/field-ref";
-import { selectData } from "../../selectors";
+import type { Performance } from "../../data/performance";
+import { getEntityTables } from "../../selectors";
 import {
-  selectEvents,
-  selectEventsMap,
-  selectEventById,
-  selectPerformancesMap,
-  selectPerformanceById
-} from "../../selectors/data";
+  referenceTo,
+  resolveNested,
+  resolveReference,
+  resolveReferences
+} from "../../selectors/references";
 import { addSavedEvent, removeSavedEvent } from "../../actions/saved-events";
 import Component from "./component";
 import { setEventFilters } from "../../actions/event-filters";
@@ -39,26 +37,16 @@ type DispatchProps = {
 
 type Props = StateProps & DispatchProps;
 
-const second = (a, b) => b;
+const getEvent = (state: State, id: string): ?Event =>
+  resolveReference(getEntityTables(state).event, referenceTo(id));
 
-const getEvents = createSelector([selectData], selectEvents);
-
-const getEventsMap = createSelector([getEvents], selectEventsMap);
-
-const getEventById = createSelector([getEventsMap, second], selectEventById);
-
-const getPerformancesMap = createSelector([selectData], selectPerformancesMap);
-
-const reducePerformancesHelp = (performances: Performances) => (
-  acc: Performance[],
-  reference: FieldRef
-) => {
-  const performance = selectPerformanceById(performances, reference.sys.id);
-  if (performance) {
-    acc.push(performance);
-  }
-  return acc;
-};
+const getPerformances = createSelector(
+  [getEntityTables, (state, id: string) => id],
+  (tables, id): Performance[] =>
+    resolveNested(resolveReferences(tables.event, [referenceTo(id)]), event =>
+      resolveReferences(tables.performance, event.fields.performances)
+    ).values
+);
 
 let cache: StateProps;
 
@@ -71,19 +59,11 @@ const mapStateToProps = (
 ): StateProps => {
   if (!cache || isFocused) {
     const id = navigation.state.params.eventId;
-    const event = getEventById(state, id);
-    const performancesById = getPerformancesMap(state);
-    const performances = event
-      ? event.fields.performances.reduce(
-          reducePerformancesHelp(performancesById),
-          []
-        )
-      : [];
     cache = {
       navigation,
-      event,
+      event: getEvent(state, id),
       isSaved: state.savedEvents.has(id),
-      performances
+      performances: getPerformances(state, id)
     };
   }
   return cache;
@@ -0,0 +1,54 @@
+// @flow
+import React from "react";
+import { Platform, StyleSheet, TextInput } from "react-native";
+import { scaleFont, scaleWithFont } from "../../components/Text";
+import {
+  eventSearchPlaceholderColor,
+  interestButtonBgColor,
+  transparent,
+  whiteColor
+} from "../../constants/colors";
+import text from "../../constants/text";
+
+type Props = {
+  value: string,
+  onChangeText: string => void
+};
+
+const EventSearchField = ({ value, onChangeText }: Props) => (
+  <TextInput
+    accessibilityLabel={text.eventSearchLabel}
+    autoCapitalize="none"
+    autoCorrect={false}
+    clearButtonMode="while-editing"
+    onChangeText={onChangeText}
+    placeholder={text.eventSearchPlaceholder}
+    placeholderTextColor={eventSearchPlaceholderColor}
+    returnKeyType="search"
+    style={styles.input}
+    testID="event-search-field"
+    underlineColorAndroid={transparent}
+    value={value}
+  />
+);
+
+const styles = StyleSheet.create({
+  input: {
+    backgroundColor: interestButtonBgColor,
+    borderRadius: 4,
+    height: scaleWithFont("text", 40),
+    marginBottom: 12,
+    paddingHorizontal: 12,
+    fontFamily: "Roboto",
+    fontSize: scaleFont("text", 16),
+    color: whiteColor,
+    ...Platform.select({
+      android: {
+        paddingVertical: 0,
+        includeFontPadding: false
+      }
+    })
+  }
+});
+
+export default EventSearchField;
@@ -0,0 +1,22 @@
+// @flow
+import React from "react";
+import { shallow } from "enzyme";
+import EventSearchField from "./EventSearchField";
+
+it("renders correctly", () => {
+  const output = shallow(
+    <EventSearchField value="drag" onChangeText={() => {}} />
+  );
+  expect(output).toMatchSnapshot();
+});
+
+it("calls onChangeText when users type", () => {
+  const onChangeText = jest.fn();
+  const output = shallow(
+    <EventSearchField value="" onChangeText={onChangeText} />
+  );
+
+  output.simulate("changeText", "drag brunch");
+
+  expect(onChangeText).toBeCalledWith("drag brunch");
+});
@@ -3,16 +3,18 @@ import React from "react";
 import { View, StyleSheet } from "react-native";
 import type { DateRange } from "../../data/date-time";
 import type { EventCategoryName } from "../../data/event";
+import type { PriceRange } from "../../data/event-filters";
 import FilterHeaderButton from "./FilterHeaderButton";
 import ContentPadding from "../../components/ContentPadding";
 import FilterHeaderCategories from "./FilterHeaderCategories";
+import EventSearchField from "./EventSearchField";
 import {
   filterBgColor,
   filterButtonsBgColor,
   whiteColor
 } from "../../constants/colors";
 import text from "../../constants/text";
-import { formatDateRange } from "../../data/formatters";
+import { formatDateRange, formatPriceRange } from "../../data/formatters";
 import ResetAllFiltersButton from "./ResetAllFiltersButton";
 
 export type Props = {
@@ -22,10 +24,26 @@ export type Props = {
   onDateFilterButtonPress: () => void,
   selectedCategories: Set<EventCategoryName>,
   numTagFiltersSelected: number,
+  priceRange: ?PriceRange,
+  searchQuery: string,
+  onSearchChange: string => void,
   resetAllFiltersPress: () => void,
   scrollEventListToTop: () => void
 };
 
+// The price range is spelled out, as it does not fit in the badge
+const filtersText = (
+  numTagFiltersSelected: number,
+  priceRange: ?PriceRange
+) => {
+  if (priceRange) {
+    return numTagFiltersSelected > 0
+      ? `${text.filters}: ${formatPriceRange(priceRange)}`
+      : formatPriceRange(priceRange);
+  }
+  return numTagFiltersSelected > 0 ? text.filters : text.addFilters;
+};
+
 class FilterHeader extends React.PureComponent<Props> {
   static defaultProps = {
     resetAllFiltersPress: () => {}
@@ -43,14 +61,23 @@ class FilterHeader extends React.PureComponent<Props> {
       selectedCategories,
       onFilterButtonPress,
       onDateFilterButtonPress,
-      numTagFiltersSelected
+      numTagFiltersSelected,
+      priceRange,
+      searchQuery,
+      onSearchChange
     } = this.props;
     const formattedDateFilter = dateFilter
       ? formatDateRange(dateFilter)
       : text.selectDates;
 
+    const formattedFilters = filtersText(numTagFiltersSelected, priceRange);
+
     const anyAppliedFilters: boolean =
-      !!dateFilter || numTagFiltersSelected > 0 || selectedCategories.size > 0;
+      !!dateFilter ||
+      numTagFiltersSelected > 0 ||
+      !!priceRange ||
+      selectedCategories.size > 0 ||
+      searchQuery.length > 0;
 
     return (
       <View accessibilityTraits={["header"]} style={styles.container}>
@@ -66,6 +93,10 @@ class FilterHeader extends React.PureComponent<Props> {
                 selectedCategories={selectedCategories}
               />
             </View>
+            <EventSearchField
+              value={searchQuery}
+              onChangeText={onSearchChange}
+            />
           </View>
         </ContentPadding>
         <View style={styles.contentFilters}>
@@ -79,9 +110,9 @@ class FilterHeader extends React.PureComponent<Props> {
           />
           <View style={styles.dividerLine} />
           <FilterHeaderButton
-            active={numTagFiltersSelected > 0}
-            text={numTagFiltersSelected > 0 ? text.filters : text.addFilters}
-            label={numTagFiltersSelected > 0 ? text.filters : text.addFilters}
+            active={numTagFiltersSelected > 0 || !!priceRange}
+            text={formattedFilters}
+            label={formattedFilters}
             onPress={onFilterButtonPress}
             style={styles.filterButton}
             badgeValue={
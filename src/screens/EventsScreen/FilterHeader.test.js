@@ -6,6 +6,7 @@ import type { Props as ComponentProps } from "./FilterHeader";
 import FilterHeaderButton from "./FilterHeaderButton";
 import FilterHeaderCategories from "./FilterHeaderCategories";
 import ResetAllFiltersButton from "./ResetAllFiltersButton";
+import EventSearchField from "./EventSearchField";
 
 const render = (
   props: ComponentProps = {
@@ -16,6 +17,9 @@ const render = (
     onDateFilterButtonPress: () => {},
     resetAllFiltersPress: () => {},
     numTagFiltersSelected: 0,
+    priceRange: null,
+    searchQuery: "",
+    onSearchChange: () => {},
     scrollEventListToTop: () => {}
   }
 ) => shallow(<FilterHeader {...props} />);
@@ -30,6 +34,9 @@ describe("renders correctly", () => {
       onDateFilterButtonPress: () => {},
       resetAllFiltersPress: () => {},
       numTagFiltersSelected: 0,
+      priceRange: null,
+      searchQuery: "",
+      onSearchChange: () => {},
       scrollEventListToTop: () => {}
     });
     expect(output).toMatchSnapshot();
@@ -44,6 +51,9 @@ describe("renders correctly", () => {
       onDateFilterButtonPress: () => {},
       resetAllFiltersPress: () => {},
       numTagFiltersSelected: 0,
+      priceRange: null,
+      searchQuery: "",
+      onSearchChange: () => {},
       scrollEventListToTop: () => {}
     });
     expect(output).toMatchSnapshot();
@@ -58,6 +68,9 @@ describe("renders correctly", () => {
       onDateFilterButtonPress: () => {},
       resetAllFiltersPress: () => {},
       numTagFiltersSelected: 0,
+      priceRange: null,
+      searchQuery: "",
+      onSearchChange: () => {},
       scrollEventListToTop: () => {}
     });
     expect(output).toMatchSnapshot();
@@ -75,11 +88,32 @@ describe("renders correctly", () => {
       onDateFilterButtonPress: () => {},
       resetAllFiltersPress: () => {},
       numTagFiltersSelected: 0,
+      priceRange: null,
+      searchQuery: "",
+      onSearchChange: () => {},
       scrollEventListToTop: () => {}
     });
     expect(output).toMatchSnapshot();
   });
 
+  it("with a search query", () => {
+    const output = render({
+      dateFilter: null,
+      selectedCategories: new Set(),
+      onFilterCategoriesPress: () => {},
+      onFilterButtonPress: () => {},
+      onDateFilterButtonPress: () => {},
+      resetAllFiltersPress: () => {},
+      numTagFiltersSelected: 0,
+      priceRange: null,
+      searchQuery: "drag",
+      onSearchChange: () => {},
+      scrollEventListToTop: () => {}
+    });
+    expect(output.find(EventSearchField).prop("value")).toBe("drag");
+    expect(output.find(ResetAllFiltersButton).prop("visible")).toBe(true);
+  });
+
   it("with tag filters selected", () => {
     const output = render({
       dateFilter: null,
@@ -89,6 +123,26 @@ describe("renders correctly", () => {
       onDateFilterButtonPress: () => {},
       resetAllFiltersPress: () => {},
       numTagFiltersSelected: 2,
+      priceRange: null,
+      searchQuery: "",
+      onSearchChange: () => {},
+      scrollEventListToTop: () => {}
+    });
+    expect(output).toMatchSnapshot();
+  });
+
+  it("with a price range selected", () => {
+    const output = render({
+      dateFilter: null,
+      selectedCategories: new Set(),
+      onFilterCategoriesPress: () => {},
+      onFilterButtonPress: () => {},
+      onDateFilterButtonPress: () => {},
+      resetAllFiltersPress: () => {},
+      numTagFiltersSelected: 0,
+      priceRange: { min: 0, max: 10 },
+      searchQuery: "",
+      onSearchChange: () => {},
       scrollEventListToTop: () => {}
     });
     expect(output).toMatchSnapshot();
@@ -106,6 +160,9 @@ describe("filter buttons", () => {
       onDateFilterButtonPress: () => {},
       resetAllFiltersPress: () => {},
       numTagFiltersSelected: 0,
+      priceRange: null,
+      searchQuery: "",
+      onSearchChange: () => {},
       scrollEventListToTop: () => {}
     });
     output.find(FilterHeaderCategories).prop("onFilterPress")();
@@ -123,6 +180,9 @@ describe("filter buttons", () => {
       onDateFilterButtonPress: mock,
       resetAllFiltersPress: () => {},
       numTagFiltersSelected: 0,
+      priceRange: null,
+      searchQuery: "",
+      onSearchChange: () => {},
       scrollEventListToTop: () => {}
     });
     const button = output.find(FilterHeaderButton).at(0);
@@ -141,6 +201,9 @@ describe("filter buttons", () => {
       onDateFilterButtonPress: () => {},
       resetAllFiltersPress: () => {},
       numTagFiltersSelected: 0,
+      priceRange: null,
+      searchQuery: "",
+      onSearchChange: () => {},
       scrollEventListToTop: () => {}
     });
     const button = output.find(FilterHeaderButton).at(1);
@@ -149,6 +212,26 @@ describe("filter buttons", () => {
     expect(mock).toBeCalledWith();
   });
 
+  it("calls onSearchChange when users type in the search field", () => {
+    const mock = jest.fn();
+    const output = render({
+      dateFilter: null,
+      selectedCategories: new Set(),
+      onFilterCategoriesPress: () => {},
+      onFilterButtonPress: () => {},
+      onDateFilterButtonPress: () => {},
+      resetAllFiltersPress: () => {},
+      numTagFiltersSelected: 0,
+      priceRange: null,
+      searchQuery: "",
+      onSearchChange: mock,
+      scrollEventListToTop: () => {}
+    });
+    output.find(EventSearchField).prop("onChangeText")("drag");
+
+    expect(mock).toBeCalledWith("drag");
+  });
+
   it("calls scrollEventListToTop when users presses 'Reset all filters' button", () => {
     const mock = jest.fn();
     const output = render({
@@ -159,6 +242,9 @@ describe("filter buttons", () => {
       onDateFilterButtonPress: () => {},
       resetAllFiltersPress: () => {},
       numTagFiltersSelected: 0,
+      priceRange: null,
+      searchQuery: "",
+      onSearchChange: () => {},
       scrollEventListToTop: mock
     });
     output
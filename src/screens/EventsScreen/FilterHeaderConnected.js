@@ -5,13 +5,19 @@ import { createSelector } from "reselect";
 import type { State } from "../../reducers";
 import type { DateRange } from "../../data/date-time";
 import type { EventCategoryName } from "../../data/event";
-import { getSelectedFilters } from "../../selectors";
+import type { PriceRange } from "../../data/event-filters";
+import { getSelectedFilters, selectEventFilters } from "../../selectors";
 import {
   selectDateFilter,
+  selectPriceRangeFilter,
+  selectSearchQuery,
   selectTagFilterSelectedCount
 } from "../../selectors/event-filters";
 import Component from "./FilterHeader";
-import { clearEventFilters } from "../../actions/event-filters";
+import {
+  clearEventFilters,
+  setEventSearchQuery
+} from "../../actions/event-filters";
 
 type OwnProps = {
   onFilterCategoriesPress: Function,
@@ -22,19 +28,26 @@ type OwnProps = {
 
 type StateProps = {
   dateFilter: ?DateRange,
-  numTagFiltersSelected: number
+  numTagFiltersSelected: number,
+  priceRange: ?PriceRange,
+  searchQuery: string
 };
 
 type Props = OwnProps & StateProps;
 
 const getDateFilter = createSelector([getSelectedFilters], selectDateFilter);
+const getPriceRangeFilter = createSelector(
+  [getSelectedFilters],
+  selectPriceRangeFilter
+);
 const getNumTagFiltersSelected = createSelector(
   [getSelectedFilters],
   selectTagFilterSelectedCount
 );
 
 type DispatchProps = {
-  resetAllFiltersPress: () => void
+  resetAllFiltersPress: () => void,
+  onSearchChange: string => void
 };
 
 // Note we must add a return type here for react-redux connect to work
@@ -42,11 +55,14 @@ type DispatchProps = {
 // not line up. See https://github.com/facebook/flow/issues/5343
 const mapStateToProps = (state: State): StateProps => ({
   dateFilter: getDateFilter(state),
-  numTagFiltersSelected: getNumTagFiltersSelected(state)
+  numTagFiltersSelected: getNumTagFiltersSelected(state),
+  priceRange: getPriceRangeFilter(state),
+  searchQuery: selectSearchQuery(selectEventFilters(state))
 });
 
 const mapDispatchToProps = (dispatch): DispatchProps => ({
-  resetAllFiltersPress: () => dispatch(clearEventFilters())
+  resetAllFiltersPress: () => dispatch(clearEventFilters()),
+  onSearchChange: query => dispatch(setEventSearchQuery(query))
 });
 
 const connector: Connector<OwnProps, Props> = connect(
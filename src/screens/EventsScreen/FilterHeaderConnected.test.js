@@ -12,11 +12,12 @@ const initialState = {
     refreshing: false
   },
   eventFilters: {
+    searchQuery: "",
     selectedFilters: {
       categories: new Set(),
       date: null,
       timeOfDay: new Set(),
-      price: new Set(),
+      priceRange: null,
       audience: new Set(),
       venueDetails: new Set(),
       accessibilityOptions: new Set(),
@@ -26,7 +27,7 @@ const initialState = {
       categories: new Set(),
       date: null,
       timeOfDay: new Set(),
-      price: new Set(),
+      priceRange: null,
       audience: new Set(),
       venueDetails: new Set(),
       accessibilityOptions: new Set(),
@@ -67,4 +68,19 @@ describe("ConnectedFilterHeader", () => {
       }
     ]);
   });
+
+  it("dispatches search query action", () => {
+    const store = mockStore(initialState);
+    const output = shallow(<FilterHeader store={store} {...defaultProps} />);
+
+    output.props().onSearchChange("drag");
+
+    const actions = store.getActions();
+    expect(actions).toEqual([
+      {
+        type: "SET_EVENT_SEARCH_QUERY",
+        payload: "drag"
+      }
+    ]);
+  });
 });
@@ -0,0 +1,144 @@
+// @flow
+import React from "react";
+import { StyleSheet, View } from "react-native";
+import Text from "../../components/Text";
+import Touchable from "../../components/Touchable";
+import ContentPadding from "../../components/ContentPadding";
+import {
+  lightNavyBlueColor,
+  nearMeBarBgColor,
+  nearMeRadiusSelectedBgColor
+} from "../../constants/colors";
+import text from "../../constants/text";
+import { formatDistance } from "../../data/formatters";
+import type { LocationStatus } from "../../lib/geolocation";
+import { getLocation } from "../../lib/geolocation";
+import { nearMeRadii } from "../../selectors/event-distance";
+import type { NearMeRadius } from "../../selectors/event-distance";
+
+type Props = {
+  active: boolean,
+  radius: NearMeRadius,
+  locationStatus: LocationStatus,
+  onToggle: () => void,
+  onRadiusChange: NearMeRadius => void
+};
+
+const isAwaitingLocation = (locationStatus: LocationStatus) =>
+  locationStatus.type === "checking" ||
+  locationStatus.type === "requesting" ||
+  (locationStatus.type === "authorized" &&
+    locationStatus.location.type === "awaiting");
+
+const NearMeStatus = ({
+  radius,
+  locationStatus,
+  onRadiusChange
+}: {
+  radius: NearMeRadius,
+  locationStatus: LocationStatus,
+  onRadiusChange: NearMeRadius => void
+}) => {
+  if (getLocation(locationStatus)) {
+    return (
+      <View style={styles.radii}>
+        {nearMeRadii.map(value => (
+          <Touchable
+            key={value}
+            accessibilityLabel={text.nearMeRadiusLabel(formatDistance(value))}
+            accessibilityTraits={
+              value === radius ? ["button", "selected"] : ["button"]
+            }
+            onPress={() => onRadiusChange(value)}
+            style={[styles.radius, value === radius && styles.radiusSelected]}
+            testID={`near-me-radius-${value}`}
+          >
+            <Text type="small" color="lightNavyBlueColor">
+              {formatDistance(value)}
+            </Text>
+          </Touchable>
+        ))}
+      </View>
+    );
+  }
+
+  return (
+    <Text type="small" color="lightNavyBlueColor" style={styles.status}>
+      {isAwaitingLocation(locationStatus)
+        ? text.nearMeFindingLocation
+        : text.nearMeLocationUnavailable}
+    </Text>
+  );
+};
+
+const NearMeBar = ({
+  active,
+  radius,
+  locationStatus,
+  onToggle,
+  onRadiusChange
+}: Props) => (
+  <ContentPadding style={styles.container}>
+    <Touchable
+      accessibilityTraits={active ? ["button", "selected"] : ["button"]}
+      onPress={onToggle}
+      style={[styles.toggle, active && styles.toggleActive]}
+      testID="near-me-toggle"
+    >
+      <Text type="small" color="lightNavyBlueColor" style={styles.toggleText}>
+        {text.nearMe}
+      </Text>
+    </Touchable>
+    {active && (
+      <NearMeStatus
+        radius={radius}
+        locationStatus={locationStatus}
+        onRadiusChange={onRadiusChange}
+      />
+    )}
+  </ContentPadding>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: nearMeBarBgColor
+  },
+  toggle: {
+    paddingHorizontal: 12,
+    marginVertical: 6,
+    minHeight: 32,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: lightNavyBlueColor
+  },
+  toggleActive: {
+    backgroundColor: nearMeRadiusSelectedBgColor,
+    borderColor: nearMeRadiusSelectedBgColor
+  },
+  toggleText: {
+    fontFamily: "Roboto-Medium"
+  },
+  radii: {
+    flex: 1,
+    flexDirection: "row",
+    justifyContent: "space-around"
+  },
+  radius: {
+    alignItems: "center",
+    paddingHorizontal: 8,
+    marginVertical: 6,
+    minHeight: 32,
+    borderRadius: 16
+  },
+  radiusSelected: {
+    backgroundColor: nearMeRadiusSelectedBgColor
+  },
+  status: {
+    flex: 1,
+    marginLeft: 12
+  }
+});
+
+export default NearMeBar;
@@ -0,0 +1,71 @@
+// @flow
+import React from "react";
+import { shallow } from "enzyme";
+import NearMeBar from "./NearMeBar";
+import type { LocationStatus } from "../../lib/geolocation";
+
+const tracking: LocationStatus = {
+  type: "authorized",
+  location: { type: "tracking", coords: { latitude: 51.5, longitude: -0.1 } }
+};
+
+const render = props =>
+  shallow(
+    <NearMeBar
+      active
+      radius={1000}
+      locationStatus={tracking}
+      onToggle={() => {}}
+      onRadiusChange={() => {}}
+      {...props}
+    />
+  );
+
+describe("NearMeBar", () => {
+  it("renders correctly when turned off", () => {
+    expect(render({ active: false })).toMatchSnapshot();
+  });
+
+  it("renders the radii when the user's location is known", () => {
+    const status = render()
+      .find("NearMeStatus")
+      .dive();
+    expect(status).toMatchSnapshot();
+  });
+
+  it("tells the user when their location is being found", () => {
+    const status = render({
+      locationStatus: { type: "authorized", location: { type: "awaiting" } }
+    })
+      .find("NearMeStatus")
+      .dive();
+    expect(status.prop("children")).toBe("Finding your location...");
+  });
+
+  it("tells the user when their location cannot be found", () => {
+    const status = render({ locationStatus: { type: "denied" } })
+      .find("NearMeStatus")
+      .dive();
+    expect(status.prop("children")).toBe(
+      "We can't find your location right now"
+    );
+  });
+
+  it("calls onToggle when the toggle is pressed", () => {
+    const onToggle = jest.fn();
+    render({ onToggle })
+      .find({ testID: "near-me-toggle" })
+      .simulate("press");
+    expect(onToggle).toHaveBeenCalled();
+  });
+
+  it("calls onRadiusChange with the radius which is pressed", () => {
+    const onRadiusChange = jest.fn();
+    render({ onRadiusChange })
+      .find("NearMeStatus")
+      .dive()
+      .find({ testID: "near-me-radius-2000" })
+      .simulate("press");
+    expect(onRadiusChange).toHaveBeenCalledWith(2000);
+  });
+});
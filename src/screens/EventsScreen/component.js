@@ -3,13 +3,19 @@ import React, { Component } from "react";
 import type { ElementRef } from "react";
 import { StyleSheet, View } from "react-native";
 import type { NavigationScreenProp, NavigationState } from "react-navigation";
+import { createSelector } from "reselect";
 import type {
   EventCategoryName,
   SavedEvents,
   EventDays
 } from "../../data/event";
+import type { EventSortOrder } from "../../data/event-sort";
 import EventList from "../../components/EventList";
+import EventSortBar from "../../components/EventSortBar";
+import NewContentBanner from "../../components/NewContentBanner";
+import type { UserLocationProps } from "../../components/WithUserLocation";
 import FilterHeader from "./FilterHeaderConnected";
+import NearMeBar from "./NearMeBar";
 import NoEvents from "./NoEvents";
 import { bgColor } from "../../constants/colors";
 import {
@@ -18,6 +24,14 @@ import {
   EVENT_CATEGORIES_FILTER,
   EVENT_DATE_FILTER
 } from "../../constants/routes";
+import type { StagedChanges } from "../../selectors/data";
+import {
+  nearbyEventDays,
+  userEventDistances
+} from "../../selectors/event-distance";
+import type { NearMeRadius } from "../../selectors/event-distance";
+import { isSortedByDay, sortEventDays } from "../../selectors/event-sort";
+import { shouldNeverRequest } from "../../lib/geolocation";
 
 export type Props = {
   events: EventDays,
@@ -27,16 +41,39 @@ export type Props = {
   loading: boolean,
   refreshing: boolean,
   updateData: () => Promise<void>,
+  stagedChanges: ?StagedChanges,
+  applyStagedData: () => void,
   selectedCategories: Set<EventCategoryName>,
+  sortOrder: EventSortOrder,
+  setEventSortOrder: EventSortOrder => void,
   navigation: NavigationScreenProp<NavigationState>
+} & UserLocationProps;
+
+type State = {
+  nearMe: boolean,
+  radius: NearMeRadius
 };
 
 const DEFAULT_SEPARATOR_HEIGHT: number = 40;
 
-class EventsScreen extends Component<Props> {
-  shouldComponentUpdate(nextProps: Props) {
+// The user's location is only followed while it is used to show events
+const needsUserLocation = (props: Props, state: State) =>
+  state.nearMe || props.sortOrder === "distance";
+
+class EventsScreen extends Component<Props, State> {
+  state = {
+    nearMe: false,
+    radius: 1000
+  };
+
+  componentDidMount() {
+    this.props.followUserLocation(needsUserLocation(this.props, this.state));
+  }
+
+  shouldComponentUpdate(nextProps: Props, nextState: State) {
     // Intentionally do not check this.props.navigation
     return (
+      nextState !== this.state ||
       nextProps.events !== this.props.events ||
       nextProps.savedEvents !== this.props.savedEvents ||
       nextProps.addSavedEvent !== this.props.addSavedEvent ||
@@ -44,10 +81,55 @@ class EventsScreen extends Component<Props> {
       nextProps.loading !== this.props.loading ||
       nextProps.refreshing !== this.props.refreshing ||
       nextProps.updateData !== this.props.updateData ||
-      nextProps.selectedCategories !== this.props.selectedCategories
+      nextProps.stagedChanges !== this.props.stagedChanges ||
+      nextProps.applyStagedData !== this.props.applyStagedData ||
+      nextProps.selectedCategories !== this.props.selectedCategories ||
+      nextProps.sortOrder !== this.props.sortOrder ||
+      nextProps.setEventSortOrder !== this.props.setEventSortOrder ||
+      nextProps.userLocation !== this.props.userLocation ||
+      nextProps.followUserLocation !== this.props.followUserLocation
     );
   }
 
+  componentDidUpdate() {
+    this.props.followUserLocation(needsUserLocation(this.props, this.state));
+  }
+
+  getDistances = createSelector(
+    [(events: EventDays) => events, (events, userLocation) => userLocation],
+    userEventDistances
+  );
+
+  getNearbyEvents = createSelector(
+    [
+      (events: EventDays) => events,
+      (events, distances) => distances,
+      (events, distances, radius) => radius
+    ],
+    nearbyEventDays
+  );
+
+  getSortedEvents = createSelector(
+    [
+      (events: EventDays) => events,
+      (events, sortOrder) => sortOrder,
+      (events, sortOrder, distances) => distances
+    ],
+    sortEventDays
+  );
+
+  handleNearMeToggle = () => {
+    this.setState(state => ({ nearMe: !state.nearMe }));
+  };
+
+  handleNearMeRadiusChange = (radius: NearMeRadius) => {
+    this.setState({ radius });
+  };
+
+  handleSortOrderChange = (sortOrder: EventSortOrder) => {
+    this.props.setEventSortOrder(sortOrder);
+  };
+
   handleFilterCategoriesPress = () => {
     this.props.navigation.navigate(EVENT_CATEGORIES_FILTER);
   };
@@ -80,12 +162,29 @@ class EventsScreen extends Component<Props> {
     const {
       navigation,
       updateData,
-      events,
       savedEvents,
       addSavedEvent,
       removeSavedEvent,
-      refreshing
+      refreshing,
+      sortOrder,
+      userLocation
     } = this.props;
+    const { nearMe, radius } = this.state;
+
+    // Until the user's location is known, events near to them are
+    // shown in the same order as any other time.
+    const distances =
+      nearMe || sortOrder === "distance"
+        ? this.getDistances(this.props.events, userLocation)
+        : null;
+    const events = this.getSortedEvents(
+      nearMe && distances
+        ? this.getNearbyEvents(this.props.events, distances, radius)
+        : this.props.events,
+      sortOrder,
+      distances
+    );
+
     return (
       <View style={styles.container}>
         <FilterHeader
@@ -95,6 +194,20 @@ class EventsScreen extends Component<Props> {
           onDateFilterButtonPress={this.handleDateFilterButtonPress}
           scrollEventListToTop={this.scrollEventListToTop}
         />
+        {!shouldNeverRequest(userLocation) && (
+          <NearMeBar
+            active={nearMe}
+            radius={radius}
+            locationStatus={userLocation}
+            onToggle={this.handleNearMeToggle}
+            onRadiusChange={this.handleNearMeRadiusChange}
+          />
+        )}
+        <EventSortBar order={sortOrder} onChange={this.handleSortOrderChange} />
+        <NewContentBanner
+          changes={this.props.stagedChanges}
+          onPress={this.props.applyStagedData}
+        />
         {this.props.loading || events.length < 1 ? (
           <NoEvents />
         ) : (
@@ -103,6 +216,8 @@ class EventsScreen extends Component<Props> {
             savedEvents={savedEvents}
             addSavedEvent={addSavedEvent}
             removeSavedEvent={removeSavedEvent}
+            distances={distances}
+            groupByDay={isSortedByDay(sortOrder)}
             refreshing={refreshing}
             onRefresh={() => {
               updateData();
@@ -6,6 +6,9 @@ import { generateEvent, sampleOne } from "../../data/__test-data";
 import Component from "./component";
 import FilterHeader from "./FilterHeaderConnected";
 import EventList from "../../components/EventList";
+import NewContentBanner from "../../components/NewContentBanner";
+import NearMeBar from "./NearMeBar";
+import EventSortBar from "../../components/EventSortBar";
 import {
   EVENT_CATEGORIES_FILTER,
   EVENT_ATTRIBUTE_FILTER,
@@ -29,7 +32,13 @@ describe("EventsScreen Component", () => {
         loading={false}
         refreshing={false}
         updateData={() => Promise.resolve()}
+        stagedChanges={null}
+        applyStagedData={() => {}}
         selectedCategories={new Set()}
+        sortOrder="startTime"
+        setEventSortOrder={() => {}}
+        userLocation={{ type: "undetermined" }}
+        followUserLocation={() => {}}
         addSavedEvent={() => {}}
         removeSavedEvent={() => {}}
         savedEvents={new Set()}
@@ -47,7 +56,13 @@ describe("EventsScreen Component", () => {
         loading
         refreshing={false}
         updateData={() => Promise.resolve()}
+        stagedChanges={null}
+        applyStagedData={() => {}}
         selectedCategories={new Set()}
+        sortOrder="startTime"
+        setEventSortOrder={() => {}}
+        userLocation={{ type: "undetermined" }}
+        followUserLocation={() => {}}
         addSavedEvent={() => {}}
         removeSavedEvent={() => {}}
         savedEvents={new Set()}
@@ -66,7 +81,13 @@ describe("EventsScreen Component", () => {
         loading={false}
         refreshing={false}
         updateData={() => Promise.resolve()}
+        stagedChanges={null}
+        applyStagedData={() => {}}
         selectedCategories={new Set()}
+        sortOrder="startTime"
+        setEventSortOrder={() => {}}
+        userLocation={{ type: "undetermined" }}
+        followUserLocation={() => {}}
         addSavedEvent={() => {}}
         removeSavedEvent={() => {}}
         savedEvents={new Set()}
@@ -86,7 +107,13 @@ describe("EventsScreen Component", () => {
         loading={false}
         refreshing={false}
         updateData={updateData}
+        stagedChanges={null}
+        applyStagedData={() => {}}
         selectedCategories={new Set()}
+        sortOrder="startTime"
+        setEventSortOrder={() => {}}
+        userLocation={{ type: "undetermined" }}
+        followUserLocation={() => {}}
         addSavedEvent={() => {}}
         removeSavedEvent={() => {}}
         savedEvents={new Set()}
@@ -102,6 +129,37 @@ describe("EventsScreen Component", () => {
     expect(updateData).toHaveBeenCalled();
   });
 
+  it("applies staged data when the new content banner is pressed", () => {
+    const applyStagedData = jest.fn();
+    const output = shallow(
+      <Component
+        navigation={navigation}
+        events={[[event]]}
+        loading={false}
+        refreshing={false}
+        updateData={() => Promise.resolve()}
+        stagedChanges={{ newEvents: 12, updatedEvents: 2 }}
+        applyStagedData={applyStagedData}
+        selectedCategories={new Set()}
+        sortOrder="startTime"
+        setEventSortOrder={() => {}}
+        userLocation={{ type: "undetermined" }}
+        followUserLocation={() => {}}
+        addSavedEvent={() => {}}
+        removeSavedEvent={() => {}}
+        savedEvents={new Set()}
+        route={EVENT_LIST}
+      />
+    );
+
+    output
+      .find(NewContentBanner)
+      .props()
+      .onPress();
+
+    expect(applyStagedData).toHaveBeenCalled();
+  });
+
   it("scrolls event list to top on scrollEventListToTop", () => {
     const output = shallow(
       <Component
@@ -110,7 +168,13 @@ describe("EventsScreen Component", () => {
         loading={false}
         refreshing={false}
         updateData={() => Promise.resolve()}
+        stagedChanges={null}
+        applyStagedData={() => {}}
         selectedCategories={new Set()}
+        sortOrder="startTime"
+        setEventSortOrder={() => {}}
+        userLocation={{ type: "undetermined" }}
+        followUserLocation={() => {}}
         addSavedEvent={() => {}}
         removeSavedEvent={() => {}}
         savedEvents={new Set()}
@@ -149,7 +213,13 @@ describe("EventsScreen Component", () => {
         loading={false}
         refreshing={false}
         updateData={() => Promise.resolve()}
+        stagedChanges={null}
+        applyStagedData={() => {}}
         selectedCategories={new Set()}
+        sortOrder="startTime"
+        setEventSortOrder={() => {}}
+        userLocation={{ type: "undetermined" }}
+        followUserLocation={() => {}}
         addSavedEvent={() => {}}
         removeSavedEvent={() => {}}
         savedEvents={new Set()}
@@ -193,4 +263,207 @@ describe("EventsScreen Component", () => {
       expect(navigationSpy).toBeCalledWith(EVENT_DETAILS, { eventId: 1 });
     });
   });
+
+  describe("near me", () => {
+    const trafalgarSquare = { latitude: 51.508039, longitude: -0.128069 };
+    const tracking = {
+      type: "authorized",
+      location: { type: "tracking", coords: trafalgarSquare }
+    };
+
+    const buildEvent = (id: string, lon: number) => {
+      const value = sampleOne(generateEvent);
+      value.id = id;
+      value.fields.location = { lat: 51.508039, lon };
+      return value;
+    };
+
+    // Roughly 0m, 700m and 2.6km west of Trafalgar Square
+    const here = buildEvent("here", -0.128069);
+    const near = buildEvent("near", -0.138069);
+    const far = buildEvent("far", -0.16573);
+
+    const render = props =>
+      shallow(
+        <Component
+          navigation={navigation}
+          events={[[far, near], [here]]}
+          loading={false}
+          refreshing={false}
+          updateData={() => Promise.resolve()}
+          stagedChanges={null}
+          applyStagedData={() => {}}
+          selectedCategories={new Set()}
+          sortOrder="startTime"
+          setEventSortOrder={() => {}}
+          userLocation={{ type: "undetermined" }}
+          followUserLocation={() => {}}
+          addSavedEvent={() => {}}
+          removeSavedEvent={() => {}}
+          savedEvents={new Set()}
+          route={EVENT_LIST}
+          {...props}
+        />
+      );
+
+    const toggleNearMe = output =>
+      output
+        .find(NearMeBar)
+        .props()
+        .onToggle();
+
+    it("does not follow the user's location until it is needed", () => {
+      const followUserLocation = jest.fn();
+      const output = render({ followUserLocation });
+
+      expect(followUserLocation).toHaveBeenLastCalledWith(false);
+      expect(output.find(NearMeBar).prop("active")).toBe(false);
+      expect(output.find(EventList).prop("events")).toEqual([
+        [far, near],
+        [here]
+      ]);
+    });
+
+    it("follows the user's location while turned on", () => {
+      const followUserLocation = jest.fn();
+      const output = render({ followUserLocation });
+      toggleNearMe(output);
+
+      expect(followUserLocation).toHaveBeenLastCalledWith(true);
+      expect(output.find(NearMeBar).prop("active")).toBe(true);
+
+      toggleNearMe(output);
+      expect(followUserLocation).toHaveBeenLastCalledWith(false);
+    });
+
+    it("hides the near me bar when location can never be requested", () => {
+      const output = render({ userLocation: { type: "restricted" } });
+
+      expect(output.find(NearMeBar).exists()).toBe(false);
+    });
+
+    it("shows events within the radius, closest first", () => {
+      const output = render({ userLocation: tracking });
+      toggleNearMe(output);
+
+      const eventList = output.find(EventList);
+      expect(eventList.prop("events")).toEqual([[near], [here]]);
+      expect(Object.keys(eventList.prop("distances"))).toEqual([
+        "far",
+        "near",
+        "here"
+      ]);
+    });
+
+    it("shows events within the chosen radius", () => {
+      const output = render({ userLocation: tracking });
+      toggleNearMe(output);
+      output
+        .find(NearMeBar)
+        .props()
+        .onRadiusChange(5000);
+
+      expect(output.find(EventList).prop("events")).toEqual([
+        [near, far],
+        [here]
+      ]);
+    });
+
+    it("shows every event until the user's location is known", () => {
+      const output = render();
+      toggleNearMe(output);
+
+      const eventList = output.find(EventList);
+      expect(eventList.prop("events")).toEqual([[far, near], [here]]);
+      expect(eventList.prop("distances")).toBe(null);
+    });
+
+    it("lists every event closest first when sorted by distance", () => {
+      const output = render({ sortOrder: "distance", userLocation: tracking });
+
+      const eventList = output.find(EventList);
+      expect(eventList.prop("events")).toEqual([[here, near, far]]);
+      expect(eventList.prop("groupByDay")).toBe(false);
+    });
+
+    it("lists the events within the radius when sorted by distance", () => {
+      const output = render({ sortOrder: "distance", userLocation: tracking });
+      toggleNearMe(output);
+
+      expect(output.find(EventList).prop("events")).toEqual([[here, near]]);
+    });
+
+    it("follows the user's location only while sorted by distance", () => {
+      const followUserLocation = jest.fn();
+      const output = render({ sortOrder: "distance", followUserLocation });
+      expect(followUserLocation).toHaveBeenLastCalledWith(true);
+
+      output.setProps({ sortOrder: "name" });
+      expect(followUserLocation).toHaveBeenLastCalledWith(false);
+    });
+  });
+
+  describe("sorting", () => {
+    const buildEvent = (id: string, name: string) => {
+      const value = sampleOne(generateEvent);
+      value.id = id;
+      value.fields.name = name;
+      return value;
+    };
+
+    const picnic = buildEvent("picnic", "Picnic");
+    const brunch = buildEvent("brunch", "Brunch");
+    const party = buildEvent("party", "Party");
+
+    const render = props =>
+      shallow(
+        <Component
+          navigation={navigation}
+          events={[[picnic, brunch], [party]]}
+          loading={false}
+          refreshing={false}
+          updateData={() => Promise.resolve()}
+          stagedChanges={null}
+          applyStagedData={() => {}}
+          selectedCategories={new Set()}
+          sortOrder="startTime"
+          setEventSortOrder={() => {}}
+          userLocation={{ type: "undetermined" }}
+          followUserLocation={() => {}}
+          addSavedEvent={() => {}}
+          removeSavedEvent={() => {}}
+          savedEvents={new Set()}
+          route={EVENT_LIST}
+          {...props}
+        />
+      );
+
+    it("shows the events by day when sorted by start time", () => {
+      const output = render();
+
+      const eventList = output.find(EventList);
+      expect(output.find(EventSortBar).prop("order")).toBe("startTime");
+      expect(eventList.prop("events")).toEqual([[picnic, brunch], [party]]);
+      expect(eventList.prop("groupByDay")).toBe(true);
+    });
+
+    it("shows the events in one list when sorted by name", () => {
+      const output = render({ sortOrder: "name" });
+
+      const eventList = output.find(EventList);
+      expect(eventList.prop("events")).toEqual([[brunch, party, picnic]]);
+      expect(eventList.prop("groupByDay")).toBe(false);
+    });
+
+    it("changes the order when one is chosen", () => {
+      const setEventSortOrder = jest.fn();
+      const output = render({ setEventSortOrder });
+      output
+        .find(EventSortBar)
+        .props()
+        .onChange("price");
+
+      expect(setEventSortOrder).toHaveBeenCalledWith("price");
+    });
+  });
 });
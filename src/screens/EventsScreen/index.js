@@ -9,17 +9,24 @@ import type {
   EventDays,
   SavedEvents
 } from "../../data/event";
-import { updateData } from "../../actions/data";
+import type { EventSortOrder } from "../../data/event-sort";
+import { applyStagedData, updateData } from "../../actions/data";
+import { setEventSortOrder } from "../../actions/event-sort";
 import { addSavedEvent, removeSavedEvent } from "../../actions/saved-events";
-import { groupEventsByStartTime } from "../../selectors/event";
 import {
   selectData,
-  selectFilteredEvents,
+  getFilteredEventDays,
   selectSavedEvents
 } from "../../selectors";
-import { selectLoading, selectRefreshing } from "../../selectors/data";
+import {
+  selectLoading,
+  selectRefreshing,
+  selectStagedChanges
+} from "../../selectors/data";
+import type { StagedChanges } from "../../selectors/data";
 import Component from "./component";
 import withIsFocused from "../../components/WithIsFocused";
+import withUserLocation from "../../components/WithUserLocation";
 
 type OwnProps = {
   navigation: NavigationScreenProp<NavigationState>,
@@ -32,13 +39,17 @@ type StateProps = {
   savedEvents: SavedEvents,
   loading: boolean,
   refreshing: boolean,
-  selectedCategories: Set<EventCategoryName>
+  stagedChanges: ?StagedChanges,
+  selectedCategories: Set<EventCategoryName>,
+  sortOrder: EventSortOrder
 };
 
 type DispatchProps = {
   addSavedEvent: string => void,
   removeSavedEvent: string => void,
-  updateData: () => Promise<void>
+  updateData: () => Promise<void>,
+  applyStagedData: () => void,
+  setEventSortOrder: EventSortOrder => void
 };
 
 type Props = StateProps & DispatchProps;
@@ -47,10 +58,7 @@ const getDataLoading = createSelector([selectData], selectLoading);
 
 const getDataRefreshing = createSelector([selectData], selectRefreshing);
 
-const getGroupEventsByStartTime = createSelector(
-  [selectFilteredEvents],
-  groupEventsByStartTime
-);
+const getStagedChanges = createSelector([selectData], selectStagedChanges);
 
 let cache: StateProps;
 
@@ -64,11 +72,13 @@ const mapStateToProps = (
   if (!cache || isFocused) {
     cache = {
       navigation,
-      events: getGroupEventsByStartTime(state),
+      events: getFilteredEventDays(state),
       savedEvents: selectSavedEvents(state),
       loading: getDataLoading(state),
       refreshing: getDataRefreshing(state),
-      selectedCategories: state.eventFilters.selectedFilters.categories
+      stagedChanges: getStagedChanges(state),
+      selectedCategories: state.eventFilters.selectedFilters.categories,
+      sortOrder: state.eventSort
     };
   }
   return cache;
@@ -76,8 +86,10 @@ const mapStateToProps = (
 
 const mapDispatchToProps = {
   updateData,
+  applyStagedData,
   addSavedEvent,
-  removeSavedEvent
+  removeSavedEvent,
+  setEventSortOrder
 };
 
 const connector: Connector<OwnProps, Props> = connect(
@@ -85,6 +97,6 @@ const connector: Connector<OwnProps, Props> = connect(
   mapDispatchToProps
 );
 
-export const Container = connector(Component);
+export const Container = connector(withUserLocation(Component));
 
 export default withIsFocused(Container);
@@ -2,32 +2,82 @@
 import React, { Component } from "react";
 import { StyleSheet, View } from "react-native";
 import type { NavigationScreenProp, NavigationState } from "react-navigation";
+import { createSelector } from "reselect";
 import type { SavedEvents, EventDays } from "../../data/event";
+import type { EventSortOrder } from "../../data/event-sort";
 import EventList from "../../components/EventList";
+import EventSortBar from "../../components/EventSortBar";
 import Header from "../../components/Header";
+import type { UserLocationProps } from "../../components/WithUserLocation";
 import { bgColor } from "../../constants/colors";
 import { EVENT_DETAILS } from "../../constants/routes";
 import text from "../../constants/text";
+import { userEventDistances } from "../../selectors/event-distance";
+import { isSortedByDay, sortEventDays } from "../../selectors/event-sort";
 
 export type Props = {
   navigation: NavigationScreenProp<NavigationState>,
   events: EventDays,
   savedEvents: SavedEvents,
   addSavedEvent: string => void,
-  removeSavedEvent: string => void
-};
+  removeSavedEvent: string => void,
+  sortOrder: EventSortOrder,
+  setEventSortOrder: EventSortOrder => void
+} & UserLocationProps;
 
 class FeaturedEventsListScreen extends Component<Props> {
+  componentDidMount() {
+    this.props.followUserLocation(this.props.sortOrder === "distance");
+  }
+
   shouldComponentUpdate(nextProps: Props) {
     // intentionally do not check this.props.navigation
     return (
       nextProps.events !== this.props.events ||
       nextProps.savedEvents !== this.props.savedEvents ||
       nextProps.addSavedEvent !== this.props.addSavedEvent ||
-      nextProps.removeSavedEvent !== this.props.removeSavedEvent
+      nextProps.removeSavedEvent !== this.props.removeSavedEvent ||
+      nextProps.sortOrder !== this.props.sortOrder ||
+      nextProps.setEventSortOrder !== this.props.setEventSortOrder ||
+      nextProps.userLocation !== this.props.userLocation ||
+      nextProps.followUserLocation !== this.props.followUserLocation
     );
   }
+
+  componentDidUpdate() {
+    this.props.followUserLocation(this.props.sortOrder === "distance");
+  }
+
+  getDistances = createSelector(
+    [(events: EventDays) => events, (events, userLocation) => userLocation],
+    userEventDistances
+  );
+
+  getSortedEvents = createSelector(
+    [
+      (events: EventDays) => events,
+      (events, sortOrder) => sortOrder,
+      (events, sortOrder, distances) => distances
+    ],
+    sortEventDays
+  );
+
+  handleSortOrderChange = (sortOrder: EventSortOrder) => {
+    this.props.setEventSortOrder(sortOrder);
+  };
+
   render() {
+    const { sortOrder } = this.props;
+    const distances =
+      sortOrder === "distance"
+        ? this.getDistances(this.props.events, this.props.userLocation)
+        : null;
+    const events = this.getSortedEvents(
+      this.props.events,
+      sortOrder,
+      distances
+    );
+
     return (
       <View style={styles.container}>
         <Header
@@ -40,11 +90,14 @@ class FeaturedEventsListScreen extends Component<Props> {
           }
           title={text.featuredEventListTitle}
         />
+        <EventSortBar order={sortOrder} onChange={this.handleSortOrderChange} />
         <EventList
-          events={this.props.events}
+          events={events}
           savedEvents={this.props.savedEvents}
           addSavedEvent={this.props.addSavedEvent}
           removeSavedEvent={this.props.removeSavedEvent}
+          distances={distances}
+          groupByDay={isSortedByDay(sortOrder)}
           onPress={(eventId: string) => {
             this.props.navigation.navigate(EVENT_DETAILS, { eventId });
           }}
@@ -2,8 +2,10 @@
 import React from "react";
 import type { NavigationScreenProp } from "react-navigation";
 import { shallow } from "enzyme";
+import { generateEvent, sampleOne } from "../../data/__test-data";
 import Component from "./component";
 import EventList from "../../components/EventList";
+import EventSortBar from "../../components/EventSortBar";
 import { EVENT_DETAILS } from "../../constants/routes";
 
 const navigation: NavigationScreenProp<{
@@ -26,6 +28,10 @@ describe("FeaturedEventListScreen Component", () => {
         addSavedEvent={() => {}}
         removeSavedEvent={() => {}}
         savedEvents={new Set()}
+        sortOrder="startTime"
+        setEventSortOrder={() => {}}
+        userLocation={{ type: "undetermined" }}
+        followUserLocation={() => {}}
       />
     );
     expect(output).toMatchSnapshot();
@@ -39,6 +45,10 @@ describe("FeaturedEventListScreen Component", () => {
         addSavedEvent={() => {}}
         removeSavedEvent={() => {}}
         savedEvents={new Set()}
+        sortOrder="startTime"
+        setEventSortOrder={() => {}}
+        userLocation={{ type: "undetermined" }}
+        followUserLocation={() => {}}
       />
     );
     const onPress = output.find(EventList).prop("onPress");
@@ -47,6 +57,94 @@ describe("FeaturedEventListScreen Component", () => {
       eventId: "my-event"
     });
   });
+
+  describe("sorting", () => {
+    const buildEvent = (id: string, name: string, lon: number) => {
+      const value = sampleOne(generateEvent);
+      value.id = id;
+      value.fields.name = name;
+      value.fields.location = { lat: 51.508039, lon };
+      return value;
+    };
+
+    // Roughly 0m, 700m and 2.6km west of Trafalgar Square
+    const picnic = buildEvent("picnic", "Picnic", -0.16573);
+    const brunch = buildEvent("brunch", "Brunch", -0.138069);
+    const party = buildEvent("party", "Party", -0.128069);
+
+    const render = props =>
+      shallow(
+        <Component
+          navigation={navigation}
+          events={[[picnic, brunch], [party]]}
+          addSavedEvent={() => {}}
+          removeSavedEvent={() => {}}
+          savedEvents={new Set()}
+          sortOrder="startTime"
+          setEventSortOrder={() => {}}
+          userLocation={{ type: "undetermined" }}
+          followUserLocation={() => {}}
+          {...props}
+        />
+      );
+
+    it("shows the events by day when sorted by start time", () => {
+      const eventList = render().find(EventList);
+
+      expect(eventList.prop("events")).toEqual([[picnic, brunch], [party]]);
+      expect(eventList.prop("groupByDay")).toBe(true);
+    });
+
+    it("shows the events in one list when sorted by name", () => {
+      const eventList = render({ sortOrder: "name" }).find(EventList);
+
+      expect(eventList.prop("events")).toEqual([[brunch, party, picnic]]);
+      expect(eventList.prop("groupByDay")).toBe(false);
+    });
+
+    it("shows the closest events first when sorted by distance", () => {
+      const eventList = render({
+        sortOrder: "distance",
+        userLocation: {
+          type: "authorized",
+          location: {
+            type: "tracking",
+            coords: { latitude: 51.508039, longitude: -0.128069 }
+          }
+        }
+      }).find(EventList);
+
+      expect(eventList.prop("events")).toEqual([[party, brunch, picnic]]);
+      expect(Object.keys(eventList.prop("distances"))).toEqual([
+        "picnic",
+        "brunch",
+        "party"
+      ]);
+    });
+
+    it("changes the sort order", () => {
+      const setEventSortOrder = jest.fn();
+      const output = render({ setEventSortOrder });
+      output
+        .find(EventSortBar)
+        .props()
+        .onChange("distance");
+
+      expect(setEventSortOrder).toHaveBeenCalledWith("distance");
+    });
+
+    it("follows the user's location only while sorted by distance", () => {
+      const followUserLocation = jest.fn();
+      const output = render({ followUserLocation });
+      expect(followUserLocation).toHaveBeenLastCalledWith(false);
+
+      output.setProps({ sortOrder: "distance" });
+      expect(followUserLocation).toHaveBeenLastCalledWith(true);
+
+      output.setProps({ sortOrder: "name" });
+      expect(followUserLocation).toHaveBeenLastCalledWith(false);
+    });
+  });
 });
 
 afterEach(() => {
@@ -5,11 +5,14 @@ import type { NavigationScreenProp } from "react-navigation";
 import { createSelector } from "reselect";
 import type { State } from "../../reducers";
 import type { SavedEvents, EventDays } from "../../data/event";
+import type { EventSortOrder } from "../../data/event-sort";
+import { setEventSortOrder } from "../../actions/event-sort";
 import { addSavedEvent, removeSavedEvent } from "../../actions/saved-events";
 import { getFeaturedEventsResolvedEvents } from "../../selectors";
 import { groupEventsByStartTime } from "../../selectors/event";
 import Component from "./component";
 import withIsFocused from "../../components/WithIsFocused";
+import withUserLocation from "../../components/WithUserLocation";
 
 type OwnProps = {
   navigation: NavigationScreenProp<{ params: { title: string } }>,
@@ -19,12 +22,14 @@ type OwnProps = {
 type StateProps = {
   navigation: NavigationScreenProp<{ params: { title: string } }>,
   events: EventDays,
-  savedEvents: SavedEvents
+  savedEvents: SavedEvents,
+  sortOrder: EventSortOrder
 };
 
 type DispatchProps = {
   addSavedEvent: string => void,
-  removeSavedEvent: string => void
+  removeSavedEvent: string => void,
+  setEventSortOrder: EventSortOrder => void
 };
 
 type Props = StateProps & DispatchProps;
@@ -47,7 +52,8 @@ const mapStateToProps = (
     cache = {
       navigation,
       events: getGroupEventsByStartTime(state, navigation.state.params.title),
-      savedEvents: state.savedEvents
+      savedEvents: state.savedEvents,
+      sortOrder: state.eventSort
     };
   }
   return cache;
@@ -55,7 +61,8 @@ const mapStateToProps = (
 
 const mapDispatchToProps = {
   addSavedEvent,
-  removeSavedEvent
+  removeSavedEvent,
+  setEventSortOrder
 };
 
 const connector: Connector<OwnProps, Props> = connect(
@@ -63,6 +70,6 @@ const connector: Connector<OwnProps, Props> = connect(
   mapDispatchToProps
 );
 
-export const Container = connector(Component);
+export const Container = connector(withUserLocation(Component));
 
 export default withIsFocused(Container);
@@ -6,8 +6,8 @@ describe("FilterList", () => {
   it("renders correctly", () => {
     const output = shallow(
       <FilterList
-        sectionName="price"
-        sectionFilters={new Set(["free"])}
+        sectionName="audience"
+        sectionFilters={new Set(["Families"])}
         size="small"
         handleCheckboxChange={() => {}}
       />
@@ -20,16 +20,19 @@ describe("FilterList", () => {
     const onChangeSpy = jest.fn();
     const output = shallow(
       <FilterList
-        sectionName="price"
-        sectionFilters={new Set(["free"])}
+        sectionName="audience"
+        sectionFilters={new Set(["Families"])}
         size="small"
         handleCheckboxChange={onChangeSpy}
       />
     );
 
-    const { onChange } = output.find("CheckBox").props();
+    const { onChange } = output
+      .find("CheckBox")
+      .first()
+      .props();
     onChange();
 
-    expect(onChangeSpy).toHaveBeenCalledWith("price", "free");
+    expect(onChangeSpy).toHaveBeenCalledWith("audience", "Families");
   });
 });
@@ -5,7 +5,7 @@ import FilterSectionList from "./FilterSectionList";
 describe("FilterSectionList", () => {
   it("renders correctly", () => {
     const eventFilters = {
-      price: new Set(["free"])
+      audience: new Set(["Families"])
     };
     const output = shallow(
       <FilterSectionList
@@ -19,7 +19,7 @@ describe("FilterSectionList", () => {
 
   it("passes event filters number to section header", () => {
     const eventFilters = {
-      price: new Set(["free"])
+      audience: new Set(["Families"])
     };
     const output = shallow(
       <FilterSectionList
@@ -35,7 +35,7 @@ describe("FilterSectionList", () => {
 
   it("passes a null badgeValue to section header when no filters selected", () => {
     const eventFilters = {
-      price: new Set()
+      audience: new Set()
     };
     const output = shallow(
       <FilterSectionList
@@ -0,0 +1,150 @@
+// @flow
+import React from "react";
+import { Slider, StyleSheet, View } from "react-native";
+import Text from "../../components/Text";
+import ContentPadding from "../../components/ContentPadding";
+import {
+  eucalyptusGreenColor,
+  lightNavyBlueColor,
+  mediumGreyColor
+} from "../../constants/colors";
+import text from "../../constants/text";
+import { formatPriceRange } from "../../data/formatters";
+import type { PriceRange } from "../../data/event-filters";
+import {
+  PRICE_STEP,
+  PRICE_SCALE_MAX,
+  isBarInRange,
+  toPriceRange
+} from "../../selectors/price-range";
+import type { PriceHistogram } from "../../selectors/price-range";
+
+type Props = {
+  priceRange: ?PriceRange,
+  histogram: PriceHistogram,
+  onChange: (?PriceRange) => void
+};
+
+type State = {
+  // The range the sliders were last set from
+  priceRange: ?PriceRange,
+  min: number,
+  max: number
+};
+
+const HISTOGRAM_HEIGHT = 48;
+
+const fromPriceRange = (priceRange: ?PriceRange) => ({
+  priceRange,
+  min: priceRange ? priceRange.min : 0,
+  max: priceRange && priceRange.max != null ? priceRange.max : PRICE_SCALE_MAX
+});
+
+// The sliders keep their own values while they are moved, so that the
+// events are only filtered again once they are let go of.
+class PriceRangeFilter extends React.PureComponent<Props, State> {
+  state = fromPriceRange(this.props.priceRange);
+
+  static getDerivedStateFromProps(nextProps: Props, prevState: State) {
+    if (nextProps.priceRange !== prevState.priceRange) {
+      return fromPriceRange(nextProps.priceRange);
+    }
+    return null;
+  }
+
+  onMinChange = (min: number) => {
+    this.setState(state => ({ min, max: Math.max(min, state.max) }));
+  };
+
+  onMaxChange = (max: number) => {
+    this.setState(state => ({ max, min: Math.min(max, state.min) }));
+  };
+
+  onSlidingComplete = () => {
+    this.props.onChange(toPriceRange(this.state.min, this.state.max));
+  };
+
+  render() {
+    const { histogram } = this.props;
+    const { min, max } = this.state;
+    const range = toPriceRange(min, max);
+    const tallest = Math.max(1, ...histogram);
+
+    return (
+      <ContentPadding style={styles.container}>
+        <Text type="h4" color="lightNavyBlueColor">
+          {range ? formatPriceRange(range) : text.priceRangeAny}
+        </Text>
+        <View style={styles.histogram} importantForAccessibility="no">
+          {histogram.map((count, index) => {
+            const inRange = !range || isBarInRange(index, range);
+            return (
+              <View
+                // eslint-disable-next-line react/no-array-index-key
+                key={index}
+                style={[
+                  styles.bar,
+                  { height: (HISTOGRAM_HEIGHT * count) / tallest },
+                  inRange ? styles.barInRange : styles.barOutOfRange
+                ]}
+              />
+            );
+          })}
+        </View>
+        <Slider
+          accessibilityLabel={text.priceRangeMinLabel}
+          minimumValue={0}
+          maximumValue={PRICE_SCALE_MAX}
+          step={PRICE_STEP}
+          value={min}
+          onValueChange={this.onMinChange}
+          onSlidingComplete={this.onSlidingComplete}
+          minimumTrackTintColor={mediumGreyColor}
+          maximumTrackTintColor={eucalyptusGreenColor}
+          thumbTintColor={lightNavyBlueColor}
+          testID="price-range-min-slider"
+        />
+        <Slider
+          accessibilityLabel={text.priceRangeMaxLabel}
+          minimumValue={0}
+          maximumValue={PRICE_SCALE_MAX}
+          step={PRICE_STEP}
+          value={max}
+          onValueChange={this.onMaxChange}
+          onSlidingComplete={this.onSlidingComplete}
+          minimumTrackTintColor={eucalyptusGreenColor}
+          maximumTrackTintColor={mediumGreyColor}
+          thumbTintColor={lightNavyBlueColor}
+          testID="price-range-max-slider"
+        />
+      </ContentPadding>
+    );
+  }
+}
+
+const styles = StyleSheet.create({
+  container: {
+    paddingVertical: 16
+  },
+  histogram: {
+    flexDirection: "row",
+    alignItems: "flex-end",
+    height: HISTOGRAM_HEIGHT,
+    marginTop: 12,
+    marginBottom: 8
+  },
+  bar: {
+    flex: 1,
+    marginHorizontal: 1,
+    borderTopLeftRadius: 2,
+    borderTopRightRadius: 2
+  },
+  barInRange: {
+    backgroundColor: eucalyptusGreenColor
+  },
+  barOutOfRange: {
+    backgroundColor: mediumGreyColor
+  }
+});
+
+export default PriceRangeFilter;
@@ -0,0 +1,82 @@
+import React from "react";
+import { shallow } from "enzyme";
+import PriceRangeFilter from "./PriceRangeFilter";
+
+const histogram = [4, 2, 1, 0, 0, 3, 0, 0, 0, 0, 1];
+
+describe("PriceRangeFilter", () => {
+  it("renders correctly with any price", () => {
+    const output = shallow(
+      <PriceRangeFilter
+        priceRange={null}
+        histogram={histogram}
+        onChange={() => {}}
+      />
+    );
+    expect(output).toMatchSnapshot();
+  });
+
+  it("renders correctly with a price range", () => {
+    const output = shallow(
+      <PriceRangeFilter
+        priceRange={{ min: 5, max: 20 }}
+        histogram={histogram}
+        onChange={() => {}}
+      />
+    );
+    expect(output).toMatchSnapshot();
+  });
+
+  it("calls onChange with the range once the slider is let go of", () => {
+    const onChange = jest.fn();
+    const output = shallow(
+      <PriceRangeFilter
+        priceRange={null}
+        histogram={histogram}
+        onChange={onChange}
+      />
+    );
+    const slider = output.find({ testID: "price-range-max-slider" });
+
+    slider.props().onValueChange(15);
+    expect(onChange).not.toHaveBeenCalled();
+
+    slider.props().onSlidingComplete(15);
+    expect(onChange).toHaveBeenCalledWith({ min: 0, max: 15 });
+  });
+
+  it("keeps the min at or below the max", () => {
+    const onChange = jest.fn();
+    const output = shallow(
+      <PriceRangeFilter
+        priceRange={{ min: 20, max: 30 }}
+        histogram={histogram}
+        onChange={onChange}
+      />
+    );
+    const slider = output.find({ testID: "price-range-max-slider" });
+
+    slider.props().onValueChange(10);
+    slider.props().onSlidingComplete(10);
+
+    expect(onChange).toHaveBeenCalledWith({ min: 10, max: 10 });
+  });
+
+  it("resets the sliders when the price range changes", () => {
+    const output = shallow(
+      <PriceRangeFilter
+        priceRange={{ min: 5, max: 20 }}
+        histogram={histogram}
+        onChange={() => {}}
+      />
+    );
+    output.setProps({ priceRange: null });
+
+    expect(
+      output.find({ testID: "price-range-min-slider" }).prop("value")
+    ).toBe(0);
+    expect(
+      output.find({ testID: "price-range-max-slider" }).prop("value")
+    ).toBe(50);
+  });
+});
@@ -6,9 +6,16 @@ import type { NavigationScreenProp, NavigationState } from "react-navigation";
 import ShadowedScrollView from "../../components/ShadowedScrollView";
 import Button from "../../components/ButtonPrimary";
 import ContentPadding from "../../components/ContentPadding";
+import SectionHeader from "../../components/SectionHeader";
 import FilterSectionList from "./FilterSectionList";
+import PriceRangeFilter from "./PriceRangeFilter";
 import { bgColor } from "../../constants/colors";
-import type { FilterCollection, Area } from "../../data/event-filters";
+import type {
+  FilterCollection,
+  Area,
+  PriceRange
+} from "../../data/event-filters";
+import type { PriceHistogram } from "../../selectors/price-range";
 import Header from "./Header";
 import type { EventFiltersPayload } from "../../actions/event-filters";
 import text from "../../constants/text";
@@ -18,6 +25,7 @@ type Props = {
   eventFilters: FilterCollection,
   numberOfEvents: number,
   numTagFiltersSelected: number,
+  priceHistogram: PriceHistogram,
   onChange: EventFiltersPayload => void
 };
 
@@ -35,7 +43,7 @@ const toggleTagFilter = (
 const emptyFilters: EventFiltersPayload = {
   timeOfDay: new Set(),
   area: new Set(),
-  price: new Set(),
+  priceRange: null,
   audience: new Set(),
   venueDetails: new Set(),
   accessibilityOptions: new Set()
@@ -53,12 +61,21 @@ class FilterScreen extends PureComponent<Props> {
     });
   };
 
+  handlePriceRangeChange = (priceRange: ?PriceRange) => {
+    this.props.onChange({ priceRange });
+  };
+
   handleApplyButtonPress = () => {
     this.props.navigation.goBack();
   };
 
   render() {
-    const { eventFilters, numberOfEvents, numTagFiltersSelected } = this.props;
+    const {
+      eventFilters,
+      numberOfEvents,
+      numTagFiltersSelected,
+      priceHistogram
+    } = this.props;
     return (
       <SafeAreaView
         style={styles.flex}
@@ -67,13 +84,23 @@ class FilterScreen extends PureComponent<Props> {
         <Header
           onClearPress={this.clearTagFilters}
           onBackPress={this.handleApplyButtonPress}
-          showClear={numTagFiltersSelected > 0}
+          showClear={numTagFiltersSelected > 0 || !!eventFilters.priceRange}
         />
         <ShadowedScrollView style={styles.flex} shadowOpacity={0.6}>
           <FilterSectionList
             eventFilters={eventFilters}
             handleCheckboxChange={this.handleCheckboxChange}
           />
+          <SectionHeader
+            title={text.tags.price}
+            hasShadow={false}
+            badgeValue={eventFilters.priceRange ? 1 : null}
+          />
+          <PriceRangeFilter
+            priceRange={eventFilters.priceRange}
+            histogram={priceHistogram}
+            onChange={this.handlePriceRangeChange}
+          />
         </ShadowedScrollView>
         <View style={styles.footer}>
           <ContentPadding>
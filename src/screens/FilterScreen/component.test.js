@@ -9,7 +9,7 @@ describe("FilterScreen", () => {
       setParams: () => {}
     };
     const eventFilters = {
-      price: new Set()
+      audience: new Set()
     };
     const output = shallow(
       <FilterScreen
@@ -18,6 +18,7 @@ describe("FilterScreen", () => {
         onChange={() => {}}
         onCancel={() => {}}
         eventFilters={eventFilters}
+        priceHistogram={[1, 2, 0, 0, 0, 0, 0, 0, 0, 0, 3]}
       />
     );
     expect(output).toMatchSnapshot();
@@ -28,7 +29,7 @@ describe("FilterScreen", () => {
       addListener: () => {}
     };
     const eventFilters = {
-      price: new Set()
+      audience: new Set()
     };
     const onChange = jest.fn();
 
@@ -47,7 +48,7 @@ describe("FilterScreen", () => {
 
     expect(onChange).toHaveBeenCalledWith({
       area: new Set(),
-      price: new Set(),
+      priceRange: null,
       audience: new Set(),
       timeOfDay: new Set(),
       venueDetails: new Set(),
@@ -60,7 +61,7 @@ describe("FilterScreen", () => {
       addListener: () => {}
     };
     const eventFilters = {
-      price: new Set()
+      audience: new Set()
     };
 
     const output = shallow(
@@ -82,7 +83,7 @@ describe("FilterScreen", () => {
       addListener: () => {}
     };
     const eventFilters = {
-      price: new Set(["free"])
+      audience: new Set(["Families"])
     };
 
     const output = shallow(
@@ -92,7 +93,7 @@ describe("FilterScreen", () => {
         onChange={() => {}}
         onCancel={() => {}}
         eventFilters={eventFilters}
-        numTagFiltersSelected={eventFilters.price.size}
+        numTagFiltersSelected={eventFilters.audience.size}
       />
     );
 
@@ -105,7 +106,7 @@ describe("FilterScreen", () => {
       addListener: () => {}
     };
     const eventFilters = {
-      price: new Set()
+      audience: new Set()
     };
 
     const output = shallow(
@@ -115,7 +116,7 @@ describe("FilterScreen", () => {
         onChange={() => {}}
         onCancel={() => {}}
         eventFilters={eventFilters}
-        numTagFiltersSelected={eventFilters.price.size}
+        numTagFiltersSelected={eventFilters.audience.size}
       />
     );
 
@@ -128,7 +129,7 @@ describe("FilterScreen", () => {
       addListener: () => {}
     };
     const eventFilters = {
-      price: new Set()
+      audience: new Set()
     };
     const onChangeSpy = jest.fn();
     const output = shallow(
@@ -138,13 +139,15 @@ describe("FilterScreen", () => {
         onChange={onChangeSpy}
         onCancel={() => {}}
         eventFilters={eventFilters}
-        numTagFiltersSelected={eventFilters.price.size}
+        numTagFiltersSelected={eventFilters.audience.size}
       />
     );
 
-    output.instance().handleCheckboxChange("price", "free");
+    output.instance().handleCheckboxChange("audience", "Families");
 
-    expect(onChangeSpy).toHaveBeenCalledWith({ price: new Set(["free"]) });
+    expect(onChangeSpy).toHaveBeenCalledWith({
+      audience: new Set(["Families"])
+    });
   });
 
   it("dispatches filter removed when checkbox unchecked", () => {
@@ -152,7 +155,55 @@ describe("FilterScreen", () => {
       addListener: () => {}
     };
     const eventFilters = {
-      price: new Set(["free"])
+      audience: new Set(["Families"])
+    };
+    const onChangeSpy = jest.fn();
+    const output = shallow(
+      <FilterScreen
+        navigation={navigation}
+        numberOfEvents={1}
+        onChange={onChangeSpy}
+        onCancel={() => {}}
+        eventFilters={eventFilters}
+        numTagFiltersSelected={eventFilters.audience.size}
+      />
+    );
+
+    output.instance().handleCheckboxChange("audience", "Families");
+
+    expect(onChangeSpy).toHaveBeenCalledWith({ audience: new Set() });
+  });
+
+  it("passes showClear=true to header when a price range is selected", () => {
+    const navigation = {
+      addListener: () => {}
+    };
+    const eventFilters = {
+      audience: new Set(),
+      priceRange: { min: 0, max: 10 }
+    };
+
+    const output = shallow(
+      <FilterScreen
+        navigation={navigation}
+        numberOfEvents={1}
+        onChange={() => {}}
+        onCancel={() => {}}
+        eventFilters={eventFilters}
+        numTagFiltersSelected={0}
+      />
+    );
+
+    const header = output.find("Header");
+    expect(header.props().showClear).toBe(true);
+  });
+
+  it("dispatches the price range when it is changed", () => {
+    const navigation = {
+      addListener: () => {}
+    };
+    const eventFilters = {
+      audience: new Set()
     };
     const onChangeSpy = jest.fn();
     const output = shallow(
@@ -162,13 +213,18 @@ describe("FilterScreen", () => {
         onChange={onChangeSpy}
         onCancel={() => {}}
         eventFilters={eventFilters}
-        numTagFiltersSelected={eventFilters.price.size}
+        numTagFiltersSelected={0}
       />
     );
 
-    output.instance().handleCheckboxChange("price", "free");
+    output
+      .find("PriceRangeFilter")
+      .props()
+      .onChange({ min: 5, max: 20 });
 
-    expect(onChangeSpy).toHaveBeenCalledWith({ price: new Set() });
+    expect(onChangeSpy).toHaveBeenCalledWith({
+      priceRange: { min: 5, max: 20 }
+    });
   });
 
   it("goes back in navigation when apply button pressed", () => {
@@ -177,7 +233,7 @@ describe("FilterScreen", () => {
       goBack: jest.fn()
     };
     const eventFilters = {
-      price: new Set(["free"])
+      audience: new Set(["Families"])
     };
     const output = shallow(
       <FilterScreen
@@ -186,7 +242,7 @@ describe("FilterScreen", () => {
         onChange={() => {}}
         onCancel={() => {}}
         eventFilters={eventFilters}
-        numTagFiltersSelected={eventFilters.price.size}
+        numTagFiltersSelected={eventFilters.audience.size}
       />
     );
 
@@ -8,8 +8,10 @@ import { setEventFilters } from "../../actions/event-filters";
 import {
   getSelectedFilters,
   getStagedFilters,
+  getStagedPriceHistogram,
   selectStagedFilteredEvents
 } from "../../selectors";
+import type { PriceHistogram } from "../../selectors/price-range";
 import { selectTagFilterSelectedCount } from "../../selectors/event-filters";
 import Component from "./component";
 import type { FilterCollection } from "../../data/event-filters";
@@ -25,7 +27,8 @@ type StateProps = {
   navigation: NavigationScreenProp<{ params: { title: string } }>,
   eventFilters: FilterCollection,
   numberOfEvents: number,
-  numTagFiltersSelected: number
+  numTagFiltersSelected: number,
+  priceHistogram: PriceHistogram
 };
 
 type DispatchProps = {
@@ -54,6 +57,7 @@ const mapStateToProps = (
       navigation,
       numberOfEvents: events.length,
       numTagFiltersSelected: getNumTagFiltersSelected(state),
+      priceHistogram: getStagedPriceHistogram(state),
       eventFilters: getSelectedFilters(state)
     };
   }
@@ -11,12 +11,13 @@ import Text from "../../components/Text";
 import { whiteColor, lightNavyBlueColor } from "../../constants/colors";
 import { SUPPORT_US } from "../../constants/routes";
 import text from "../../constants/text";
+import type { FieldRef } from "../../data/field-ref";
 import type { ImageDetails } from "../../data/image";
 import type { HeaderBanner } from "../../data/header-banner";
 
 type Props = {
   headerBanners: HeaderBanner[],
-  getImageDetails: string => ?ImageDetails,
+  getImageDetails: FieldRef => ?ImageDetails,
   navigation: NavigationScreenProp<NavigationState>
 };
 
@@ -33,7 +34,7 @@ const Header = ({ headerBanners, getImageDetails, navigation }: Props) => {
   const banner = pickBanner(headerBanners);
   if (!banner) return null;
 
-  const heroImage = getImageDetails(banner.fields.heroImage.sys.id);
+  const heroImage = getImageDetails(banner.fields.heroImage);
   if (!heroImage) return null;
 
   const heroImageHeight = 218; // 225 (header) - 7 (marginTop)
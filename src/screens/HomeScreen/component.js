@@ -7,6 +7,7 @@ import Header from "./Header";
 import ContentPadding from "../../components/ContentPadding";
 import EventTile from "../../components/EventTile";
 import Loading from "../../components/Loading";
+import NewContentBanner from "../../components/NewContentBanner";
 import Text from "../../components/Text";
 import TextLink from "../../components/TextLink";
 import Touchable from "../../components/Touchable";
@@ -21,8 +22,10 @@ import {
 import { FEATURED_EVENT_LIST, EVENT_DETAILS } from "../../constants/routes";
 import text from "../../constants/text";
 import type { Event } from "../../data/event";
+import type { FieldRef } from "../../data/field-ref";
 import type { ImageDetails } from "../../data/image";
 import type { HeaderBanner } from "../../data/header-banner";
+import type { StagedChanges } from "../../selectors/data";
 import partnershipWithSally from "../../../assets/images/partnershipWithSally.png";
 
 type Props = {
@@ -31,17 +34,20 @@ type Props = {
   featuredEventsTitle: string,
   featuredEvents: Event[],
   loading: boolean,
-  getImageDetails: string => ?ImageDetails
+  stagedChanges: ?StagedChanges,
+  applyStagedData: () => void,
+  getImageDetails: FieldRef => ?ImageDetails
 };
 
 const getId = obj => obj.id;
 
 class HomeScreen extends Component<Props> {
   shouldComponentUpdate = (nextProps: Props): boolean => {
-    const { loading, featuredEventsTitle } = this.props;
+    const { loading, featuredEventsTitle, stagedChanges } = this.props;
     const {
       loading: nextLoading,
-      featuredEventsTitle: nextFeaturedEventsTitle
+      featuredEventsTitle: nextFeaturedEventsTitle,
+      stagedChanges: nextStagedChanges
     } = nextProps;
 
     const bannerIds = this.props.headerBanners.map(getId);
@@ -53,6 +59,7 @@ class HomeScreen extends Component<Props> {
     return (
       loading !== nextLoading ||
       featuredEventsTitle !== nextFeaturedEventsTitle ||
+      stagedChanges !== nextStagedChanges ||
       !equals(bannerIds, nextBannerIds) ||
       !equals(ids, nextIds)
     );
@@ -75,7 +82,9 @@ class HomeScreen extends Component<Props> {
       featuredEvents,
       featuredEventsTitle,
       getImageDetails,
-      navigation
+      navigation,
+      stagedChanges,
+      applyStagedData
     } = this.props;
 
     // Show only even number of events (2, 4 or 6).
@@ -84,7 +93,12 @@ class HomeScreen extends Component<Props> {
     const events = featuredEvents.slice(0, eventsCount);
 
     return (
-      <ScrollView testID="home-screen" style={styles.container}>
+      <ScrollView
+        testID="home-screen"
+        style={styles.container}
+        stickyHeaderIndices={[0]}
+      >
+        <NewContentBanner changes={stagedChanges} onPress={applyStagedData} />
         <View style={styles.content}>
           <Header
             headerBanners={headerBanners}
@@ -33,6 +33,8 @@ describe("HomeScreen Component", () => {
         featuredEventsTitle="Featured events"
         featuredEvents={generateEvents(2)}
         getImageDetails={getImageDetails}
+        stagedChanges={null}
+        applyStagedData={() => {}}
         {...props}
       />
     );
@@ -84,7 +86,8 @@ describe("HomeScreen Component", () => {
       headerBanners: generateHeaderBanners(2),
       featuredEventsTitle: "Title",
       featuredEvents: generateEvents(3),
-      loading: false
+      loading: false,
+      stagedChanges: null
     };
 
     it("stops updates if loading state, title and events are the same", () => {
@@ -93,7 +96,8 @@ describe("HomeScreen Component", () => {
         headerBanners: generateHeaderBanners(2),
         featuredEventsTitle: "Title",
         featuredEvents: generateEvents(3),
-        loading: false
+        loading: false,
+        stagedChanges: null
       };
 
       const shouldUpdate = output.instance().shouldComponentUpdate(nextProps);
@@ -107,7 +111,8 @@ describe("HomeScreen Component", () => {
         headerBanners: generateHeaderBanners(2),
         featuredEventsTitle: "Title",
         featuredEvents: generateEvents(5),
-        loading: false
+        loading: false,
+        stagedChanges: null
       };
 
       const shouldUpdate = output.instance().shouldComponentUpdate(nextProps);
@@ -121,7 +126,8 @@ describe("HomeScreen Component", () => {
         headerBanners: generateHeaderBanners(2),
         featuredEventsTitle: "Other Title",
         featuredEvents: generateEvents(3),
-        loading: false
+        loading: false,
+        stagedChanges: null
       };
 
       const shouldUpdate = output.instance().shouldComponentUpdate(nextProps);
@@ -135,7 +141,20 @@ describe("HomeScreen Component", () => {
         headerBanners: generateHeaderBanners(2),
         featuredEventsTitle: "Title",
         featuredEvents: generateEvents(3),
-        loading: true
+        loading: true,
+        stagedChanges: null
+      };
+
+      const shouldUpdate = output.instance().shouldComponentUpdate(nextProps);
+
+      expect(shouldUpdate).toBe(true);
+    });
+
+    it("updates when new content is staged", () => {
+      const output = render(props);
+      const nextProps = {
+        ...props,
+        stagedChanges: { newEvents: 12, updatedEvents: 2 }
       };
 
       const shouldUpdate = output.instance().shouldComponentUpdate(nextProps);
@@ -149,7 +168,8 @@ describe("HomeScreen Component", () => {
         headerBanners: generateHeaderBanners(3),
         featuredEventsTitle: "Title",
         featuredEvents: generateEvents(3),
-        loading: false
+        loading: false,
+        stagedChanges: null
       };
 
       const shouldUpdate = output.instance().shouldComponentUpdate(nextProps);
@@ -7,11 +7,14 @@ import type { State } from "../../reducers";
 import type { Event } from "../../data/event";
 import type { HeaderBanner } from "../../data/header-banner";
 import type { ImageDetails } from "../../data/image";
-import { getImageDetails } from "../../data/image";
+import type { FieldRef } from "../../data/field-ref";
 import strings from "../../constants/strings";
 import { selectData, getFeaturedEventsResolvedEvents } from "../../selectors";
-import { selectLoading } from "../../selectors/data";
+import { applyStagedData } from "../../actions/data";
+import { selectLoading, selectStagedChanges } from "../../selectors/data";
+import type { StagedChanges } from "../../selectors/data";
 import { selectHeaderBanners } from "../../selectors/header-banner";
+import { selectImageDetailsGetter } from "../../selectors/images";
 import Component from "./component";
 import withIsFocused from "../../components/WithIsFocused";
 
@@ -26,13 +29,20 @@ type StateProps = {
   featuredEventsTitle: string,
   featuredEvents: Event[],
   loading: boolean,
-  getImageDetails: string => ?ImageDetails
+  stagedChanges: ?StagedChanges,
+  getImageDetails: FieldRef => ?ImageDetails
 };
 
-type Props = StateProps;
+type DispatchProps = {
+  applyStagedData: () => void
+};
+
+type Props = StateProps & DispatchProps;
 
 const getDataLoading = createSelector([selectData], selectLoading);
 
+const getStagedChanges = createSelector([selectData], selectStagedChanges);
+
 let cache: StateProps;
 
 // Note we must add a return type here for react-redux connect to work
@@ -52,13 +62,16 @@ const mapStateToProps = (
         strings.featuredEventsTitle
       ),
       loading: getDataLoading(state),
-      getImageDetails: getImageDetails(state.data.images)
+      stagedChanges: getStagedChanges(state),
+      getImageDetails: selectImageDetailsGetter(state)
     };
   }
   return cache;
 };
 
-const mapDispatchToProps = {};
+const mapDispatchToProps = {
+  applyStagedData
+};
 
 const connector: Connector<OwnProps, Props> = connect(
   mapStateToProps,
@@ -3,6 +3,7 @@ import { connect } from "react-redux";
 import type { Connector } from "react-redux";
 import type { ParadeGroup } from "../../data/parade-group";
 import type { State } from "../../reducers";
+import { getParadeGroups } from "../../selectors";
 import withIsFocused from "../../components/WithIsFocused";
 import Component from "./component";
 
@@ -22,7 +23,7 @@ let cache: Props;
 const mapStateToProps = (state: State, { isFocused }: OwnProps): Props => {
   if (!cache || isFocused) {
     cache = {
-      paradeGroups: state.data.paradeGroups
+      paradeGroups: getParadeGroups(state)
     };
   }
   return cache;
@@ -0,0 +1,98 @@
+// @flow
+import React from "react";
+import { StyleSheet, View } from "react-native";
+import type { SavedEventChange } from "../../data/saved-event-changes";
+import ContentPadding from "../../components/ContentPadding";
+import LayoutColumn from "../../components/LayoutColumn";
+import SectionHeader from "../../components/SectionHeader";
+import Text from "../../components/Text";
+import TextLink from "../../components/TextLink";
+import Touchable from "../../components/Touchable";
+import { formatTime } from "../../data/formatters";
+import {
+  toLondonFormat as formatDate,
+  FORMAT_SHORT_WEEKDAY_DAY_MONTH
+} from "../../lib/date";
+import text from "../../constants/text";
+
+type Props = {
+  changes: SavedEventChange[],
+  onPress: (id: string) => void,
+  onDismiss: () => void
+};
+
+const describeChange = ({ current, changedFields }: SavedEventChange) => {
+  if (!current) {
+    return [text.savedEventChanges.cancelled];
+  }
+
+  const timeChanged =
+    changedFields.includes("startTime") || changedFields.includes("endTime");
+  const venueChanged = changedFields.includes("locationName");
+  return [
+    ...(timeChanged
+      ? [
+          text.savedEventChanges.newTime(
+            `${formatDate(
+              current.startTime,
+              FORMAT_SHORT_WEEKDAY_DAY_MONTH
+            )}, ${formatTime(current.startTime)} – ${formatTime(
+              current.endTime
+            )}`
+          )
+        ]
+      : []),
+    ...(venueChanged
+      ? [text.savedEventChanges.newVenue(current.locationName)]
+      : [])
+  ];
+};
+
+// Tells the user which of their saved events moved or were cancelled
+// since they saved them. Cancelled events cannot be opened any more.
+const SavedEventChanges = ({ changes, onPress, onDismiss }: Props) => (
+  <View>
+    <SectionHeader
+      title={text.savedEventChanges.title}
+      badgeValue={changes.length}
+    />
+    <ContentPadding style={styles.content}>
+      <LayoutColumn spacing={12}>
+        {changes.map(change => (
+          <Touchable
+            key={change.id}
+            disabled={!change.current}
+            onPress={() => onPress(change.id)}
+            style={styles.change}
+          >
+            <Text type="h4" color="lightNavyBlueColor">
+              {(change.current || change.previous).name}
+            </Text>
+            {describeChange(change).map(description => (
+              <Text key={description} type="small">
+                {description}
+              </Text>
+            ))}
+          </Touchable>
+        ))}
+        <Touchable onPress={onDismiss} style={styles.dismiss}>
+          <TextLink>{text.savedEventChanges.dismiss}</TextLink>
+        </Touchable>
+      </LayoutColumn>
+    </ContentPadding>
+  </View>
+);
+
+const styles = StyleSheet.create({
+  content: {
+    paddingVertical: 12
+  },
+  change: {
+    alignItems: "flex-start"
+  },
+  dismiss: {
+    alignSelf: "flex-start"
+  }
+});
+
+export default SavedEventChanges;
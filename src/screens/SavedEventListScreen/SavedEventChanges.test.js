@@ -0,0 +1,83 @@
+// @flow
+import React from "react";
+import { shallow } from "enzyme";
+import SavedEventChanges from "./SavedEventChanges";
+
+const previous = {
+  revision: 1,
+  name: "Pride in the Park",
+  startTime: "2018-07-09T11:00+01:00",
+  endTime: "2018-07-09T18:00+01:00",
+  locationName: "Vauxhall Pleasure Gardens"
+};
+
+const changes = [
+  {
+    id: "1",
+    previous,
+    current: {
+      ...previous,
+      revision: 2,
+      startTime: "2018-07-09T12:00+01:00",
+      locationName: "Brockwell Park"
+    },
+    changedFields: ["startTime", "locationName"],
+    time: "2018-07-08T12:00+01:00"
+  },
+  {
+    id: "2",
+    previous: { ...previous, name: "Pride in the Square" },
+    current: null,
+    changedFields: [],
+    time: "2018-07-08T12:00+01:00"
+  }
+];
+
+const render = (props: Object = {}) =>
+  shallow(
+    <SavedEventChanges
+      changes={changes}
+      onPress={() => {}}
+      onDismiss={() => {}}
+      {...props}
+    />
+  );
+
+it("renders correctly", () => {
+  expect(render()).toMatchSnapshot();
+});
+
+it("opens events which changed", () => {
+  const onPress = jest.fn();
+  const output = render({ onPress });
+
+  output
+    .find("Touchable")
+    .at(0)
+    .simulate("press");
+
+  expect(onPress).toHaveBeenCalledWith("1");
+});
+
+it("does not open events which were cancelled", () => {
+  const output = render();
+
+  expect(
+    output
+      .find("Touchable")
+      .at(1)
+      .prop("disabled")
+  ).toBe(true);
+});
+
+it("dismisses the updates", () => {
+  const onDismiss = jest.fn();
+  const output = render({ onDismiss });
+
+  output
+    .find("Touchable")
+    .last()
+    .simulate("press");
+
+  expect(onDismiss).toHaveBeenCalled();
+});
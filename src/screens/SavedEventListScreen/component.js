@@ -3,6 +3,7 @@ import React, { Component } from "react";
 import { StyleSheet, View } from "react-native";
 import type { NavigationScreenProp, NavigationState } from "react-navigation";
 import type { SavedEvents, EventDays } from "../../data/event";
+import type { SavedEventChange } from "../../data/saved-event-changes";
 import EventList from "../../components/EventList";
 import text from "../../constants/text";
 import Loading from "../../components/Loading";
@@ -10,13 +11,16 @@ import Header from "../../components/Header";
 import { bgColor } from "../../constants/colors";
 import { EVENT_DETAILS } from "../../constants/routes";
 import NoSavedEvents from "./NoSavedEvents";
+import SavedEventChanges from "./SavedEventChanges";
 
 export type Props = {
   navigation: NavigationScreenProp<NavigationState>,
   events: EventDays,
   savedEvents: SavedEvents,
+  savedEventChanges: SavedEventChange[],
   addSavedEvent: string => void,
   removeSavedEvent: string => void,
+  dismissSavedEventChanges: () => void,
   loading: boolean,
   refreshing: boolean,
   updateData: () => Promise<void>
@@ -28,6 +32,9 @@ class SavedEventListScreen extends Component<Props> {
     return (
       nextProps.events !== this.props.events ||
       nextProps.savedEvents !== this.props.savedEvents ||
+      nextProps.savedEventChanges !== this.props.savedEventChanges ||
+      nextProps.dismissSavedEventChanges !==
+        this.props.dismissSavedEventChanges ||
       nextProps.addSavedEvent !== this.props.addSavedEvent ||
       nextProps.removeSavedEvent !== this.props.removeSavedEvent ||
       nextProps.loading !== this.props.loading ||
@@ -36,14 +43,20 @@ class SavedEventListScreen extends Component<Props> {
     );
   }
 
+  onEventPress = (eventId: string) => {
+    this.props.navigation.navigate(EVENT_DETAILS, { eventId });
+  };
+
   render() {
     const {
       navigation,
       updateData,
       events,
       savedEvents,
+      savedEventChanges,
       addSavedEvent,
       removeSavedEvent,
+      dismissSavedEventChanges,
       refreshing,
       loading
     } = this.props;
@@ -55,6 +68,14 @@ class SavedEventListScreen extends Component<Props> {
           testID="page-heading-saved-events"
         />
         {loading && <Loading />}
+        {!loading &&
+          savedEventChanges.length > 0 && (
+            <SavedEventChanges
+              changes={savedEventChanges}
+              onPress={this.onEventPress}
+              onDismiss={dismissSavedEventChanges}
+            />
+          )}
         {!loading &&
           events.length === 0 && <NoSavedEvents navigation={navigation} />}
         {!loading &&
@@ -68,9 +89,7 @@ class SavedEventListScreen extends Component<Props> {
               onRefresh={() => {
                 updateData();
               }}
-              onPress={(eventId: string) => {
-                navigation.navigate(EVENT_DETAILS, { eventId });
-              }}
+              onPress={this.onEventPress}
               testID="saved-event-list"
             />
           )}
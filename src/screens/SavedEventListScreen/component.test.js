@@ -6,6 +6,7 @@ import Component from "./component";
 import EventList from "../../components/EventList";
 import Loading from "../../components/Loading";
 import NoSavedEvents from "./NoSavedEvents";
+import SavedEventChanges from "./SavedEventChanges";
 
 const navigation: NavigationScreenProp<NavigationState> = ({
   navigate: () => {}
@@ -92,6 +93,8 @@ describe("SavedEventListScreen Component", () => {
         addSavedEvent={() => {}}
         removeSavedEvent={() => {}}
         savedEvents={new Set()}
+        savedEventChanges={[]}
+        dismissSavedEventChanges={() => {}}
       />
     );
     expect(output).toMatchSnapshot();
@@ -109,6 +112,8 @@ describe("SavedEventListScreen Component", () => {
         addSavedEvent={() => {}}
         removeSavedEvent={() => {}}
         savedEvents={new Set()}
+        savedEventChanges={[]}
+        dismissSavedEventChanges={() => {}}
       />
     );
 
@@ -129,6 +134,8 @@ describe("SavedEventListScreen Component", () => {
         addSavedEvent={() => {}}
         removeSavedEvent={() => {}}
         savedEvents={new Set()}
+        savedEventChanges={[]}
+        dismissSavedEventChanges={() => {}}
       />
     );
 
@@ -149,6 +156,8 @@ describe("SavedEventListScreen Component", () => {
         addSavedEvent={() => {}}
         removeSavedEvent={() => {}}
         savedEvents={new Set()}
+        savedEventChanges={[]}
+        dismissSavedEventChanges={() => {}}
       />
     );
 
@@ -159,4 +168,44 @@ describe("SavedEventListScreen Component", () => {
 
     expect(updateData).toHaveBeenCalled();
   });
+
+  it("shows the updates to the saved events", () => {
+    const snapshot = {
+      revision: 1,
+      name: "Pride in the Park",
+      startTime: "2018-07-09T11:00+01:00",
+      endTime: "2018-07-09T18:00+01:00",
+      locationName: "Vauxhall Pleasure Gardens"
+    };
+    const savedEventChanges = [
+      {
+        id: "1",
+        previous: snapshot,
+        current: null,
+        changedFields: [],
+        time: "2018-07-08T12:00+01:00"
+      }
+    ];
+    const dismissSavedEventChanges = jest.fn();
+    const output = shallow(
+      <Component
+        navigation={navigation}
+        events={events}
+        loading={false}
+        refreshing={false}
+        updateData={() => Promise.resolve()}
+        addSavedEvent={() => {}}
+        removeSavedEvent={() => {}}
+        savedEvents={new Set()}
+        savedEventChanges={savedEventChanges}
+        dismissSavedEventChanges={dismissSavedEventChanges}
+      />
+    );
+
+    const changes = output.find(SavedEventChanges);
+    expect(changes.prop("changes")).toBe(savedEventChanges);
+
+    changes.prop("onDismiss")();
+    expect(dismissSavedEventChanges).toHaveBeenCalled();
+  });
 });
@@ -5,8 +5,10 @@ import { createSelector } from "reselect";
 import type { NavigationScreenProp, NavigationState } from "react-navigation";
 import type { State } from "../../reducers";
 import type { EventDays, SavedEvents } from "../../data/event";
+import type { SavedEventChange } from "../../data/saved-event-changes";
 import { updateData } from "../../actions/data";
 import { addSavedEvent, removeSavedEvent } from "../../actions/saved-events";
+import { dismissSavedEventChanges } from "../../actions/saved-event-changes";
 import {
   selectData,
   selectSavedEvents,
@@ -15,6 +17,7 @@ import {
 import { selectLoading, selectRefreshing } from "../../selectors/data";
 import { groupEventsByStartTime } from "../../selectors/event";
 import { resolveSavedEvents } from "../../selectors/saved-events";
+import { selectSavedEventChanges } from "../../selectors/saved-event-changes";
 import Component from "./component";
 import withIsFocused from "../../components/WithIsFocused";
 
@@ -27,6 +30,7 @@ type StateProps = {
   navigation: NavigationScreenProp<NavigationState>,
   events: EventDays,
   savedEvents: SavedEvents,
+  savedEventChanges: SavedEventChange[],
   loading: boolean,
   refreshing: boolean
 };
@@ -34,7 +38,8 @@ type StateProps = {
 type DispatchProps = {
   updateData: () => Promise<void>,
   addSavedEvent: string => void,
-  removeSavedEvent: string => void
+  removeSavedEvent: string => void,
+  dismissSavedEventChanges: () => void
 };
 
 type Props = StateProps & DispatchProps;
@@ -67,6 +72,7 @@ const mapStateToProps = (
       navigation,
       events: getGroupEventsByStartTime(state),
       savedEvents: selectSavedEvents(state),
+      savedEventChanges: selectSavedEventChanges(state),
       loading: getDataLoading(state),
       refreshing: getDataRefreshing(state)
     };
@@ -77,7 +83,8 @@ const mapStateToProps = (
 const mapDispatchToProps = {
   updateData,
   addSavedEvent,
-  removeSavedEvent
+  removeSavedEvent,
+  dismissSavedEventChanges
 };
 
 const connector: Connector<OwnProps, Props> = connect(
@@ -7,6 +7,7 @@ import { shallow } from "enzyme";
 import { DateTime } from "luxon";
 import { Container } from "./";
 import { createEventFiltersState } from "../../reducers/event-filters";
+import { emptyCollection } from "../../lib/collection";
 
 const navigation: NavigationScreenProp<*> = ({}: any);
 
@@ -14,19 +15,20 @@ const mockStore = configureStore([thunk]);
 
 const initialState = {
   data: {
-    events: [],
-    featuredEvents: [],
-    headerBanners: [],
-    images: {},
-    performances: {},
-    sponsors: [],
+    events: emptyCollection(),
+    featuredEvents: emptyCollection(),
+    headerBanners: emptyCollection(),
+    images: emptyCollection(),
+    performances: emptyCollection(),
+    sponsors: emptyCollection(),
     loading: true,
     refreshing: false
   },
   eventFilters: createEventFiltersState(
     DateTime.fromISO("2018-07-07T00:00:00+01:00")
   ),
-  savedEvents: new Set()
+  savedEvents: new Set(),
+  savedEventChanges: { loaded: true, log: { snapshots: {}, changes: [] } }
 };
 
 describe("SavedEventListScreen Container", () => {
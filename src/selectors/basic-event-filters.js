@@ -1,24 +1,24 @@
 // @flow
 import {
-  areRangesOverlapping,
   startOfDay,
   endOfDay,
   getHours,
-  diff as dateDiff
+  parse as parseDate
 } from "../lib/date";
-import { selectEventIsFree } from "./event";
-import areaBoundaries from "../data/areas";
 import type { Event, EventCategoryName } from "../data/event";
 import type { DateRange, Time } from "../data/date-time";
-import type { Area, StringFilterSet } from "../data/event-filters";
+import type { Area, PriceRange, StringFilterSet } from "../data/event-filters";
+import { isPriceInRange, priceOf } from "./price-range";
 
-export const buildDateRangeFilter = (date: DateRange) => (event: Event) =>
-  areRangesOverlapping(
-    startOfDay(date.startDate),
-    endOfDay(date.endDate),
-    event.fields.startTime,
-    event.fields.endTime
-  );
+export const buildDateRangeFilter = (date: DateRange) => {
+  const rangeStart = +parseDate(startOfDay(date.startDate));
+  const rangeEnd = +parseDate(endOfDay(date.endDate));
+  return (event: Event) =>
+    +event.fields.startDateTime < rangeEnd &&
+    +event.fields.endDateTime > rangeStart;
+};
+
+const HOUR = 60 * 60 * 1000;
 
 type TimeFilter = (timeFilter: Time) => (event: Event) => boolean;
 
@@ -38,12 +38,9 @@ const rangeFromTime = (timeFilter: Time) => {
 export const buildTimeFilter: TimeFilter = (timeFilter: Time) => event => {
   const [rangeMin, rangeMax] = rangeFromTime(timeFilter);
   const relativeRangeMax = rangeMax - rangeMin;
-  const eventStartHour = getHours(event.fields.startTime);
-  const eventDuration = dateDiff(
-    event.fields.endTime,
-    event.fields.startTime,
-    "hours"
-  ).hours;
+  const eventStartHour = getHours(event.fields.startDateTime);
+  const eventDuration =
+    (+event.fields.endDateTime - +event.fields.startDateTime) / HOUR;
   const relativeStartHour = (eventStartHour - rangeMin) % 24;
   const relativeEndHour = (relativeStartHour + eventDuration) % 24;
   return (
@@ -65,8 +62,10 @@ export const buildCategoryFilter = (categories: Set<EventCategoryName>) => {
     );
 };
 
-export const buildPriceFilter = () => (event: Event) =>
-  selectEventIsFree(event);
+// Events are in the range when any of their tickets are
+export const buildPriceRangeFilter = (priceRange: PriceRange) => (
+  event: Event
+) => isPriceInRange(priceOf(event), priceRange);
 
 export const buildStringSetFilter = (
   fieldName: string,
@@ -82,32 +81,5 @@ export const buildStringSetFilter = (
       : false;
 };
 
-export const buildAreaFilter = (area: Area) => {
-  switch (area) {
-    case "North":
-      return (event: Event) =>
-        event.fields.location.lat >= areaBoundaries.northLatBoundary;
-    case "East":
-      return (event: Event) =>
-        event.fields.location.lon >= areaBoundaries.eastLonBoundary;
-    case "South":
-      return (event: Event) =>
-        event.fields.location.lat <= areaBoundaries.southLatBoundary;
-    case "West":
-      return (event: Event) =>
-        event.fields.location.lon <= areaBoundaries.westLonBoundary;
-    case "Central":
-      return (event: Event) => {
-        const { lat, lon } = event.fields.location;
-        return (
-          lat < areaBoundaries.northLatBoundary &&
-          lon < areaBoundaries.eastLonBoundary &&
-          lat > areaBoundaries.southLatBoundary &&
-          lon > areaBoundaries.westLonBoundary
-        );
-      };
-    default:
-      /* eslint-disable no-unused-vars */
-      return (_: any) => true;
-  }
-};
+export const buildAreaFilter = (area: Area) => (event: Event) =>
+  event.fields.area === area;
@@ -1,14 +1,17 @@
 // @flow
+import { Settings } from "luxon";
 import { generateEvent, sampleOne } from "../data/__test-data";
 import {
   buildCategoryFilter,
   buildDateRangeFilter,
   buildTimeFilter,
-  buildPriceFilter,
+  buildPriceRangeFilter,
   buildStringSetFilter,
   buildAreaFilter
 } from "./basic-event-filters";
 import type { Event, EventCategoryName } from "../data/event";
+import type { Area } from "../data/event-filters";
+import { parse as parseDate } from "../lib/date";
 
 export type BuildEventArguments = {
   startTime?: string,
@@ -16,10 +19,7 @@ export type BuildEventArguments = {
   eventCategories?: Array<EventCategoryName>,
   eventPriceLow?: number,
   eventPriceHigh?: number,
-  location?: {
-    lat: number,
-    lon: number
-  }
+  area?: ?Area
 };
 
 const buildEvent = ({
@@ -28,18 +28,17 @@ const buildEvent = ({
   eventCategories = [],
   eventPriceLow = 0,
   eventPriceHigh = 12,
-  location = {
-    lon: -0.15343029999996816,
-    lat: 51.5352875
-  }
+  area
 }: BuildEventArguments): Event => {
   const event = sampleOne(generateEvent);
   event.fields.startTime = startTime;
+  event.fields.startDateTime = parseDate(startTime);
   event.fields.endTime = endTime;
+  event.fields.endDateTime = parseDate(endTime);
   event.fields.eventCategories = eventCategories;
   event.fields.eventPriceLow = eventPriceLow;
   event.fields.eventPriceHigh = eventPriceHigh;
-  event.fields.location = location;
+  event.fields.area = area || null;
   return event;
 };
 
@@ -82,6 +81,89 @@ describe("buildDateRangeFilter", () => {
   });
 });
 
+["Europe/London", "America/Los_Angeles", "Australia/Sydney"].forEach(zone => {
+  describe(`filtering by London time on a device in ${zone}`, () => {
+    beforeEach(() => {
+      Settings.defaultZoneName = zone;
+    });
+
+    afterEach(() => {
+      Settings.defaultZoneName = "local";
+    });
+
+    // The clocks went back an hour at 02:00 BST on 28 October 2018
+    it("uses the London days of the date range", () => {
+      const filter = buildDateRangeFilter({
+        startDate: "2018-10-28",
+        endDate: "2018-10-28"
+      });
+      expect(
+        filter(
+          buildEvent({
+            startTime: "2018-10-27T22:30Z",
+            endTime: "2018-10-27T22:45Z"
+          })
+        )
+      ).toBe(false);
+      expect(
+        filter(
+          buildEvent({
+            startTime: "2018-10-27T23:15Z",
+            endTime: "2018-10-27T23:30Z"
+          })
+        )
+      ).toBe(true);
+      expect(
+        filter(
+          buildEvent({
+            startTime: "2018-10-28T23:30Z",
+            endTime: "2018-10-28T23:45Z"
+          })
+        )
+      ).toBe(true);
+      expect(
+        filter(
+          buildEvent({
+            startTime: "2018-10-29T00:15Z",
+            endTime: "2018-10-29T00:30Z"
+          })
+        )
+      ).toBe(false);
+    });
+
+    it("uses the London hours of the event", () => {
+      const eveningFilter = buildTimeFilter("evening");
+      const morningFilter = buildTimeFilter("morning");
+      const summerEvent = buildEvent({
+        startTime: "2018-10-27T17:30Z",
+        endTime: "2018-10-27T17:45Z"
+      });
+      const winterEvent = buildEvent({
+        startTime: "2018-10-28T17:30Z",
+        endTime: "2018-10-28T17:45Z"
+      });
+      expect(eveningFilter(summerEvent)).toBe(true);
+      expect(eveningFilter(winterEvent)).toBe(false);
+      expect(
+        morningFilter(
+          buildEvent({
+            startTime: "2018-10-28T05:30Z",
+            endTime: "2018-10-28T05:45Z"
+          })
+        )
+      ).toBe(false);
+      expect(
+        morningFilter(
+          buildEvent({
+            startTime: "2018-10-27T05:30Z",
+            endTime: "2018-10-27T05:45Z"
+          })
+        )
+      ).toBe(true);
+    });
+  });
+});
+
 describe("buildTimeFilter", () => {
   describe("events spanning a single time slot", () => {
     it("correctly filters an event that starts and ends in the same morning", () => {
@@ -268,23 +350,44 @@ describe("buildCategoryFilter", () => {
   });
 });
 
-describe("buildPriceFilter", () => {
-  it("filters events that are not free", () => {
-    const event = buildEvent({
-      eventPriceLow: 0,
-      eventPriceHigh: 12
-    });
-    const filter = buildPriceFilter();
-    expect(filter(event)).toBe(false);
+describe("buildPriceRangeFilter", () => {
+  const freeEvent = buildEvent({ eventPriceLow: 0, eventPriceHigh: 0 });
+  const cheapEvent = buildEvent({ eventPriceLow: 5, eventPriceHigh: 5 });
+  const rangedEvent = buildEvent({ eventPriceLow: 10, eventPriceHigh: 30 });
+  const expensiveEvent = buildEvent({ eventPriceLow: 60, eventPriceHigh: 80 });
+
+  it("allows only free events when the range is free", () => {
+    const filter = buildPriceRangeFilter({ min: 0, max: 0 });
+    expect(filter(freeEvent)).toBe(true);
+    expect(filter(cheapEvent)).toBe(false);
+    expect(filter(rangedEvent)).toBe(false);
+    expect(filter(expensiveEvent)).toBe(false);
   });
 
-  it("does not filter events that are free", () => {
-    const event = buildEvent({
-      eventPriceLow: 0,
-      eventPriceHigh: 0
-    });
-    const filter = buildPriceFilter();
-    expect(filter(event)).toBe(true);
+  it("allows events whose lowest price is inside the range", () => {
+    const filter = buildPriceRangeFilter({ min: 10, max: 40 });
+    expect(filter(freeEvent)).toBe(false);
+    expect(filter(cheapEvent)).toBe(false);
+    expect(filter(rangedEvent)).toBe(true);
+    expect(filter(expensiveEvent)).toBe(false);
+  });
+
+  it("does not allow events which only reach the range at their highest price", () => {
+    const filter = buildPriceRangeFilter({ min: 20, max: 40 });
+    expect(filter(rangedEvent)).toBe(false);
+  });
+
+  it("allows events at the edges of the range", () => {
+    const filter = buildPriceRangeFilter({ min: 5, max: 10 });
+    expect(filter(cheapEvent)).toBe(true);
+    expect(filter(rangedEvent)).toBe(true);
+  });
+
+  it("has no upper limit when there is no max", () => {
+    const filter = buildPriceRangeFilter({ min: 50, max: null });
+    expect(filter(freeEvent)).toBe(false);
+    expect(filter(rangedEvent)).toBe(false);
+    expect(filter(expensiveEvent)).toBe(true);
   });
 });
 
@@ -340,58 +443,21 @@ describe("buildStringSetFilter", () => {
 });
 
 describe("buildAreaFilter", () => {
-  it("checks for North", () => {
-    const event = buildEvent({
-      location: {
-        lon: -0.15343029999996816,
-        lat: 51.5352875
-      }
-    });
+  it("allows events in the area", () => {
+    const event = buildEvent({ area: "North" });
     expect(buildAreaFilter("North")(event)).toBe(true);
-    expect(buildAreaFilter("South")(event)).toBe(false);
   });
 
-  it("checks for South", () => {
-    const event = buildEvent({
-      location: {
-        lon: -0.14505099999996673,
-        lat: 51.478269
-      }
-    });
-    expect(buildAreaFilter("South")(event)).toBe(true);
-    expect(buildAreaFilter("North")(event)).toBe(false);
-  });
-
-  it("checks for East", () => {
-    const event = buildEvent({
-      location: {
-        lon: -0.032449100000008,
-        lat: 51.5126187
-      }
-    });
-    expect(buildAreaFilter("East")(event)).toBe(true);
-    expect(buildAreaFilter("West")(event)).toBe(false);
-  });
-
-  it("checks for West", () => {
-    const event = buildEvent({
-      location: {
-        lon: -0.21075725555419922,
-        lat: 51.49629375642361
-      }
-    });
-    expect(buildAreaFilter("West")(event)).toBe(true);
-    expect(buildAreaFilter("East")(event)).toBe(false);
+  it("does not allow events in other areas", () => {
+    const event = buildEvent({ area: "East" });
+    expect(buildAreaFilter("South")(event)).toBe(false);
+    expect(buildAreaFilter("Central")(event)).toBe(false);
   });
 
-  it("checks for Central", () => {
-    const event = buildEvent({
-      location: {
-        lon: -0.12488365173339844,
-        lat: 51.49949975595735
-      }
+  it("does not allow events outside of any area", () => {
+    const event = buildEvent({ area: null });
+    ["Central", "North", "East", "South", "West"].forEach(area => {
+      expect(buildAreaFilter(area)(event)).toBe(false);
     });
-    expect(buildAreaFilter("Central")(event)).toBe(true);
-    expect(buildAreaFilter("North")(event)).toBe(false);
   });
 });
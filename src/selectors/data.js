@@ -1,9 +1,7 @@
 // @flow
 import type { Event, Events } from "../data/event";
 import type { FeaturedEvents } from "../data/featured-events";
-import type { FieldRef } from "../data/field-ref";
-import type { Performance, Performances } from "../data/performance";
-import type { Amenity } from "../data/amenity";
+import type { CmsEntry } from "../integrations/cms";
 import type { State as DataState } from "../reducers/data";
 
 type ObjectWithId<A> = {
@@ -22,46 +20,70 @@ export const selectLoading = (data: DataState): boolean => data.loading;
 
 export const selectRefreshing = (data: DataState): boolean => data.refreshing;
 
-export const selectEvents = (data: DataState): Array<Event> => data.events;
+// What a staged background refresh would change about the events
+export type StagedChanges = {
+  newEvents: number,
+  updatedEvents: number
+};
 
-export const selectEventsMap = (events: Array<Event>): Events =>
-  events.reduce(reduceToMapHelp, {});
+const isEventEntry = (entry: CmsEntry) =>
+  entry.sys.contentType.sys.id === "event";
 
-export const selectEventById = (events: Events, id: string): ?Event =>
-  events[id];
+export const selectStagedChanges = (data: DataState): ?StagedChanges => {
+  const { cmsData, stagedCmsData } = data;
+  if (!cmsData || !stagedCmsData) {
+    return null;
+  }
 
-export const selectPerformancesMap = (data: DataState): Performances =>
-  data.performances;
+  const revisions = cmsData.entries
+    .filter(isEventEntry)
+    .reduce((acc: { [id: string]: number }, entry) => {
+      // intentional mutation as this happens in a reduce
+      acc[entry.sys.id] = entry.sys.revision;
+      return acc;
+    }, {});
 
-export const selectPerformanceById = (
-  performances: Performances,
-  id: string
-): ?Performance => performances[id];
+  return stagedCmsData.entries.filter(isEventEntry).reduce(
+    (acc: StagedChanges, entry) => {
+      const revision = revisions[entry.sys.id];
+      if (revision == null) {
+        return { ...acc, newEvents: acc.newEvents + 1 };
+      }
+      if (revision !== entry.sys.revision) {
+        return { ...acc, updatedEvents: acc.updatedEvents + 1 };
+      }
+      return acc;
+    },
+    { newEvents: 0, updatedEvents: 0 }
+  );
+};
+
+// How many entries of each content type are cached, with assets
+// counted as "asset"
+export const selectEntryCounts = (
+  data: DataState
+): { [contentType: string]: number } => {
+  const { cmsData } = data;
+  if (!cmsData) {
+    return {};
+  }
+
+  return cmsData.entries.reduce(
+    (acc: { [contentType: string]: number }, entry) => {
+      const contentType = entry.sys.contentType.sys.id;
+      // intentional mutation as this happens in a reduce
+      acc[contentType] = (acc[contentType] || 0) + 1;
+      return acc;
+    },
+    { asset: cmsData.assets.length }
+  );
+};
 
-export const selectFeaturedEvents = (data: DataState): FeaturedEvents[] =>
-  data.featuredEvents;
+export const selectEventsMap = (events: Array<Event>): Events =>
+  events.reduce(reduceToMapHelp, {});
 
 export const selectFeaturedEventsByTitle = (
   featuredEventsList: FeaturedEvents[],
   title: string
 ): ?FeaturedEvents =>
   featuredEventsList.find(entry => entry.fields.title === title);
-
-export const selectAmenities = (data: DataState): Array<Amenity> =>
-  data.amenities;
-
-const resolveEventsHelp = (eventMap: Events) => (
-  acc: Event[],
-  reference: FieldRef
-) => {
-  const event = eventMap[reference.sys.id];
-  if (event) {
-    acc.push(event);
-  }
-  return acc;
-};
-
-export const resolveEvents = (
-  eventMap: Events,
-  references: FieldRef[]
-): Event[] => references.reduce(resolveEventsHelp(eventMap), []);
@@ -2,33 +2,32 @@
 import {
   generateEvent,
   generateFeaturedEvents,
-  generatePerformance,
-  sampleArrayOf,
-  sampleOne
+  sampleArrayOf
 } from "../data/__test-data";
+import { emptyCollection } from "../lib/collection";
 import type { State as DataState } from "../reducers/data";
 import {
-  selectEvents,
   selectEventsMap,
-  selectEventById,
-  selectFeaturedEvents,
   selectFeaturedEventsByTitle,
   selectLoading,
-  selectPerformanceById,
-  selectPerformancesMap,
   selectRefreshing,
-  resolveEvents
+  selectStagedChanges,
+  selectEntryCounts
 } from "./data";
 
 const createData = (): DataState => ({
-  events: [],
-  featuredEvents: [],
-  headerBanners: [],
-  images: {},
-  paradeGroups: [],
-  performances: {},
-  sponsors: [],
-  amenities: [],
+  locale: "en-GB",
+  cmsData: null,
+  stagedCmsData: null,
+  events: emptyCollection(),
+  featuredEvents: emptyCollection(),
+  headerBanners: emptyCollection(),
+  images: emptyCollection(),
+  paradeGroups: emptyCollection(),
+  performances: emptyCollection(),
+  sponsors: emptyCollection(),
+  amenities: emptyCollection(),
+  rejections: [],
   loading: false,
   refreshing: false,
   noDataReceived: false
@@ -54,62 +53,91 @@ describe("selectRefreshing", () => {
   });
 });
 
-describe("selectEvents", () => {
-  it("selects events", () => {
-    const data = createData();
-    const selected = selectEvents(data);
-
-    expect(selected).toEqual(data.events);
+describe("selectStagedChanges", () => {
+  const entry = (id, revision, contentType = "event"): any => ({
+    sys: { id, revision, contentType: { sys: { id: contentType } } }
   });
-});
-
-describe("selectEventsMap", () => {
-  it("transforms array of events to map of events", () => {
-    const selected = selectEventsMap(sampleArrayOf(generateEvent)(3));
-
-    expect(selected).toMatchSnapshot();
+  const cmsData = (entries): any => ({
+    entries,
+    assets: [],
+    syncToken: "abc",
+    updated: true
   });
-});
 
-describe("selectEventById", () => {
-  it("selects event property", () => {
-    const event = sampleOne(generateEvent, { seed: 398 });
-    const eventsById = {
-      test: event
-    };
-    const selected = selectEventById(eventsById, "test");
+  it("returns null when nothing is staged", () => {
+    const data = createData();
+    data.cmsData = cmsData([entry("1", 1)]);
 
-    expect(selected).toEqual(event);
+    expect(selectStagedChanges(data)).toBeNull();
   });
-});
 
-describe("selectPerformancesMap", () => {
-  it("selects performances", () => {
+  it("counts new and updated events", () => {
     const data = createData();
-    const selected = selectPerformancesMap(data);
+    data.cmsData = cmsData([entry("1", 1), entry("2", 1), entry("3", 1)]);
+    data.stagedCmsData = cmsData([
+      entry("1", 1),
+      entry("2", 2),
+      entry("3", 1),
+      entry("4", 1),
+      entry("5", 1)
+    ]);
+
+    expect(selectStagedChanges(data)).toEqual({
+      newEvents: 2,
+      updatedEvents: 1
+    });
+  });
 
-    expect(selected).toEqual(data.performances);
+  it("ignores other content types", () => {
+    const data = createData();
+    data.cmsData = cmsData([entry("1", 1, "sponsor")]);
+    data.stagedCmsData = cmsData([
+      entry("1", 2, "sponsor"),
+      entry("2", 1, "headerBanner")
+    ]);
+
+    expect(selectStagedChanges(data)).toEqual({
+      newEvents: 0,
+      updatedEvents: 0
+    });
   });
 });
 
-describe("selectPerformanceById", () => {
-  it("selects performance", () => {
-    const performance = sampleOne(generatePerformance, { seed: 398 });
-    const performancesById = {
-      test: performance
-    };
-    const selected = selectPerformanceById(performancesById, "test");
+describe("selectEntryCounts", () => {
+  const entry = (id, contentType): any => ({
+    sys: { id, revision: 1, contentType: { sys: { id: contentType } } }
+  });
 
-    expect(selected).toEqual(performance);
+  it("returns no counts when nothing is cached", () => {
+    expect(selectEntryCounts(createData())).toEqual({});
   });
-});
 
-describe("selectFeaturedEvents", () => {
-  it("selectsFeaturedEvents", () => {
+  it("counts entries by content type", () => {
     const data = createData();
-    const selected = selectFeaturedEvents(data);
+    data.cmsData = ({
+      entries: [
+        entry("1", "event"),
+        entry("2", "event"),
+        entry("3", "sponsor")
+      ],
+      assets: [{ sys: { id: "4" } }],
+      syncToken: "abc",
+      updated: false
+    }: any);
+
+    expect(selectEntryCounts(data)).toEqual({
+      asset: 1,
+      event: 2,
+      sponsor: 1
+    });
+  });
+});
+
+describe("selectEventsMap", () => {
+  it("transforms array of events to map of events", () => {
+    const selected = selectEventsMap(sampleArrayOf(generateEvent)(3));
 
-    expect(selected).toEqual(data.featuredEvents);
+    expect(selected).toMatchSnapshot();
   });
 });
 
@@ -129,33 +157,3 @@ describe("selectFeaturedEventsByTitle", () => {
     expect(events).toEqual(featuredEventsList[1]);
   });
 });
-
-describe("resolveEvents", () => {
-  it("resolves array of FieldRefs to Events", () => {
-    const eventA = sampleOne(generateEvent, { seed: 1236 });
-    const eventB = sampleOne(generateEvent, { seed: 2236 });
-    const eventC = sampleOne(generateEvent, { seed: 4236 });
-    const eventMap = {
-      [eventA.id]: eventA,
-      [eventB.id]: eventB,
-      [eventC.id]: eventC
-    };
-    const references = [{ sys: { id: eventA.id } }, { sys: { id: eventB.id } }];
-    const resolved = resolveEvents(eventMap, references);
-    expect(resolved).toEqual([eventA, eventB]);
-  });
-
-  it("omits any unresolvable FieldRefs", () => {
-    const eventA = sampleOne(generateEvent, { seed: 1236 });
-    const eventB = sampleOne(generateEvent, { seed: 2236 });
-    const eventC = sampleOne(generateEvent, { seed: 4236 });
-    const eventMap = {
-      [eventA.id]: eventA,
-      [eventB.id]: eventB,
-      [eventC.id]: eventC
-    };
-    const references = [{ sys: { id: "missing" } }];
-    const resolved = resolveEvents(eventMap, references);
-    expect(resolved).toEqual([]);
-  });
-});
@@ -0,0 +1,60 @@
+// @flow
+import { distanceBetween } from "../lib/distance";
+import { getLocation } from "../lib/geolocation";
+import type { Coordinate, LocationStatus } from "../lib/geolocation";
+import type { Event, EventDays } from "../data/event";
+
+// How far away each event is from the user, in metres, by event id
+export type EventDistances = { [id: string]: number };
+
+// The radii, in metres, which events near the user can be shown within
+export type NearMeRadius = 500 | 1000 | 2000 | 5000;
+
+export const nearMeRadii: NearMeRadius[] = [500, 1000, 2000, 5000];
+
+export const eventCoordinate = (event: Event): Coordinate => ({
+  latitude: event.fields.location.lat,
+  longitude: event.fields.location.lon
+});
+
+export const measureEventDistances = (
+  days: EventDays,
+  from: Coordinate
+): EventDistances =>
+  days.reduce((acc: EventDistances, day) => {
+    day.forEach(event => {
+      // intentional mutation as this happens in a reduce
+      acc[event.id] = distanceBetween(from, eventCoordinate(event));
+    });
+    return acc;
+  }, {});
+
+// The distances are only known once the user's location is
+export const userEventDistances = (
+  days: EventDays,
+  userLocation: LocationStatus
+): ?EventDistances => {
+  const coords = getLocation(userLocation);
+  return coords ? measureEventDistances(days, coords) : null;
+};
+
+// Keeps the events within the radius, closest first within each day.
+// Days left without any events are dropped.
+export const nearbyEventDays = (
+  days: EventDays,
+  distances: EventDistances,
+  radius: NearMeRadius
+): EventDays =>
+  days
+    .map(day =>
+      day
+        .filter(event => distances[event.id] <= radius)
+        .map((event, position) => ({ event, position }))
+        .sort(
+          (a, b) =>
+            distances[a.event.id] - distances[b.event.id] ||
+            a.position - b.position
+        )
+        .map(({ event }) => event)
+    )
+    .filter(day => day.length > 0);
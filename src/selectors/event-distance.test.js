@@ -0,0 +1,97 @@
+// @flow
+import { generateEvent, sampleOne } from "../data/__test-data";
+import {
+  eventCoordinate,
+  measureEventDistances,
+  nearbyEventDays,
+  userEventDistances
+} from "./event-distance";
+
+const buildEvent = (id: string, lat: number, lon: number) => {
+  const event = sampleOne(generateEvent);
+  event.id = id;
+  event.fields.location = { lat, lon };
+  return event;
+};
+
+const trafalgarSquare = { latitude: 51.508039, longitude: -0.128069 };
+
+// Roughly 0m, 700m, 1.5km and 2.6km west of Trafalgar Square
+const here = buildEvent("here", 51.508039, -0.128069);
+const near = buildEvent("near", 51.508039, -0.138069);
+const walkable = buildEvent("walkable", 51.508039, -0.149669);
+const far = buildEvent("far", 51.507268, -0.16573);
+
+describe("eventCoordinate", () => {
+  it("returns the location of the event", () => {
+    expect(eventCoordinate(near)).toEqual({
+      latitude: 51.508039,
+      longitude: -0.138069
+    });
+  });
+});
+
+describe("measureEventDistances", () => {
+  it("returns the distance of every event by id", () => {
+    const distances = measureEventDistances(
+      [[here, near], [walkable, far]],
+      trafalgarSquare
+    );
+
+    expect(Object.keys(distances)).toEqual(["here", "near", "walkable", "far"]);
+    expect(distances.here).toBe(0);
+    expect(distances.near).toBeCloseTo(693, -1);
+    expect(distances.walkable).toBeCloseTo(1497, -1);
+    expect(distances.far).toBeCloseTo(2608, -1);
+  });
+});
+
+describe("userEventDistances", () => {
+  it("measures the distances from the user's location", () => {
+    const distances = userEventDistances([[here, near]], {
+      type: "authorized",
+      location: { type: "tracking", coords: trafalgarSquare }
+    });
+
+    expect(distances).toEqual(
+      measureEventDistances([[here, near]], trafalgarSquare)
+    );
+  });
+
+  it("returns null until the user's location is known", () => {
+    expect(
+      userEventDistances([[here, near]], {
+        type: "authorized",
+        location: { type: "awaiting" }
+      })
+    ).toBe(null);
+    expect(userEventDistances([[here, near]], { type: "denied" })).toBe(null);
+  });
+});
+
+describe("nearbyEventDays", () => {
+  const distances = { here: 0, near: 693, walkable: 1497, far: 2608 };
+
+  it("keeps the events within the radius", () => {
+    expect(nearbyEventDays([[far, near, here]], distances, 1000)).toEqual([
+      [here, near]
+    ]);
+  });
+
+  it("sorts the events closest first within each day", () => {
+    expect(
+      nearbyEventDays([[far, walkable], [near, here]], distances, 5000)
+    ).toEqual([[walkable, far], [here, near]]);
+  });
+
+  it("keeps the order of events which are as far away as each other", () => {
+    const other = buildEvent("other", 51.508039, -0.138069);
+    expect(
+      nearbyEventDays([[other, near]], { ...distances, other: 693 }, 1000)
+    ).toEqual([[other, near]]);
+  });
+
+  it("drops days without any events within the radius", () => {
+    expect(nearbyEventDays([[far], [here]], distances, 500)).toEqual([[here]]);
+  });
+});
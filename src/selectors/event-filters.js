@@ -3,7 +3,7 @@ import { DateTime } from "luxon";
 import {
   buildDateRangeFilter,
   buildTimeFilter,
-  buildPriceFilter,
+  buildPriceRangeFilter,
   buildStringSetFilter,
   buildAreaFilter,
   buildCategoryFilter
@@ -20,6 +20,9 @@ import type {
 export const selectShowEventsAfter = (eventFilters: EventFilters): DateTime =>
   eventFilters.showEventsAfter;
 
+export const selectSearchQuery = (eventFilters: EventFilters): string =>
+  eventFilters.searchQuery;
+
 export const selectStagedFilters = (
   eventFilters: EventFilters
 ): FilterCollection => eventFilters.stagedFilters;
@@ -30,9 +33,18 @@ export const selectSelectedFilters = (
 
 export const selectDateFilter = (filters: FilterCollection) => filters.date;
 
+export const selectPriceRangeFilter = (filters: FilterCollection) =>
+  filters.priceRange;
+
 export const selectTimeFilter = (filters: FilterCollection) =>
   filters.timeOfDay;
 
+// The filters without the price range, so that the price histogram
+// shows the prices which could still be picked
+export const selectFiltersWithoutPriceRange = (
+  filters: FilterCollection
+): FilterCollection => ({ ...filters, priceRange: null });
+
 export const selectTagFilterSelectedCount = (filters: FilterCollection) =>
   Object.keys(tags).reduce(
     (acc, tagName) => acc + (filters[tagName] ? filters[tagName].size : 0),
@@ -49,9 +61,9 @@ const buildAreasFilter = (areas: Area[]) => {
   return (event: Event) => filters.some(filter => filter(event));
 };
 
-export const eventIsAfter = (date: DateTime) => (event: Event) => {
-  const endTime = DateTime.fromISO(event.fields.endTime);
-  return DateTime.max(date, endTime) === endTime;
+export const eventIsAfter = (date: DateTime) => {
+  const time = +date;
+  return (event: Event) => +event.fields.endDateTime > time;
 };
 
 export const buildEventFilter = (
@@ -59,7 +71,7 @@ export const buildEventFilter = (
   {
     date,
     timeOfDay,
-    price,
+    priceRange,
     audience,
     venueDetails,
     accessibilityOptions,
@@ -77,8 +89,8 @@ export const buildEventFilter = (
     timeArray.length > 0 && timeArray.length < 3
       ? buildTimesFilter(timeArray)
       : () => true;
-  const priceFilter: (event: Event) => boolean = price.has("free")
-    ? buildPriceFilter()
+  const priceFilter: (event: Event) => boolean = priceRange
+    ? buildPriceRangeFilter(priceRange)
     : () => true;
   const audienceFilter: (event: Event) => boolean =
     audience.size > 0 ? buildStringSetFilter("audience", audience) : () => true;
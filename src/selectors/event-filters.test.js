@@ -3,11 +3,11 @@ import { DateTime } from "luxon";
 import { generateEvent, sampleOne } from "../data/__test-data";
 import type {
   Area,
-  Price,
   Audience,
   VenueDetail,
   AccessibilityOption,
-  FilterCollection
+  FilterCollection,
+  PriceRange
 } from "../data/event-filters";
 import type { DateRange, Time } from "../data/date-time";
 import type { EventCategoryName } from "../data/event";
@@ -18,12 +18,13 @@ import {
   buildEventFilter,
   selectTagFilterSelectedCount
 } from "./event-filters";
+import { parse as parseDate } from "../lib/date";
 
 export type BuildFilterCollection = {
   date?: ?DateRange,
   timeOfDay?: Set<Time>,
   categories?: Set<EventCategoryName>,
-  price?: Set<Price>,
+  priceRange?: ?PriceRange,
   audience?: Set<Audience>,
   venueDetails?: Set<VenueDetail>,
   accessibilityOptions?: Set<AccessibilityOption>,
@@ -36,7 +37,7 @@ const buildFilterCollection = (
   date: filter.date || null,
   timeOfDay: filter.timeOfDay || new Set(),
   categories: filter.categories || new Set(),
-  price: filter.price || new Set(),
+  priceRange: filter.priceRange || null,
   audience: filter.audience || new Set(),
   venueDetails: filter.venueDetails || new Set(),
   accessibilityOptions: filter.accessibilityOptions || new Set(),
@@ -71,7 +72,7 @@ describe("selectTagFilterSelectedCount", () => {
   it("returns number of selected tag filters", () => {
     const filter = buildFilterCollection({
       timeOfDay: new Set(["morning"]),
-      price: new Set(["free"])
+      audience: new Set(["Families"])
     });
 
     const count = selectTagFilterSelectedCount(filter);
@@ -84,7 +85,9 @@ describe("eventIsAfter", () => {
     const date = DateTime.fromISO("2018-07-07T00:00:00+01:00");
     const event = sampleOne(generateEvent);
     event.fields.startTime = "2018-07-01T00:00:00+01:00";
+    event.fields.startDateTime = parseDate("2018-07-01T00:00:00+01:00");
     event.fields.endTime = "2018-07-01T12:00:00+01:00";
+    event.fields.endDateTime = parseDate("2018-07-01T12:00:00+01:00");
 
     expect(eventIsAfter(date)(event)).toEqual(false);
   });
@@ -93,7 +96,9 @@ describe("eventIsAfter", () => {
     const date = DateTime.fromISO("2018-07-07T00:00:00+01:00");
     const event = sampleOne(generateEvent);
     event.fields.startTime = "2018-08-01T00:00:00+01:00";
+    event.fields.startDateTime = parseDate("2018-08-01T00:00:00+01:00");
     event.fields.endTime = "2018-08-01T12:00:00+01:00";
+    event.fields.endDateTime = parseDate("2018-08-01T12:00:00+01:00");
 
     expect(eventIsAfter(date)(event)).toEqual(true);
   });
@@ -108,15 +113,21 @@ describe("buildEventFilter", () => {
     const filter = buildEventFilter(onlyAfter, filterState);
     const laterEvent = sampleOne(generateEvent);
     laterEvent.fields.startTime = "2018-07-07T00:00:00+01:00";
+    laterEvent.fields.startDateTime = parseDate("2018-07-07T00:00:00+01:00");
     laterEvent.fields.endTime = "2018-07-07T12:01:00+01:00";
+    laterEvent.fields.endDateTime = parseDate("2018-07-07T12:01:00+01:00");
 
     const sameTimeEvent = sampleOne(generateEvent);
     sameTimeEvent.fields.startTime = "2018-07-07T00:00:00+01:00";
+    sameTimeEvent.fields.startDateTime = parseDate("2018-07-07T00:00:00+01:00");
     sameTimeEvent.fields.endTime = "2018-07-07T12:00:00+01:00";
+    sameTimeEvent.fields.endDateTime = parseDate("2018-07-07T12:00:00+01:00");
 
     const earlierEvent = sampleOne(generateEvent);
     earlierEvent.fields.startTime = "2018-07-07T00:00:00+01:00";
+    earlierEvent.fields.startDateTime = parseDate("2018-07-07T00:00:00+01:00");
     earlierEvent.fields.endTime = "2018-07-07T11:59:00+01:00";
+    earlierEvent.fields.endDateTime = parseDate("2018-07-07T11:59:00+01:00");
 
     expect(filter(laterEvent)).toEqual(true);
     expect(filter(sameTimeEvent)).toEqual(false);
@@ -138,7 +149,9 @@ describe("buildEventFilter", () => {
     });
     const event = sampleOne(generateEvent);
     event.fields.startTime = "2018-07-10T00:00:00+01:00";
+    event.fields.startDateTime = parseDate("2018-07-10T00:00:00+01:00");
     event.fields.endTime = "2018-07-10T12:01:00+01:00";
+    event.fields.endDateTime = parseDate("2018-07-10T12:01:00+01:00");
 
     const filter = buildEventFilter(showEventsAfter, filterState);
     expect(filter(event)).toBe(true);
@@ -153,7 +166,9 @@ describe("buildEventFilter", () => {
     });
     const event = sampleOne(generateEvent);
     event.fields.startTime = "2018-07-09T00:00:00+01:00";
+    event.fields.startDateTime = parseDate("2018-07-09T00:00:00+01:00");
     event.fields.endTime = "2018-07-13T12:01:00+01:00";
+    event.fields.endDateTime = parseDate("2018-07-13T12:01:00+01:00");
 
     const filter = buildEventFilter(showEventsAfter, filterState);
     expect(filter(event)).toBe(true);
@@ -165,7 +180,9 @@ describe("buildEventFilter", () => {
     });
     const event = sampleOne(generateEvent);
     event.fields.startTime = "2018-07-12T12:01:00+01:00";
+    event.fields.startDateTime = parseDate("2018-07-12T12:01:00+01:00");
     event.fields.endTime = "2018-07-13T12:01:00+01:00";
+    event.fields.endDateTime = parseDate("2018-07-13T12:01:00+01:00");
 
     const filter = buildEventFilter(showEventsAfter, filterState);
     expect(filter(event)).toBe(false);
@@ -195,7 +212,9 @@ describe("buildEventFilter", () => {
     });
     const event = sampleOne(generateEvent);
     event.fields.startTime = "2018-07-10T06:00:00+01:00";
+    event.fields.startDateTime = parseDate("2018-07-10T06:00:00+01:00");
     event.fields.endTime = "2018-07-10T10:00:00+01:00";
+    event.fields.endDateTime = parseDate("2018-07-10T10:00:00+01:00");
     const filter = buildEventFilter(showEventsAfter, filterState);
     expect(filter(event)).toBe(true);
   });
@@ -206,23 +225,25 @@ describe("buildEventFilter", () => {
     });
     const event = sampleOne(generateEvent);
     event.fields.startTime = "2018-07-10T14:00:00+01:00";
+    event.fields.startDateTime = parseDate("2018-07-10T14:00:00+01:00");
     event.fields.endTime = "2018-07-10T16:00:00+01:00";
+    event.fields.endDateTime = parseDate("2018-07-10T16:00:00+01:00");
     const filter = buildEventFilter(showEventsAfter, filterState);
     expect(filter(event)).toBe(false);
   });
 
-  it("builds truthy price filter when price is empty", () => {
+  it("builds truthy price range filter when no price range is set", () => {
     const filterState = buildFilterCollection({
-      price: new Set()
+      priceRange: null
     });
     const event = sampleOne(generateEvent);
     const filter = buildEventFilter(showEventsAfter, filterState);
     expect(filter(event)).toBe(true);
   });
 
-  it("builds filter, which returns true when price filter is free and event is free", () => {
+  it("builds filter, which returns true when price range is free and event is free", () => {
     const filterState = buildFilterCollection({
-      price: new Set(["free"])
+      priceRange: { min: 0, max: 0 }
     });
     const event = sampleOne(generateEvent);
     event.fields.eventPriceLow = 0;
@@ -231,9 +252,9 @@ describe("buildEventFilter", () => {
     expect(filter(event)).toBe(true);
   });
 
-  it("builds filter, which returns false when price filter is free and event is not free", () => {
+  it("builds filter, which returns false when price range is free and event is not free", () => {
     const filterState = buildFilterCollection({
-      price: new Set(["free"])
+      priceRange: { min: 0, max: 0 }
     });
     const event = sampleOne(generateEvent);
     event.fields.eventPriceLow = 10;
@@ -346,10 +367,7 @@ describe("buildEventFilter", () => {
       area: new Set(["North"])
     });
     const event = sampleOne(generateEvent);
-    event.fields.location = {
-      lon: -0.14505099999996673,
-      lat: 51.478269
-    };
+    event.fields.area = "South";
     const filter = buildEventFilter(showEventsAfter, filterState);
     expect(filter(event)).toBe(false);
   });
@@ -359,10 +377,7 @@ describe("buildEventFilter", () => {
       area: new Set(["North"])
     });
     const event = sampleOne(generateEvent);
-    event.fields.location = {
-      lon: -0.15343029999996816,
-      lat: 51.5352875
-    };
+    event.fields.area = "North";
     const filter = buildEventFilter(showEventsAfter, filterState);
     expect(filter(event)).toBe(true);
   });
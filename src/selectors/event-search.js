@@ -0,0 +1,81 @@
+// @flow
+import { createSearchIndex, search, tokenise } from "../lib/search";
+import type { SearchIndex } from "../lib/search";
+import type { Event, EventDays } from "../data/event";
+import type { Performances } from "../data/performance";
+
+// The relevance of each event which matches the query, by event id
+export type EventSearchResults = { [id: string]: number };
+
+const performanceTitles = (event: Event, performances: Performances) =>
+  event.fields.performances
+    .map(reference => performances[reference.sys.id])
+    .filter(performance => performance)
+    .map(performance => performance.fields.title)
+    .join(" ");
+
+// Matches on the name count for the most, and matches on the
+// description for the least, as most words appear there.
+export const indexEvents = (
+  events: Event[],
+  performances: Performances
+): SearchIndex =>
+  createSearchIndex(
+    events.map(event => ({
+      id: event.id,
+      fields: [
+        { text: event.fields.name, weight: 8 },
+        { text: event.fields.eventCategories.join(" "), weight: 4 },
+        { text: event.fields.locationName, weight: 3 },
+        { text: event.fields.postcode || "", weight: 3 },
+        { text: performanceTitles(event, performances), weight: 2 },
+        { text: event.fields.eventDescription, weight: 1 }
+      ]
+    }))
+  );
+
+// There are no results when there are no words to search for, rather
+// than an empty set of results.
+export const searchEvents = (
+  index: SearchIndex,
+  query: string
+): ?EventSearchResults =>
+  tokenise(query).length > 0
+    ? search(index, query).reduce((acc: EventSearchResults, result) => {
+        // intentional mutation as this happens in a reduce
+        acc[result.id] = result.score;
+        return acc;
+      }, {})
+    : null;
+
+// Events have to match both the filters and the search
+export const withSearchResults = (
+  filter: Event => boolean,
+  results: ?EventSearchResults
+): (Event => boolean) => {
+  if (!results) {
+    return filter;
+  }
+  const scores = results;
+  return (event: Event) => scores[event.id] != null && filter(event);
+};
+
+// Puts the best matches first within each day
+export const rankEventDays = (
+  days: EventDays,
+  results: ?EventSearchResults
+): EventDays => {
+  if (!results) {
+    return days;
+  }
+  const scores = results;
+  return days.map(day =>
+    day
+      .map((event, position) => ({ event, position }))
+      .sort(
+        (a, b) =>
+          scores[b.event.id] - scores[a.event.id] || a.position - b.position
+      )
+      .map(({ event }) => event)
+  );
+};
@@ -0,0 +1,120 @@
+// @flow
+import { generateEvent, sampleOne } from "../data/__test-data";
+import type { Event } from "../data/event";
+import {
+  indexEvents,
+  rankEventDays,
+  searchEvents,
+  withSearchResults
+} from "./event-search";
+
+const buildEvent = (id: string, fields: Object = {}): Event => {
+  const event = sampleOne(generateEvent);
+  return {
+    ...event,
+    id,
+    fields: {
+      ...event.fields,
+      name: "Untitled",
+      eventCategories: [],
+      locationName: "Somewhere",
+      postcode: null,
+      eventDescription: "",
+      performances: [],
+      ...fields
+    }
+  };
+};
+
+const performance = (id: string, title: string): any => ({
+  contentType: "performance",
+  id,
+  locale: "en-GB",
+  revision: 1,
+  fields: { title }
+});
+
+const reference = (id: string) => ({
+  sys: { id, type: "Link", linkType: "Entry" }
+});
+
+describe("searchEvents", () => {
+  const events = [
+    buildEvent("name", { name: "Drag Brunch" }),
+    buildEvent("description", { eventDescription: "A brunch with drag acts" }),
+    buildEvent("location", { locationName: "Royal Vauxhall Tavern" }),
+    buildEvent("postcode", { postcode: "SE11 5HY" }),
+    buildEvent("category", { eventCategories: ["Cabaret and Variety"] }),
+    buildEvent("performance", { performances: [reference("p1")] })
+  ];
+  const index = indexEvents(events, {
+    p1: performance("p1", "Sasha Velour")
+  });
+
+  it("finds events by their name", () => {
+    expect(searchEvents(index, "brunch")).toEqual({
+      name: 8,
+      description: 1
+    });
+  });
+
+  it("finds events by their location and postcode", () => {
+    expect(searchEvents(index, "vauxhall")).toEqual({ location: 3 });
+    expect(searchEvents(index, "se11")).toEqual({ postcode: 3 });
+  });
+
+  it("finds events by their categories", () => {
+    expect(searchEvents(index, "cabaret")).toEqual({ category: 4 });
+  });
+
+  it("finds events by the titles of their performances", () => {
+    expect(searchEvents(index, "velour")).toEqual({ performance: 2 });
+  });
+
+  it("returns no results when there is nothing to search for", () => {
+    expect(searchEvents(index, "")).toBeNull();
+    expect(searchEvents(index, " ? ")).toBeNull();
+  });
+
+  it("returns empty results when nothing matches", () => {
+    expect(searchEvents(index, "parade")).toEqual({});
+  });
+});
+
+describe("withSearchResults", () => {
+  const a = buildEvent("a");
+  const b = buildEvent("b");
+
+  it("returns the filter when there is no search", () => {
+    const filter = () => true;
+    expect(withSearchResults(filter, null)).toBe(filter);
+  });
+
+  it("only lets through events which match both", () => {
+    const filter = withSearchResults(event => event.id !== "a", { a: 1 });
+    expect(filter(a)).toBe(false);
+    expect(filter(b)).toBe(false);
+
+    const anyEvent = withSearchResults(() => true, { a: 1 });
+    expect(anyEvent(a)).toBe(true);
+    expect(anyEvent(b)).toBe(false);
+  });
+});
+
+describe("rankEventDays", () => {
+  const a = buildEvent("a");
+  const b = buildEvent("b");
+  const c = buildEvent("c");
+  const d = buildEvent("d");
+
+  it("leaves the days alone when there is no search", () => {
+    const days = [[a, b], [c]];
+    expect(rankEventDays(days, null)).toBe(days);
+  });
+
+  it("puts the best matches first within each day", () => {
+    expect(rankEventDays([[a, b, c], [d]], { a: 1, b: 8, c: 1, d: 2 })).toEqual(
+      [[b, a, c], [d]]
+    );
+  });
+});
@@ -0,0 +1,77 @@
+// @flow
+import R from "ramda";
+import { foldDiacritics } from "../lib/search";
+import type { Event, EventDays } from "../data/event";
+import type { EventSortOrder } from "../data/event-sort";
+import type { EventDistances } from "./event-distance";
+
+// Only the orders by time are split into days
+export const isSortedByDay = (order: EventSortOrder) =>
+  order === "startTime" || order === "endTime";
+
+type Comparator = (a: Event, b: Event) => number;
+
+// Events which compare the same keep the order they came in
+const sortWith = (compare: Comparator, events: Event[]): Event[] =>
+  events
+    .map((event, position) => ({ event, position }))
+    .sort((a, b) => compare(a.event, b.event) || a.position - b.position)
+    .map(({ event }) => event);
+
+const compareEndTime = (a: Event, b: Event) =>
+  +a.fields.endDateTime - +b.fields.endDateTime;
+
+const comparePrice = (a: Event, b: Event) =>
+  a.fields.eventPriceLow - b.fields.eventPriceLow ||
+  a.fields.eventPriceHigh - b.fields.eventPriceHigh;
+
+const compareName = (a: Event, b: Event) => {
+  const nameA = foldDiacritics(a.fields.name);
+  const nameB = foldDiacritics(b.fields.name);
+  if (nameA === nameB) {
+    return 0;
+  }
+  return nameA < nameB ? -1 : 1;
+};
+
+// Until the user's location is known the events stay in the order of
+// their start time.
+const compareDistance = (distances: ?EventDistances): Comparator => (a, b) =>
+  distances ? distances[a.id] - distances[b.id] : 0;
+
+const flatComparator = (
+  order: EventSortOrder,
+  distances: ?EventDistances
+): Comparator => {
+  switch (order) {
+    case "price":
+      return comparePrice;
+    case "name":
+      return compareName;
+    default:
+      return compareDistance(distances);
+  }
+};
+
+/**
+ * Puts the events, which are given grouped by the day they start on,
+ * into the order. The orders by time keep the days, and sort the events
+ * within each of them. The other orders return all the events in a
+ * single group, to be shown as one list.
+ */
+export const sortEventDays = (
+  days: EventDays,
+  order: EventSortOrder,
+  distances: ?EventDistances
+): EventDays => {
+  if (order === "startTime") {
+    return days;
+  }
+  if (order === "endTime") {
+    return days.map(day => sortWith(compareEndTime, day));
+  }
+  const events = R.unnest(days);
+  return events.length > 0
+    ? [sortWith(flatComparator(order, distances), events)]
+    : [];
+};
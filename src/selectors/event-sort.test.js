@@ -0,0 +1,116 @@
+// @flow
+import { generateEvent, sampleOne } from "../data/__test-data";
+import { parse as parseDate } from "../lib/date";
+import { isSortedByDay, sortEventDays } from "./event-sort";
+
+const buildEvent = (
+  id: string,
+  fields: {
+    name: string,
+    endTime: string,
+    eventPriceLow: number,
+    eventPriceHigh: number
+  }
+) => {
+  const event = sampleOne(generateEvent);
+  event.id = id;
+  event.fields.name = fields.name;
+  event.fields.endDateTime = parseDate(fields.endTime);
+  event.fields.eventPriceLow = fields.eventPriceLow;
+  event.fields.eventPriceHigh = fields.eventPriceHigh;
+  return event;
+};
+
+const brunch = buildEvent("brunch", {
+  name: "Bottomless brunch",
+  endTime: "2018-07-07T14:00+01:00",
+  eventPriceLow: 20,
+  eventPriceHigh: 30
+});
+const parade = buildEvent("parade", {
+  name: "Parade",
+  endTime: "2018-07-07T18:00+01:00",
+  eventPriceLow: 0,
+  eventPriceHigh: 0
+});
+const talk = buildEvent("talk", {
+  name: "Árt talk",
+  endTime: "2018-07-07T12:00+01:00",
+  eventPriceLow: 0,
+  eventPriceHigh: 5
+});
+const party = buildEvent("party", {
+  name: "after party",
+  endTime: "2018-07-08T02:00+01:00",
+  eventPriceLow: 20,
+  eventPriceHigh: 25
+});
+const picnic = buildEvent("picnic", {
+  name: "Picnic",
+  endTime: "2018-07-08T15:00+01:00",
+  eventPriceLow: 0,
+  eventPriceHigh: 0
+});
+
+const days = [[brunch, parade, talk, party], [picnic]];
+
+const ids = sorted => sorted.map(day => day.map(event => event.id));
+
+describe("isSortedByDay", () => {
+  it("is true for the orders by time only", () => {
+    expect(isSortedByDay("startTime")).toBe(true);
+    expect(isSortedByDay("endTime")).toBe(true);
+    expect(isSortedByDay("price")).toBe(false);
+    expect(isSortedByDay("name")).toBe(false);
+    expect(isSortedByDay("distance")).toBe(false);
+  });
+});
+
+describe("sortEventDays", () => {
+  it("keeps the days as they are for the start time", () => {
+    expect(sortEventDays(days, "startTime", null)).toBe(days);
+  });
+
+  it("puts the events ending soonest first within each day", () => {
+    expect(ids(sortEventDays(days, "endTime", null))).toEqual([
+      ["talk", "brunch", "parade", "party"],
+      ["picnic"]
+    ]);
+  });
+
+  it("puts all the events in one group, cheapest first", () => {
+    expect(ids(sortEventDays(days, "price", null))).toEqual([
+      ["parade", "picnic", "talk", "party", "brunch"]
+    ]);
+  });
+
+  it("puts all the events in one group, by name ignoring case and accents", () => {
+    expect(ids(sortEventDays(days, "name", null))).toEqual([
+      ["party", "talk", "brunch", "parade", "picnic"]
+    ]);
+  });
+
+  it("puts all the events in one group, closest first", () => {
+    const distances = {
+      brunch: 300,
+      parade: 1200,
+      talk: 50,
+      party: 300,
+      picnic: 4000
+    };
+
+    expect(ids(sortEventDays(days, "distance", distances))).toEqual([
+      ["talk", "brunch", "party", "parade", "picnic"]
+    ]);
+  });
+
+  it("keeps the order of the start time when the distances are not known", () => {
+    expect(ids(sortEventDays(days, "distance", null))).toEqual([
+      ["brunch", "parade", "talk", "party", "picnic"]
+    ]);
+  });
+
+  it("returns no groups when there are no events", () => {
+    expect(sortEventDays([], "name", null)).toEqual([]);
+  });
+});
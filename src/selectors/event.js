@@ -1,7 +1,15 @@
 // @flow
 import R from "ramda";
-import { compareAsc as compareDateAsc, isSameDay } from "../lib/date";
-import type { Event, EventDays } from "../data/event";
+import {
+  compareAsc as compareDateAsc,
+  isSameDay,
+  toLondonFormat,
+  FORMAT_YEAR_MONTH_DAY
+} from "../lib/date";
+import type { Event, EventDays, Events } from "../data/event";
+
+// Event ids by some key, such as the day or category
+export type EventIndex = { [key: string]: string[] };
 
 export const isFree = (priceLow: number, priceHigh: number) =>
   priceLow === 0 && priceHigh === 0;
@@ -10,18 +18,64 @@ export const selectEventIsFree = (event: Event) =>
   isFree(event.fields.eventPriceLow, event.fields.eventPriceHigh);
 
 const sortByStartTimeAsc = (a: Event, b: Event) =>
-  compareDateAsc(a.fields.startTime, b.fields.startTime);
+  compareDateAsc(a.fields.startDateTime, b.fields.startDateTime);
 
 export const groupEventsByStartTime = (events: Event[]): EventDays =>
   R.groupWith(
-    (a: Event, b: Event) => isSameDay(a.fields.startTime, b.fields.startTime),
-    events.sort(sortByStartTimeAsc)
+    (a: Event, b: Event) =>
+      isSameDay(a.fields.startDateTime, b.fields.startDateTime),
+    R.sort(sortByStartTimeAsc, events)
   );
 
+const dayOf = (event: Event) =>
+  toLondonFormat(event.fields.startDateTime, FORMAT_YEAR_MONTH_DAY);
+
+// Event ids by the day they start on, in order of their start time
+export const indexEventsByDay = (events: Event[]): EventIndex =>
+  R.sort(sortByStartTimeAsc, events).reduce((acc: EventIndex, event) => {
+    const day = dayOf(event);
+    // intentional mutation as this happens in a reduce
+    acc[day] = acc[day] || [];
+    acc[day].push(event.id);
+    return acc;
+  }, {});
+
+// Event ids by each of their categories
+export const indexEventsByCategory = (events: Event[]): EventIndex =>
+  events.reduce((acc: EventIndex, event) => {
+    event.fields.eventCategories.forEach(category => {
+      // intentional mutation as this happens in a reduce
+      acc[category] = acc[category] || [];
+      acc[category].push(event.id);
+    });
+    return acc;
+  }, {});
+
+// The ids of the events which take place on a stage at the parade
+export const indexStages = (events: Event[]): string[] =>
+  events.filter(event => event.fields.stage).map(event => event.id);
+
+/**
+ * Groups events by day like groupEventsByStartTime, but takes the
+ * order from the day index so that the events are not sorted again
+ * every time the filters change.
+ */
+export const groupEventsByDay = (
+  byDay: EventIndex,
+  byId: Events,
+  events: Event[]
+): EventDays => {
+  const ids = new Set(events.map(event => event.id));
+  return Object.keys(byDay)
+    .sort()
+    .map(day => byDay[day].filter(id => ids.has(id)).map(id => byId[id]))
+    .filter(day => day.length > 0);
+};
+
 export const filterEvents = (
   events: Event[],
   filter: Event => boolean
 ): Event[] => events.filter(filter);
 
-export const getStages = (events: Event[]) =>
-  events.filter(event => event.fields.stage);
+export const getStages = (stages: string[], byId: Events): Event[] =>
+  stages.map(id => byId[id]);
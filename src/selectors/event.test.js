@@ -1,11 +1,17 @@
 // @flow
+import { Settings } from "luxon";
 import { generateEvent, sampleArrayOf, sampleOne } from "../data/__test-data";
 import {
   filterEvents,
   groupEventsByStartTime,
   selectEventIsFree,
-  getStages
+  getStages,
+  groupEventsByDay,
+  indexEventsByCategory,
+  indexEventsByDay,
+  indexStages
 } from "./event";
+import { parse as parseDate } from "../lib/date";
 
 describe("selectEventIsFree", () => {
   it("returns true if both prices are 0", () => {
@@ -36,8 +42,10 @@ describe("groupEventsByStartTime", () => {
   it("separates two individual events by day and sorts", () => {
     const eventA = sampleOne(generateEvent, { seed: 1234 });
     eventA.fields.startTime = "2018-08-02T00:00:00";
+    eventA.fields.startDateTime = parseDate("2018-08-02T00:00:00");
     const eventB = sampleOne(generateEvent, { seed: 1421 });
     eventB.fields.startTime = "2018-08-01T00:00:00";
+    eventB.fields.startDateTime = parseDate("2018-08-01T00:00:00");
 
     const events = [eventA, eventB];
 
@@ -50,8 +58,10 @@ describe("groupEventsByStartTime", () => {
   it("leaves two events on the same day together", () => {
     const eventA = sampleOne(generateEvent, { seed: 1234 });
     eventA.fields.startTime = "2018-08-01T00:00:00";
+    eventA.fields.startDateTime = parseDate("2018-08-01T00:00:00");
     const eventB = sampleOne(generateEvent, { seed: 1421 });
     eventB.fields.startTime = "2018-08-01T10:00:00";
+    eventB.fields.startDateTime = parseDate("2018-08-01T10:00:00");
 
     const events = [eventA, eventB];
 
@@ -64,14 +74,19 @@ describe("groupEventsByStartTime", () => {
   it("makes two groups", () => {
     const eventA = sampleOne(generateEvent, { seed: 1234 });
     eventA.fields.startTime = "2018-08-01T02:00:00";
+    eventA.fields.startDateTime = parseDate("2018-08-01T02:00:00");
     const eventB = sampleOne(generateEvent, { seed: 1421 });
     eventB.fields.startTime = "2018-08-02T02:00:00";
+    eventB.fields.startDateTime = parseDate("2018-08-02T02:00:00");
     const eventC = sampleOne(generateEvent, { seed: 2452 });
     eventC.fields.startTime = "2018-08-01T00:00:00";
+    eventC.fields.startDateTime = parseDate("2018-08-01T00:00:00");
     const eventD = sampleOne(generateEvent, { seed: 3244 });
     eventD.fields.startTime = "2018-08-02T03:00:00";
+    eventD.fields.startDateTime = parseDate("2018-08-02T03:00:00");
     const eventE = sampleOne(generateEvent, { seed: 2344 });
     eventE.fields.startTime = "2018-08-01T02:00:00";
+    eventE.fields.startDateTime = parseDate("2018-08-01T02:00:00");
 
     const events = [eventA, eventB, eventC, eventD, eventE];
 
@@ -84,14 +99,19 @@ describe("groupEventsByStartTime", () => {
   it("makes multiple groups", () => {
     const eventA = sampleOne(generateEvent, { seed: 1234 });
     eventA.fields.startTime = "2018-08-01T02:00:00";
+    eventA.fields.startDateTime = parseDate("2018-08-01T02:00:00");
     const eventB = sampleOne(generateEvent, { seed: 1421 });
     eventB.fields.startTime = "2018-08-02T02:00:00";
+    eventB.fields.startDateTime = parseDate("2018-08-02T02:00:00");
     const eventC = sampleOne(generateEvent, { seed: 2452 });
     eventC.fields.startTime = "2018-08-05T00:00:00";
+    eventC.fields.startDateTime = parseDate("2018-08-05T00:00:00");
     const eventD = sampleOne(generateEvent, { seed: 3244 });
     eventD.fields.startTime = "2018-08-04T03:00:00";
+    eventD.fields.startDateTime = parseDate("2018-08-04T03:00:00");
     const eventE = sampleOne(generateEvent, { seed: 2344 });
     eventE.fields.startTime = "2018-08-03T02:00:00";
+    eventE.fields.startDateTime = parseDate("2018-08-03T02:00:00");
 
     const events = [eventA, eventB, eventC, eventD, eventE];
 
@@ -116,15 +136,12 @@ describe("filterEvents", () => {
   });
 });
 
-describe("getStages", () => {
-  it("returns empty array when no events exist", () => {
-    const expected = [];
-    const actual = getStages([]);
-
-    expect(actual).toEqual(expected);
+describe("indexStages", () => {
+  it("returns no ids when no events exist", () => {
+    expect(indexStages([])).toEqual([]);
   });
 
-  it("returns only events which are stages", () => {
+  it("returns the ids of events which are stages", () => {
     const eventA = sampleOne(generateEvent, { seed: 1234 });
     eventA.fields.stage = true;
     const eventB = sampleOne(generateEvent, { seed: 1421 });
@@ -138,8 +155,134 @@ describe("getStages", () => {
 
     const events = [eventA, eventB, eventC, eventD, eventE];
 
-    const expected = [eventA, eventD];
-    const actual = getStages(events);
+    const expected = [eventA.id, eventD.id];
+    const actual = indexStages(events);
     expect(actual).toEqual(expected);
   });
 });
+
+describe("getStages", () => {
+  it("resolves the stages from their ids", () => {
+    const eventA = { ...sampleOne(generateEvent, { seed: 1234 }), id: "a" };
+    const eventB = { ...sampleOne(generateEvent, { seed: 1421 }), id: "b" };
+
+    expect(getStages(["b"], { a: eventA, b: eventB })).toEqual([eventB]);
+  });
+});
+
+const eventAt = (id: string, startTime: string, categories = []) => {
+  const event = sampleOne(generateEvent);
+  return {
+    ...event,
+    id,
+    fields: {
+      ...event.fields,
+      startTime,
+      startDateTime: parseDate(startTime),
+      eventCategories: categories
+    }
+  };
+};
+
+describe("indexEventsByDay", () => {
+  it("keeps the ids of events by day in order of their start time", () => {
+    const events = [
+      eventAt("a", "2018-08-02T10:00+01:00"),
+      eventAt("b", "2018-08-01T12:00+01:00"),
+      eventAt("c", "2018-08-01T09:00+01:00")
+    ];
+
+    expect(indexEventsByDay(events)).toEqual({
+      "2018-08-01": ["c", "b"],
+      "2018-08-02": ["a"]
+    });
+  });
+
+  it("does not reorder the events passed in", () => {
+    const events = [
+      eventAt("a", "2018-08-02T10:00+01:00"),
+      eventAt("b", "2018-08-01T12:00+01:00")
+    ];
+
+    indexEventsByDay(events);
+
+    expect(events.map(event => event.id)).toEqual(["a", "b"]);
+  });
+});
+
+describe("indexEventsByCategory", () => {
+  it("keeps the ids of events under each of their categories", () => {
+    const events = [
+      eventAt("a", "2018-08-01T10:00+01:00", ["Music", "Community"]),
+      eventAt("b", "2018-08-01T10:00+01:00", ["Music"]),
+      eventAt("c", "2018-08-01T10:00+01:00", [])
+    ];
+
+    expect(indexEventsByCategory(events)).toEqual({
+      Music: ["a", "b"],
+      Community: ["a"]
+    });
+  });
+});
+
+describe("groupEventsByDay", () => {
+  it("groups the events by day in the order of the index", () => {
+    const a = eventAt("a", "2018-08-02T10:00+01:00");
+    const b = eventAt("b", "2018-08-01T12:00+01:00");
+    const c = eventAt("c", "2018-08-01T09:00+01:00");
+    const all = [a, b, c];
+
+    const actual = groupEventsByDay(indexEventsByDay(all), { a, b, c }, [
+      a,
+      b,
+      c
+    ]);
+
+    expect(actual).toEqual([[c, b], [a]]);
+  });
+
+  it("leaves out events and days which are not passed in", () => {
+    const a = eventAt("a", "2018-08-02T10:00+01:00");
+    const b = eventAt("b", "2018-08-01T12:00+01:00");
+    const c = eventAt("c", "2018-08-01T09:00+01:00");
+    const all = [a, b, c];
+
+    const actual = groupEventsByDay(indexEventsByDay(all), { a, b, c }, [b]);
+
+    expect(actual).toEqual([[b]]);
+  });
+});
+
+["Europe/London", "America/New_York", "Asia/Tokyo"].forEach(zone => {
+  describe(`grouping by London day on a device in ${zone}`, () => {
+    beforeEach(() => {
+      Settings.defaultZoneName = zone;
+    });
+
+    afterEach(() => {
+      Settings.defaultZoneName = "local";
+    });
+
+    // The clocks went back an hour at 02:00 BST on 28 October 2018
+    const events = [
+      eventAt("a", "2018-10-27T22:30Z"),
+      eventAt("b", "2018-10-27T23:30Z"),
+      eventAt("c", "2018-10-28T23:30Z"),
+      eventAt("d", "2018-10-29T00:30Z")
+    ];
+
+    it("groups events by the day they start on in London", () => {
+      expect(
+        groupEventsByStartTime(events).map(day => day.map(event => event.id))
+      ).toEqual([["a"], ["b", "c"], ["d"]]);
+    });
+
+    it("indexes events by the day they start on in London", () => {
+      expect(indexEventsByDay(events)).toEqual({
+        "2018-10-27": ["a"],
+        "2018-10-28": ["b", "c"],
+        "2018-10-29": ["d"]
+      });
+    });
+  });
+});
@@ -1,7 +1,18 @@
 // @flow
+import { createSelector } from "reselect";
 import type { State } from "../reducers";
 import type { HeaderBanner } from "../data/header-banner";
+import { valuesOf } from "../lib/collection";
+import { filterVisible, selectClock } from "./visibility";
 
-/* eslint-disable import/prefer-default-export */
-export const selectHeaderBanners = (state: State): HeaderBanner[] =>
-  state.data.headerBanners;
+// Includes the banners which are scheduled for some other time
+export const selectAllHeaderBanners: State => HeaderBanner[] = createSelector(
+  [(state: State) => state.data.headerBanners],
+  valuesOf
+);
+
+// The banners to show right now
+export const selectHeaderBanners = createSelector(
+  [selectAllHeaderBanners, selectClock],
+  filterVisible
+);
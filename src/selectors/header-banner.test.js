@@ -1,19 +1,55 @@
 // @flow
 import type { State } from "../reducers";
-import { selectHeaderBanners } from "./header-banner";
+import { generateHeaderBanner, sampleOne } from "../data/__test-data";
+import { toCollection } from "../lib/collection";
+import { selectAllHeaderBanners, selectHeaderBanners } from "./header-banner";
 
-describe("selectHeaderBanners", () => {
-  it("selects property", () => {
+let bannerCount = 0;
+const banner = (visibleFrom, visibleUntil) => {
+  const headerBanner = sampleOne(generateHeaderBanner);
+  bannerCount += 1;
+  return {
+    ...headerBanner,
+    id: `banner${bannerCount}`,
+    fields: { ...headerBanner.fields, visibleFrom, visibleUntil }
+  };
+};
+
+describe("selectAllHeaderBanners", () => {
+  it("selects the banners in order", () => {
+    const first = banner(null, null);
+    const second = banner("2018-07-08T00:00+01:00", null);
     // Will fix this along with the other fix me's once we have refactored
     // @$FlowFixMe
     const state: State = {
       data: {
-        headerBanners: []
+        headerBanners: toCollection([first, second])
+      }
+    };
+
+    const selected = selectAllHeaderBanners(state);
+
+    expect(selected).toEqual([first, second]);
+    expect(selectAllHeaderBanners(state)).toBe(selected);
+  });
+});
+
+describe("selectHeaderBanners", () => {
+  it("selects the banners which are visible at the time of the clock", () => {
+    const always = banner(null, null);
+    const current = banner("2018-07-07T00:00+01:00", "2018-07-08T00:00+01:00");
+    const upcoming = banner("2018-07-08T00:00+01:00", null);
+    const expired = banner(null, "2018-07-07T00:00+01:00");
+    // @$FlowFixMe
+    const state: State = {
+      clock: "2018-07-07T12:00+01:00",
+      data: {
+        headerBanners: toCollection([always, current, upcoming, expired])
       }
     };
 
     const selected = selectHeaderBanners(state);
 
-    expect(selected).toEqual(state.data.headerBanners);
+    expect(selected).toEqual([always, current]);
   });
 });
@@ -0,0 +1,57 @@
+// @flow
+import { createSelector } from "reselect";
+import type { State } from "../reducers";
+import type { FieldRef } from "../data/field-ref";
+import type { ImageDetails, Images } from "../data/image";
+import type { CachedImageUris } from "../integrations/image-cache";
+import { valuesOf } from "../lib/collection";
+import {
+  referenceTo,
+  resolveReference,
+  resolveReferences,
+  toImageTable
+} from "./references";
+import type { Table } from "./references";
+
+const selectImageTable = createSelector(
+  [(state: State): Images => state.data.images.byId],
+  toImageTable
+);
+
+const selectCachedImages = (state: State): CachedImageUris => state.imageCache;
+
+const imageReferences = (state: State): FieldRef[] => {
+  const events = valuesOf(state.data.events);
+  return [
+    ...events.map(event => event.fields.eventsListPicture),
+    ...events.map(event => event.fields.individualEventPicture),
+    ...valuesOf(state.data.sponsors).map(sponsor => sponsor.fields.sponsorLogo)
+  ];
+};
+
+// The pictures worth keeping around for when the phone is offline
+export const selectImagesToCache = (state: State): ImageDetails[] => {
+  const ids = new Set(
+    imageReferences(state).map(reference => reference.sys.id)
+  );
+  return resolveReferences(
+    selectImageTable(state),
+    Array.from(ids).map(referenceTo)
+  ).values;
+};
+
+// Resolves images, pointing them at the local file when the picture
+// was cached for the same revision of the asset.
+export const selectImageDetailsGetter = createSelector(
+  [selectImageTable, selectCachedImages],
+  (images: Table<ImageDetails>, cachedImages: CachedImageUris) => (
+    reference: FieldRef
+  ): ?ImageDetails => {
+    const image = resolveReference(images, reference);
+    const cached = cachedImages[reference.sys.id];
+    if (image && cached && cached.revision === image.revision) {
+      return { ...image, uri: cached.uri };
+    }
+    return image;
+  }
+);
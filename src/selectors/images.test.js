@@ -0,0 +1,85 @@
+// @flow
+import { emptyCollection, toCollection } from "../lib/collection";
+import { selectImageDetailsGetter, selectImagesToCache } from "./images";
+
+const image = (id, revision = 1) => ({
+  id,
+  revision,
+  uri: `https://images.ctfassets.net/${id}.jpg`,
+  width: 100,
+  height: 100
+});
+
+const ref = id => ({ sys: { id } });
+
+describe("selectImagesToCache", () => {
+  it("selects the event pictures and sponsor logos once each", () => {
+    const state = {
+      data: {
+        events: toCollection([
+          {
+            id: "1",
+            fields: {
+              eventsListPicture: ref("a"),
+              individualEventPicture: ref("b")
+            }
+          },
+          {
+            id: "2",
+            fields: {
+              eventsListPicture: ref("a"),
+              individualEventPicture: ref("missing")
+            }
+          }
+        ]),
+        sponsors: toCollection([
+          { id: "3", fields: { sponsorLogo: ref("c") } }
+        ]),
+        images: toCollection([image("a"), image("b"), image("c"), image("d")])
+      }
+    };
+
+    // $FlowFixMe
+    const selected = selectImagesToCache(state);
+
+    expect(selected).toEqual([image("a"), image("b"), image("c")]);
+  });
+});
+
+describe("selectImageDetailsGetter", () => {
+  it("uses the cached file for the same revision", () => {
+    const state = {
+      data: { images: toCollection([image("a", 2)]) },
+      imageCache: { a: { revision: 2, uri: "file:///a-2.jpg" } }
+    };
+
+    // $FlowFixMe
+    const getImageDetails = selectImageDetailsGetter(state);
+
+    expect(getImageDetails(ref("a"))).toEqual({
+      ...image("a", 2),
+      uri: "file:///a-2.jpg"
+    });
+  });
+
+  it("uses the CMS url when the cached file is out of date", () => {
+    const state = {
+      data: { images: toCollection([image("a", 2)]) },
+      imageCache: { a: { revision: 1, uri: "file:///a-1.jpg" } }
+    };
+
+    // $FlowFixMe
+    const getImageDetails = selectImageDetailsGetter(state);
+
+    expect(getImageDetails(ref("a"))).toEqual(image("a", 2));
+  });
+
+  it("returns nothing for unknown images", () => {
+    const state = { data: { images: emptyCollection() }, imageCache: {} };
+
+    // $FlowFixMe
+    const getImageDetails = selectImageDetailsGetter(state);
+
+    expect(getImageDetails(ref("a"))).toBeUndefined();
+  });
+});
@@ -2,19 +2,50 @@
 import { createSelector } from "reselect";
 import type { State } from "../reducers";
 import type { State as DataState } from "../reducers/data";
-import type { SavedEvents } from "../data/event";
+import type { Event, SavedEvents } from "../data/event";
+import type { FeaturedEvents } from "../data/featured-events";
+import type { HeaderBanner } from "../data/header-banner";
+import type { ImageDetails } from "../data/image";
+import type { ParadeGroup } from "../data/parade-group";
+import type { Performance } from "../data/performance";
+import type { Sponsor } from "../data/sponsor";
+import type { Amenity } from "../data/amenity";
+import type { Collection } from "../lib/collection";
+import { valuesOf } from "../lib/collection";
 import type { State as EventFiltersState } from "../data/event-filters";
+import { selectEventsMap, selectFeaturedEventsByTitle } from "./data";
+import { selectAllHeaderBanners } from "./header-banner";
 import {
-  selectEvents,
-  selectEventsMap,
-  selectFeaturedEvents,
-  selectFeaturedEventsByTitle,
-  selectAmenities,
-  resolveEvents
-} from "./data";
-import { filterEvents, getStages } from "./event";
+  createEntityTables,
+  resolvedValues,
+  resolveNested,
+  resolveReferences,
+  selectDanglingReferences
+} from "./references";
+import {
+  filterVisible,
+  selectClock,
+  selectNextVisibilityChange
+} from "./visibility";
+import {
+  filterEvents,
+  getStages,
+  groupEventsByDay,
+  indexEventsByCategory,
+  indexEventsByDay,
+  indexStages
+} from "./event";
+import {
+  indexEvents,
+  rankEventDays,
+  searchEvents,
+  withSearchResults
+} from "./event-search";
+import { buildPriceHistogram } from "./price-range";
 import {
   buildEventFilter,
+  selectFiltersWithoutPriceRange,
+  selectSearchQuery,
   selectShowEventsAfter,
   selectSelectedFilters,
   selectStagedFilters,
@@ -27,7 +58,38 @@ export const selectEventFilters = (state: State): EventFiltersState =>
 export const selectSavedEvents = (state: State): SavedEvents =>
   state.savedEvents;
 
-const getEvents = createSelector([selectData], selectEvents);
+// Each content type is kept apart, so that selectors only recompute
+// when the entries they are built on change.
+const selectEventCollection = (state: State): Collection<Event> =>
+  state.data.events;
+const selectFeaturedEventsCollection = (
+  state: State
+): Collection<FeaturedEvents> => state.data.featuredEvents;
+const selectHeaderBannerCollection = (state: State): Collection<HeaderBanner> =>
+  state.data.headerBanners;
+const selectImageCollection = (state: State): Collection<ImageDetails> =>
+  state.data.images;
+const selectParadeGroupCollection = (state: State): Collection<ParadeGroup> =>
+  state.data.paradeGroups;
+const selectPerformanceCollection = (state: State): Collection<Performance> =>
+  state.data.performances;
+const selectSponsorCollection = (state: State): Collection<Sponsor> =>
+  state.data.sponsors;
+const selectAmenityCollection = (state: State): Collection<Amenity> =>
+  state.data.amenities;
+
+export const getEvents = createSelector([selectEventCollection], valuesOf);
+
+export const getEventsMap = (state: State) => selectEventCollection(state).byId;
+
+export const getEventIdsByDay = createSelector([getEvents], indexEventsByDay);
+
+export const getEventIdsByCategory = createSelector(
+  [getEvents],
+  indexEventsByCategory
+);
+
+const getStageIds = createSelector([getEvents], indexStages);
 
 const getShowEventsAfter = createSelector(
   [selectEventFilters],
@@ -44,28 +106,79 @@ export const getStagedFilters = createSelector(
   selectStagedFilters
 );
 
-export const getSelectedFilter = createSelector(
+const getSearchQuery = createSelector([selectEventFilters], selectSearchQuery);
+
+const getPerformancesMap = (state: State) =>
+  selectPerformanceCollection(state).byId;
+
+// The index is only built again when the events or performances change
+const getEventSearchIndex = createSelector(
+  [getEvents, getPerformancesMap],
+  indexEvents
+);
+
+export const getEventSearchResults = createSelector(
+  [getEventSearchIndex, getSearchQuery],
+  searchEvents
+);
+
+const getSelectedFiltersFilter = createSelector(
   [getShowEventsAfter, getSelectedFilters],
   buildEventFilter
 );
 
+export const getSelectedFilter = createSelector(
+  [getSelectedFiltersFilter, getEventSearchResults],
+  withSearchResults
+);
+
 export const selectFilteredEvents = createSelector(
   [getEvents, getSelectedFilter],
   filterEvents
 );
 
-export const getEventsMap = createSelector([getEvents], selectEventsMap);
-
-const getStagedFilter = createSelector(
+const getStagedFiltersFilter = createSelector(
   [getShowEventsAfter, getStagedFilters],
   buildEventFilter
 );
 
+const getStagedFilter = createSelector(
+  [getStagedFiltersFilter, getEventSearchResults],
+  withSearchResults
+);
+
 export const selectStagedFilteredEvents = createSelector(
   [getEvents, getStagedFilter],
   filterEvents
 );
 
+const getStagedFiltersWithoutPriceRange = createSelector(
+  [getStagedFilters],
+  selectFiltersWithoutPriceRange
+);
+
+const getStagedFiltersWithoutPriceRangeFilter = createSelector(
+  [getShowEventsAfter, getStagedFiltersWithoutPriceRange],
+  buildEventFilter
+);
+
+const getStagedFilterWithoutPriceRange = createSelector(
+  [getStagedFiltersWithoutPriceRangeFilter, getEventSearchResults],
+  withSearchResults
+);
+
+const selectStagedFilteredEventsWithoutPriceRange = createSelector(
+  [getEvents, getStagedFilterWithoutPriceRange],
+  filterEvents
+);
+
+// The prices of the events which the staged filters, apart from the
+// price range itself, leave in
+export const getStagedPriceHistogram = createSelector(
+  [selectStagedFilteredEventsWithoutPriceRange],
+  buildPriceHistogram
+);
+
 const getShowEventsAfterFilter = createSelector(
   [getShowEventsAfter],
   eventIsAfter
@@ -81,26 +194,75 @@ export const getFutureEventsMap = createSelector(
   selectEventsMap
 );
 
-const getFeaturedEvents = createSelector([selectData], selectFeaturedEvents);
+const getFilteredEventsByDay = createSelector(
+  [getEventIdsByDay, getEventsMap, selectFilteredEvents],
+  groupEventsByDay
+);
+
+// The filtered events by day, in order of their start time or, when
+// searching, in order of relevance within each day
+export const getFilteredEventDays = createSelector(
+  [getFilteredEventsByDay, getEventSearchResults],
+  rankEventDays
+);
+
+const getFeaturedEvents = createSelector(
+  [selectFeaturedEventsCollection],
+  valuesOf
+);
+
+export const getParadeGroups = createSelector(
+  [selectParadeGroupCollection],
+  valuesOf
+);
+
+export const getEntityTables = createSelector(
+  [
+    selectEventCollection,
+    selectFeaturedEventsCollection,
+    selectHeaderBannerCollection,
+    selectImageCollection,
+    selectParadeGroupCollection,
+    selectPerformanceCollection,
+    selectSponsorCollection
+  ],
+  createEntityTables
+);
+
+export const getDanglingReferences = createSelector(
+  [getEntityTables],
+  selectDanglingReferences
+);
+
+// The featured events collections to show right now
+const getVisibleFeaturedEvents = createSelector(
+  [getFeaturedEvents, selectClock],
+  filterVisible
+);
+
+export const getNextVisibilityChange = createSelector(
+  [selectAllHeaderBanners, getFeaturedEvents, selectClock],
+  (headerBanners, featuredEvents, now) =>
+    selectNextVisibilityChange([...headerBanners, ...featuredEvents], now)
+);
+
 const second = (a, b) => b;
 const getFeaturedEventsByTitle = createSelector(
-  [getFeaturedEvents, second],
+  [getVisibleFeaturedEvents, second],
   selectFeaturedEventsByTitle
 );
-const getFeaturedEventsEvents = createSelector(
-  [getFeaturedEventsByTitle],
-  featuredEvents => {
-    if (featuredEvents) {
-      return featuredEvents.fields.events;
-    }
-    return [];
-  }
-);
 export const getFeaturedEventsResolvedEvents = createSelector(
-  [getFutureEventsMap, getFeaturedEventsEvents],
-  resolveEvents
+  [getEntityTables, getFeaturedEventsByTitle, getShowEventsAfterFilter],
+  (tables, featuredEvents, showEvent) =>
+    resolveNested(
+      resolvedValues(featuredEvents ? [featuredEvents] : []),
+      value => resolveReferences(tables.event, value.fields.events)
+    ).values.filter(showEvent)
 );
 
-export const selectStages = createSelector([getEvents], getStages);
+export const selectStages = createSelector(
+  [getStageIds, getEventsMap],
+  getStages
+);
 
-export const getAmenities = createSelector([selectData], selectAmenities);
+export const getAmenities = createSelector([selectAmenityCollection], valuesOf);
@@ -3,19 +3,15 @@ import R from "ramda";
 import type { State } from "../reducers";
 import type { Performance, Performances } from "../data/performance";
 import { getHours, compareAsc as compareDateAsc } from "../lib/date";
+import type { DateInput } from "../lib/date";
 
 export const selectPerformances = (state: State): Performances =>
-  state.data.performances;
-
-export const selectPerformanceById = (
-  performances: Performances,
-  id: string
-): ?Performance => performances[id];
+  state.data.performances.byId;
 
 const sortByStartTimeAsc = (a: Performance, b: Performance) =>
-  compareDateAsc(a.fields.startTime, b.fields.startTime);
+  compareDateAsc(a.fields.startDateTime, b.fields.startDateTime);
 
-export const getTimePeriod = (date: string) => {
+export const getTimePeriod = (date: DateInput) => {
   const splits = [6, 12, 18];
   const hours = getHours(date);
   if (hours >= splits[0] && hours < splits[1]) {
@@ -32,7 +28,8 @@ export const groupPerformancesByPeriod = (
   if (performances.length === 0) return [];
   return R.groupWith(
     (a: Performance, b: Performance) =>
-      getTimePeriod(a.fields.startTime) === getTimePeriod(b.fields.startTime),
-    performances.sort(sortByStartTimeAsc)
+      getTimePeriod(a.fields.startDateTime) ===
+      getTimePeriod(b.fields.startDateTime),
+    R.sort(sortByStartTimeAsc, performances)
   );
 };
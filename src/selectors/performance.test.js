@@ -1,17 +1,18 @@
 // @flow
 import { sampleOne, generatePerformance } from "../data/__test-data";
 import type { State } from "../reducers";
-import type { Performance, Performances } from "../data/performance";
+import type { Performance } from "../data/performance";
 import {
   getTimePeriod,
   groupPerformancesByPeriod,
-  selectPerformances,
-  selectPerformanceById
+  selectPerformances
 } from "./performance";
+import { parse as parseDate } from "../lib/date";
 
 const createPerformance = (startTime: string, seed): Performance => {
   const performance = sampleOne(generatePerformance, { seed });
   performance.fields.startTime = startTime;
+  performance.fields.startDateTime = parseDate(startTime);
   return performance;
 };
 
@@ -21,26 +22,13 @@ describe("selectPerformances", () => {
     // @$FlowFixMe
     const state: State = {
       data: {
-        performances: {}
+        performances: { byId: {}, allIds: [] }
       }
     };
 
     const selected = selectPerformances(state);
 
-    expect(selected).toEqual(state.data.performances);
-  });
-});
-
-describe("selectPerformanceById", () => {
-  it("selects performance", () => {
-    const performance = sampleOne(generatePerformance);
-    const performances: Performances = {
-      [performance.id]: performance
-    };
-
-    const selected = selectPerformanceById(performances, performance.id);
-
-    expect(selected).toEqual(performance);
+    expect(selected).toBe(state.data.performances.byId);
   });
 });
 
@@ -0,0 +1,48 @@
+// @flow
+import type { Event } from "../data/event";
+import type { PriceRange } from "../data/event-filters";
+
+// The scale of the price range filter, in pounds. Picking the top of
+// the scale as the maximum leaves the range without an upper limit.
+export const PRICE_STEP = 5;
+export const PRICE_SCALE_MAX = 50;
+
+// The number of events by their lowest price, with a bar for every
+// PRICE_STEP pounds. The last bar counts every event from
+// PRICE_SCALE_MAX up.
+export type PriceHistogram = number[];
+
+// Events are priced by their lowest price, which is the one shown in
+// the event list.
+export const priceOf = (event: Event): number => event.fields.eventPriceLow;
+
+// The filter keeps the events whose price is in the range
+export const isPriceInRange = (price: number, { min, max }: PriceRange) =>
+  price >= min && (max == null || price <= max);
+
+// A bar of the histogram is in a range when any of the prices it counts
+// is, by the same bounds as isPriceInRange, so that the bars shown in
+// range are those of the events which are kept.
+export const isBarInRange = (bar: number, { min, max }: PriceRange) => {
+  const lowest = bar * PRICE_STEP;
+  const above = lowest >= PRICE_SCALE_MAX ? Infinity : lowest + PRICE_STEP;
+  return above > min && (max == null || lowest <= max);
+};
+
+export const buildPriceHistogram = (events: Event[]): PriceHistogram => {
+  const bars = Array(PRICE_SCALE_MAX / PRICE_STEP + 1).fill(0);
+  events.forEach(event => {
+    const bar = Math.min(
+      Math.floor(priceOf(event) / PRICE_STEP),
+      bars.length - 1
+    );
+    bars[bar] += 1;
+  });
+  return bars;
+};
+
+// A range which covers the whole scale does not filter anything
+export const toPriceRange = (min: number, max: number): ?PriceRange =>
+  min <= 0 && max >= PRICE_SCALE_MAX
+    ? null
+    : { min, max: max >= PRICE_SCALE_MAX ? null : max };
@@ -0,0 +1,102 @@
+// @flow
+import { generateEvent, sampleOne } from "../data/__test-data";
+import {
+  buildPriceHistogram,
+  isBarInRange,
+  isPriceInRange,
+  toPriceRange
+} from "./price-range";
+
+const buildEvent = (eventPriceLow: number) => {
+  const event = sampleOne(generateEvent);
+  event.fields.eventPriceLow = eventPriceLow;
+  event.fields.eventPriceHigh = eventPriceLow + 10;
+  return event;
+};
+
+describe("buildPriceHistogram", () => {
+  it("has an empty bar for every step of the scale when there are no events", () => {
+    expect(buildPriceHistogram([])).toEqual([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  });
+
+  it("counts events by their lowest price", () => {
+    const events = [0, 0, 4.99, 5, 12, 49.99].map(buildEvent);
+    expect(buildPriceHistogram(events)).toEqual([
+      3,
+      1,
+      1,
+      0,
+      0,
+      0,
+      0,
+      0,
+      0,
+      1,
+      0
+    ]);
+  });
+
+  it("counts every event from the top of the scale in the last bar", () => {
+    const events = [50, 75, 200].map(buildEvent);
+    expect(buildPriceHistogram(events)).toEqual([
+      0,
+      0,
+      0,
+      0,
+      0,
+      0,
+      0,
+      0,
+      0,
+      0,
+      3
+    ]);
+  });
+});
+
+describe("isPriceInRange", () => {
+  it("includes the prices at the edges of the range", () => {
+    expect(isPriceInRange(5, { min: 5, max: 10 })).toBe(true);
+    expect(isPriceInRange(10, { min: 5, max: 10 })).toBe(true);
+    expect(isPriceInRange(4.99, { min: 5, max: 10 })).toBe(false);
+    expect(isPriceInRange(10.01, { min: 5, max: 10 })).toBe(false);
+  });
+
+  it("has no upper limit when there is no max", () => {
+    expect(isPriceInRange(500, { min: 50, max: null })).toBe(true);
+  });
+});
+
+describe("isBarInRange", () => {
+  it("includes the bars counting any price in the range", () => {
+    const range = { min: 7, max: 10 };
+    expect(isBarInRange(0, range)).toBe(false);
+    expect(isBarInRange(1, range)).toBe(true);
+    expect(isBarInRange(2, range)).toBe(true);
+    expect(isBarInRange(3, range)).toBe(false);
+  });
+
+  it("leaves out the bar which ends where the range starts", () => {
+    expect(isBarInRange(0, { min: 5, max: 10 })).toBe(false);
+  });
+
+  it("includes the last bar for any range reaching the top of the scale", () => {
+    expect(isBarInRange(10, { min: 60, max: null })).toBe(true);
+    expect(isBarInRange(10, { min: 0, max: 45 })).toBe(false);
+  });
+});
+
+describe("toPriceRange", () => {
+  it("returns no range when the whole scale is covered", () => {
+    expect(toPriceRange(0, 50)).toBe(null);
+  });
+
+  it("returns a range with no max when the max is the top of the scale", () => {
+    expect(toPriceRange(10, 50)).toEqual({ min: 10, max: null });
+  });
+
+  it("returns a range between the two prices", () => {
+    expect(toPriceRange(0, 0)).toEqual({ min: 0, max: 0 });
+    expect(toPriceRange(5, 20)).toEqual({ min: 5, max: 20 });
+  });
+});
@@ -0,0 +1,177 @@
+// @flow
+import type { Event } from "../data/event";
+import type { FeaturedEvents } from "../data/featured-events";
+import type { FieldRef } from "../data/field-ref";
+import type { HeaderBanner } from "../data/header-banner";
+import type { ImageDetails, Images } from "../data/image";
+import type { ParadeGroup } from "../data/parade-group";
+import type { Performance } from "../data/performance";
+import type { Sponsor } from "../data/sponsor";
+import type { Collection } from "../lib/collection";
+
+// The entries of one content type, by id
+export type Table<A> = {
+  contentType: string,
+  byId: { [id: string]: A }
+};
+
+export type EntityTables = {
+  event: Table<Event>,
+  featuredEvents: Table<FeaturedEvents>,
+  headerBanner: Table<HeaderBanner>,
+  image: Table<ImageDetails>,
+  paradeGroup: Table<ParadeGroup>,
+  performance: Table<Performance>,
+  sponsor: Table<Sponsor>
+};
+
+// A reference to an entry which is not in the app, because it was
+// deleted, is not published yet or could not be decoded
+export type DanglingReference = {
+  contentType: string,
+  id: string
+};
+
+export type Resolved<A> = {
+  values: A[],
+  dangling: DanglingReference[]
+};
+
+const toTable = <A>(
+  contentType: string,
+  collection: Collection<A>
+): Table<A> => ({
+  contentType,
+  byId: collection.byId
+});
+
+// Images are already kept by id
+export const toImageTable = (images: Images): Table<ImageDetails> => ({
+  contentType: "asset",
+  byId: images
+});
+
+export const createEntityTables = (
+  events: Collection<Event>,
+  featuredEvents: Collection<FeaturedEvents>,
+  headerBanners: Collection<HeaderBanner>,
+  images: Collection<ImageDetails>,
+  paradeGroups: Collection<ParadeGroup>,
+  performances: Collection<Performance>,
+  sponsors: Collection<Sponsor>
+): EntityTables => ({
+  event: toTable("event", events),
+  featuredEvents: toTable("featuredEvents", featuredEvents),
+  headerBanner: toTable("headerBanner", headerBanners),
+  image: toTable("asset", images),
+  paradeGroup: toTable("paradeGroup", paradeGroups),
+  performance: toTable("performance", performances),
+  sponsor: toTable("sponsor", sponsors)
+});
+
+// A reference to the entry with the id, for entries which are looked up
+// by an id from elsewhere, such as a navigation parameter
+export const referenceTo = (id: string): FieldRef => ({ sys: { id } });
+
+export const resolveReference = <A>(table: Table<A>, reference: FieldRef): ?A =>
+  table.byId[reference.sys.id];
+
+// Resolves references in order, leaving out the ones which dangle
+export const resolveReferences = <A>(
+  table: Table<A>,
+  references: $ReadOnlyArray<FieldRef>
+): Resolved<A> =>
+  references.reduce(
+    (acc: Resolved<A>, reference) => {
+      const value = resolveReference(table, reference);
+      // intentional mutation as this happens in a reduce
+      if (value) {
+        acc.values.push(value);
+      } else {
+        acc.dangling.push({
+          contentType: table.contentType,
+          id: reference.sys.id
+        });
+      }
+      return acc;
+    },
+    { values: [], dangling: [] }
+  );
+
+// Entries which were found without following a reference, to resolve
+// the references they hold
+export const resolvedValues = <A>(values: A[]): Resolved<A> => ({
+  values,
+  dangling: []
+});
+
+// Resolves the references of entries which were resolved themselves,
+// such as the events of a featured events block, keeping track of the
+// references which dangle at each level.
+export const resolveNested = <A, B>(
+  resolved: Resolved<A>,
+  resolveEach: A => Resolved<B>
+): Resolved<B> =>
+  resolved.values.reduce(
+    (acc: Resolved<B>, value) => {
+      const nested = resolveEach(value);
+      return {
+        values: [...acc.values, ...nested.values],
+        dangling: [...acc.dangling, ...nested.dangling]
+      };
+    },
+    { values: [], dangling: resolved.dangling }
+  );
+
+const valuesOf = <A>(table: Table<A>): A[] =>
+  Object.keys(table.byId).map(id => table.byId[id]);
+
+const referencesFrom = <A, B>(
+  from: Table<A>,
+  to: Table<B>,
+  referencesOf: A => $ReadOnlyArray<FieldRef>
+): DanglingReference[] =>
+  resolveNested(resolvedValues(valuesOf(from)), value =>
+    resolveReferences(to, referencesOf(value))
+  ).dangling;
+
+const uniqueReferences = (
+  references: DanglingReference[]
+): DanglingReference[] => {
+  const seen = new Set();
+  return references.filter(reference => {
+    const key = `${reference.contentType}:${reference.id}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+};
+
+// Every reference between entries which does not lead anywhere
+export const selectDanglingReferences = (
+  tables: EntityTables
+): DanglingReference[] =>
+  uniqueReferences([
+    ...referencesFrom(
+      tables.event,
+      tables.performance,
+      event => event.fields.performances
+    ),
+    ...referencesFrom(tables.event, tables.image, event => [
+      event.fields.eventsListPicture,
+      event.fields.individualEventPicture
+    ]),
+    ...referencesFrom(
+      tables.featuredEvents,
+      tables.event,
+      featuredEvents => featuredEvents.fields.events
+    ),
+    ...referencesFrom(tables.headerBanner, tables.image, headerBanner => [
+      headerBanner.fields.heroImage
+    ]),
+    ...referencesFrom(tables.sponsor, tables.image, sponsor => [
+      sponsor.fields.sponsorLogo
+    ])
+  ]);
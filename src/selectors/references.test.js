@@ -0,0 +1,179 @@
+// @flow
+import {
+  generateEvent,
+  generateFeaturedEvents,
+  generateHeaderBanner,
+  generateImageDetails,
+  generatePerformance,
+  generateSponsor,
+  sampleOne
+} from "../data/__test-data";
+import { toCollection } from "../lib/collection";
+import {
+  createEntityTables,
+  referenceTo,
+  resolvedValues,
+  resolveNested,
+  resolveReference,
+  resolveReferences,
+  selectDanglingReferences
+} from "./references";
+
+const ref = (id: string) => ({ sys: { id } });
+
+const performanceA = { ...sampleOne(generatePerformance), id: "performanceA" };
+const performanceB = { ...sampleOne(generatePerformance), id: "performanceB" };
+const image = { ...sampleOne(generateImageDetails), id: "image" };
+
+const baseEvent = sampleOne(generateEvent);
+const eventA = {
+  ...baseEvent,
+  id: "eventA",
+  fields: {
+    ...baseEvent.fields,
+    performances: [ref("performanceA"), ref("performanceB")],
+    eventsListPicture: ref("image"),
+    individualEventPicture: ref("image")
+  }
+};
+const eventB = {
+  ...eventA,
+  id: "eventB",
+  fields: {
+    ...eventA.fields,
+    performances: [ref("missingPerformance")],
+    individualEventPicture: ref("missingImage")
+  }
+};
+
+const baseFeaturedEvents = sampleOne(generateFeaturedEvents);
+const featuredEvents = {
+  ...baseFeaturedEvents,
+  id: "featured",
+  fields: {
+    ...baseFeaturedEvents.fields,
+    events: [ref("eventA"), ref("missingEvent"), ref("eventB")]
+  }
+};
+
+const baseHeaderBanner = sampleOne(generateHeaderBanner);
+const headerBanner = {
+  ...baseHeaderBanner,
+  fields: { ...baseHeaderBanner.fields, heroImage: ref("image") }
+};
+
+const baseSponsor = sampleOne(generateSponsor);
+const sponsor = {
+  ...baseSponsor,
+  fields: { ...baseSponsor.fields, sponsorLogo: ref("missingLogo") }
+};
+
+const tables = createEntityTables(
+  toCollection([eventA, eventB]),
+  toCollection([featuredEvents]),
+  toCollection([headerBanner]),
+  toCollection([image]),
+  toCollection([]),
+  toCollection([performanceA, performanceB]),
+  toCollection([sponsor])
+);
+
+describe("createEntityTables", () => {
+  it("keeps the entries of each content type by id", () => {
+    expect(tables.event).toEqual({
+      contentType: "event",
+      byId: { eventA, eventB }
+    });
+    expect(tables.image).toEqual({ contentType: "asset", byId: { image } });
+    expect(tables.performance.byId.performanceA).toBe(performanceA);
+  });
+});
+
+describe("resolveReference", () => {
+  it("resolves a reference to its entry", () => {
+    expect(resolveReference(tables.event, ref("eventA"))).toBe(eventA);
+  });
+
+  it("returns nothing for dangling references", () => {
+    expect(resolveReference(tables.event, ref("missing"))).toBeUndefined();
+  });
+});
+
+describe("resolveReferences", () => {
+  it("resolves references in order", () => {
+    const resolved = resolveReferences(tables.event, [
+      ref("eventB"),
+      ref("eventA")
+    ]);
+
+    expect(resolved).toEqual({ values: [eventB, eventA], dangling: [] });
+  });
+
+  it("reports dangling references", () => {
+    const resolved = resolveReferences(
+      tables.event,
+      featuredEvents.fields.events
+    );
+
+    expect(resolved).toEqual({
+      values: [eventA, eventB],
+      dangling: [{ contentType: "event", id: "missingEvent" }]
+    });
+  });
+});
+
+describe("referenceTo", () => {
+  it("refers to the entry with the id", () => {
+    expect(resolveReference(tables.event, referenceTo("eventB"))).toBe(eventB);
+  });
+});
+
+describe("resolveNested", () => {
+  it("resolves the references of resolved entries", () => {
+    const resolved = resolveNested(
+      resolveReferences(tables.event, featuredEvents.fields.events),
+      event => resolveReferences(tables.performance, event.fields.performances)
+    );
+
+    expect(resolved).toEqual({
+      values: [performanceA, performanceB],
+      dangling: [
+        { contentType: "event", id: "missingEvent" },
+        { contentType: "performance", id: "missingPerformance" }
+      ]
+    });
+  });
+
+  it("resolves across more than one level", () => {
+    const resolved = resolveNested(
+      resolveNested(resolvedValues([featuredEvents]), value =>
+        resolveReferences(tables.event, value.fields.events)
+      ),
+      event => resolveReferences(tables.image, [event.fields.eventsListPicture])
+    );
+
+    expect(resolved.values).toEqual([image, image]);
+    expect(resolved.dangling).toEqual([
+      { contentType: "event", id: "missingEvent" }
+    ]);
+  });
+
+  it("resolves nothing from nothing", () => {
+    expect(
+      resolveNested(resolvedValues([]), event =>
+        resolveReferences(tables.performance, event.fields.performances)
+      )
+    ).toEqual({ values: [], dangling: [] });
+  });
+});
+
+describe("selectDanglingReferences", () => {
+  it("lists every reference which does not lead anywhere once", () => {
+    expect(selectDanglingReferences(tables)).toEqual([
+      { contentType: "performance", id: "missingPerformance" },
+      { contentType: "asset", id: "missingImage" },
+      { contentType: "event", id: "missingEvent" },
+      { contentType: "asset", id: "missingLogo" }
+    ]);
+  });
+});
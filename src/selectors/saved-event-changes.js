@@ -0,0 +1,9 @@
+// @flow
+import type { State } from "../reducers";
+import type { SavedEventChange } from "../data/saved-event-changes";
+
+export const selectSavedEventChanges = (state: State): SavedEventChange[] =>
+  state.savedEventChanges.log.changes;
+
+export const selectSavedEventChangeCount = (state: State): number =>
+  selectSavedEventChanges(state).length;
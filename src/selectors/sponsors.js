@@ -1,6 +1,11 @@
 // @flow
+import { createSelector } from "reselect";
 import type { State } from "../reducers";
 import type { Sponsor } from "../data/sponsor";
+import { valuesOf } from "../lib/collection";
 
 /* eslint-disable import/prefer-default-export */
-export const selectSponsors = (state: State): Sponsor[] => state.data.sponsors;
+export const selectSponsors: State => Sponsor[] = createSelector(
+  [(state: State) => state.data.sponsors],
+  valuesOf
+);
@@ -1,19 +1,24 @@
 // @flow
 import type { State } from "../reducers";
+import { generateSponsor, sampleOne } from "../data/__test-data";
+import { toCollection } from "../lib/collection";
 import { selectSponsors } from "./sponsors";
 
 describe("selectSponsors", () => {
-  it("selects property", () => {
+  it("selects the sponsors in order", () => {
+    const sponsorA = { ...sampleOne(generateSponsor), id: "a" };
+    const sponsorB = { ...sampleOne(generateSponsor), id: "b" };
     // Will fix this along with the other fix me's once we have refactored
     // @$FlowFixMe
     const state: State = {
       data: {
-        sponsors: []
+        sponsors: toCollection([sponsorB, sponsorA])
       }
     };
 
     const selected = selectSponsors(state);
 
-    expect(selected).toEqual(state.data.sponsors);
+    expect(selected).toEqual([sponsorB, sponsorA]);
+    expect(selectSponsors(state)).toBe(selected);
   });
 });
@@ -0,0 +1,45 @@
+// @flow
+import type { State } from "../reducers";
+import type { Maybe } from "../lib/maybe";
+import { compareAsc, isBefore } from "../lib/date";
+
+// Content which editors can schedule to show for a while only
+export type Scheduled = {
+  +fields: {
+    +visibleFrom: Maybe<string>,
+    +visibleUntil: Maybe<string>
+  }
+};
+
+export const selectClock = (state: State): string => state.clock;
+
+// The window includes visibleFrom and excludes visibleUntil
+export const isVisibleAt = (now: string) => (item: Scheduled): boolean => {
+  const { visibleFrom, visibleUntil } = item.fields;
+  return (
+    (visibleFrom == null || !isBefore(now, visibleFrom)) &&
+    (visibleUntil == null || isBefore(now, visibleUntil))
+  );
+};
+
+export const filterVisible = <A: Scheduled>(items: A[], now: string): A[] =>
+  items.filter(isVisibleAt(now));
+
+/**
+ * The next time after now at which any of the items is shown or
+ * hidden, if there is one.
+ */
+export const selectNextVisibilityChange = (
+  items: $ReadOnlyArray<Scheduled>,
+  now: string
+): ?string =>
+  items
+    .reduce(
+      (acc: string[], item) => [
+        ...acc,
+        ...[item.fields.visibleFrom, item.fields.visibleUntil].filter(Boolean)
+      ],
+      []
+    )
+    .filter(time => isBefore(now, time))
+    .sort(compareAsc)[0];
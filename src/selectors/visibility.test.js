@@ -0,0 +1,67 @@
+// @flow
+import {
+  filterVisible,
+  isVisibleAt,
+  selectNextVisibilityChange
+} from "./visibility";
+
+const scheduled = (visibleFrom: ?string, visibleUntil: ?string) => ({
+  fields: { visibleFrom, visibleUntil }
+});
+
+describe("isVisibleAt", () => {
+  const item = scheduled("2018-07-07T00:00+01:00", "2018-07-08T00:00+01:00");
+
+  it("shows content without a window at any time", () => {
+    expect(isVisibleAt("2018-07-07T12:00+01:00")(scheduled(null, null))).toBe(
+      true
+    );
+  });
+
+  it("shows content from the start of its window", () => {
+    expect(isVisibleAt("2018-07-06T23:59+01:00")(item)).toBe(false);
+    expect(isVisibleAt("2018-07-07T00:00+01:00")(item)).toBe(true);
+  });
+
+  it("hides content at the end of its window", () => {
+    expect(isVisibleAt("2018-07-07T23:59+01:00")(item)).toBe(true);
+    expect(isVisibleAt("2018-07-08T00:00+01:00")(item)).toBe(false);
+  });
+
+  it("compares times across time zones", () => {
+    expect(isVisibleAt("2018-07-06T23:30Z")(item)).toBe(true);
+  });
+});
+
+describe("filterVisible", () => {
+  it("keeps the content which is visible", () => {
+    const visible = scheduled(null, "2018-07-08T00:00+01:00");
+    const hidden = scheduled("2018-07-08T00:00+01:00", null);
+
+    expect(filterVisible([visible, hidden], "2018-07-07T12:00+01:00")).toEqual([
+      visible
+    ]);
+  });
+});
+
+describe("selectNextVisibilityChange", () => {
+  it("returns the next time content is shown or hidden", () => {
+    const items = [
+      scheduled("2018-07-06T00:00+01:00", "2018-07-09T00:00+01:00"),
+      scheduled("2018-07-08T00:00+01:00", null),
+      scheduled(null, null)
+    ];
+
+    expect(selectNextVisibilityChange(items, "2018-07-07T12:00+01:00")).toBe(
+      "2018-07-08T00:00+01:00"
+    );
+  });
+
+  it("returns nothing when no change is scheduled", () => {
+    const items = [scheduled(null, "2018-07-06T00:00+01:00")];
+
+    expect(
+      selectNextVisibilityChange(items, "2018-07-07T12:00+01:00")
+    ).toBeUndefined();
+  });
+});